@@ -1,36 +1,46 @@
 import React, { useState } from 'react';
 import CalculatorForm from './components/CalculatorForm';
 import ResultsDisplay from './components/ResultsDisplay';
+import FleetBatch from './components/FleetBatch';
 import { parseTireSize, validateTireCompatibility } from './engine/tireParser';
 import { calculateTireComparison } from './engine/tireCalculator';
+import { runTireShootout, parseCandidateSizes } from './engine/tireShootout';
+import { compareAcrossVehicles } from './engine/vehicleComparison';
+import { getVehiclePreset } from './engine/vehicleDatabase';
+import { getSuspensionType } from './engine/vehicleConfigData';
 import { generateRegearRecommendations } from './engine/regearEngine';
 import { generateAdvisory } from './engine/advisoryEngine';
+import { getUnitSystem, fromDisplayUnits } from './engine/units';
+import { parseFuelLog } from './engine/odometerCorrection';
+import { getCrawlRatio, getRoadReduction } from './engine/drivetrainChain';
 import { importFromJSON } from './utils/exportImport';
 import './styles/App.css';
 
 /**
  * Calculate drivetrain impact when BOTH tires and gears are changing
  * Compares: original state (current tires + current gears) → final state (new tires + new gears)
+ * Uses loaded effective diameters when the comparison ran with rolling radius
  */
-function calculateFinalStateDrivetrainImpact(currentTireMetrics, newTireMetrics, currentGearRatio, newGearRatio, drivetrain) {
-  const {
-    transmissionTopGear = 1.0,
-    transferCaseRatio = 1.0,
-    transferCaseLowRatio = 2.5,
-    firstGearRatio = 3.5  // Default first gear ratio for crawl calculations
-  } = drivetrain;
+function calculateFinalStateDrivetrainImpact(currentTireMetrics, newTireMetrics, currentGearRatio, newGearRatio, drivetrain, rollingRadius = null, unitSystem = 'imperial') {
+  const { transmissionTopGear = 1.0 } = drivetrain;
+  // Transfer case high range and portal hubs stay in the chain on the road
+  const roadReduction = getRoadReduction(drivetrain);
 
-  const testSpeed = 65; // mph
+  const units = getUnitSystem(unitSystem);
+  const testSpeed = units.highwaySpeed; // 65 mph / 100 km/h
+  const testSpeedMPH = fromDisplayUnits(testSpeed, 'speed', unitSystem);
+  const currentDiameter = rollingRadius ? rollingRadius.current.effectiveDiameter : currentTireMetrics.diameter;
+  const newDiameter = rollingRadius ? rollingRadius.new.effectiveDiameter : newTireMetrics.diameter;
 
   // Original state: current tires + current gears
   const originalEffectiveRatio = currentGearRatio;
-  const originalRPM = (testSpeed * currentGearRatio * transmissionTopGear * 336) / currentTireMetrics.diameter;
-  const originalCrawlRatio = currentGearRatio * transferCaseLowRatio * firstGearRatio;
+  const originalRPM = (testSpeedMPH * currentGearRatio * roadReduction * transmissionTopGear * 336) / currentDiameter;
+  const originalCrawlRatio = getCrawlRatio({ ...drivetrain, axleGearRatio: currentGearRatio });
 
   // Final state: new tires + new gears
   const finalEffectiveRatio = newGearRatio;
-  const finalRPM = (testSpeed * newGearRatio * transmissionTopGear * 336) / newTireMetrics.diameter;
-  const finalCrawlRatio = newGearRatio * transferCaseLowRatio * firstGearRatio;
+  const finalRPM = (testSpeedMPH * newGearRatio * roadReduction * transmissionTopGear * 336) / newDiameter;
+  const finalCrawlRatio = getCrawlRatio({ ...drivetrain, axleGearRatio: newGearRatio });
 
   // Calculate changes
   const effectiveRatioChange = finalEffectiveRatio - originalEffectiveRatio;
@@ -58,7 +68,8 @@ function calculateFinalStateDrivetrainImpact(currentTireMetrics, newTireMetrics,
       change: rpmChange,
       changePercentage: rpmChangePct,
       testSpeed: testSpeed,
-      summary: `${Math.abs(rpmChange).toFixed(0)} RPM ${rpmChange > 0 ? 'increase' : 'decrease'} at ${testSpeed} mph`
+      testSpeedUnit: units.labels.speed,
+      summary: `${Math.abs(rpmChange).toFixed(0)} RPM ${rpmChange > 0 ? 'increase' : 'decrease'} at ${testSpeed} ${units.labels.speed}`
     },
     crawlRatio: {
       original: originalCrawlRatio,
@@ -70,24 +81,40 @@ function calculateFinalStateDrivetrainImpact(currentTireMetrics, newTireMetrics,
         : crawlRatioChangePct < -5
           ? 'Reduced crawl capability - less control at low speeds'
           : 'Maintained crawl capability'
-    }
+    },
+    rollingRadius
   };
 }
 
 function App() {
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
+  const [mode, setMode] = useState('single'); // 'single' build or 'fleet' batch
 
   const handleCalculate = (formData) => {
     try {
       setError(null);
 
-      // Parse tire sizes
-      const currentTire = parseTireSize(formData.currentTireSize);
-      const newTire = parseTireSize(formData.newTireSize);
+      // Weights, pressures and tread depths are entered in the selected unit system;
+      // the engine calculates in imperial units
+      const unitSystem = formData.unitSystem || 'imperial';
+      const toEngineUnits = (value, quantity) => (
+        value ? fromDisplayUnits(parseFloat(value), quantity, unitSystem) : null
+      );
 
-      // Validate compatibility - get warnings but never block
-      const compatibility = validateTireCompatibility(currentTire, newTire);
+      // Parse tire sizes (brand/model select measured diameters, tread depths in 32nds)
+      const currentTire = parseTireSize(formData.currentTireSize, {
+        brand: formData.currentTireBrand,
+        model: formData.currentTireModel,
+        treadDepthNew: toEngineUnits(formData.currentTireTreadNew, 'treadDepth'),
+        treadDepthCurrent: toEngineUnits(formData.currentTireTreadCurrent, 'treadDepth')
+      });
+      const newTire = parseTireSize(formData.newTireSize, {
+        brand: formData.newTireBrand,
+        model: formData.newTireModel,
+        treadDepthNew: toEngineUnits(formData.newTireTreadNew, 'treadDepth'),
+        treadDepthCurrent: toEngineUnits(formData.newTireTreadCurrent, 'treadDepth')
+      });
 
       // Build drivetrain config (current setup)
       const drivetrain = {};
@@ -106,34 +133,141 @@ function App() {
       if (formData.firstGearRatio) {
         drivetrain.firstGearRatio = parseFloat(formData.firstGearRatio);
       }
+      if (formData.transmission) {
+        drivetrain.transmission = formData.transmission;
+      }
+      if (formData.engine) {
+        drivetrain.engine = formData.engine;
+      }
+      // Optional crawl stages: underdrive / crawler box, doubler, portal hubs
+      if (formData.underdriveRatio) {
+        drivetrain.underdriveRatio = parseFloat(formData.underdriveRatio);
+      }
+      if (formData.doublerRatio) {
+        drivetrain.doublerRatio = parseFloat(formData.doublerRatio);
+      }
+      if (formData.portalRatio) {
+        drivetrain.portalRatio = parseFloat(formData.portalRatio);
+      }
+      // Front/rear split: the main axle ratio is the rear when a front ratio is given
+      if (formData.frontAxleRatio) {
+        drivetrain.frontAxleRatio = parseFloat(formData.frontAxleRatio);
+      }
+      if (formData.driveSystem) {
+        drivetrain.driveSystem = formData.driveSystem;
+      }
 
       // Build tire specs config (optional advanced specs)
       const tireSpecs = {};
       if (formData.currentTireWeight) {
-        tireSpecs.currentTireWeight = parseFloat(formData.currentTireWeight);
+        tireSpecs.currentTireWeight = toEngineUnits(formData.currentTireWeight, 'weight');
       }
       if (formData.newTireWeight) {
-        tireSpecs.newTireWeight = parseFloat(formData.newTireWeight);
+        tireSpecs.newTireWeight = toEngineUnits(formData.newTireWeight, 'weight');
       }
-      if (formData.currentTireLoadIndex) {
-        tireSpecs.currentTireLoadIndex = parseInt(formData.currentTireLoadIndex);
+      if (formData.currentRimWidth) {
+        tireSpecs.currentRimWidth = parseFloat(formData.currentRimWidth);
       }
-      if (formData.newTireLoadIndex) {
-        tireSpecs.newTireLoadIndex = parseInt(formData.newTireLoadIndex);
+      if (formData.newRimWidth) {
+        tireSpecs.newRimWidth = parseFloat(formData.newRimWidth);
+      }
+
+      // Loaded rolling radius (optional): inflation pressures and load per tire
+      const calculationOptions = { unitSystem };
+      if (formData.useRollingRadius) {
+        calculationOptions.useRollingRadius = true;
+        calculationOptions.currentPressure = toEngineUnits(formData.currentTirePressure, 'pressure');
+        calculationOptions.newPressure = toEngineUnits(formData.newTirePressure, 'pressure');
+        calculationOptions.cornerLoad = toEngineUnits(formData.cornerLoad, 'weight');
+      }
+
+      // Gradeability: loaded weight, tread rolling resistance and test grade
+      calculationOptions.vehicleWeight = toEngineUnits(formData.vehicleWeight, 'weight');
+      calculationOptions.expeditionLoad = toEngineUnits(formData.expeditionLoad, 'weight');
+      calculationOptions.gradeSpeed = toEngineUnits(formData.gradeSpeed, 'speed');
+      calculationOptions.targetGrade = formData.targetGrade ? parseFloat(formData.targetGrade) : null;
+      calculationOptions.currentTreadType = formData.currentTreadType;
+      calculationOptions.newTreadType = formData.newTreadType;
+
+      // Fuel economy: measured baseline and lift installed with the new tires
+      calculationOptions.baselineFuelEconomy = toEngineUnits(formData.baselineFuelEconomy, 'fuelEconomy');
+      calculationOptions.liftHeight = toEngineUnits(formData.liftHeight, 'length');
+
+      // Braking: brake torque capacity (stock hardware for the vehicle, else estimated, when blank)
+      calculationOptions.brakeTorque = toEngineUnits(formData.brakeTorque, 'torque');
+      calculationOptions.vehicleLabel = formData.vehicleLabel;
+
+      // Staggered setups: the entered sizes are the front axle when a rear size is given
+      if (formData.currentRearTireSize) {
+        calculationOptions.currentRearTire = parseTireSize(formData.currentRearTireSize);
+      }
+      if (formData.newRearTireSize) {
+        calculationOptions.newRearTire = parseTireSize(formData.newRearTireSize);
+      }
+
+      // Validate compatibility - get warnings but never block
+      // (includes the spare against the new tires when one is selected)
+      const spareSizes = {
+        current: formData.currentTireSize,
+        new: formData.newTireSize,
+        custom: formData.spareTireSize
+      };
+      const spareSize = spareSizes[formData.spareTire];
+      const compatibility = validateTireCompatibility(currentTire, newTire, {
+        spareTire: spareSize ? parseTireSize(spareSize) : null,
+        newRearTire: calculationOptions.newRearTire,
+        driveSystem: formData.driveSystem,
+        vehicleCategory: formData.vehicleCategory,
+        unitSystem
+      });
+
+      // Odometer correction: readings since the install, service intervals and fill-ups
+      calculationOptions.odometer = {
+        installOdometer: toEngineUnits(formData.installOdometer, 'distance'),
+        currentOdometer: toEngineUnits(formData.currentOdometer, 'distance'),
+        serviceIntervals: {
+          oil: toEngineUnits(formData.oilInterval, 'distance'),
+          diffFluid: toEngineUnits(formData.diffFluidInterval, 'distance'),
+          tireRotation: toEngineUnits(formData.tireRotationInterval, 'distance')
+        },
+        fillUps: parseFuelLog(formData.fuelLog).map(fillUp => ({
+          odometer: fromDisplayUnits(fillUp.odometer, 'distance', unitSystem),
+          fuel: fromDisplayUnits(fillUp.fuel, 'volume', unitSystem)
+        }))
+      };
+
+      // Fuel range planner: fuel carried, terrain mix and the longest gap between fuel stops
+      if (formData.tankCapacity) {
+        calculationOptions.fuelPlan = {
+          tankCapacity: toEngineUnits(formData.tankCapacity, 'volume'),
+          jerryCans: formData.jerryCans ? parseInt(formData.jerryCans, 10) : 0,
+          jerryCanCapacity: toEngineUnits(formData.jerryCanCapacity, 'volume'),
+          auxiliaryTank: toEngineUnits(formData.auxiliaryTank, 'volume'),
+          terrainMix: {
+            highway: parseFloat(formData.terrainHighway) || 0,
+            gravel: parseFloat(formData.terrainGravel) || 0,
+            trail: parseFloat(formData.terrainTrail) || 0,
+            sand: parseFloat(formData.terrainSand) || 0
+          },
+          reservePercent: formData.reservePercent !== '' ? parseFloat(formData.reservePercent) : null,
+          fuelGap: toEngineUnits(formData.fuelGap, 'distance')
+        };
       }
 
       // Calculate comparison (current tires + current gears → new tires + current gears)
-      const comparison = calculateTireComparison(currentTire, newTire, drivetrain, tireSpecs, formData.intendedUse);
+      const comparison = calculateTireComparison(currentTire, newTire, drivetrain, tireSpecs, formData.intendedUse, calculationOptions);
 
       // If new gear ratio specified, calculate with new gears
       let comparisonWithNewGears = null;
       let finalStateComparison = null;
       if (formData.newAxleGearRatio && formData.axleGearRatio) {
+        // A regear sets both axles to the new ratio
         const drivetrainWithNewGears = {
           ...drivetrain,
-          axleGearRatio: parseFloat(formData.newAxleGearRatio)
+          axleGearRatio: parseFloat(formData.newAxleGearRatio),
+          frontAxleRatio: drivetrain.frontAxleRatio ? parseFloat(formData.newAxleGearRatio) : undefined
         };
-        comparisonWithNewGears = calculateTireComparison(currentTire, newTire, drivetrainWithNewGears, tireSpecs, formData.intendedUse);
+        comparisonWithNewGears = calculateTireComparison(currentTire, newTire, drivetrainWithNewGears, tireSpecs, formData.intendedUse, calculationOptions);
 
         // Create final state comparison: current tires + current gears → new tires + new gears
         // This is what the user actually wants to see in the Drivetrain Impact section
@@ -147,7 +281,9 @@ function App() {
             comparisonWithNewGears.new,
             parseFloat(formData.axleGearRatio),
             parseFloat(formData.newAxleGearRatio),
-            drivetrain
+            drivetrain,
+            comparison.rollingRadius,
+            unitSystem
           )
         };
       }
@@ -164,6 +300,37 @@ function App() {
         );
       }
 
+      // Tire shootout: the new size and any other candidates ranked against the current tire
+      let shootout = null;
+      const candidateSizes = parseCandidateSizes(formData.candidateSizes)
+        .filter(size => size.toUpperCase() !== formData.newTireSize.trim().toUpperCase());
+      if (candidateSizes.length > 0) {
+        shootout = runTireShootout(
+          currentTire,
+          [newTire, ...candidateSizes.map(size => parseTireSize(size))],
+          drivetrain,
+          tireSpecs,
+          formData.intendedUse,
+          { ...calculationOptions, suspensionType: formData.suspensionType }
+        );
+      }
+
+      // Same tire across vehicles: the new size on each selected preset's stock setup
+      let vehicleComparison = null;
+      const comparisonPresets = (formData.comparisonVehicles || [])
+        .map(label => getVehiclePreset(label))
+        .filter(Boolean)
+        .map(preset => ({ ...preset, suspensionType: getSuspensionType(preset.category) }));
+      if (comparisonPresets.length > 0) {
+        vehicleComparison = compareAcrossVehicles(
+          newTire,
+          comparisonPresets,
+          tireSpecs,
+          formData.intendedUse,
+          { unitSystem, liftHeight: calculationOptions.liftHeight }
+        );
+      }
+
       // Generate advisory
       const advisory = generateAdvisory(
         comparison,
@@ -179,6 +346,8 @@ function App() {
         regearRecommendations,
         advisory,
         compatibility,
+        shootout,
+        vehicleComparison,
         formData
       });
 
@@ -249,7 +418,29 @@ function App() {
             </div>
           )}
 
-          {!results ? (
+          <div className="mode-switch">
+            <button
+              type="button"
+              className={`mode-option ${mode === 'single' ? 'active' : ''}`}
+              onClick={() => setMode('single')}
+            >
+              Single Build
+            </button>
+            <button
+              type="button"
+              className={`mode-option ${mode === 'fleet' ? 'active' : ''}`}
+              onClick={() => {
+                setMode('fleet');
+                setError(null);
+              }}
+            >
+              Fleet Batch
+            </button>
+          </div>
+
+          {mode === 'fleet' ? (
+            <FleetBatch />
+          ) : !results ? (
             <CalculatorForm onCalculate={handleCalculate} onImport={handleImport} />
           ) : (
             <ResultsDisplay results={results} onReset={handleReset} />
@@ -1,40 +1,246 @@
 import React, { useState } from 'react';
 import { getAvailableGearRatios, getUseCaseProfiles } from '../engine/regearEngine';
 import { getSuspensionType, getAvailableGearRatiosForVehicle, getAllSuspensionTypes } from '../engine/vehicleConfigData';
+import { getMeasuredTireModels, parseTireSize } from '../engine/tireParser';
+import { normalizeTireSize } from '../engine/tireSizeNormalizer';
+import { UNIT_SYSTEMS, getUnitLabel, toDisplayUnits, fromDisplayUnits } from '../engine/units';
+import { getTransmissions, getTransmission, getPresetTransmission } from '../engine/transmissionModel';
+import { getEngines, getEngine, getPresetEngine } from '../engine/tractiveEffort';
+import { DRIVE_SYSTEMS, DEFAULT_DRIVE_SYSTEM } from '../engine/axleMismatch';
+import { getVehiclePresets } from '../engine/vehicleDatabase';
+import EquivalentSizeFinder from './EquivalentSizeFinder';
 import './CalculatorForm.css';
 
+// Inputs entered in the selected unit system (everything else is unitless or inches)
+const UNIT_FIELDS = {
+  currentTireWeight: 'weight',
+  newTireWeight: 'weight',
+  currentTireTreadNew: 'treadDepth',
+  currentTireTreadCurrent: 'treadDepth',
+  newTireTreadNew: 'treadDepth',
+  newTireTreadCurrent: 'treadDepth',
+  currentTirePressure: 'pressure',
+  newTirePressure: 'pressure',
+  cornerLoad: 'weight',
+  vehicleWeight: 'weight',
+  expeditionLoad: 'weight',
+  gradeSpeed: 'speed',
+  brakeTorque: 'torque',
+  baselineFuelEconomy: 'fuelEconomy',
+  liftHeight: 'length',
+  installOdometer: 'distance',
+  currentOdometer: 'distance',
+  oilInterval: 'distance',
+  diffFluidInterval: 'distance',
+  tireRotationInterval: 'distance',
+  tankCapacity: 'volume',
+  jerryCanCapacity: 'volume',
+  auxiliaryTank: 'volume',
+  fuelGap: 'distance'
+};
+
+const TREAD_TYPE_OPTIONS = [
+  { value: 'highway', label: 'Highway / H/T' },
+  { value: 'all_terrain', label: 'All-terrain' },
+  { value: 'rugged_terrain', label: 'Rugged terrain / hybrid' },
+  { value: 'mud_terrain', label: 'Mud-terrain' }
+];
+
 const CalculatorForm = ({ onCalculate, onImport }) => {
   const [formData, setFormData] = useState({
     currentTireSize: '265/70R17',
     newTireSize: '285/75R17',
+    // Optional shootout: more sizes ranked with the new size against the current tire
+    candidateSizes: '',
+    // Optional: preset labels the new tire is also applied to, side by side
+    comparisonVehicles: [],
     axleGearRatio: '3.73',
     newAxleGearRatio: '',
+    transmission: '', // Transmission library id, '' = custom top/first gear
+    engine: '', // Engine library id for tractive effort charts
     transmissionTopGear: '1.0',
     transferCaseRatio: '1.0',
     transferCaseLowRatio: '2.5',
     firstGearRatio: '4.0',
     intendedUse: 'weekend_trail',
+    unitSystem: 'imperial', // imperial or metric inputs and results
     suspensionType: 'ifs',
     vehicleCategory: '', // Track selected vehicle category for filtering
     // Optional advanced tire specs
     currentTireWeight: '',
     newTireWeight: '',
-    currentTireLoadIndex: '',
-    newTireLoadIndex: ''
+    // Optional rim widths (inches) for approved-range checks and mounted width
+    currentRimWidth: '',
+    newRimWidth: '',
+    // Optional brand/model for brand-specific measured diameters
+    currentTireBrand: '',
+    currentTireModel: '',
+    newTireBrand: '',
+    newTireModel: '',
+    // Optional tread depths (32nds, or mm in metric)
+    currentTireTreadNew: '',
+    currentTireTreadCurrent: '',
+    newTireTreadNew: '',
+    newTireTreadCurrent: '',
+    // Optional loaded rolling radius (pressure and load per tire)
+    useRollingRadius: false,
+    currentTirePressure: '',
+    newTirePressure: '',
+    cornerLoad: '',
+    // Optional crawl stages beyond the transfer case
+    underdriveRatio: '',
+    doublerRatio: '',
+    portalRatio: '',
+    // Optional front/rear split (axle mismatch)
+    driveSystem: DEFAULT_DRIVE_SYSTEM,
+    frontAxleRatio: '',
+    currentRearTireSize: '',
+    newRearTireSize: '',
+    // Optional spare check: '' (skip), 'current' (old spare kept), 'new' (matching fifth) or 'custom'
+    spareTire: '',
+    spareTireSize: '',
+    // Optional gradeability inputs (loaded vehicle on a highway grade)
+    vehicleWeight: '',
+    expeditionLoad: '',
+    gradeSpeed: '',
+    targetGrade: '',
+    // Optional fuel economy inputs
+    baselineFuelEconomy: '',
+    liftHeight: '',
+    // Optional braking input (total torque all four brakes can hold)
+    brakeTorque: '',
+    currentTreadType: 'all_terrain',
+    newTreadType: 'all_terrain',
+    // Optional odometer readings since the install, service intervals and fill-up log
+    installOdometer: '',
+    currentOdometer: '',
+    oilInterval: '',
+    diffFluidInterval: '',
+    tireRotationInterval: '',
+    fuelLog: '',
+    // Optional fuel range planner (fuel carried, terrain mix in % of distance)
+    tankCapacity: '',
+    jerryCans: '',
+    jerryCanCapacity: '',
+    auxiliaryTank: '',
+    terrainHighway: '',
+    terrainGravel: '',
+    terrainTrail: '',
+    terrainSand: '',
+    reservePercent: '',
+    fuelGap: ''
   });
 
+  const isMetric = formData.unitSystem === 'metric';
+  const unitLabel = (quantity) => getUnitLabel(quantity, formData.unitSystem);
+  const selectedTransmission = formData.transmission ? getTransmission(formData.transmission) : null;
+  const selectedEngine = formData.engine ? getEngine(formData.engine) : null;
+
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [showTireSpecs, setShowTireSpecs] = useState(false);
+  const [showOdometer, setShowOdometer] = useState(false);
+  const [showFuelRange, setShowFuelRange] = useState(false);
   const fileInputRef = React.useRef(null);
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
+    if (name === 'unitSystem') {
+      handleUnitSystemChange(value);
+      return;
+    }
+    if (name === 'transmission') {
+      handleTransmissionChange(value);
+      return;
+    }
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Convert already-entered weights, pressures and tread depths so they keep their meaning
+  const handleUnitSystemChange = (unitSystem) => {
+    setFormData(prev => {
+      const converted = { ...prev, unitSystem };
+      Object.entries(UNIT_FIELDS).forEach(([field, quantity]) => {
+        const value = parseFloat(prev[field]);
+        if (value) {
+          const imperial = fromDisplayUnits(value, quantity, prev.unitSystem);
+          converted[field] = String(parseFloat(toDisplayUnits(imperial, quantity, unitSystem).toFixed(1)));
+        }
+      });
+      return converted;
+    });
+  };
+
+  // A library transmission fills top and first gear from its ratio set
+  const handleTransmissionChange = (transmission) => {
+    setFormData(prev => ({
+      ...prev,
+      transmission,
+      ...transmissionGearFields(transmission)
+    }));
+  };
+
+  const transmissionGearFields = (transmission) => {
+    if (!transmission) return {};
+    const { ratios } = getTransmission(transmission);
+    return {
+      transmissionTopGear: String(ratios[ratios.length - 1]),
+      firstGearRatio: String(ratios[0])
+    };
+  };
+
+  // "Did you mean" feedback for loosely typed sizes
+  // corrected: one clear reading the calculator will use; suggest: ambiguous, pick one
+  const getSizeFeedback = (value) => {
+    if (!value || !value.trim()) {
+      return null;
+    }
+    try {
+      const tire = parseTireSize(value);
+      return tire.normalizedFrom ? { type: 'corrected', sizes: [tire.raw] } : null;
+    } catch (err) {
+      const sizes = (err.suggestions || []).map(candidate => candidate.size);
+      return sizes.length > 0 ? { type: 'suggest', sizes } : null;
+    }
+  };
+
+  const applySizeSuggestion = (name, size) => {
+    const { remainder } = normalizeTireSize(formData[name]);
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: `${size} ${remainder}`.trim()
     }));
   };
 
+  const renderSizeFeedback = (name) => {
+    const feedback = getSizeFeedback(formData[name]);
+    if (!feedback) {
+      return null;
+    }
+    return (
+      <div className="size-suggestions">
+        <span>{feedback.type === 'corrected' ? 'Reading as:' : 'Did you mean:'}</span>
+        {feedback.sizes.map(size => (
+          <button
+            key={size}
+            type="button"
+            className="quick-select-btn"
+            onClick={() => applySizeSuggestion(name, size)}
+          >
+            {size}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  const handleComparisonVehiclesChange = (e) => {
+    const labels = Array.from(e.target.selectedOptions, option => option.value);
+    setFormData(prev => ({ ...prev, comparisonVehicles: labels }));
+  };
+
   const handleImportClick = () => {
     fileInputRef.current?.click();
   };
@@ -52,6 +258,7 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
   };
 
   const useCaseProfiles = getUseCaseProfiles();
+  const { brands: measuredTireBrands, models: measuredTireModels } = getMeasuredTireModels();
   const gearRatios = getAvailableGearRatios();
 
   // Popular off-road vehicles with factory tire sizes (VERIFIED from manufacturer specs)
@@ -301,6 +508,10 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
       // Get vehicle-specific suspension type
       const suspensionType = getSuspensionType(category);
 
+      // Transmission and engine fitted to this trim (blank when not known)
+      const transmission = getPresetTransmission(vehicle.label) || '';
+      const engine = getPresetEngine(vehicle.label) || '';
+
       setFormData(prev => ({
         ...prev,
         currentTireSize: vehicle.tire,
@@ -308,7 +519,10 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
         vehicleType: vehicleType,
         vehicleLabel: vehicle.label, // Store full vehicle label (e.g., "2016-2023 Tacoma TRD Off-Road")
         suspensionType: suspensionType,
-        vehicleCategory: category // Store category for filtering gear ratios
+        vehicleCategory: category, // Store category for filtering gear ratios
+        transmission,
+        engine,
+        ...transmissionGearFields(transmission)
       }));
     }
   };
@@ -328,7 +542,7 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
 
         <section className="form-section">
           <h2>Tire Sizes</h2>
-          <p className="section-hint">Supports P-metric (265/70R17), LT-metric (LT285/75R16), and Flotation (35x12.50R17)</p>
+          <p className="section-hint">Supports P-metric (265/70R17), LT-metric (LT285/75R16), Flotation (35x12.50R17), Euro commercial (235/85R16C), numeric/bias (7.50R16, 9.00-16) and 82-series (185R14). Paste the full sidewall (LT285/75R17 121/118S E) to include load index, speed rating and load range.</p>
 
           <div className="form-group">
             <label htmlFor="vehicleSelect">
@@ -597,7 +811,8 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
                 placeholder="e.g., 265/70R17"
                 required
               />
-              <div className="input-hint">Your current tire size</div>
+              {renderSizeFeedback('currentTireSize')}
+              <div className="input-hint">Your current tire size (add load index for capacity analysis)</div>
             </div>
 
             <div className="form-group">
@@ -614,6 +829,7 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
                 placeholder="e.g., 285/75R17"
                 required
               />
+              {renderSizeFeedback('newTireSize')}
               <div className="input-hint">The upgrade you're considering</div>
             </div>
           </div>
@@ -631,6 +847,53 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
               </button>
             ))}
           </div>
+
+          <EquivalentSizeFinder
+            currentTireSize={formData.currentTireSize}
+            onSelect={(size) => setFormData(prev => ({ ...prev, newTireSize: size }))}
+          />
+
+          <div className="form-group">
+            <label htmlFor="candidateSizes">
+              Compare More Sizes
+              <span className="optional">(optional shootout)</span>
+            </label>
+            <textarea
+              id="candidateSizes"
+              name="candidateSizes"
+              value={formData.candidateSizes}
+              onChange={handleChange}
+              rows="3"
+              placeholder={'285/70R17, 295/70R17\n35x12.50R17'}
+            />
+            <div className="input-hint">
+              Other sizes you're shopping, one per line or comma-separated. They're ranked with the new tire size for your intended use on the Shootout tab.
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="comparisonVehicles">
+              Compare Across Vehicles
+              <span className="optional">(optional)</span>
+            </label>
+            <select
+              id="comparisonVehicles"
+              name="comparisonVehicles"
+              multiple
+              size="6"
+              value={formData.comparisonVehicles}
+              onChange={handleComparisonVehiclesChange}
+            >
+              {getVehiclePresets().map(preset => (
+                <option key={preset.label} value={preset.label}>
+                  {preset.label} - {preset.tire}
+                </option>
+              ))}
+            </select>
+            <div className="input-hint">
+              Ctrl/Cmd-click to pick several presets. The new tire size is applied to each one's stock tire, gearing and suspension on the Vehicles tab.
+            </div>
+          </div>
         </section>
 
         <section className="form-section">
@@ -742,6 +1005,25 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
             <div className="input-hint">Affects re-gear and advisory recommendations</div>
           </div>
 
+          <div className="form-group">
+            <label htmlFor="unitSystem">Units</label>
+            <select
+              id="unitSystem"
+              name="unitSystem"
+              value={formData.unitSystem}
+              onChange={handleChange}
+            >
+              {Object.values(UNIT_SYSTEMS).map(system => (
+                <option key={system.id} value={system.id}>{system.label}</option>
+              ))}
+            </select>
+            <div className="input-hint">
+              {isMetric
+                ? 'Speedometer at 50/80/100/120 km/h, highway RPM at 100 km/h. Weights in kg, pressures in kPa, tread depth in mm.'
+                : 'Speedometer at 30/45/60/75 mph, highway RPM at 65 mph'}
+            </div>
+          </div>
+
           <div className="form-group">
             <label htmlFor="newAxleGearRatio">
               New/Target Axle Gear Ratio
@@ -796,6 +1078,56 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
 
           {showAdvanced && (
             <div className="advanced-fields">
+              <div className="form-group">
+                <label htmlFor="transmission">
+                  Transmission
+                  <span className="optional">(optional - per-gear RPM and shift points)</span>
+                </label>
+                <select
+                  id="transmission"
+                  name="transmission"
+                  value={formData.transmission}
+                  onChange={handleChange}
+                >
+                  <option value="">Custom - enter top and first gear below</option>
+                  {getTransmissions().map(transmission => (
+                    <option key={transmission.id} value={transmission.id}>
+                      {transmission.name}
+                    </option>
+                  ))}
+                </select>
+                <div className="input-hint">
+                  {selectedTransmission
+                    ? `${selectedTransmission.ratios.join(' / ')} - ${selectedTransmission.applications}`
+                    : 'Selecting a vehicle fills this in when its transmission is known'}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="engine">
+                  Engine
+                  <span className="optional">(optional - tractive effort chart, needs a transmission)</span>
+                </label>
+                <select
+                  id="engine"
+                  name="engine"
+                  value={formData.engine}
+                  onChange={handleChange}
+                >
+                  <option value="">Not selected</option>
+                  {getEngines().map(engine => (
+                    <option key={engine.id} value={engine.id}>
+                      {engine.name}
+                    </option>
+                  ))}
+                </select>
+                {selectedEngine && (
+                  <div className="input-hint">
+                    {selectedEngine.peakHorsepower.value} hp @ {selectedEngine.peakHorsepower.rpm} RPM, {selectedEngine.peakTorque.value} lb-ft @ {selectedEngine.peakTorque.rpm} RPM - {selectedEngine.applications}
+                  </div>
+                )}
+              </div>
+
               <div className="form-row">
                 <div className="form-group">
                   <label htmlFor="transmissionTopGear">
@@ -863,10 +1195,353 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
                     onChange={handleChange}
                     step="0.01"
                     min="1.5"
-                    max="4.5"
+                    max="6.0"
                     placeholder="2.5"
                   />
-                  <div className="input-hint">Tacoma/4Runner: 2.566 | Jeep non-Rubicon: 2.72 | Jeep Rubicon: 4.0 | Bronco Sasquatch: 3.06</div>
+                  <div className="input-hint">Tacoma/4Runner: 2.566 | Jeep non-Rubicon: 2.72 | Jeep Rubicon: 4.0 | Bronco Sasquatch: 3.06 | Aftermarket: 4.0, 4.7, 5.0</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="underdriveRatio">
+                    Underdrive / Crawler Box
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="underdriveRatio"
+                    name="underdriveRatio"
+                    value={formData.underdriveRatio}
+                    onChange={handleChange}
+                    step="0.01"
+                    min="1.1"
+                    max="6.0"
+                    placeholder="e.g., 3.8"
+                  />
+                  <div className="input-hint">Switchable, between transmission and transfer case. Common: 2.72, 3.8, 4.0</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="doublerRatio">
+                    Doubler / Second Transfer Case
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="doublerRatio"
+                    name="doublerRatio"
+                    value={formData.doublerRatio}
+                    onChange={handleChange}
+                    step="0.01"
+                    min="1.1"
+                    max="6.0"
+                    placeholder="e.g., 2.28"
+                  />
+                  <div className="input-hint">Switchable. Dual Toyota cases: 2.28 | Marlin 4.7 | Atlas doubler: 3.8</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="portalRatio">
+                    Portal Hub Ratio
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="portalRatio"
+                    name="portalRatio"
+                    value={formData.portalRatio}
+                    onChange={handleChange}
+                    step="0.01"
+                    min="1.0"
+                    max="2.5"
+                    placeholder="e.g., 1.32"
+                  />
+                  <div className="input-hint">Always engaged - also raises highway RPM. Common: 1.32, 1.5, 1.8</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="driveSystem">
+                    Drive System
+                  </label>
+                  <select
+                    id="driveSystem"
+                    name="driveSystem"
+                    value={formData.driveSystem}
+                    onChange={handleChange}
+                  >
+                    {Object.entries(DRIVE_SYSTEMS).map(([id, system]) => (
+                      <option key={id} value={id}>{system.name}</option>
+                    ))}
+                  </select>
+                  <div className="input-hint">Sets how much front/rear mismatch is tolerated</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="frontAxleRatio">
+                    Front Axle Ratio
+                    <span className="optional">(optional - if different from the rear)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="frontAxleRatio"
+                    name="frontAxleRatio"
+                    value={formData.frontAxleRatio}
+                    onChange={handleChange}
+                    step="0.01"
+                    min="2.5"
+                    max="7.0"
+                    placeholder={formData.axleGearRatio || '4.10'}
+                  />
+                  <div className="input-hint">Axle Gear Ratio above is the rear axle when this is set</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="currentRearTireSize">
+                    Current Rear Tire Size
+                    <span className="optional">(optional - staggered setups)</span>
+                  </label>
+                  <input
+                    type="text"
+                    id="currentRearTireSize"
+                    name="currentRearTireSize"
+                    value={formData.currentRearTireSize}
+                    onChange={handleChange}
+                    placeholder="Same as current tire size"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="newRearTireSize">
+                    New Rear Tire Size
+                    <span className="optional">(optional - staggered setups)</span>
+                  </label>
+                  <input
+                    type="text"
+                    id="newRearTireSize"
+                    name="newRearTireSize"
+                    value={formData.newRearTireSize}
+                    onChange={handleChange}
+                    placeholder="Same as new tire size"
+                  />
+                  <div className="input-hint">Tire sizes above are the front axle when these are set</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="spareTire">
+                    Spare Tire
+                    <span className="optional">(optional - spare compatibility check)</span>
+                  </label>
+                  <select
+                    id="spareTire"
+                    name="spareTire"
+                    value={formData.spareTire}
+                    onChange={handleChange}
+                  >
+                    <option value="">Don't check the spare</option>
+                    <option value="current">Old spare (current tire size)</option>
+                    <option value="new">Matching fifth tire (new tire size)</option>
+                    <option value="custom">Other size</option>
+                  </select>
+                  <div className="input-hint">Checks drive modes on the spare and the stock carrier for the vehicle category</div>
+                </div>
+
+                {formData.spareTire === 'custom' && (
+                  <div className="form-group">
+                    <label htmlFor="spareTireSize">
+                      Spare Tire Size
+                    </label>
+                    <input
+                      type="text"
+                      id="spareTireSize"
+                      name="spareTireSize"
+                      value={formData.spareTireSize}
+                      onChange={handleChange}
+                      placeholder="e.g., 265/70R17"
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="vehicleWeight">
+                    Vehicle Weight ({unitLabel('weight')})
+                    <span className="optional">(optional - gradeability, needs engine and transmission)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="vehicleWeight"
+                    name="vehicleWeight"
+                    value={formData.vehicleWeight}
+                    onChange={handleChange}
+                    step={isMetric ? '25' : '50'}
+                    min={isMetric ? '900' : '2000'}
+                    max={isMetric ? '5000' : '11000'}
+                    placeholder={isMetric ? 'e.g., 2150' : 'e.g., 4750'}
+                  />
+                  <div className="input-hint">Curb weight plus passengers. Default {isMetric ? '2,041 kg' : '4,500 lbs'}</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="expeditionLoad">
+                    Expedition Load ({unitLabel('weight')})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="expeditionLoad"
+                    name="expeditionLoad"
+                    value={formData.expeditionLoad}
+                    onChange={handleChange}
+                    step={isMetric ? '10' : '25'}
+                    min="0"
+                    max={isMetric ? '1500' : '3000'}
+                    placeholder={isMetric ? 'e.g., 350' : 'e.g., 800'}
+                  />
+                  <div className="input-hint">Armor, rack, tent, water, fuel and gear</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="gradeSpeed">
+                    Grade Test Speed ({unitLabel('speed')})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="gradeSpeed"
+                    name="gradeSpeed"
+                    value={formData.gradeSpeed}
+                    onChange={handleChange}
+                    step="5"
+                    min={isMetric ? '30' : '20'}
+                    max={isMetric ? '140' : '85'}
+                    placeholder={isMetric ? 'e.g., 110' : 'e.g., 70'}
+                  />
+                  <div className="input-hint">Default {isMetric ? '100 km/h' : '65 mph'}</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="targetGrade">
+                    Target Grade (%)
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="targetGrade"
+                    name="targetGrade"
+                    value={formData.targetGrade}
+                    onChange={handleChange}
+                    step="0.5"
+                    min="1"
+                    max="15"
+                    placeholder="6"
+                  />
+                  <div className="input-hint">US Interstates top out around 6%</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="currentTreadType">
+                    Current Tread Type
+                  </label>
+                  <select
+                    id="currentTreadType"
+                    name="currentTreadType"
+                    value={formData.currentTreadType}
+                    onChange={handleChange}
+                  >
+                    {TREAD_TYPE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="newTreadType">
+                    New Tread Type
+                  </label>
+                  <select
+                    id="newTreadType"
+                    name="newTreadType"
+                    value={formData.newTreadType}
+                    onChange={handleChange}
+                  >
+                    {TREAD_TYPE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <div className="input-hint">Aggressive treads add rolling resistance</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="baselineFuelEconomy">
+                    Current Fuel Economy ({unitLabel('fuelEconomy')})
+                    <span className="optional">(optional - scales the fuel economy estimate)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="baselineFuelEconomy"
+                    name="baselineFuelEconomy"
+                    value={formData.baselineFuelEconomy}
+                    onChange={handleChange}
+                    step="0.1"
+                    min={isMetric ? '4' : '5'}
+                    max={isMetric ? '40' : '50'}
+                    placeholder={isMetric ? 'e.g., 13.5' : 'e.g., 17.5'}
+                  />
+                  <div className="input-hint">Measured on the current tires, combined driving</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="liftHeight">
+                    Suspension Lift ({unitLabel('length')})
+                    <span className="optional">(optional - added with the new tires)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="liftHeight"
+                    name="liftHeight"
+                    value={formData.liftHeight}
+                    onChange={handleChange}
+                    step={isMetric ? '5' : '0.5'}
+                    min="0"
+                    max={isMetric ? '200' : '8'}
+                    placeholder="Estimated from tire size"
+                  />
+                  <div className="input-hint">Raises frontal area along with the taller tires</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="brakeTorque">
+                    Brake Torque Capacity ({unitLabel('torque')})
+                    <span className="optional">(optional - stopping distance)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="brakeTorque"
+                    name="brakeTorque"
+                    value={formData.brakeTorque}
+                    onChange={handleChange}
+                    step="100"
+                    min={isMetric ? '2500' : '2000'}
+                    max={isMetric ? '20000' : '15000'}
+                    placeholder={isMetric ? 'e.g., 7500' : 'e.g., 5500'}
+                  />
+                  <div className="input-hint">All four wheels at a firm pedal. Default: stock brakes out-stop the stock tires</div>
                 </div>
               </div>
             </div>
@@ -887,13 +1562,77 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
             <div className="advanced-fields">
               <p className="section-hint">
                 Optional tire specifications for advanced analysis. Weight affects unsprung mass and performance.
-                Load index determines safe load capacity. Leave blank for basic calculations.
+                Load capacity is read from the load index in the tire size (e.g., LT285/75R17 121/118S E).
+                Tread depth shows how diameter and speedometer error drift as the tire wears. Leave blank for basic calculations.
               </p>
 
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="currentTireBrand">
+                    Current Tire Brand / Model
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="text"
+                    id="currentTireBrand"
+                    name="currentTireBrand"
+                    value={formData.currentTireBrand}
+                    onChange={handleChange}
+                    list="tire-brands"
+                    placeholder="e.g., BFGoodrich"
+                  />
+                  <input
+                    type="text"
+                    id="currentTireModel"
+                    name="currentTireModel"
+                    value={formData.currentTireModel}
+                    onChange={handleChange}
+                    list="tire-models"
+                    placeholder="e.g., All-Terrain T/A KO2"
+                    aria-label="Current Tire Model"
+                  />
+                  <div className="input-hint">Uses a brand-specific measured diameter when one is on file</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="newTireBrand">
+                    New Tire Brand / Model
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="text"
+                    id="newTireBrand"
+                    name="newTireBrand"
+                    value={formData.newTireBrand}
+                    onChange={handleChange}
+                    list="tire-brands"
+                    placeholder="e.g., Toyo"
+                  />
+                  <input
+                    type="text"
+                    id="newTireModel"
+                    name="newTireModel"
+                    value={formData.newTireModel}
+                    onChange={handleChange}
+                    list="tire-models"
+                    placeholder="e.g., Open Country R/T"
+                    aria-label="New Tire Model"
+                  />
+                  <div className="input-hint">Same size can measure up to 0.5" apart between brands</div>
+                </div>
+              </div>
+
+              <datalist id="tire-brands">
+                {measuredTireBrands.map(brand => <option key={brand} value={brand} />)}
+              </datalist>
+              <datalist id="tire-models">
+                {measuredTireModels.map(model => <option key={model} value={model} />)}
+              </datalist>
+
               <div className="form-row">
                 <div className="form-group">
                   <label htmlFor="currentTireWeight">
-                    Current Tire Weight (lbs)
+                    Current Tire Weight ({unitLabel('weight')})
                     <span className="optional">(optional)</span>
                   </label>
                   <input
@@ -902,17 +1641,21 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
                     name="currentTireWeight"
                     value={formData.currentTireWeight}
                     onChange={handleChange}
-                    step="1"
-                    min="20"
-                    max="150"
-                    placeholder="e.g., 50"
+                    step={isMetric ? '0.5' : '1'}
+                    min={isMetric ? '9' : '20'}
+                    max={isMetric ? '68' : '150'}
+                    placeholder={isMetric ? 'e.g., 23' : 'e.g., 50'}
                   />
-                  <div className="input-hint">Found on tire manufacturer specs. P-metric: 35-55 lbs | LT 33": 55-65 lbs | LT 35": 65-75 lbs | LT 37": 75-85 lbs</div>
+                  <div className="input-hint">
+                    {isMetric
+                      ? 'Found on tire manufacturer specs. P-metric: 16-25 kg | LT 33": 25-29 kg | LT 35": 29-34 kg | LT 37": 34-39 kg'
+                      : 'Found on tire manufacturer specs. P-metric: 35-55 lbs | LT 33": 55-65 lbs | LT 35": 65-75 lbs | LT 37": 75-85 lbs'}
+                  </div>
                 </div>
 
                 <div className="form-group">
                   <label htmlFor="newTireWeight">
-                    New Tire Weight (lbs)
+                    New Tire Weight ({unitLabel('weight')})
                     <span className="optional">(optional)</span>
                   </label>
                   <input
@@ -921,10 +1664,10 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
                     name="newTireWeight"
                     value={formData.newTireWeight}
                     onChange={handleChange}
-                    step="1"
-                    min="20"
-                    max="150"
-                    placeholder="e.g., 65"
+                    step={isMetric ? '0.5' : '1'}
+                    min={isMetric ? '9' : '20'}
+                    max={isMetric ? '68' : '150'}
+                    placeholder={isMetric ? 'e.g., 29.5' : 'e.g., 65'}
                   />
                   <div className="input-hint">Check manufacturer website or retailer specs</div>
                 </div>
@@ -932,41 +1675,482 @@ const CalculatorForm = ({ onCalculate, onImport }) => {
 
               <div className="form-row">
                 <div className="form-group">
-                  <label htmlFor="currentTireLoadIndex">
-                    Current Tire Load Index
+                  <label htmlFor="currentRimWidth">
+                    Current Rim Width (inches)
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="currentRimWidth"
+                    name="currentRimWidth"
+                    value={formData.currentRimWidth}
+                    onChange={handleChange}
+                    step="0.5"
+                    min="5"
+                    max="14"
+                    placeholder="e.g., 7.5"
+                  />
+                  <div className="input-hint">Stamped on the wheel (17x7.5 = 7.5" wide)</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="newRimWidth">
+                    New Rim Width (inches)
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="newRimWidth"
+                    name="newRimWidth"
+                    value={formData.newRimWidth}
+                    onChange={handleChange}
+                    step="0.5"
+                    min="5"
+                    max="14"
+                    placeholder="e.g., 8.5"
+                  />
+                  <div className="input-hint">A 12.50" tire on an 8" rim runs ~0.8" narrower than on a 10" rim</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="currentTireTreadNew">
+                    Current Tire Tread Depth - New ({isMetric ? 'mm' : '32nds'})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="currentTireTreadNew"
+                    name="currentTireTreadNew"
+                    value={formData.currentTireTreadNew}
+                    onChange={handleChange}
+                    step="0.5"
+                    min={isMetric ? '3' : '4'}
+                    max={isMetric ? '25' : '32'}
+                    placeholder={isMetric ? 'e.g., 9.5' : 'e.g., 12'}
+                  />
+                  <div className="input-hint">
+                    {isMetric
+                      ? 'Highway: 8-9.5 mm | All-terrain: 11-13 mm | Mud-terrain: 14-17 mm'
+                      : 'Highway: 10-12/32" | All-terrain: 14-16/32" | Mud-terrain: 18-21/32"'}
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="currentTireTreadCurrent">
+                    Current Tire Tread Depth - Remaining ({isMetric ? 'mm' : '32nds'})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="currentTireTreadCurrent"
+                    name="currentTireTreadCurrent"
+                    value={formData.currentTireTreadCurrent}
+                    onChange={handleChange}
+                    step="0.5"
+                    min="1"
+                    max={isMetric ? '25' : '32'}
+                    placeholder={isMetric ? 'e.g., 5.5' : 'e.g., 7'}
+                  />
+                  <div className="input-hint">Measure with a tread depth gauge in the main grooves</div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="newTireTreadNew">
+                    New Tire Tread Depth - New ({isMetric ? 'mm' : '32nds'})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="newTireTreadNew"
+                    name="newTireTreadNew"
+                    value={formData.newTireTreadNew}
+                    onChange={handleChange}
+                    step="0.5"
+                    min={isMetric ? '3' : '4'}
+                    max={isMetric ? '25' : '32'}
+                    placeholder={isMetric ? 'e.g., 14' : 'e.g., 18'}
+                  />
+                  <div className="input-hint">Listed as "tread depth" in manufacturer specs</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="newTireTreadCurrent">
+                    New Tire Tread Depth - Remaining ({isMetric ? 'mm' : '32nds'})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="newTireTreadCurrent"
+                    name="newTireTreadCurrent"
+                    value={formData.newTireTreadCurrent}
+                    onChange={handleChange}
+                    step="0.5"
+                    min="1"
+                    max={isMetric ? '25' : '32'}
+                    placeholder={isMetric ? 'e.g., 11' : 'e.g., 14'}
+                  />
+                  <div className="input-hint">Only needed for used tires</div>
+                </div>
+              </div>
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="useRollingRadius"
+                  checked={formData.useRollingRadius}
+                  onChange={handleChange}
+                />
+                <span>Use loaded rolling radius for speedometer and RPM (tires roll smaller than their free diameter under load)</span>
+              </label>
+
+              {formData.useRollingRadius && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="currentTirePressure">
+                      Current Tire Pressure ({unitLabel('pressure')})
+                      <span className="optional">(optional)</span>
+                    </label>
+                    <input
+                      type="number"
+                      id="currentTirePressure"
+                      name="currentTirePressure"
+                      value={formData.currentTirePressure}
+                      onChange={handleChange}
+                      step={isMetric ? '5' : '1'}
+                      min={isMetric ? '35' : '5'}
+                      max={isMetric ? '550' : '80'}
+                      placeholder={isMetric ? 'e.g., 240' : 'e.g., 35'}
+                    />
+                    <div className="input-hint">{isMetric ? 'Defaults: P-metric 220 kPa | LT 240 kPa' : 'Defaults: P-metric 32 PSI | LT 35 PSI'}</div>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="newTirePressure">
+                      New Tire Pressure ({unitLabel('pressure')})
+                      <span className="optional">(optional)</span>
+                    </label>
+                    <input
+                      type="number"
+                      id="newTirePressure"
+                      name="newTirePressure"
+                      value={formData.newTirePressure}
+                      onChange={handleChange}
+                      step={isMetric ? '5' : '1'}
+                      min={isMetric ? '35' : '5'}
+                      max={isMetric ? '550' : '80'}
+                      placeholder={isMetric ? 'e.g., 260' : 'e.g., 38'}
+                    />
+                    <div className="input-hint">Street pressure, or aired-down trail pressure</div>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="cornerLoad">
+                      Load Per Tire ({unitLabel('weight')})
+                      <span className="optional">(optional)</span>
+                    </label>
+                    <input
+                      type="number"
+                      id="cornerLoad"
+                      name="cornerLoad"
+                      value={formData.cornerLoad}
+                      onChange={handleChange}
+                      step={isMetric ? '25' : '50'}
+                      min={isMetric ? '225' : '500'}
+                      max={isMetric ? '2250' : '5000'}
+                      placeholder={isMetric ? 'e.g., 570' : 'e.g., 1250'}
+                    />
+                    <div className="input-hint">Vehicle weight ÷ 4, or scale ticket corner weight. Default {isMetric ? '567 kg' : '1,250 lbs'}</div>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </section>
+
+        <section className="form-section advanced-section">
+          <button
+            type="button"
+            className="toggle-advanced"
+            onClick={() => setShowOdometer(!showOdometer)}
+          >
+            {showOdometer ? '▼' : '▶'} Odometer & Fuel Log
+            <span className="optional">(true distance, service intervals and fuel economy since the install)</span>
+          </button>
+
+          {showOdometer && (
+            <div className="advanced-fields">
+              <p className="section-hint">
+                The odometer is off by the same ratio as the speedometer until it is recalibrated.
+                Enter readings taken since the new tires went on to see the true distance, when service is really due
+                and the corrected fuel economy.
+              </p>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="installOdometer">
+                    Odometer at Tire Install ({unitLabel('distance')})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="installOdometer"
+                    name="installOdometer"
+                    value={formData.installOdometer}
+                    onChange={handleChange}
+                    step="1"
+                    min="0"
+                    placeholder={isMetric ? 'e.g., 64000' : 'e.g., 40000'}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="currentOdometer">
+                    Odometer Now ({unitLabel('distance')})
                     <span className="optional">(optional)</span>
                   </label>
                   <input
                     type="number"
-                    id="currentTireLoadIndex"
-                    name="currentTireLoadIndex"
-                    value={formData.currentTireLoadIndex}
+                    id="currentOdometer"
+                    name="currentOdometer"
+                    value={formData.currentOdometer}
                     onChange={handleChange}
                     step="1"
-                    min="70"
-                    max="130"
-                    placeholder="e.g., 113"
+                    min="0"
+                    placeholder={isMetric ? 'e.g., 80000' : 'e.g., 50000'}
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="oilInterval">
+                    Oil Change Interval ({unitLabel('distance')})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="oilInterval"
+                    name="oilInterval"
+                    value={formData.oilInterval}
+                    onChange={handleChange}
+                    step={isMetric ? '1000' : '500'}
+                    min="0"
+                    placeholder={isMetric ? '8000' : '5000'}
                   />
-                  <div className="input-hint">Found on tire sidewall. 113 = 2535 lbs | 117 = 2833 lbs | 121 = 3197 lbs | 126 = 3748 lbs</div>
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="newTireLoadIndex">
-                    New Tire Load Index
+                  <label htmlFor="diffFluidInterval">
+                    Diff Fluid Interval ({unitLabel('distance')})
                     <span className="optional">(optional)</span>
                   </label>
                   <input
                     type="number"
-                    id="newTireLoadIndex"
-                    name="newTireLoadIndex"
-                    value={formData.newTireLoadIndex}
+                    id="diffFluidInterval"
+                    name="diffFluidInterval"
+                    value={formData.diffFluidInterval}
+                    onChange={handleChange}
+                    step="5000"
+                    min="0"
+                    placeholder={isMetric ? '50000' : '30000'}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="tireRotationInterval">
+                    Tire Rotation Interval ({unitLabel('distance')})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="tireRotationInterval"
+                    name="tireRotationInterval"
+                    value={formData.tireRotationInterval}
+                    onChange={handleChange}
+                    step={isMetric ? '1000' : '500'}
+                    min="0"
+                    placeholder={isMetric ? '8000' : '5000'}
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="fuelLog">
+                  Fill-up Log
+                  <span className="optional">(optional)</span>
+                </label>
+                <textarea
+                  id="fuelLog"
+                  name="fuelLog"
+                  value={formData.fuelLog}
+                  onChange={handleChange}
+                  rows="5"
+                  placeholder={isMetric ? '67750, 68.9\n68255, 74.2\n68710, 64.4' : '42100, 18.2\n42415, 19.6\n42700, 17.0'}
+                />
+                <div className="input-hint">
+                  One fill-to-full per line: odometer ({unitLabel('distance')}), fuel added ({unitLabel('volume')}). The first line only sets the starting point.
+                </div>
+              </div>
+            </div>
+          )}
+        </section>
+
+        <section className="form-section advanced-section">
+          <button
+            type="button"
+            className="toggle-advanced"
+            onClick={() => setShowFuelRange(!showFuelRange)}
+          >
+            {showFuelRange ? '▼' : '▶'} Fuel Range Planner
+            <span className="optional">(tanks, jerry cans, terrain mix and remote fuel gaps)</span>
+          </button>
+
+          {showFuelRange && (
+            <div className="advanced-fields">
+              <p className="section-hint">
+                Range on the current and new tires for the fuel you carry, using the fuel economy model with your
+                vehicle weight, expedition load and tread types.
+              </p>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="tankCapacity">
+                    Fuel Tank ({unitLabel('volume')})
+                  </label>
+                  <input
+                    type="number"
+                    id="tankCapacity"
+                    name="tankCapacity"
+                    value={formData.tankCapacity}
+                    onChange={handleChange}
+                    step="0.5"
+                    min="0"
+                    placeholder={isMetric ? 'e.g., 87' : 'e.g., 23'}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="auxiliaryTank">
+                    Auxiliary Tank ({unitLabel('volume')})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="auxiliaryTank"
+                    name="auxiliaryTank"
+                    value={formData.auxiliaryTank}
+                    onChange={handleChange}
+                    step="0.5"
+                    min="0"
+                    placeholder={isMetric ? 'e.g., 60' : 'e.g., 16'}
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="jerryCans">
+                    Jerry Cans
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="jerryCans"
+                    name="jerryCans"
+                    value={formData.jerryCans}
                     onChange={handleChange}
                     step="1"
-                    min="70"
-                    max="130"
-                    placeholder="e.g., 121"
+                    min="0"
+                    max="12"
+                    placeholder="0"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="jerryCanCapacity">
+                    Jerry Can Size ({unitLabel('volume')})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="jerryCanCapacity"
+                    name="jerryCanCapacity"
+                    value={formData.jerryCanCapacity}
+                    onChange={handleChange}
+                    step="0.5"
+                    min="0"
+                    placeholder={isMetric ? '20' : '5'}
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                {[
+                  ['terrainHighway', 'Highway'],
+                  ['terrainGravel', 'Gravel / Dirt Road'],
+                  ['terrainTrail', 'Trail / Low Range'],
+                  ['terrainSand', 'Sand / Mud']
+                ].map(([name, label]) => (
+                  <div key={name} className="form-group">
+                    <label htmlFor={name}>
+                      {label} (%)
+                    </label>
+                    <input
+                      type="number"
+                      id={name}
+                      name={name}
+                      value={formData[name]}
+                      onChange={handleChange}
+                      step="5"
+                      min="0"
+                      max="100"
+                      placeholder={name === 'terrainHighway' ? '100' : '0'}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="input-hint">Share of the trip distance on each surface - scaled to 100% if it adds up to more or less</div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="reservePercent">
+                    Reserve (%)
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="reservePercent"
+                    name="reservePercent"
+                    value={formData.reservePercent}
+                    onChange={handleChange}
+                    step="5"
+                    min="0"
+                    max="50"
+                    placeholder="25"
+                  />
+                  <div className="input-hint">Fuel kept in hand for detours and headwinds</div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="fuelGap">
+                    Longest Fuel Gap ({unitLabel('distance')})
+                    <span className="optional">(optional)</span>
+                  </label>
+                  <input
+                    type="number"
+                    id="fuelGap"
+                    name="fuelGap"
+                    value={formData.fuelGap}
+                    onChange={handleChange}
+                    step="10"
+                    min="0"
+                    placeholder={isMetric ? 'e.g., 450' : 'e.g., 280'}
                   />
-                  <div className="input-hint">Higher is better for loaded overlanding rigs</div>
+                  <div className="input-hint">Distance between fuel stops on the route</div>
                 </div>
               </div>
             </div>
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { parseTireSize } from '../engine/tireParser';
+import { findEquivalentSizes } from '../engine/tireSizeFinder';
+import './EquivalentSizeFinder.css';
+
+const WHEEL_DIAMETERS = ['15', '16', '17', '18', '20', '22'];
+const MAX_RESULTS = 24;
+
+/**
+ * Equivalent Size Finder
+ * Lists standard sizes near a target diameter on a chosen wheel and fills the new tire size
+ */
+const EquivalentSizeFinder = ({ currentTireSize, onSelect }) => {
+  const [showFinder, setShowFinder] = useState(false);
+  const [targetDiameter, setTargetDiameter] = useState('33');
+  const [wheelDiameter, setWheelDiameter] = useState('17');
+  const [tolerance, setTolerance] = useState('0.3');
+
+  const useCurrentDiameter = () => {
+    try {
+      const current = parseTireSize(currentTireSize);
+      setTargetDiameter(current.diameter.toFixed(1));
+    } catch (err) {
+      // Current size not parseable yet - leave the target as is
+    }
+  };
+
+  const target = parseFloat(targetDiameter);
+  const results = showFinder && target > 0
+    ? findEquivalentSizes({
+        targetDiameter: target,
+        wheelDiameters: [parseFloat(wheelDiameter)],
+        tolerance: parseFloat(tolerance) || 0.3
+      }).slice(0, MAX_RESULTS)
+    : [];
+
+  return (
+    <div className="size-finder">
+      <button
+        type="button"
+        className="toggle-advanced"
+        onClick={() => setShowFinder(!showFinder)}
+      >
+        {showFinder ? '▼' : '▶'} Find Sizes by Diameter
+        <span className="optional">(same height on another wheel, or every ~33" option)</span>
+      </button>
+
+      {showFinder && (
+        <div className="size-finder-body">
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="finderTargetDiameter">Target Diameter (inches)</label>
+              <input
+                type="number"
+                id="finderTargetDiameter"
+                value={targetDiameter}
+                onChange={(e) => setTargetDiameter(e.target.value)}
+                step="0.1"
+                min="24"
+                max="46"
+              />
+              <button type="button" className="quick-select-btn" onClick={useCurrentDiameter}>
+                Use current tire diameter
+              </button>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="finderWheelDiameter">Wheel Diameter</label>
+              <select
+                id="finderWheelDiameter"
+                value={wheelDiameter}
+                onChange={(e) => setWheelDiameter(e.target.value)}
+              >
+                {WHEEL_DIAMETERS.map(diameter => (
+                  <option key={diameter} value={diameter}>{diameter}"</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="finderTolerance">Tolerance (± inches)</label>
+              <input
+                type="number"
+                id="finderTolerance"
+                value={tolerance}
+                onChange={(e) => setTolerance(e.target.value)}
+                step="0.1"
+                min="0.1"
+                max="1.5"
+              />
+            </div>
+          </div>
+
+          {results.length === 0 ? (
+            <p className="input-hint">No standard sizes within ±{tolerance}" of {targetDiameter}" on a {wheelDiameter}" wheel.</p>
+          ) : (
+            <div className="size-finder-results">
+              {results.map(result => (
+                <button
+                  key={result.size}
+                  type="button"
+                  className="size-finder-result"
+                  onClick={() => onSelect(result.size)}
+                  title={result.usedMeasuredData ? 'Measured diameter' : 'Calculated diameter'}
+                >
+                  <strong>{result.size}</strong>
+                  <span>
+                    {result.diameter.toFixed(2)}"
+                    {result.usedMeasuredData ? ' (measured)' : ''}
+                    {' '}{result.diameterDifference >= 0 ? '+' : ''}{result.diameterDifference.toFixed(2)}"
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EquivalentSizeFinder;
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { parseFleetCSV, runFleetBatch } from '../engine/fleetBatch';
+import { getUseCaseProfiles } from '../engine/regearEngine';
+import { UNIT_SYSTEMS, getUnitSystem, formatMeasurement } from '../engine/units';
+import { exportFleetToCSV, exportFleetToJSON } from '../utils/exportImport';
+import ResultsDisplay from './ResultsDisplay';
+import './FleetBatch.css';
+
+const EXAMPLE_CSV = `Vehicle,Current Tire,New Tire,Gears,Lift,Use
+Shop Tacoma,265/70R16,285/75R16,3.909,3,overlanding
+Trail JL Rubicon,285/70R17,37x12.50R17,4.10,2.5,rock_crawling
+Parts 4Runner,265/70R17,275/70R17,3.73,0,daily_driver`;
+
+const REGEAR_LABELS = {
+  optional: 'Optional',
+  consider: 'Consider',
+  recommended: 'Recommended',
+  strongly_recommended: 'Strongly recommended'
+};
+
+const FleetBatch = () => {
+  const [csvText, setCsvText] = useState('');
+  const [unitSystem, setUnitSystem] = useState('imperial');
+  const [batch, setBatch] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = React.useRef(null);
+
+  const handleRun = () => {
+    try {
+      setError(null);
+      setBatch(runFleetBatch(parseFleetCSV(csvText), { unitSystem }));
+    } catch (err) {
+      setBatch(null);
+      setError(err.message);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      setCsvText(await file.text());
+    }
+    e.target.value = '';
+  };
+
+  if (selected) {
+    return (
+      <ResultsDisplay
+        results={selected.results}
+        onReset={() => setSelected(null)}
+        resetLabel="← Back to Fleet"
+      />
+    );
+  }
+
+  const useCaseProfiles = getUseCaseProfiles();
+  const length = (value) => formatMeasurement(value, 'length', batch?.unitSystem, { signed: true });
+
+  return (
+    <div className="fleet-batch">
+      <div className="card">
+        <h3>Fleet Batch</h3>
+        <p className="section-desc">
+          One row per vehicle: vehicle, current tire, new tire, gears, lift and use. Only the two tire columns are
+          required; columns can be in any order. Lift is in {unitSystem === 'metric' ? 'mm' : 'inches'}, use is a
+          use case like rock_crawling (blank = weekend trail).
+        </p>
+
+        <textarea
+          className="fleet-csv"
+          value={csvText}
+          onChange={(e) => setCsvText(e.target.value)}
+          rows="8"
+          placeholder={EXAMPLE_CSV}
+          spellCheck="false"
+        />
+
+        <div className="fleet-controls">
+          <select value={unitSystem} onChange={(e) => setUnitSystem(e.target.value)} aria-label="Units">
+            {Object.values(UNIT_SYSTEMS).map(system => (
+              <option key={system.id} value={system.id}>{system.label}</option>
+            ))}
+          </select>
+          <button type="button" className="btn btn-secondary" onClick={() => fileInputRef.current?.click()}>
+            Load CSV File
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setCsvText(EXAMPLE_CSV)}>
+            Use Example
+          </button>
+          <button type="button" className="btn btn-primary" onClick={handleRun} disabled={!csvText.trim()}>
+            Run Batch
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            style={{ display: 'none' }}
+          />
+        </div>
+
+        {error && (
+          <div className="alert alert-error">
+            <p>{error}</p>
+          </div>
+        )}
+      </div>
+
+      {batch && (
+        <div className="card">
+          <div className="fleet-results-header">
+            <h3>Fleet Results</h3>
+            <div className="fleet-export">
+              <button type="button" className="btn btn-secondary" onClick={() => exportFleetToCSV(batch)}>
+                Export CSV
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => exportFleetToJSON(batch)}>
+                Export JSON
+              </button>
+            </div>
+          </div>
+          <p className="fleet-summary">{batch.summary}</p>
+
+          <div className="fleet-table">
+            <div className="table-header">
+              <div>Vehicle</div>
+              <div>Tires</div>
+              <div>Diameter</div>
+              <div>Speedo @ {batch.referenceSpeed} {getUnitSystem(batch.unitSystem).labels.speed}</div>
+              <div>Eff. ratio</div>
+              <div>Rub risk</div>
+              <div>Regear</div>
+              <div>Advisory</div>
+            </div>
+
+            {batch.builds.map(build => (
+              build.status === 'ok' ? (
+                <button
+                  key={build.line}
+                  type="button"
+                  className="table-row fleet-row"
+                  onClick={() => setSelected(build)}
+                  title="Open the full results for this build"
+                >
+                  <div>
+                    <strong>{build.vehicle || `Row ${build.line}`}</strong>
+                    <span className="fleet-sub">{useCaseProfiles[build.intendedUse]?.name || build.intendedUse}</span>
+                  </div>
+                  <div>
+                    {build.results.comparison.current.formatted}
+                    <span className="fleet-sub">→ {build.results.comparison.new.formatted}</span>
+                  </div>
+                  <div className="fleet-value">
+                    {length(build.metrics.diameterChange)}
+                    <span className="fleet-sub">{build.metrics.diameterChangePct.toFixed(1)}%</span>
+                  </div>
+                  <div className="fleet-value">
+                    {build.metrics.speedometerError >= 0 ? '+' : ''}{build.metrics.speedometerError.toFixed(1)}%
+                  </div>
+                  <div className="fleet-value">
+                    {build.metrics.effectiveRatio ? build.metrics.effectiveRatio.toFixed(2) : '—'}
+                  </div>
+                  <div className={`fleet-risk risk-${build.metrics.clearanceRisk.toLowerCase()}`}>
+                    {build.metrics.clearanceRisk}
+                    <span className="fleet-sub">{build.metrics.clearanceProbability}%</span>
+                  </div>
+                  <div>
+                    {build.metrics.regearNecessity ? REGEAR_LABELS[build.metrics.regearNecessity] : '—'}
+                    {build.metrics.restoreRatio && (
+                      <span className="fleet-sub">{build.metrics.restoreRatio.toFixed(2)} restores stock</span>
+                    )}
+                  </div>
+                  <div className={`fleet-severity severity-${build.metrics.advisorySeverity}`}>
+                    {build.metrics.advisorySeverity}
+                  </div>
+                </button>
+              ) : (
+                <div key={build.line} className="table-row fleet-row-error">
+                  <div>
+                    <strong>{build.vehicle || `Row ${build.line}`}</strong>
+                    <span className="fleet-sub">line {build.line}</span>
+                  </div>
+                  <div className="fleet-error">{build.error}</div>
+                </div>
+              )
+            ))}
+          </div>
+
+          <div className="fleet-note">
+            <strong>Drill down:</strong> Click a row for the full results - drivetrain, build impact and re-gearing
+            tabs - for that build. Exports use the units the batch ran in; the CSV keeps the input columns first, so it
+            can be edited and loaded again.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FleetBatch;
@@ -3,20 +3,32 @@ import TireComparison from './results/TireComparison';
 import SpeedometerError from './results/SpeedometerError';
 import DrivetrainImpact from './results/DrivetrainImpact';
 import ClearanceImpact from './results/ClearanceImpact';
+import SpareTirePanel from './results/SpareTirePanel';
+import FuelEconomyPanel from './results/FuelEconomyPanel';
+import FuelRangePanel from './results/FuelRangePanel';
+import BrakingPanel from './results/BrakingPanel';
 import RegearRecommendations from './results/RegearRecommendations';
 import AdvisoryPanel from './results/AdvisoryPanel';
 import VisualComparison from './results/VisualComparison';
 import WeightLoadAnalysis from './results/WeightLoadAnalysis';
 import RotationalPhysics from './results/RotationalPhysics';
 import RegearingGuidance from './results/RegearingGuidance';
+import DrivetrainChainPanel from './results/DrivetrainChainPanel';
+import AxleMismatchPanel from './results/AxleMismatchPanel';
+import TransmissionGears from './results/TransmissionGears';
+import TractiveEffortChart from './results/TractiveEffortChart';
+import GradeabilityPanel from './results/GradeabilityPanel';
+import AccelerationPanel from './results/AccelerationPanel';
+import ShootoutPanel from './results/ShootoutPanel';
+import VehicleComparisonPanel from './results/VehicleComparisonPanel';
 import Toast from './Toast';
 import EmbedCodeGenerator from './EmbedCodeGenerator';
 import { exportToJSON, exportToCSV, exportToText } from '../utils/exportImport';
 import { generateForumText, generateBBCodeText, copyToClipboard } from '../utils/forumExport';
 import './ResultsDisplay.css';
 
-const ResultsDisplay = ({ results, onReset }) => {
-  const { comparison, comparisonWithNewGears, finalStateComparison, regearRecommendations, advisory, formData, compatibility } = results;
+const ResultsDisplay = ({ results, onReset, resetLabel = '← New Calculation' }) => {
+  const { comparison, comparisonWithNewGears, finalStateComparison, regearRecommendations, advisory, formData, compatibility, shootout, vehicleComparison } = results;
   const [activeTab, setActiveTab] = useState('overview');
   const [showExportMenu, setShowExportMenu] = useState(false);
   const [toast, setToast] = useState(null);
@@ -74,8 +86,10 @@ const ResultsDisplay = ({ results, onReset }) => {
     { id: 'overview', label: 'Overview', icon: '' },
     { id: 'drivetrain', label: 'Drivetrain', icon: '' },
     { id: 'advisory', label: 'Build Impact', icon: '' },
-    { id: 'regear', label: 'Re-Gearing', icon: '' }
-  ];
+    { id: 'regear', label: 'Re-Gearing', icon: '' },
+    shootout && { id: 'shootout', label: 'Shootout', icon: '' },
+    vehicleComparison && { id: 'vehicles', label: 'Vehicles', icon: '' }
+  ].filter(Boolean);
 
   // Filter critical and important warnings for prominent display
   const criticalWarnings = compatibility?.warnings?.filter(w => w.severity === 'critical') || [];
@@ -131,7 +145,7 @@ const ResultsDisplay = ({ results, onReset }) => {
             )}
           </div>
           <button onClick={onReset} className="btn btn-secondary">
-            ← New Calculation
+            {resetLabel}
           </button>
         </div>
       </div>
@@ -172,15 +186,25 @@ const ResultsDisplay = ({ results, onReset }) => {
           <div className="overview-tab">
             <VisualComparison comparison={comparison} />
             <TireComparison comparison={comparison} />
-            <SpeedometerError speedometerError={comparison.speedometerError} />
-            <ClearanceImpact clearance={comparison.clearance} differences={comparison.differences} />
+            <SpeedometerError speedometerError={comparison.speedometerError} unitSystem={comparison.unitSystem} />
+            <ClearanceImpact clearance={comparison.clearance} differences={comparison.differences} rimFit={comparison.rimFit} unitSystem={comparison.unitSystem} />
+            <SpareTirePanel spare={compatibility?.spare} unitSystem={comparison.unitSystem} />
             {(comparison.weightAnalysis || comparison.loadCapacityAnalysis) && (
               <WeightLoadAnalysis
                 weightAnalysis={comparison.weightAnalysis}
                 loadCapacityAnalysis={comparison.loadCapacityAnalysis}
+                unitSystem={comparison.unitSystem}
               />
             )}
-            <RotationalPhysics rotationalPhysics={comparison.rotationalPhysics} />
+            <BrakingPanel analysis={comparison.braking} sizing={comparison.brakeSizing} unitSystem={comparison.unitSystem} />
+            <FuelEconomyPanel
+              analysis={comparison.fuelEconomy}
+              regearedAnalysis={comparisonWithNewGears?.fuelEconomy}
+              newAxleGearRatio={formData.newAxleGearRatio}
+              unitSystem={comparison.unitSystem}
+            />
+            <FuelRangePanel analysis={comparison.fuelRange} unitSystem={comparison.unitSystem} />
+            <RotationalPhysics rotationalPhysics={comparison.rotationalPhysics} unitSystem={comparison.unitSystem} />
           </div>
         )}
 
@@ -203,7 +227,7 @@ const ResultsDisplay = ({ results, onReset }) => {
                         </div>
                         <div className="metric-group">
                           <div className="metric-item">
-                            <span className="metric-label">Highway RPM @ 65 mph:</span>
+                            <span className="metric-label">Highway RPM @ {finalStateComparison.drivetrainImpact.rpm.testSpeed} {finalStateComparison.drivetrainImpact.rpm.testSpeedUnit}:</span>
                             <span className="metric-value">{Math.round(finalStateComparison.drivetrainImpact.rpm.original)} RPM</span>
                           </div>
                           <div className="metric-item">
@@ -224,7 +248,7 @@ const ResultsDisplay = ({ results, onReset }) => {
                         </div>
                         <div className="metric-group">
                           <div className="metric-item">
-                            <span className="metric-label">Highway RPM @ 65 mph:</span>
+                            <span className="metric-label">Highway RPM @ {finalStateComparison.drivetrainImpact.rpm.testSpeed} {finalStateComparison.drivetrainImpact.rpm.testSpeedUnit}:</span>
                             <span className="metric-value metric-highlight">{Math.round(finalStateComparison.drivetrainImpact.rpm.new)} RPM</span>
                             <span className="metric-change">
                               ({Math.round(finalStateComparison.drivetrainImpact.rpm.new) - Math.round(finalStateComparison.drivetrainImpact.rpm.original) > 0 ? '+' : ''}
@@ -292,6 +316,54 @@ const ResultsDisplay = ({ results, onReset }) => {
                   />
                 )}
 
+                {/* Crawl ratio for every combination of switchable reduction stages */}
+                <DrivetrainChainPanel
+                  analysis={comparison.drivetrainChain}
+                  regearedAnalysis={comparisonWithNewGears?.drivetrainChain}
+                  newAxleGearRatio={formData.newAxleGearRatio}
+                  unitSystem={comparison.unitSystem}
+                />
+
+                {/* Front/rear wheel-speed mismatch (split ratios or staggered tires) */}
+                <AxleMismatchPanel
+                  analysis={comparison.axleMismatch}
+                  regearedAnalysis={comparisonWithNewGears?.axleMismatch}
+                  newAxleGearRatio={formData.newAxleGearRatio}
+                  unitSystem={comparison.unitSystem}
+                />
+
+                {/* Per-gear RPM and shift points (when a transmission is selected) */}
+                <TransmissionGears
+                  analysis={comparison.transmissionAnalysis}
+                  regearedAnalysis={comparisonWithNewGears?.transmissionAnalysis}
+                  newAxleGearRatio={formData.newAxleGearRatio}
+                  unitSystem={comparison.unitSystem}
+                />
+
+                {/* Wheel pull by gear (when an engine and transmission are selected) */}
+                <TractiveEffortChart
+                  analysis={comparison.tractiveEffort}
+                  regearedAnalysis={comparisonWithNewGears?.tractiveEffort}
+                  newAxleGearRatio={formData.newAxleGearRatio}
+                  unitSystem={comparison.unitSystem}
+                />
+
+                {/* Max sustainable grade by gear (when an engine and transmission are selected) */}
+                <GradeabilityPanel
+                  analysis={comparison.gradeability}
+                  regearedAnalysis={comparisonWithNewGears?.gradeability}
+                  newAxleGearRatio={formData.newAxleGearRatio}
+                  unitSystem={comparison.unitSystem}
+                />
+
+                {/* Simulated 0-60 and passing times (when an engine and transmission are selected) */}
+                <AccelerationPanel
+                  analysis={comparison.acceleration}
+                  regearedAnalysis={comparisonWithNewGears?.acceleration}
+                  newAxleGearRatio={formData.newAxleGearRatio}
+                  unitSystem={comparison.unitSystem}
+                />
+
                 {/* Real-world regearing guidance based on forum data */}
                 <RegearingGuidance guidance={comparison.regearingGuidance} />
               </>
@@ -345,6 +417,18 @@ const ResultsDisplay = ({ results, onReset }) => {
             )}
           </div>
         )}
+
+        {activeTab === 'shootout' && (
+          <div className="shootout-tab">
+            <ShootoutPanel shootout={shootout} />
+          </div>
+        )}
+
+        {activeTab === 'vehicles' && (
+          <div className="vehicles-tab">
+            <VehicleComparisonPanel vehicleComparison={vehicleComparison} />
+          </div>
+        )}
       </div>
 
       {/* Embed Code Generator */}
@@ -0,0 +1,66 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import './AccelerationPanel.css';
+
+const AccelerationPanel = ({ analysis, regearedAnalysis, newAxleGearRatio, unitSystem = 'imperial' }) => {
+  if (!analysis) return null;
+
+  const { benchmarks, vehicle, engine } = analysis;
+  const weight = (value) => formatMeasurement(value, 'weight', unitSystem, { decimals: 0 });
+  const hasRegear = Boolean(regearedAnalysis);
+  const seconds = (value) => (value === null ? 'Not reached' : `${value.toFixed(1)} s`);
+
+  const change = (value, baseline) => {
+    if (value === null || baseline === null) return null;
+    const delta = value - baseline;
+    return (
+      <span className={`accel-change ${delta > 0.05 ? 'slower' : delta < -0.05 ? 'faster' : ''}`}>
+        {delta > 0 ? '+' : ''}{delta.toFixed(1)} s
+      </span>
+    );
+  };
+
+  return (
+    <div className="acceleration-panel card">
+      <h3>Acceleration</h3>
+      <p className="section-desc">
+        Simulated full-throttle runs with the {engine.name}, {weight(vehicle.weight.current)} → {weight(vehicle.weight.new)} loaded
+      </p>
+
+      <div className={`accel-table ${hasRegear ? 'with-regear' : ''}`}>
+        <div className="table-header">
+          <div>Run</div>
+          <div>Current tires</div>
+          <div>New tires</div>
+          {hasRegear && <div>With {newAxleGearRatio} gears</div>}
+        </div>
+
+        {benchmarks.map((run, i) => {
+          const regeared = hasRegear ? regearedAnalysis.benchmarks[i].new : null;
+          return (
+            <div key={run.label} className="table-row">
+              <div className="accel-label"><strong>{run.label}</strong></div>
+              <div className="accel-value">{seconds(run.current)}</div>
+              <div className="accel-value">
+                {seconds(run.new)} {change(run.new, run.current)}
+              </div>
+              {hasRegear && (
+                <div className="accel-value">
+                  {seconds(regeared)} {change(regeared, run.current)}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="accel-note">
+        <strong>How this is simulated:</strong> The run steps through the engine torque curve, every gear and each upshift,
+        against rolling resistance and aero drag. Tires and wheels add {weight(vehicle.rotatingEquivalentWeight.current)} → {weight(vehicle.rotatingEquivalentWeight.new)} of
+        equivalent weight from their rotating inertia. Compare the change between columns - absolute times depend on traction, altitude and the transmission's shift logic.
+      </div>
+    </div>
+  );
+};
+
+export default AccelerationPanel;
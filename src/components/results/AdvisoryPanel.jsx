@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { formatMeasurement } from '../../engine/units';
 import './AdvisoryPanel.css';
 
 const AdvisoryPanel = ({ advisory, comparison, formData }) => {
@@ -229,7 +230,7 @@ const AdvisoryPanel = ({ advisory, comparison, formData }) => {
                 {Object.entries(airDownGuidance.guidance).map(([terrain, data], i) => (
                   <div key={i} className="airdown-row">
                     <div className="terrain-name">{terrain.replace('_', ' ').toUpperCase()}</div>
-                    <div className="pressure-value">{data.psi} PSI</div>
+                    <div className="pressure-value">{formatMeasurement(data.psi, 'pressure', comparison?.unitSystem)}</div>
                     <div className="pressure-desc">{data.description}</div>
                     {data.warning && (
                       <div className="pressure-warning">⚠️ {data.warning}</div>
@@ -0,0 +1,61 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import './AxleMismatchPanel.css';
+
+const AxleMismatchPanel = ({ analysis, regearedAnalysis, newAxleGearRatio, unitSystem = 'imperial' }) => {
+  if (!analysis) return null;
+
+  const { driveSystemName, tolerance, status, warnings, matchingFrontRatio, summary } = analysis;
+  const length = (value) => formatMeasurement(value, 'length', unitSystem);
+  const rows = [
+    ['Current', analysis.current],
+    ['New', analysis.new],
+    ...(regearedAnalysis ? [[`With ${newAxleGearRatio} gears`, regearedAnalysis.new]] : [])
+  ];
+
+  return (
+    <div className={`axle-mismatch card ${status === 'exceeds' ? 'warning' : ''}`}>
+      <h3>Front / Rear Axle Mismatch</h3>
+      <p className="section-desc">
+        {driveSystemName}{tolerance !== null && ` - tolerates about ${tolerance}% between axles`}
+      </p>
+
+      <p className="mismatch-summary">{summary}</p>
+
+      <div className="mismatch-table">
+        <div className="table-header">
+          <div>Setup</div>
+          <div>Front</div>
+          <div>Rear</div>
+          <div>Mismatch</div>
+        </div>
+
+        {rows.map(([label, setup]) => (
+          <div key={label} className="table-row">
+            <div>{label}</div>
+            <div className="mismatch-value">{length(setup.front.diameter)} / {setup.front.ratio.toFixed(2)}</div>
+            <div className="mismatch-value">{length(setup.rear.diameter)} / {setup.rear.ratio.toFixed(2)}</div>
+            <div className="mismatch-value">
+              <strong className={setup.withinTolerance ? 'mismatch-ok' : 'mismatch-over'}>
+                {setup.mismatch > 0 ? '+' : ''}{setup.mismatch.toFixed(2)}%
+              </strong>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {warnings.length > 0 && (
+        <ul className="mismatch-warnings">
+          {warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+        </ul>
+      )}
+
+      <div className="mismatch-note">
+        <strong>Reading this table:</strong> Tire diameter / axle ratio per axle. Positive mismatch means the front axle wants to turn faster.
+        With the new tires, a {matchingFrontRatio.toFixed(2)} front ratio would make both axles turn together.
+      </div>
+    </div>
+  );
+};
+
+export default AxleMismatchPanel;
@@ -0,0 +1,148 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import './BrakingPanel.css';
+
+const BrakingPanel = ({ analysis, sizing = null, unitSystem = 'imperial' }) => {
+  if (!analysis) return null;
+
+  const { stock, new: next, loaded, speed, speedUnit, brakeTorque, brakeTorqueEstimated, recommendation } = analysis;
+  const weight = (value) => formatMeasurement(value, 'weight', unitSystem, { decimals: 0 });
+  const distance = (value, options) => formatMeasurement(value, 'shortDistance', unitSystem, options);
+  const torque = (value) => formatMeasurement(value, 'torque', unitSystem);
+  const temperature = (value) => formatMeasurement(value, 'temperature', unitSystem);
+  const percent = (margin) => `${Math.round(margin * 100)}%`;
+
+  let torqueSource = '';
+  if (brakeTorqueEstimated) {
+    torqueSource = ' (estimated for the stock brakes)';
+  } else if (sizing && brakeTorque === sizing.torque.total) {
+    torqueSource = ` (stock ${sizing.platform.label} hardware)`;
+  }
+
+  const rows = [
+    ['Stock tires', stock],
+    ['New tires', next],
+    loaded && [`New tires + ${weight(analysis.expeditionLoad)} load`, loaded]
+  ].filter(Boolean);
+
+  return (
+    <div className={`braking-panel card ${(loaded || next).changePercent > 10 ? 'warning' : ''}`}>
+      <h3>Braking Distance</h3>
+      <p className="section-desc">
+        Full stop from {speed} {speedUnit} on dry pavement, {torque(brakeTorque)} of brake torque{torqueSource}
+      </p>
+
+      <div className="braking-table">
+        <div className="table-header">
+          <div>Setup</div>
+          <div>Weight</div>
+          <div>Deceleration</div>
+          <div>Stopping distance</div>
+          <div>Change</div>
+        </div>
+
+        {rows.map(([label, scenario]) => (
+          <div key={label} className="table-row">
+            <div><strong>{label}</strong></div>
+            <div className="braking-value">{weight(scenario.weight)}</div>
+            <div className="braking-value">
+              {scenario.deceleration.toFixed(2)} g
+              <span className={`braking-limit ${scenario.limitedBy}`}>{scenario.limitedBy === 'brakes' ? 'brake limited' : 'grip limited'}</span>
+            </div>
+            <div className="braking-value">{distance(scenario.distance)}</div>
+            <div className="braking-value">
+              {scenario === stock ? '—' : (
+                <span className={scenario.change > 0.5 ? 'longer' : ''}>
+                  {distance(scenario.change, { signed: true })} ({scenario.changePercent >= 0 ? '+' : ''}{scenario.changePercent.toFixed(1)}%)
+                </span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <p className="braking-recommendation">{recommendation}</p>
+
+      {sizing && (
+        <div className="brake-sizing">
+          <h4>Brake Hardware: {sizing.platform.label}</h4>
+          <p className="section-desc">
+            Stock brakes make {torque(sizing.torque.total)} ({percent(sizing.torque.frontShare)} front).
+            Rotor temperatures after {sizing.descent.displayLength} of {sizing.descent.grade}% downhill
+            at {sizing.descent.displaySpeed} on the brakes alone, fully loaded.
+          </p>
+
+          <div className="braking-table brake-margin-table">
+            <div className="table-header">
+              <div>Setup</div>
+              <div>Torque needed</div>
+              <div>Stock brakes make</div>
+            </div>
+            {[['Stock tires', 'stock'], ['New tires', 'new'], ['New tires + load', 'loaded']].map(([label, key]) => (
+              <div key={key} className="table-row">
+                <div><strong>{label}</strong></div>
+                <div className="braking-value">{torque(sizing.required[key])}</div>
+                <div className="braking-value">
+                  <span className={sizing.margin[key] < 1.1 ? 'longer' : ''}>{percent(sizing.margin[key])}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="brake-temperatures">
+            {['front', 'rear'].map(axle => (
+              <div key={axle} className={`brake-temperature ${sizing.heating[axle].fades ? 'fades' : ''}`}>
+                <span className="brake-temperature-label">{axle === 'front' ? 'Front' : 'Rear'} {sizing.platform[axle].type === 'drum' ? 'drums' : 'rotors'}</span>
+                <span className="braking-value">{temperature(sizing.heating[axle].peakTemperature)}</span>
+                <span className="braking-limit">fade at {temperature(sizing.heating[axle].fadeTemperature)}</span>
+              </div>
+            ))}
+          </div>
+
+          {sizing.warnings.length > 0 && (
+            <ul className="brake-warnings">
+              {sizing.warnings.map((warning, i) => <li key={i}>{warning.message}</li>)}
+            </ul>
+          )}
+
+          {sizing.needsUpgrade && sizing.swaps.length > 0 && (
+            <div className="braking-table brake-swap-table">
+              <div className="table-header">
+                <div>Swap</div>
+                <div>Torque</div>
+                <div>Peak temperature</div>
+                <div>Cost</div>
+              </div>
+              {sizing.swaps.map(swap => (
+                <div key={swap.id} className={`table-row ${swap === sizing.recommended ? 'recommended' : ''}`}>
+                  <div>
+                    <strong>{swap.name}</strong>
+                    {swap === sizing.recommended && <span className="brake-badge">Recommended</span>}
+                    {!swap.clearsWheels && <span className="braking-limit brakes">needs larger wheels</span>}
+                  </div>
+                  <div className="braking-value">
+                    <span className={swap.status === 'adequate' ? '' : 'longer'}>{percent(swap.margin)}</span>
+                  </div>
+                  <div className="braking-value">
+                    <span className={swap.fades ? 'longer' : ''}>{temperature(Math.max(swap.heating.front.peakTemperature, swap.heating.rear.peakTemperature))}</span>
+                  </div>
+                  <div className="braking-value">${swap.cost.min}-{swap.cost.max}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="braking-note">
+        <strong>How this is estimated:</strong> The stop is limited by tire grip or by how much torque the brakes can hold,
+        whichever runs out first. Taller tires give the brakes less leverage, and heavier tires, wheels and load add mass
+        (the tires and wheels add {weight(stock.rotatingEquivalentWeight)} → {weight(next.rotatingEquivalentWeight)} from their
+        rotating inertia). Reaction time is left out - it adds the same distance to every setup.
+        {sizing && ' Hardware torque is at a hard-stop line pressure; the needed torque uses full tire grip, and 110% or more is adequate.'}
+      </div>
+    </div>
+  );
+};
+
+export default BrakingPanel;
@@ -1,8 +1,10 @@
 import React from 'react';
+import { formatMeasurement } from '../../engine/units';
 import './ClearanceImpact.css';
 
-const ClearanceImpact = ({ clearance, differences }) => {
-  const { groundClearanceGain, estimatedLiftRequired, liftRecommendation, modificationsNote, fenderClearance, wheelOffset, bumpstopModification } = clearance;
+const ClearanceImpact = ({ clearance, differences, rimFit, unitSystem = 'imperial' }) => {
+  const { groundClearanceGain, estimatedLiftRequired, liftRecommendation, modificationsNote, fenderClearance, wheelOffset, bumpstopModification, mountedWidth } = clearance;
+  const rimOutOfRange = rimFit && (rimFit.new.inRange === false || rimFit.current.inRange === false);
 
   return (
     <div className="clearance-impact card">
@@ -13,7 +15,9 @@ const ClearanceImpact = ({ clearance, differences }) => {
           <div className="clearance-content">
             <h4>Ground Clearance Gain</h4>
             <p className="clearance-value">
-              +{groundClearanceGain.toFixed(2)}" ({(groundClearanceGain * 25.4).toFixed(0)}mm)
+              {unitSystem === 'metric'
+                ? formatMeasurement(groundClearanceGain, 'length', unitSystem, { signed: true })
+                : `+${groundClearanceGain.toFixed(2)}" (${(groundClearanceGain * 25.4).toFixed(0)}mm)`}
             </p>
             <p className="clearance-note">
               Improved clearance for rocks, ruts, and obstacles
@@ -63,6 +67,26 @@ const ClearanceImpact = ({ clearance, differences }) => {
             )}
           </div>
         </div>
+
+        {rimFit && (
+          <div className={`clearance-item ${rimOutOfRange ? 'warning' : 'positive'}`}>
+            <div className="clearance-icon">{rimOutOfRange ? '⚠️' : '✓'}</div>
+            <div className="clearance-content">
+              <h4>Rim Width</h4>
+              <p className="clearance-value">
+                {formatMeasurement(mountedWidth.inches, 'length', unitSystem)} mounted width
+              </p>
+              {[['Current', rimFit.current], ['New', rimFit.new]].map(([label, fit]) => (
+                <p key={label} className="clearance-note">
+                  {label}: {fit.rimWidth ? `${fit.rimWidth}" rim` : 'rim not specified'}
+                  {' '}(approved {fit.approvedRange.min}"-{fit.approvedRange.max}")
+                  {fit.rimWidth && ` → ${formatMeasurement(fit.adjustedWidthInches, 'length', unitSystem)} wide`}
+                  {fit.inRange === false && ' - outside approved range'}
+                </p>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
       {bumpstopModification && (
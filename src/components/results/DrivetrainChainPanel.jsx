@@ -0,0 +1,64 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import './DrivetrainChainPanel.css';
+
+const DrivetrainChainPanel = ({ analysis, regearedAnalysis, newAxleGearRatio, unitSystem = 'imperial' }) => {
+  if (!analysis) return null;
+
+  const { stages, combinations, crawlRPM, trailSpeed, speedUnit, highwayRPM, maxCrawl, summary } = analysis;
+  const speed = (value) => formatMeasurement(value, 'speed', unitSystem, { decimals: 2 });
+  const hasRegearColumn = combinations.some(combination => combination.regearEquivalent);
+
+  return (
+    <div className="drivetrain-chain card">
+      <h3>Crawl Ratio by Stage</h3>
+      <p className="section-desc">
+        {stages.map(stage => `${stage.name} ${stage.low === stage.high ? stage.low.toFixed(2) : `${stage.low.toFixed(2)}/${stage.high.toFixed(2)}`}`).join(' → ')}
+      </p>
+
+      <p className="chain-summary">{summary}</p>
+
+      <div className={`chain-table ${hasRegearColumn ? 'with-regear' : ''}`}>
+        <div className="table-header">
+          <div>Engaged</div>
+          <div>Crawl Ratio</div>
+          <div>@ {crawlRPM} RPM</div>
+          <div>RPM @ {trailSpeed} {speedUnit}</div>
+          {hasRegearColumn && <div>Same by Regear</div>}
+        </div>
+
+        {combinations.map(combination => (
+          <div key={combination.label} className={`table-row ${combination === maxCrawl ? 'chain-max' : ''}`}>
+            <div>{combination.label}</div>
+            <div className="chain-value"><strong>{combination.ratio.toFixed(1)}:1</strong></div>
+            <div className="chain-value">
+              {speed(combination.crawlSpeed.current)} → <strong>{speed(combination.crawlSpeed.new)}</strong>
+            </div>
+            <div className="chain-value">
+              {Math.round(combination.trailRPM.current)} → <strong>{Math.round(combination.trailRPM.new)}</strong>
+            </div>
+            {hasRegearColumn && (
+              <div className="chain-value">
+                {combination.regearEquivalent
+                  ? <>{combination.regearEquivalent.axleRatio.toFixed(2)} axle<span className="chain-muted"> ({Math.round(combination.regearEquivalent.highwayRPM)} RPM)</span></>
+                  : <span className="chain-muted">-</span>}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="chain-note">
+        <strong>Crawler box vs regear:</strong> Switchable stages are bypassed on the highway, so the tire change leaves you at
+        {' '}{Math.round(highwayRPM.new)} RPM at {highwayRPM.speed} {highwayRPM.speedUnit} (was {Math.round(highwayRPM.current)}).
+        Getting the same crawl ratio from the axle alone would run the engine at the RPM shown in the last column.
+        {regearedAnalysis && (
+          <> With {newAxleGearRatio} gears the deepest crawl ratio becomes {regearedAnalysis.maxCrawl.ratio.toFixed(1)}:1
+            ({speed(regearedAnalysis.maxCrawl.crawlSpeed.new)} at {crawlRPM} RPM) and highway RPM {Math.round(regearedAnalysis.highwayRPM.new)}.</>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DrivetrainChainPanel;
@@ -1,8 +1,12 @@
 import React from 'react';
+import { formatMeasurement } from '../../engine/units';
 import './DrivetrainImpact.css';
 
 const DrivetrainImpact = ({ drivetrainImpact, comparison }) => {
   const { effectiveGearRatio, rpm, crawlRatio } = drivetrainImpact;
+  const unitSystem = comparison?.unitSystem || 'imperial';
+  const formatLength = (value) => formatMeasurement(value, 'length', unitSystem);
+  const speedLabel = rpm.testSpeedUnit || 'mph';
 
   const formatChange = (value, decimals = 2) => {
     const sign = value >= 0 ? '+' : '';
@@ -23,6 +27,10 @@ const DrivetrainImpact = ({ drivetrainImpact, comparison }) => {
         <h3>Effective Gear Ratio Change</h3>
         <p className="section-desc">
           Larger tires create a "taller" effective gear ratio, reducing acceleration and low-end torque.
+          {drivetrainImpact.rollingRadius && (
+            <> Using loaded rolling diameter ({formatLength(drivetrainImpact.rollingRadius.current.effectiveDiameter)} → {formatLength(drivetrainImpact.rollingRadius.new.effectiveDiameter)},
+            {' '}{formatLength(drivetrainImpact.rollingRadius.new.deflection)} deflection on the new tire).</>
+          )}
         </p>
 
         <div className="metric-grid">
@@ -55,17 +63,17 @@ const DrivetrainImpact = ({ drivetrainImpact, comparison }) => {
       <div className="card">
         <h3>Engine RPM at Highway Speed</h3>
         <p className="section-desc">
-          How your engine RPM changes at {rpm.testSpeed} mph with the new tire size.
+          How your engine RPM changes at {rpm.testSpeed} {speedLabel} with the new tire size.
         </p>
 
         <div className="metric-grid">
           <div className="metric-box">
-            <div className="metric-label">Current RPM @ {rpm.testSpeed} mph</div>
+            <div className="metric-label">Current RPM @ {rpm.testSpeed} {speedLabel}</div>
             <div className="metric-value">{Math.round(rpm.original)} RPM</div>
           </div>
 
           <div className="metric-box">
-            <div className="metric-label">New RPM @ {rpm.testSpeed} mph</div>
+            <div className="metric-label">New RPM @ {rpm.testSpeed} {speedLabel}</div>
             <div className="metric-value">{Math.round(rpm.new)} RPM</div>
           </div>
 
@@ -123,7 +131,7 @@ const DrivetrainImpact = ({ drivetrainImpact, comparison }) => {
           <p>{crawlRatio.summary}</p>
           {crawlRatio.crawlSpeed && (
             <p className={`note ${Math.abs(crawlRatio.crawlSpeed.changePercentage) > 10 ? 'warning' : 'info'}`}>
-              <strong>Actual crawl speed @ {crawlRatio.crawlSpeed.testRPM} RPM:</strong> {crawlRatio.crawlSpeed.original.toFixed(2)} mph → {crawlRatio.crawlSpeed.new.toFixed(2)} mph
+              <strong>Actual crawl speed @ {crawlRatio.crawlSpeed.testRPM} RPM:</strong> {formatMeasurement(crawlRatio.crawlSpeed.original, 'speed', unitSystem, { decimals: 2 })} → {formatMeasurement(crawlRatio.crawlSpeed.new, 'speed', unitSystem, { decimals: 2 })}
               ({formatChange(crawlRatio.crawlSpeed.changePercentage)}%)
               <br />
               {crawlRatio.crawlSpeed.summary}
@@ -0,0 +1,116 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import './FuelEconomyPanel.css';
+
+const CYCLES = [
+  ['city', 'City'],
+  ['highway', 'Highway'],
+  ['combined', 'Combined']
+];
+
+const REGION_LABELS = {
+  light_load: 'light load (pumping losses)',
+  efficient: 'efficient load range',
+  enrichment: 'near full load (enriched)'
+};
+
+const FuelEconomyPanel = ({ analysis, regearedAnalysis, newAxleGearRatio, unitSystem = 'imperial' }) => {
+  if (!analysis) return null;
+
+  const { engine, vehicle, contributions, odometer, measured, baselineMeasured, summary } = analysis;
+  const economy = (value) => formatMeasurement(value, 'fuelEconomy', unitSystem);
+  const length = (value) => formatMeasurement(value, 'length', unitSystem);
+  const hasRegear = Boolean(regearedAnalysis);
+
+  // A measured baseline scales every modeled figure
+  const scale = analysis.baseline / analysis.current.combined;
+  const change = (value, baseline) => {
+    const pct = (value / baseline - 1) * 100;
+    return (
+      <span className={`fuel-change ${pct < -0.5 ? 'worse' : pct > 0.5 ? 'better' : ''}`}>
+        {pct > 0 ? '+' : ''}{pct.toFixed(1)}%
+      </span>
+    );
+  };
+  const point = (setup) => `${Math.round(setup.operatingPoint.rpm)} RPM, ${Math.round(Math.min(setup.operatingPoint.load, 1) * 100)}% load`;
+
+  return (
+    <div className="fuel-economy card">
+      <h3>Fuel Economy</h3>
+      <p className="section-desc">
+        Modeled with the {engine.name}{engine.isGeneric && ' (select an engine for its torque curve)'}
+        {baselineMeasured ? ', scaled to your measured economy' : ''}
+      </p>
+
+      <p className="fuel-summary">{summary}</p>
+
+      <div className={`fuel-table ${hasRegear ? 'with-regear' : ''}`}>
+        <div className="table-header">
+          <div>Cycle</div>
+          <div>Current tires</div>
+          <div>New tires</div>
+          {hasRegear && <div>With {newAxleGearRatio} gears</div>}
+        </div>
+
+        {CYCLES.map(([id, label]) => (
+          <div key={id} className="table-row">
+            <div><strong>{label}</strong></div>
+            <div className="fuel-value">{economy(analysis.current[id] * scale)}</div>
+            <div className="fuel-value">
+              {economy(analysis.new[id] * scale)} {change(analysis.new[id], analysis.current[id])}
+            </div>
+            {hasRegear && (
+              <div className="fuel-value">
+                {economy(regearedAnalysis.new[id] * scale)} {change(regearedAnalysis.new[id], analysis.current[id])}
+              </div>
+            )}
+          </div>
+        ))}
+
+        <div className="table-row">
+          <div>Highway operating point ({analysis.speed} {analysis.speedUnit})</div>
+          <div className="fuel-value">{point(analysis.current)}</div>
+          <div className="fuel-value">{point(analysis.new)}</div>
+          {hasRegear && <div className="fuel-value">{point(regearedAnalysis.new)}</div>}
+        </div>
+      </div>
+
+      <div className="fuel-contributions">
+        <h4>Where the change comes from</h4>
+        <ul>
+          {contributions.map(contribution => (
+            <li key={contribution.id}>
+              <span>{contribution.name}</span>
+              <span className={`fuel-value ${contribution.percent < -0.05 ? 'worse' : contribution.percent > 0.05 ? 'better' : ''}`}>
+                {contribution.percent > 0 ? '+' : ''}{contribution.percent.toFixed(1)}%
+              </span>
+            </li>
+          ))}
+        </ul>
+        <p className="fuel-detail">
+          New tires run the engine in its {REGION_LABELS[analysis.new.operatingPoint.region]} at cruise.
+          Ride height {vehicle.rideHeightChange >= 0 ? 'rises' : 'drops'} {length(Math.abs(vehicle.rideHeightChange))} (tires and lift).
+        </p>
+      </div>
+
+      {odometer.ratio !== 1 && (
+        <div className="fuel-odometer">
+          <strong>Calculating it yourself:</strong> Until the speedometer is recalibrated the odometer counts{' '}
+          {odometer.ratio > 1 ? 'short' : 'long'}, so miles driven ÷ fuel will show about {economy(odometer.combined)}{' '}
+          ({economy(odometer.low)}-{economy(odometer.high)}) for a true {economy(analysis.estimate.combined)}.
+          {measured && (
+            <> Your fuel log shows {economy(measured.observed)}, really {economy(measured.corrected)}.</>
+          )}
+        </div>
+      )}
+
+      <div className="fuel-note">
+        <strong>How this is modeled:</strong> Rolling resistance and aero drag set the power needed; engine friction and
+        pumping losses at the cruise RPM set how much fuel that power costs; every city stop wastes the kinetic energy of
+        the vehicle and its rotating tires. Enter your current fuel economy to scale the estimate to your vehicle.
+      </div>
+    </div>
+  );
+};
+
+export default FuelEconomyPanel;
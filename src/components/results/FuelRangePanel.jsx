@@ -0,0 +1,83 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import './FuelRangePanel.css';
+
+const FuelRangePanel = ({ analysis, unitSystem = 'imperial' }) => {
+  if (!analysis) return null;
+
+  const { capacity, current, new: next, fuelGap, status, warnings, reservePercent, summary } = analysis;
+  const distance = (value) => formatMeasurement(value, 'distance', unitSystem);
+  const volume = (value) => formatMeasurement(value, 'volume', unitSystem);
+  const economy = (value) => formatMeasurement(value, 'fuelEconomy', unitSystem);
+
+  const rows = [
+    ['Range to empty', 'range'],
+    [`Safe range (${reservePercent}% reserve)`, 'safeRange'],
+    ['Trip meter at the reserve point', 'indicatedSafeRange']
+  ];
+
+  return (
+    <div className={`fuel-range card ${status && status !== 'ok' ? 'warning' : ''}`}>
+      <h3>Fuel Range</h3>
+      <p className="section-desc">
+        {volume(capacity.total)} carried: {volume(capacity.tank)} tank
+        {capacity.auxiliaryTank > 0 && ` + ${volume(capacity.auxiliaryTank)} auxiliary`}
+        {capacity.jerryCans > 0 && ` + ${volume(capacity.jerryCans)} in jerry cans`}
+      </p>
+
+      <p className="range-summary">{summary}</p>
+
+      <div className="range-table">
+        <div className="table-header">
+          <div>Terrain</div>
+          <div>Share</div>
+          <div>Current tires</div>
+          <div>New tires</div>
+        </div>
+
+        {next.terrain.map((terrain, i) => (
+          <div key={terrain.id} className="table-row">
+            <div>{terrain.name}</div>
+            <div className="range-value">{Math.round(terrain.share * 100)}%</div>
+            <div className="range-value">{economy(current.terrain[i].economy)}</div>
+            <div className="range-value">{economy(terrain.economy)}</div>
+          </div>
+        ))}
+
+        <div className="table-row range-trip">
+          <div><strong>Trip average</strong></div>
+          <div />
+          <div className="range-value">{economy(current.economy)}</div>
+          <div className="range-value">{economy(next.economy)}</div>
+        </div>
+
+        {rows.map(([label, key]) => (
+          <div key={key} className="table-row range-trip">
+            <div><strong>{label}</strong></div>
+            <div />
+            <div className="range-value">{distance(current[key])}</div>
+            <div className="range-value">
+              <strong className={fuelGap && key === 'safeRange' ? (next.safeRange >= fuelGap ? 'range-ok' : 'range-short') : ''}>
+                {distance(next[key])}
+              </strong>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {warnings.length > 0 && (
+        <ul className="range-warnings">
+          {warnings.map((warning, i) => <li key={i}>{warning.message}</li>)}
+        </ul>
+      )}
+
+      <div className="range-note">
+        <strong>Reading this table:</strong> Terrain economy scales the highway estimate for lower gears, loose surfaces
+        and wheel spin. Until the speedometer is recalibrated the trip meter counts short on bigger tires - refuel by the
+        trip meter figure, not the true distance.
+      </div>
+    </div>
+  );
+};
+
+export default FuelRangePanel;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import './GradeabilityPanel.css';
+
+const STATUS_LABELS = {
+  over_rev: 'Past redline',
+  below_power_band: 'Below power band'
+};
+
+const GradeabilityPanel = ({ analysis, regearedAnalysis, newAxleGearRatio, unitSystem = 'imperial' }) => {
+  if (!analysis) return null;
+
+  const { gears, targetGrade, speed, speedUnit, vehicle, highestGearHoldingTarget, summary } = analysis;
+  const weight = (value) => formatMeasurement(value, 'weight', unitSystem, { decimals: 0 });
+  const hasRegear = Boolean(regearedAnalysis);
+  const lostGear = highestGearHoldingTarget.new === null
+    || (highestGearHoldingTarget.current !== null && highestGearHoldingTarget.new < highestGearHoldingTarget.current);
+
+  const grade = (result) => {
+    if (result.maxGrade === null) {
+      return <span className="grade-status">{STATUS_LABELS[result.status]}</span>;
+    }
+    return (
+      <span className={result.maxGrade >= targetGrade ? 'grade-holds' : 'grade-falls'}>
+        {result.maxGrade.toFixed(1)}%
+      </span>
+    );
+  };
+
+  return (
+    <div className={`gradeability-panel card ${lostGear ? 'warning' : ''}`}>
+      <h3>Gradeability</h3>
+      <p className="section-desc">
+        Steepest grade each gear holds at {Math.round(speed)} {speedUnit}, full throttle,
+        {' '}{weight(vehicle.weight.current)} → {weight(vehicle.weight.new)} loaded
+      </p>
+
+      <p className="gradeability-summary">{summary}</p>
+
+      <div className={`grade-table ${hasRegear ? 'with-regear' : ''}`}>
+        <div className="table-header">
+          <div>Gear</div>
+          <div>Current tires</div>
+          <div>New tires</div>
+          {hasRegear && <div>With {newAxleGearRatio} gears</div>}
+        </div>
+
+        {gears.map((gear, i) => {
+          const regeared = hasRegear ? regearedAnalysis.gears[i].new : null;
+          return (
+            <div key={gear.gear} className="table-row">
+              <div className="gear-label">
+                <strong>{gear.gear}</strong>
+                <span className="gear-ratio">{gear.ratio.toFixed(3)}</span>
+              </div>
+              <div className="grade-value">{grade(gear.current)}</div>
+              <div className="grade-value">{grade(gear.new)}</div>
+              {regeared && <div className="grade-value">{grade(regeared)}</div>}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="grade-note">
+        <strong>Reading this table:</strong> Green gears hold a {targetGrade}% grade at speed; a gear that falls short will bog and downshift.
+        Includes expedition load, the added tire weight, rolling resistance for the tread type (Crr {vehicle.rollingResistance.current} → {vehicle.rollingResistance.new})
+        and aero drag (Cd {vehicle.dragCoefficient}, {vehicle.frontalArea} ft²) at sea level - expect less at altitude on a gas engine.
+      </div>
+    </div>
+  );
+};
+
+export default GradeabilityPanel;
@@ -120,7 +120,10 @@ const RegearRecommendations = ({ regearRecommendations, comparison, vehicleType
 
             <div className="impact-metrics">
               <div className="metric">
-                <div className="metric-label">Highway RPM @ 65 mph</div>
+                <div className="metric-label">
+                  Highway RPM @ {comparison?.drivetrainImpact?.rpm.testSpeed ?? selected.impact.testSpeed}{' '}
+                  {comparison?.drivetrainImpact?.rpm.testSpeedUnit ?? selected.impact.testSpeedUnit}
+                </div>
                 <div className="metric-value">{selected.impact.rpm} RPM</div>
                 <div className="metric-note">{selected.impact.highwayComfort}</div>
               </div>
@@ -152,6 +155,20 @@ const RegearRecommendations = ({ regearRecommendations, comparison, vehicleType
                   {Math.abs(selected.impact.restorationPercentage) < 3 ? 'Nearly perfect' : Math.abs(selected.impact.restorationPercentage) < 7 ? 'Close match' : 'Notable difference'}
                 </div>
               </div>
+
+              {selected.impact.gradeability && (
+                <div className="metric">
+                  <div className="metric-label">
+                    {selected.impact.gradeability.targetGrade}% Grade @ {selected.impact.gradeability.speed} {selected.impact.gradeability.speedUnit}
+                  </div>
+                  <div className="metric-value">
+                    {selected.impact.gradeability.highestGearHoldingTarget ? `Gear ${selected.impact.gradeability.highestGearHoldingTarget}` : 'No gear'}
+                  </div>
+                  <div className="metric-note">
+                    {selected.impact.gradeability.stockGearHoldingTarget ? `Stock: gear ${selected.impact.gradeability.stockGearHoldingTarget}` : 'Stock: no gear'}
+                  </div>
+                </div>
+              )}
             </div>
 
             <div className="verdict-details">
@@ -1,7 +1,8 @@
 import React from 'react';
+import { formatMeasurement } from '../../engine/units';
 import './RotationalPhysics.css';
 
-const RotationalPhysics = ({ rotationalPhysics }) => {
+const RotationalPhysics = ({ rotationalPhysics, unitSystem = 'imperial' }) => {
   if (!rotationalPhysics) {
     return null;
   }
@@ -90,7 +91,7 @@ const RotationalPhysics = ({ rotationalPhysics }) => {
             <strong>Unsprung Mass</strong>
             <div className={`performance-value ${Math.abs(performance_impact.unsprung_mass.increase_lbs) > 40 ? 'warning' : 'info'}`}>
               {performance_impact.unsprung_mass.increase_lbs > 0 ? '+' : ''}
-              {performance_impact.unsprung_mass.increase_lbs.toFixed(0)} lbs
+              {formatMeasurement(performance_impact.unsprung_mass.increase_lbs, 'weight', unitSystem, { decimals: 0 })}
             </div>
             <p className="performance-description">{performance_impact.unsprung_mass.impact}</p>
           </div>
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { formatMeasurement, getUnitSystem } from '../../engine/units';
+import { getUseCaseProfiles } from '../../engine/regearEngine';
+import { sortShootoutCandidates } from '../../engine/tireShootout';
+import './ShootoutPanel.css';
+
+const COLUMNS = [
+  { key: 'rank', label: 'Rank' },
+  { key: null, label: 'Size' },
+  { key: 'diameter', label: 'Diameter' },
+  { key: 'speedometerError', label: 'Speedo error' },
+  { key: 'rpm', label: 'RPM' },
+  { key: 'weight', label: 'Weight' },
+  { key: 'clearanceProbability', label: 'Rub risk' },
+  { key: 'regearLikelihood', label: 'Regear' },
+  { key: 'loadCapacity', label: 'Load / tire' }
+];
+
+const ShootoutPanel = ({ shootout }) => {
+  const [sort, setSort] = useState({ key: 'rank', direction: 'asc' });
+  if (!shootout) return null;
+
+  const { unitSystem, baseline, candidates, best, summary } = shootout;
+  const units = getUnitSystem(unitSystem);
+  const useCase = getUseCaseProfiles()[shootout.intendedUse];
+  const length = (value, options) => formatMeasurement(value, 'length', unitSystem, options);
+  const weight = (value, options) => formatMeasurement(value, 'weight', unitSystem, { decimals: 0, ...options });
+  const rows = sortShootoutCandidates(candidates, sort.key, sort.direction);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  return (
+    <div className="shootout-panel card">
+      <h3>Tire Shootout</h3>
+      <p className="section-desc">
+        {candidates.length} sizes against {baseline.size} ({length(baseline.diameter)}), ranked for {useCase ? useCase.name : shootout.intendedUse}
+      </p>
+
+      <div className="shootout-best">
+        <span className="shootout-best-label">Best fit</span>
+        <strong className="shootout-best-size">{best.size}</strong>
+        <span className="shootout-best-score">{best.score.toFixed(0)}/100</span>
+        <p>{summary}</p>
+      </div>
+
+      <ol className="shootout-ranking">
+        {candidates.map(candidate => (
+          <li key={candidate.size} className={candidate === best ? 'best' : ''}>
+            <span className="shootout-ranking-size">{candidate.size}</span>
+            <span className="shootout-bar">
+              <span className="shootout-bar-fill" style={{ width: `${candidate.score}%` }} />
+            </span>
+            <span className="shootout-value">{candidate.score.toFixed(0)}</span>
+          </li>
+        ))}
+      </ol>
+
+      <div className="shootout-table">
+        <div className="table-header">
+          {COLUMNS.map(column => (
+            column.key ? (
+              <button
+                key={column.label}
+                type="button"
+                className={`shootout-sort ${sort.key === column.key ? 'active' : ''}`}
+                onClick={() => toggleSort(column.key)}
+              >
+                {column.label}
+                {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+              </button>
+            ) : (
+              <div key={column.label}>{column.label}</div>
+            )
+          ))}
+        </div>
+
+        {rows.map(candidate => (
+          <div key={candidate.size} className={`table-row ${candidate === best ? 'best' : ''}`}>
+            <div className="shootout-value">#{candidate.rank}</div>
+            <div><strong>{candidate.size}</strong></div>
+            <div className="shootout-value">
+              {length(candidate.diameter)}
+              <span className="shootout-change">{length(candidate.diameterChange, { signed: true })}</span>
+            </div>
+            <div className="shootout-value">
+              {candidate.speedometerError >= 0 ? '+' : ''}{candidate.speedometerError.toFixed(1)}%
+              <span className="shootout-change">
+                {shootout.referenceSpeed} → {candidate.actualSpeed.toFixed(1)} {units.labels.speed}
+              </span>
+            </div>
+            <div className="shootout-value">
+              {candidate.rpm !== null ? candidate.rpm.toFixed(0) : '—'}
+              {candidate.rpmChange !== null && (
+                <span className="shootout-change">{candidate.rpmChange >= 0 ? '+' : ''}{candidate.rpmChange.toFixed(0)}</span>
+              )}
+            </div>
+            <div className="shootout-value">
+              {weight(candidate.weight)}{candidate.weightEstimated ? '*' : ''}
+              <span className="shootout-change">{weight(candidate.weightChange, { signed: true })}</span>
+            </div>
+            <div className={`shootout-risk risk-${candidate.clearanceRisk.toLowerCase()}`}>
+              {candidate.clearanceRisk}
+              <span className="shootout-change">{candidate.clearanceProbability}%</span>
+            </div>
+            <div className="shootout-value">
+              {candidate.regearLikelihood !== null ? `${candidate.regearLikelihood}%` : '—'}
+            </div>
+            <div className="shootout-value">
+              {candidate.loadCapacity ? weight(candidate.loadCapacity) : '—'}
+              {candidate.loadCapacityChange !== null && (
+                <span className="shootout-change">{weight(candidate.loadCapacityChange, { signed: true })}</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="shootout-note">
+        <strong>How the ranking works:</strong> Each size scores out of 100, losing points for missing the ideal size gain
+        for {useCase ? useCase.name.toLowerCase() : 'this use'}, added weight, rub risk, regear likelihood, speedometer error and lost
+        load capacity. Weights marked * are estimated from the size; load capacity needs a load index in the size
+        (e.g. LT285/75R17 121/118S). RPM is at {units.highwaySpeed} {units.labels.speed} on the current gears.
+      </div>
+    </div>
+  );
+};
+
+export default ShootoutPanel;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import { DRIVE_SYSTEMS } from '../../engine/axleMismatch';
+import './SpareTirePanel.css';
+
+const MODE_NAMES = { '2wd': '2WD', '4wd': '4WD', awd: 'AWD' };
+const STATUS_LABELS = {
+  unrestricted: 'Drive normally',
+  temporary: 'Temporary only',
+  avoid: 'Do not drive'
+};
+
+const SpareTirePanel = ({ spare, unitSystem = 'imperial' }) => {
+  if (!spare) return null;
+
+  const { positions, modes, displayLimits, carrier, summary } = spare;
+  const length = (value) => formatMeasurement(value, 'length', unitSystem);
+  const hasProblem = modes.some(mode => mode.status === 'avoid') || (carrier && !carrier.fits);
+
+  return (
+    <div className={`spare-tire card ${hasProblem ? 'warning' : ''}`}>
+      <h3>Spare Tire</h3>
+      <p className="section-desc">
+        {length(spare.spare.diameter)} spare with the new tires - {DRIVE_SYSTEMS[spare.driveSystem].name}
+      </p>
+
+      <p className="spare-summary">{summary}</p>
+
+      <div className="spare-table">
+        <div className="table-header">
+          <div>Spare on</div>
+          <div>Running tire</div>
+          <div>Difference</div>
+          {modes.map(mode => <div key={mode.mode}>{MODE_NAMES[mode.mode]}</div>)}
+        </div>
+
+        {positions.map(position => (
+          <div key={position.axle} className="table-row">
+            <div>{position.axle === 'front' ? 'Front axle' : 'Rear axle'}</div>
+            <div className="spare-value">{length(position.runningDiameter)}</div>
+            <div className="spare-value">
+              {position.difference > 0 ? '-' : '+'}{Math.abs(position.difference).toFixed(1)}%
+            </div>
+            {position.modes.map(mode => (
+              <div key={mode.mode} className={`spare-status status-${mode.status}`}>
+                {STATUS_LABELS[mode.status]}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {carrier && (
+        <div className={`spare-carrier ${carrier.fits ? 'fits' : 'no-fit'}`}>
+          <strong>{carrier.fits ? 'Fits the stock carrier' : 'Does not fit the stock carrier'}:</strong>{' '}
+          {carrier.description} takes up to {length(carrier.maxDiameter)} x {length(carrier.maxWidth)}
+          {' '}(spare: {length(carrier.spareDiameter)} x {length(carrier.spareWidth)}). {carrier.notes}.
+        </div>
+      )}
+
+      <div className="spare-note">
+        <strong>Reading this table:</strong> Difference is the spare against the running tire on that axle
+        (negative: the spare is smaller). Temporary means under {displayLimits.speed} {displayLimits.speedUnit} and
+        {' '}{displayLimits.distance} {displayLimits.distanceUnit} to the nearest tire shop. Part-time 4WD systems can
+        stay in 2WD with the spare on the front axle; full-time 4WD and AWD always load the center differential or coupling.
+      </div>
+    </div>
+  );
+};
+
+export default SpareTirePanel;
@@ -1,18 +1,32 @@
 import React from 'react';
+import { getUnitSystem, getSpeedKey, formatMeasurement, toDisplayUnits } from '../../engine/units';
 import './SpeedometerError.css';
 
-const SpeedometerError = ({ speedometerError }) => {
+const SpeedometerError = ({ speedometerError, unitSystem = 'imperial' }) => {
   const { summary, errors } = speedometerError;
+  const units = getUnitSystem(unitSystem);
+  const speedLabel = units.labels.speed;
+  const referenceKey = getSpeedKey(units.referenceSpeed, unitSystem);
+  const format = (value, quantity, options) => formatMeasurement(value, quantity, unitSystem, options);
 
-  const speedTests = [
-    { speed: 30, data: errors.at30mph },
-    { speed: 45, data: errors.at45mph },
-    { speed: 60, data: errors.at60mph },
-    { speed: 75, data: errors.at75mph }
-  ];
+  const speedTests = units.testSpeeds.map(speed => ({
+    speed,
+    data: errors[getSpeedKey(speed, unitSystem)]
+  }));
+  const referenceTest = speedTests.find(({ speed }) => speed === units.referenceSpeed);
 
   const isSignificant = Math.abs(speedometerError.ratio - 1) > 0.03;
 
+  const wearLabels = {
+    new: 'New tread',
+    current: 'Current tread',
+    halfWorn: 'Half worn',
+    legalMin: 'Legal minimum'
+  };
+  const wearStates = ['new', 'current', 'halfWorn', 'legalMin']
+    .filter(state => speedometerError.treadWear?.[state])
+    .map(state => ({ state, label: wearLabels[state], data: speedometerError.treadWear[state] }));
+
   return (
     <div className={`speedometer-error card ${isSignificant ? 'warning' : ''}`}>
       <h3>Speedometer Impact</h3>
@@ -35,13 +49,13 @@ const SpeedometerError = ({ speedometerError }) => {
 
         {speedTests.map(({ speed, data }, i) => (
           <div key={i} className="table-row">
-            <div className="speed-indicated">{data.indicated} mph</div>
+            <div className="speed-indicated">{data.indicated} {speedLabel}</div>
             <div className="speed-actual">
-              <strong>{data.actual.toFixed(1)} mph</strong>
+              <strong>{data.actual.toFixed(1)} {speedLabel}</strong>
             </div>
             <div className="speed-error">
               <span className={data.error > 0 ? 'positive' : data.error < 0 ? 'negative' : 'neutral'}>
-                {data.error > 0 ? '+' : ''}{data.error.toFixed(1)} mph
+                {data.error > 0 ? '+' : ''}{data.error.toFixed(1)} {speedLabel}
               </span>
               <span className="error-pct">({data.errorPercentage.toFixed(1)}%)</span>
             </div>
@@ -49,10 +63,171 @@ const SpeedometerError = ({ speedometerError }) => {
         ))}
       </div>
 
+      {speedometerError.rollingRadius && (
+        <div className="rolling-radius">
+          <h4>Loaded Rolling Radius</h4>
+          <div className="speed-table rolling-radius-table">
+            <div className="table-header">
+              <div>Tire</div>
+              <div>Pressure / Load</div>
+              <div>Deflection</div>
+              <div>Rolling Diameter</div>
+            </div>
+
+            {[['Current', speedometerError.rollingRadius.current], ['New', speedometerError.rollingRadius.new]].map(([label, data]) => (
+              <div key={label} className="table-row">
+                <div>{label}</div>
+                <div className="speed-indicated">{format(data.pressure, 'pressure')} / {format(data.cornerLoad, 'weight', { decimals: 0 })}</div>
+                <div className="speed-indicated">
+                  {format(data.deflection, 'length')}
+                  <span className="error-pct"> ({data.deflectionPercentage.toFixed(0)}% of sidewall)</span>
+                </div>
+                <div className="speed-indicated">
+                  {format(data.effectiveDiameter, 'length')}
+                  <span className="error-pct"> (free {format(data.freeRadius * 2, 'length')})</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {wearStates.length > 0 && (
+        <div className="tread-wear-drift">
+          <h4>Error Over Tread Life (new tire)</h4>
+          <div className="speed-table tread-wear-table">
+            <div className="table-header">
+              <div>Tread</div>
+              <div>Diameter</div>
+              <div>Revs{units.labels.perDistance}</div>
+              <div>{units.referenceSpeed} {speedLabel} Indicated</div>
+            </div>
+
+            {wearStates.map(({ state, label, data }) => (
+              <div key={state} className="table-row">
+                <div>
+                  {label}
+                  <span className="error-pct"> ({format(data.treadDepth, 'treadDepth')})</span>
+                </div>
+                <div className="speed-indicated">{format(data.diameter, 'length')}</div>
+                <div className="speed-indicated">{toDisplayUnits(data.revolutionsPerMile, 'perDistance', unitSystem).toFixed(0)}</div>
+                <div className="speed-error">
+                  <strong>{data.errors[referenceKey].actual.toFixed(1)} {speedLabel}</strong>
+                  <span className="error-pct">({data.errors[referenceKey].errorPercentage > 0 ? '+' : ''}{data.errors[referenceKey].errorPercentage.toFixed(1)}%)</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {speedometerError.calibration && (
+        <div className="speedo-calibration">
+          <h4>Recalibration Settings</h4>
+          <p className="calibration-summary">
+            {speedometerError.calibration.summary}. New tire: {speedometerError.calibration.revolutionsPerMile.toFixed(0)} revs/mile,
+            {' '}{speedometerError.calibration.correctionPercentage > 0 ? '+' : ''}{speedometerError.calibration.correctionPercentage.toFixed(1)}% speed correction.
+          </p>
+          <div className="speed-table calibration-table">
+            <div className="table-header">
+              <div>Tool</div>
+              <div>Enter</div>
+              <div>{units.referenceSpeed} {speedLabel} Indicated</div>
+            </div>
+
+            {speedometerError.calibration.tools.map(tool => (
+              <div key={tool.id} className="table-row">
+                <div>
+                  {tool.name}
+                  <span className="calibration-vehicles">{tool.vehicles}</span>
+                </div>
+                <div className="speed-indicated">
+                  <strong>{tool.setting.display}</strong>
+                  {tool.setting.outOfRange && <span className="error-pct"> (limit of the tool)</span>}
+                </div>
+                <div className="speed-error">
+                  <span className={tool.withinTolerance ? 'neutral' : 'negative'}>
+                    {tool.residual.actual.toFixed(1)} {speedLabel}
+                  </span>
+                  <span className="error-pct">({tool.residual.errorPercentage > 0 ? '+' : ''}{tool.residual.errorPercentage.toFixed(1)}%)</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {speedometerError.odometer && (
+        <div className="odometer-correction">
+          <h4>Odometer & Service Intervals</h4>
+          <p className="calibration-summary">{speedometerError.odometer.summary}.</p>
+
+          {speedometerError.odometer.warnings.length > 0 && (
+            <ul className="odometer-warnings">
+              {speedometerError.odometer.warnings.map((warning, i) => <li key={i}>{warning.message}</li>)}
+            </ul>
+          )}
+
+          {speedometerError.odometer.distance && (
+            <div className="odometer-distance">
+              Since the install the odometer shows <strong>{format(speedometerError.odometer.distance.indicated, 'distance', { decimals: 0 })}</strong>;
+              {' '}you have actually driven <strong>{format(speedometerError.odometer.distance.actual, 'distance', { decimals: 0 })}</strong>
+              {' '}({format(speedometerError.odometer.distance.difference, 'distance', { decimals: 0, signed: true })})
+            </div>
+          )}
+
+          <div className="speed-table odometer-table">
+            <div className="table-header">
+              <div>Service</div>
+              <div>Interval</div>
+              <div>Due on Odometer</div>
+            </div>
+
+            {speedometerError.odometer.serviceIntervals.map(service => (
+              <div key={service.id} className="table-row">
+                <div>{service.name}</div>
+                <div className="speed-indicated">{format(service.interval, 'distance', { decimals: 0 })}</div>
+                <div className="speed-error">
+                  <strong>{format(service.indicatedInterval, 'distance', { decimals: 0 })}</strong>
+                  <span className="error-pct">({format(service.difference, 'distance', { decimals: 0, signed: true })})</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {speedometerError.odometer.fuelLog && (
+            <div className="speed-table odometer-table fuel-log-table">
+              <div className="table-header">
+                <div>Fill-up</div>
+                <div>Observed</div>
+                <div>Corrected</div>
+              </div>
+
+              {speedometerError.odometer.fuelLog.entries.map(entry => (
+                <div key={entry.odometer} className="table-row">
+                  <div>
+                    {format(entry.odometer, 'distance', { decimals: 0 })}
+                    <span className="error-pct"> ({format(entry.fuel, 'volume')})</span>
+                  </div>
+                  <div className="speed-indicated">{format(entry.observedEconomy, 'fuelEconomy')}</div>
+                  <div className="speed-indicated"><strong>{format(entry.correctedEconomy, 'fuelEconomy')}</strong></div>
+                </div>
+              ))}
+
+              <div className="table-row fuel-log-average">
+                <div><strong>Average</strong></div>
+                <div className="speed-indicated">{format(speedometerError.odometer.fuelLog.average.observed, 'fuelEconomy')}</div>
+                <div className="speed-indicated"><strong>{format(speedometerError.odometer.fuelLog.average.corrected, 'fuelEconomy')}</strong></div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="speedometer-note">
         <p>
-          <strong>Example:</strong> If your speedometer shows {speedTests[2].speed} mph,
-          you're actually going <strong>{speedTests[2].data.actual.toFixed(1)} mph</strong>
+          <strong>Example:</strong> If your speedometer shows {referenceTest.speed} {speedLabel},
+          you're actually going <strong>{referenceTest.data.actual.toFixed(1)} {speedLabel}</strong>
         </p>
       </div>
     </div>
@@ -1,57 +1,74 @@
 import React from 'react';
+import { formatMeasurement, toDisplayUnits } from '../../engine/units';
 import './TireComparison.css';
 
 const TireComparison = ({ comparison }) => {
-  const { current, new: newTire, differences } = comparison;
+  const { current, new: newTire, differences, unitSystem = 'imperial' } = comparison;
+  const isMetric = unitSystem === 'metric';
 
-  const formatChange = (value, suffix = '"') => {
-    const sign = value >= 0 ? '+' : '';
-    return `${sign}${value.toFixed(2)}${suffix}`;
-  };
+  const formatLength = (value) => formatMeasurement(value, 'length', unitSystem);
+
+  const formatChange = (value) => formatMeasurement(value, 'length', unitSystem, { signed: true });
+
+  const formatRevs = (value) => toDisplayUnits(value, 'perDistance', unitSystem).toFixed(0);
 
   const formatPct = (value) => {
     const sign = value >= 0 ? '+' : '';
     return `${sign}${value.toFixed(1)}%`;
   };
 
+  const formatSidewall = (tire) => {
+    const parts = [tire.serviceDescription, tire.loadRange && `Load Range ${tire.loadRange}`].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : 'not specified';
+  };
+
+  const formatDiameterSource = (tire) => {
+    const entry = tire.measuredDataEntry;
+    if (!entry) {
+      return 'calculated from size';
+    }
+    const name = entry.brand ? [entry.brand, entry.model].filter(Boolean).join(' ') : `${entry.size} average`;
+    return `${name} (${entry.confidence} confidence, n=${entry.sampleCount})`;
+  };
+
   const metrics = [
     {
       label: 'Overall Diameter',
-      current: `${current.diameter.toFixed(2)}"`,
-      new: `${newTire.diameter.toFixed(2)}"`,
+      current: formatLength(current.diameter),
+      new: formatLength(newTire.diameter),
       change: formatChange(differences.diameter.inches),
       changePct: formatPct(differences.diameter.percentage),
       highlight: differences.diameter.percentage !== 0 && Math.abs(differences.diameter.percentage) > 5
     },
     {
       label: 'Section Width',
-      current: `${current.widthInches.toFixed(2)}"`,
-      new: `${newTire.widthInches.toFixed(2)}"`,
+      current: formatLength(current.widthInches),
+      new: formatLength(newTire.widthInches),
       change: formatChange(differences.width.inches),
       changePct: formatPct(differences.width.percentage),
       highlight: differences.width.percentage !== 0 && Math.abs(differences.width.percentage) > 10
     },
     {
       label: 'Sidewall Height',
-      current: `${current.sidewallInches.toFixed(2)}"`,
-      new: `${newTire.sidewallInches.toFixed(2)}"`,
+      current: formatLength(current.sidewallInches),
+      new: formatLength(newTire.sidewallInches),
       change: formatChange(differences.sidewall.inches),
       changePct: formatPct(differences.sidewall.percentage),
       highlight: false
     },
     {
       label: 'Circumference',
-      current: `${current.circumference.toFixed(2)}"`,
-      new: `${newTire.circumference.toFixed(2)}"`,
+      current: formatLength(current.circumference),
+      new: formatLength(newTire.circumference),
       change: formatChange(differences.circumference.inches),
       changePct: formatPct(differences.circumference.percentage),
       highlight: false
     },
     {
-      label: 'Revs/Mile',
-      current: current.revolutionsPerMile.toFixed(0),
-      new: newTire.revolutionsPerMile.toFixed(0),
-      change: formatChange(differences.revolutionsPerMile.absolute, ''),
+      label: isMetric ? 'Revs/km' : 'Revs/Mile',
+      current: formatRevs(current.revolutionsPerMile),
+      new: formatRevs(newTire.revolutionsPerMile),
+      change: `${differences.revolutionsPerMile.absolute >= 0 ? '+' : ''}${formatRevs(differences.revolutionsPerMile.absolute)}`,
       changePct: formatPct(differences.revolutionsPerMile.percentage),
       highlight: false
     }
@@ -89,10 +106,30 @@ const TireComparison = ({ comparison }) => {
           <div>
             <strong>Ground Clearance Gain:</strong>{' '}
             {formatChange(differences.groundClearance.inches)}
-            <span className="muted"> ({(differences.groundClearance.mm).toFixed(0)}mm)</span>
+            {!isMetric && (
+              <span className="muted"> ({(differences.groundClearance.mm).toFixed(0)}mm)</span>
+            )}
           </div>
         </div>
 
+        {(current.serviceDescription || newTire.serviceDescription || newTire.loadRange) && (
+          <div className="takeaway">
+            <div>
+              <strong>Sidewall Rating:</strong>{' '}
+              {formatSidewall(current)} → {formatSidewall(newTire)}
+            </div>
+          </div>
+        )}
+
+        {(current.measuredDataEntry || newTire.measuredDataEntry) && (
+          <div className="takeaway">
+            <div>
+              <strong>Diameter Source:</strong>{' '}
+              {formatDiameterSource(current)} → {formatDiameterSource(newTire)}
+            </div>
+          </div>
+        )}
+
         {Math.abs(differences.diameter.percentage) > 5 && (
           <div className="takeaway warning">
             <span className="takeaway-icon">⚠️</span>
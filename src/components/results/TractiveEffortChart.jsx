@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { toDisplayUnits, formatMeasurement, getUnitLabel } from '../../engine/units';
+import './TractiveEffortChart.css';
+
+// One color per gear (up to 10 speeds), shared by before/after lines
+const GEAR_COLORS = ['#ff6b6b', '#ff8800', '#e3b341', '#56d364', '#4eb56a', '#58a6ff', '#a371f7', '#db61a2', '#adbac7', '#768390'];
+
+const TractiveEffortChart = ({ analysis, regearedAnalysis, newAxleGearRatio, unitSystem = 'imperial' }) => {
+  const [scenario, setScenario] = useState('tires');
+  if (!analysis) return null;
+
+  // Before is always current tires + current gears; after is new tires with current or new gears
+  const after = scenario === 'regear' && regearedAnalysis ? regearedAnalysis : analysis;
+  const afterLabel = after === analysis ? 'New tires' : `New tires + ${newAxleGearRatio} gears`;
+  const speedLabel = getUnitLabel('speed', unitSystem);
+  const forceLabel = getUnitLabel('force', unitSystem);
+  const force = (value) => formatMeasurement(value, 'force', unitSystem);
+
+  const toSeries = (curve) => curve.points.map(point => ({
+    speed: toDisplayUnits(point.speed, 'speed', unitSystem),
+    tractiveEffort: toDisplayUnits(point.tractiveEffort, 'force', unitSystem),
+    rpm: point.rpm
+  }));
+
+  const lines = analysis.gears.flatMap((gear, i) => [
+    { key: `before-${gear.gear}`, name: `${gear.gear} before`, data: toSeries(gear.current), color: GEAR_COLORS[i], dashed: true },
+    { key: `after-${gear.gear}`, name: `${gear.gear} after`, data: toSeries(after.gears[i].new), color: GEAR_COLORS[i], dashed: false }
+  ]);
+
+  return (
+    <div className="tractive-effort card">
+      <h3>Tractive Effort by Gear</h3>
+      <p className="section-desc">
+        {analysis.engine.name} at full throttle, {Math.round(analysis.efficiency * 100)}% driveline efficiency.
+        Dashed: current setup. Solid: {afterLabel.toLowerCase()}.
+      </p>
+      {after === analysis && <p className="effort-summary">{analysis.summary}</p>}
+
+      {regearedAnalysis && (
+        <div className="scenario-toggle">
+          <button
+            type="button"
+            className={scenario === 'tires' ? 'active' : ''}
+            onClick={() => setScenario('tires')}
+          >
+            Tires only
+          </button>
+          <button
+            type="button"
+            className={scenario === 'regear' ? 'active' : ''}
+            onClick={() => setScenario('regear')}
+          >
+            Tires + {newAxleGearRatio} gears
+          </button>
+        </div>
+      )}
+
+      <div className="tractive-effort-chart">
+        <ResponsiveContainer width="100%" height={360}>
+          <LineChart margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#343942" />
+            <XAxis
+              type="number"
+              dataKey="speed"
+              domain={[0, 'dataMax']}
+              tickFormatter={value => Math.round(value)}
+              label={{ value: `Road speed (${speedLabel})`, position: 'insideBottom', offset: -10, fill: '#adbac7' }}
+              stroke="#768390"
+            />
+            <YAxis
+              dataKey="tractiveEffort"
+              tickFormatter={value => Math.round(value)}
+              label={{ value: forceLabel, angle: -90, position: 'insideLeft', fill: '#adbac7' }}
+              stroke="#768390"
+            />
+            <Tooltip
+              contentStyle={{ background: '#1e242e', border: '1px solid #343942' }}
+              labelFormatter={value => `${Math.round(value)} ${speedLabel}`}
+              formatter={(value, name) => [`${Math.round(value)} ${forceLabel}`, `Gear ${name}`]}
+            />
+            {lines.map(line => (
+              <Line
+                key={line.key}
+                name={line.name}
+                data={line.data}
+                dataKey="tractiveEffort"
+                stroke={line.color}
+                strokeDasharray={line.dashed ? '5 4' : undefined}
+                strokeWidth={line.dashed ? 1.5 : 2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="gear-legend">
+        {analysis.gears.map((gear, i) => (
+          <span key={gear.gear} className="gear-legend-item">
+            <span className="gear-swatch" style={{ background: GEAR_COLORS[i] }} />
+            {gear.gear} ({gear.ratio.toFixed(2)})
+          </span>
+        ))}
+      </div>
+
+      <div className="effort-table">
+        <div className="table-header">
+          <div>Speed</div>
+          <div>Current</div>
+          <div>{afterLabel}</div>
+          <div>Change</div>
+        </div>
+        {analysis.atSpeed.map((row, i) => {
+          const afterRow = after.atSpeed[i];
+          const change = afterRow.new.tractiveEffort - row.current.tractiveEffort;
+          return (
+            <div key={row.speed} className="table-row">
+              <div>{row.speed} {speedLabel}</div>
+              <div className="effort-value">{force(row.current.tractiveEffort)} <span className="effort-gear">({row.current.gear ? `gear ${row.current.gear}` : 'out of range'})</span></div>
+              <div className="effort-value">{force(afterRow.new.tractiveEffort)} <span className="effort-gear">({afterRow.new.gear ? `gear ${afterRow.new.gear}` : 'out of range'})</span></div>
+              <div className={`effort-change ${change < 0 ? 'negative' : 'positive'}`}>
+                {formatMeasurement(change, 'force', unitSystem, { signed: true })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="effort-note">
+        Tractive effort is the forward push at the tire contact patch. Each gear's curve starts at {analysis.gears[0].current.points[0].rpm} RPM and ends at redline.
+        Larger tires stretch every curve to higher speeds and lower it by the diameter ratio; shorter axle gears pull it back.
+      </p>
+    </div>
+  );
+};
+
+export default TractiveEffortChart;
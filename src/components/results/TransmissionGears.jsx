@@ -0,0 +1,78 @@
+import React from 'react';
+import { formatMeasurement } from '../../engine/units';
+import './TransmissionGears.css';
+
+const USABILITY_LABELS = {
+  usable: 'Usable',
+  limited: 'Above highway speed only',
+  unusable: 'Unusable'
+};
+
+const TransmissionGears = ({ analysis, regearedAnalysis, newAxleGearRatio, unitSystem = 'imperial' }) => {
+  if (!analysis) return null;
+
+  const { transmission, gears, overdrive, shiftRPM, minCruiseRPM, testSpeed, testSpeedUnit } = analysis;
+  const speed = (value) => formatMeasurement(value, 'speed', unitSystem, { decimals: 0 });
+  const hasRegear = Boolean(regearedAnalysis);
+
+  return (
+    <div className={`transmission-gears card ${overdrive.lostGears.length > 0 ? 'warning' : ''}`}>
+      <h3>Gear-by-Gear Impact</h3>
+      <p className="section-desc">
+        {transmission.name} ({transmission.gearCount}-speed) with {analysis.axleGearRatio} axle gears
+      </p>
+
+      <p className="overdrive-summary">{overdrive.summary}</p>
+
+      <div className={`gear-table ${hasRegear ? 'with-regear' : ''}`}>
+        <div className="table-header">
+          <div>Gear</div>
+          <div>RPM @ {testSpeed} {testSpeedUnit}</div>
+          <div>Shift @ {shiftRPM} RPM</div>
+          <div>Cruise</div>
+          {hasRegear && <div>With {newAxleGearRatio} gears</div>}
+        </div>
+
+        {gears.map((gear, i) => {
+          const regeared = hasRegear ? regearedAnalysis.gears[i] : null;
+          return (
+            <div key={gear.gear} className={`table-row ${gear.isOverdrive ? 'overdrive' : ''}`}>
+              <div className="gear-label">
+                <strong>{gear.gear}</strong>
+                <span className="gear-ratio">{gear.ratio.toFixed(3)}</span>
+              </div>
+              <div className="gear-value">
+                {Math.round(gear.rpm.current)} → <strong>{Math.round(gear.rpm.new)}</strong>
+              </div>
+              <div className="gear-value">
+                {speed(gear.shiftSpeed.current)} → <strong>{speed(gear.shiftSpeed.new)}</strong>
+              </div>
+              <div className={`gear-usability ${gear.usability.new}`}>
+                {gear.isOverdrive
+                  ? `${USABILITY_LABELS[gear.usability.new]} (from ${speed(gear.minCruiseSpeed.new)})`
+                  : '—'}
+              </div>
+              {regeared && (
+                <div className="gear-value">
+                  <strong>{Math.round(regeared.rpm.new)} RPM</strong>
+                  {gear.isOverdrive && (
+                    <span className={`gear-usability ${regeared.usability.new}`}>
+                      {' '}{USABILITY_LABELS[regeared.usability.new]}
+                    </span>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="gear-note">
+        <strong>Reading this table:</strong> Shift speeds are road speeds at a {shiftRPM} RPM upshift - larger tires move every shift point up by the same percentage.
+        Overdrive gears need at least {minCruiseRPM} RPM to cruise without lugging; below that the transmission hunts between gears.
+      </div>
+    </div>
+  );
+};
+
+export default TransmissionGears;
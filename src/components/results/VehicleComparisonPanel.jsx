@@ -0,0 +1,158 @@
+import React from 'react';
+import { formatMeasurement, getUnitSystem } from '../../engine/units';
+import { getTransmission } from '../../engine/transmissionModel';
+import './VehicleComparisonPanel.css';
+
+const SUSPENSION_LABELS = {
+  ifs: 'IFS',
+  solid_axle: 'Solid axle'
+};
+
+const VehicleComparisonPanel = ({ vehicleComparison }) => {
+  if (!vehicleComparison) return null;
+
+  const { unitSystem, tire, rpmTestSpeed, vehicles, summary } = vehicleComparison;
+  const units = getUnitSystem(unitSystem);
+  const length = (value, options) => formatMeasurement(value, 'length', unitSystem, options);
+  const ratio = (value) => (value ? value.toFixed(2) : '—');
+  const signedPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+  const gridStyle = { gridTemplateColumns: `1.2fr repeat(${vehicles.length}, minmax(140px, 1fr))` };
+
+  const rows = [
+    { section: 'Fitment' },
+    {
+      label: 'Stock tire',
+      value: vehicle => (
+        <>
+          {vehicle.stockTire}
+          <span className="vehicle-compare-change">{length(vehicle.stockDiameter)}</span>
+        </>
+      )
+    },
+    {
+      label: 'Diameter change',
+      value: vehicle => (
+        <>
+          {length(vehicle.diameterChange, { signed: true })}
+          <span className="vehicle-compare-change">{signedPercent(vehicle.diameterChangePct)}</span>
+        </>
+      )
+    },
+    { label: 'Speedometer error', value: vehicle => signedPercent(vehicle.speedometerError) },
+    { section: 'Drivetrain' },
+    {
+      label: 'Axle ratio',
+      value: vehicle => (
+        <>
+          {ratio(vehicle.drivetrain.axleRatio)}
+          <span className="vehicle-compare-change">
+            effective {ratio(vehicle.drivetrain.effectiveRatio)} ({signedPercent(vehicle.drivetrain.effectiveRatioChangePct)})
+          </span>
+        </>
+      )
+    },
+    {
+      label: 'Transmission',
+      value: vehicle => {
+        const transmission = vehicle.drivetrain.transmission && getTransmission(vehicle.drivetrain.transmission);
+        return transmission ? transmission.name : '—';
+      }
+    },
+    {
+      label: `RPM at ${rpmTestSpeed} ${units.labels.speed}`,
+      value: vehicle => (
+        vehicle.drivetrain.rpm?.new ? (
+          <>
+            {vehicle.drivetrain.rpm.new.toFixed(0)}
+            <span className="vehicle-compare-change">
+              {vehicle.drivetrain.rpm.change >= 0 ? '+' : ''}{vehicle.drivetrain.rpm.change.toFixed(0)}
+            </span>
+          </>
+        ) : '—'
+      )
+    },
+    {
+      label: 'Crawl ratio',
+      value: vehicle => (
+        vehicle.drivetrain.crawlRatio ? (
+          <>
+            {vehicle.drivetrain.crawlRatio.toFixed(1)}:1
+            <span className="vehicle-compare-change">low range {ratio(vehicle.drivetrain.transferCaseLowRatio)}</span>
+          </>
+        ) : '—'
+      )
+    },
+    { section: 'Clearance' },
+    { label: 'Suspension', value: vehicle => SUSPENSION_LABELS[vehicle.suspensionType] || vehicle.suspensionType },
+    {
+      label: 'Rub risk',
+      className: vehicle => `vehicle-compare-risk risk-${vehicle.clearance.riskClass.toLowerCase()}`,
+      value: vehicle => (
+        <>
+          {vehicle.clearance.riskClass}
+          <span className="vehicle-compare-change">{vehicle.clearance.probability}%</span>
+        </>
+      )
+    },
+    { label: 'Lift recommendation', value: vehicle => vehicle.clearance.liftRecommendation?.message || '—', text: true },
+    { section: 'Regearing' },
+    { label: 'Regear likelihood', value: vehicle => `${vehicle.regearing.likelihood}%` },
+    {
+      label: 'Gears to restore',
+      className: vehicle => (vehicle.regearing.needed ? 'vehicle-compare-value regear-needed' : 'vehicle-compare-value'),
+      value: vehicle => (
+        <>
+          {vehicle.regearing.suggestedRatio.toFixed(2)}
+          <span className="vehicle-compare-change">exact {vehicle.regearing.restoreRatio.toFixed(2)}</span>
+        </>
+      )
+    }
+  ];
+
+  return (
+    <div className="vehicle-compare-panel card">
+      <h3>Same Tire Across Vehicles</h3>
+      <p className="section-desc">
+        {tire} on {vehicles.length} vehicle{vehicles.length === 1 ? '' : 's'}, each from its own stock tire and gearing
+      </p>
+
+      <div className="vehicle-compare-summary">{summary}</div>
+
+      <div className="vehicle-compare-table">
+        <div className="table-header" style={gridStyle}>
+          <div>Vehicle</div>
+          {vehicles.map(vehicle => (
+            <div key={vehicle.label}>{vehicle.label}</div>
+          ))}
+        </div>
+
+        {rows.map(row => (
+          row.section ? (
+            <div key={row.section} className="vehicle-compare-section">{row.section}</div>
+          ) : (
+            <div key={row.label} className="table-row" style={gridStyle}>
+              <div className="vehicle-compare-label">{row.label}</div>
+              {vehicles.map(vehicle => (
+                <div
+                  key={vehicle.label}
+                  className={row.className ? row.className(vehicle) : (row.text ? 'vehicle-compare-text' : 'vehicle-compare-value')}
+                >
+                  {row.value(vehicle)}
+                </div>
+              ))}
+            </div>
+          )
+        ))}
+      </div>
+
+      <div className="vehicle-compare-note">
+        <strong>How to read this:</strong> Every column applies {tire} to that vehicle's factory tire, axle ratio,
+        transfer case and transmission, so the same tire can be a small step on one vehicle and a big one on another.
+        Rub risk uses each vehicle's suspension type (IFS rubs sooner than a solid axle). Gears to restore is the nearest
+        available ratio to stock axle ratio × new / stock diameter, highlighted when effective gearing moves more than 5%.
+      </div>
+    </div>
+  );
+};
+
+export default VehicleComparisonPanel;
@@ -1,8 +1,11 @@
 import React from 'react';
+import { formatMeasurement } from '../../engine/units';
 import './VisualComparison.css';
 
 const VisualComparison = ({ comparison }) => {
-  const { current, new: newTire, differences } = comparison;
+  const { current, new: newTire, differences, unitSystem = 'imperial' } = comparison;
+  const isMetric = unitSystem === 'metric';
+  const formatLength = (value, options) => formatMeasurement(value, 'length', unitSystem, options);
 
   // Scale factor for visualization (pixels per inch)
   const scale = 4;
@@ -100,7 +103,7 @@ const VisualComparison = ({ comparison }) => {
               className="tire-label current"
               textAnchor="middle"
             >
-              {current.diameter.toFixed(1)}"
+              {formatLength(current.diameter, { decimals: isMetric ? 0 : 1 })}
             </text>
             <text
               x={newCenterX}
@@ -108,7 +111,7 @@ const VisualComparison = ({ comparison }) => {
               className="tire-label new"
               textAnchor="middle"
             >
-              {newTire.diameter.toFixed(1)}"
+              {formatLength(newTire.diameter, { decimals: isMetric ? 0 : 1 })}
             </text>
           </svg>
         </div>
@@ -119,7 +122,7 @@ const VisualComparison = ({ comparison }) => {
             <div className="stat-content">
               <div className="stat-value">
                 {differences.diameter.percentage > 0 ? '+' : ''}
-                {differences.diameter.inches.toFixed(2)}"
+                {formatLength(differences.diameter.inches)}
               </div>
               <div className="stat-label">Diameter Change</div>
               <div className="stat-pct">
@@ -134,7 +137,7 @@ const VisualComparison = ({ comparison }) => {
             <div className="stat-content">
               <div className="stat-value">
                 {differences.width.percentage > 0 ? '+' : ''}
-                {differences.width.inches.toFixed(2)}"
+                {formatLength(differences.width.inches)}
               </div>
               <div className="stat-label">Width Change</div>
               <div className="stat-pct">
@@ -147,12 +150,14 @@ const VisualComparison = ({ comparison }) => {
           <div className="stat-item positive">
             <div className="stat-content">
               <div className="stat-value">
-                +{differences.groundClearance.inches.toFixed(2)}"
+                +{formatLength(differences.groundClearance.inches)}
               </div>
               <div className="stat-label">Clearance Gain</div>
-              <div className="stat-pct">
-                ({differences.groundClearance.mm.toFixed(0)}mm)
-              </div>
+              {!isMetric && (
+                <div className="stat-pct">
+                  ({differences.groundClearance.mm.toFixed(0)}mm)
+                </div>
+              )}
             </div>
           </div>
         </div>
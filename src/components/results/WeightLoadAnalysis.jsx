@@ -1,11 +1,14 @@
 import React from 'react';
+import { formatMeasurement } from '../../engine/units';
 import './WeightLoadAnalysis.css';
 
-const WeightLoadAnalysis = ({ weightAnalysis, loadCapacityAnalysis }) => {
+const WeightLoadAnalysis = ({ weightAnalysis, loadCapacityAnalysis, unitSystem = 'imperial' }) => {
   if (!weightAnalysis && !loadCapacityAnalysis) {
     return null;
   }
 
+  const formatWeight = (value, options) => formatMeasurement(value, 'weight', unitSystem, options);
+
   return (
     <div className="weight-load-analysis card">
       <h3>Weight & Load Capacity Analysis</h3>
@@ -32,19 +35,18 @@ const WeightLoadAnalysis = ({ weightAnalysis, loadCapacityAnalysis }) => {
           <div className="weight-grid">
             <div className="weight-item">
               <div className="weight-label">Current Weight (per tire)</div>
-              <div className="weight-value">{weightAnalysis.current.perTire} lbs</div>
+              <div className="weight-value">{formatWeight(weightAnalysis.current.perTire)}</div>
             </div>
 
             <div className="weight-item">
               <div className="weight-label">New Weight (per tire)</div>
-              <div className="weight-value">{weightAnalysis.new.perTire} lbs</div>
+              <div className="weight-value">{formatWeight(weightAnalysis.new.perTire)}</div>
             </div>
 
             <div className={`weight-item ${weightAnalysis.difference.perTire >= 0 ? 'negative' : 'positive'}`}>
               <div className="weight-label">Weight Difference</div>
               <div className="weight-value">
-                {weightAnalysis.difference.perTire >= 0 ? '+' : ''}
-                {weightAnalysis.difference.perTire.toFixed(1)} lbs
+                {formatWeight(weightAnalysis.difference.perTire, { decimals: 1, signed: true })}
                 ({weightAnalysis.difference.perTirePct >= 0 ? '+' : ''}
                 {weightAnalysis.difference.perTirePct.toFixed(1)}%)
               </div>
@@ -53,8 +55,7 @@ const WeightLoadAnalysis = ({ weightAnalysis, loadCapacityAnalysis }) => {
             <div className={`weight-item ${Math.abs(weightAnalysis.difference.total) > 40 ? 'warning' : 'info'}`}>
               <div className="weight-label">Total Unsprung Weight Change</div>
               <div className="weight-value">
-                {weightAnalysis.difference.total >= 0 ? '+' : ''}
-                {weightAnalysis.difference.total.toFixed(1)} lbs (4 tires)
+                {formatWeight(weightAnalysis.difference.total, { decimals: 1, signed: true })} (4 tires)
               </div>
             </div>
           </div>
@@ -109,7 +110,7 @@ const WeightLoadAnalysis = ({ weightAnalysis, loadCapacityAnalysis }) => {
               <div className="load-value">
                 {loadCapacityAnalysis.current.loadIndex}
                 <span className="load-detail">
-                  ({loadCapacityAnalysis.current.capacityPerTire} lbs/tire)
+                  ({formatWeight(loadCapacityAnalysis.current.capacityPerTire)}/tire)
                 </span>
               </div>
             </div>
@@ -119,7 +120,7 @@ const WeightLoadAnalysis = ({ weightAnalysis, loadCapacityAnalysis }) => {
               <div className="load-value">
                 {loadCapacityAnalysis.new.loadIndex}
                 <span className="load-detail">
-                  ({loadCapacityAnalysis.new.capacityPerTire} lbs/tire)
+                  ({formatWeight(loadCapacityAnalysis.new.capacityPerTire)}/tire)
                 </span>
               </div>
             </div>
@@ -127,8 +128,7 @@ const WeightLoadAnalysis = ({ weightAnalysis, loadCapacityAnalysis }) => {
             <div className={`load-item ${loadCapacityAnalysis.difference.capacityPerTire >= 0 ? 'positive' : 'negative'}`}>
               <div className="load-label">Capacity Change</div>
               <div className="load-value">
-                {loadCapacityAnalysis.difference.capacityPerTire >= 0 ? '+' : ''}
-                {loadCapacityAnalysis.difference.capacityPerTire} lbs/tire
+                {formatWeight(loadCapacityAnalysis.difference.capacityPerTire, { signed: true })}/tire
                 ({loadCapacityAnalysis.difference.capacityPerTirePct >= 0 ? '+' : ''}
                 {loadCapacityAnalysis.difference.capacityPerTirePct.toFixed(1)}%)
               </div>
@@ -137,9 +137,9 @@ const WeightLoadAnalysis = ({ weightAnalysis, loadCapacityAnalysis }) => {
             <div className="load-item total">
               <div className="load-label">Total Vehicle Capacity (4 tires)</div>
               <div className="load-value">
-                {loadCapacityAnalysis.current.totalCapacity.toLocaleString()} lbs
+                {formatWeight(loadCapacityAnalysis.current.totalCapacity, { decimals: 0 })}
                 <span className="arrow">→</span>
-                {loadCapacityAnalysis.new.totalCapacity.toLocaleString()} lbs
+                {formatWeight(loadCapacityAnalysis.new.totalCapacity, { decimals: 0 })}
               </div>
             </div>
           </div>
@@ -0,0 +1,271 @@
+/**
+ * Acceleration Simulator
+ *
+ * PURPOSE: Turn a tire (and gear) change into 0-60 and 50-70 passing times by
+ * stepping the vehicle through a full-throttle run, instead of an inertia
+ * "impact factor".
+ *
+ * METHODOLOGY:
+ * - Fixed time step (10 ms) longitudinal simulation from a standstill
+ * - Drive force: engine torque curve × gear × final drive × efficiency / tire radius
+ *   - Launch: the engine is held at LAUNCH_RPM (converter stall / clutch slip)
+ *     until the wheels catch up
+ *   - Shifts: upshift when the next gear pulls harder or at redline, with no
+ *     drive force for SHIFT_TIME
+ * - Resistance: rolling resistance (Crr by tread type) + aero drag
+ * - Effective mass: vehicle mass + rotating equivalent mass
+ *   - Tire and wheel: I / r² per corner (tire mass at 0.8 of its radius,
+ *     wheel mass at 0.7 of the rim radius)
+ *   - Engine and driveline: ENGINE_INERTIA × (gear × final drive)² / r², so
+ *     taller tires and lower gears both change how hard the engine is to spin up
+ * - Weight = vehicle + expedition load (overlandLoad) + added tire weight
+ * - Passing times (50-70 mph / 80-120 km/h) are split from the same run
+ *
+ * EXAMPLE:
+ * - 4,500 lb 4Runner, 1GR-FE, A750F, 4.10 axle, 55 lb 33" → 65 lb 35":
+ *   0-60 in 8.2 s → 8.6 s, and 8.1 s on the 35s with 4.56 gears
+ */
+
+import { getEngine, getEngineTorque, getGearTractiveEffort, DRIVETRAIN_EFFICIENCY } from './tractiveEffort.js';
+import { getTransmissionRatios } from './transmissionModel.js';
+import { getRoadReduction } from './drivetrainChain.js';
+import { calculateLoadedWeight } from './overlandLoad.js';
+import { calculateAeroDrag, TREAD_ROLLING_RESISTANCE, DEFAULT_DRAG_COEFFICIENT, DEFAULT_FRONTAL_AREA } from './gradeability.js';
+import { getUnitSystem, fromDisplayUnits } from './units.js';
+
+export const DEFAULT_WHEEL_WEIGHT = 35; // lbs, 17" aluminum 4x4 wheel
+export const ENGINE_INERTIA = 0.2; // slug·ft², crank, flywheel / converter and driveshafts
+export const LAUNCH_RPM = 2000; // Typical torque converter stall speed
+export const SHIFT_TIME = 0.3; // seconds without drive during a full-throttle upshift
+
+const TIME_STEP = 0.01; // seconds
+const MAX_TIME = 60; // seconds - give up on runs that never reach the target
+const GRAVITY = 32.174; // ft/s²
+const FPS_PER_MPH = 5280 / 3600;
+const TIRE_GYRATION = 0.8; // radius of gyration / tire radius
+const WHEEL_GYRATION = 0.7; // radius of gyration / rim radius
+
+// Standard runs per unit system (speeds in display units)
+const BENCHMARKS = {
+  imperial: [{ from: 0, to: 60 }, { from: 50, to: 70 }],
+  metric: [{ from: 0, to: 100 }, { from: 80, to: 120 }]
+};
+
+/**
+ * Rotating mass of the four tires and wheels, as equivalent vehicle weight
+ *
+ * @param {Object} vehicle - { diameter, wheelDiameter (inches), tireWeight, wheelWeight (lbs each) }
+ * @returns {number} Equivalent weight (lbs)
+ */
+export function calculateRotatingEquivalentWeight(vehicle) {
+  const tireRadius = vehicle.diameter / 2;
+  const rimRadius = (vehicle.wheelDiameter || vehicle.diameter * 0.55) / 2;
+  const tire = vehicle.tireWeight * TIRE_GYRATION * TIRE_GYRATION;
+  const wheel = (vehicle.wheelWeight || DEFAULT_WHEEL_WEIGHT) * Math.pow((WHEEL_GYRATION * rimRadius) / tireRadius, 2);
+  return 4 * (tire + wheel);
+}
+
+/**
+ * Full-throttle run from a standstill
+ *
+ * @param {Object} setup - { engine, ratios, finalDrive, efficiency, dragCoefficient, frontalArea }
+ * @param {Object} vehicle - { diameter, wheelDiameter, weight, tireWeight, wheelWeight, rollingResistance }
+ * @param {number[]} targetSpeeds - Speeds to time (mph)
+ * @returns {Object} { times: { [mph]: seconds|null }, shifts, topSpeed }
+ */
+export function simulateAcceleration(setup, vehicle, targetSpeeds) {
+  const { engine, ratios, finalDrive } = setup;
+  const efficiency = setup.efficiency || DRIVETRAIN_EFFICIENCY;
+  const radiusFt = vehicle.diameter / 24;
+  const vehicleMass = (vehicle.weight + calculateRotatingEquivalentWeight(vehicle)) / GRAVITY;
+  const rollingForce = vehicle.rollingResistance * vehicle.weight;
+  const stopSpeed = Math.max(...targetSpeeds);
+
+  const times = Object.fromEntries(targetSpeeds.map(speed => [speed, speed === 0 ? 0 : null]));
+  let gearIndex = 0;
+  let shiftTimer = 0;
+  let shifts = 0;
+  let velocity = 0; // ft/s
+  let time = 0;
+
+  while (time < MAX_TIME) {
+    const speedMPH = velocity / FPS_PER_MPH;
+
+    // Upshift when a higher gear pulls harder or the current one hits redline
+    if (shiftTimer <= 0) {
+      const next = findUpshift(engine, ratios, gearIndex, finalDrive, vehicle.diameter, speedMPH, efficiency);
+      if (next !== gearIndex) {
+        gearIndex = next;
+        shiftTimer = SHIFT_TIME;
+        shifts++;
+      }
+    }
+
+    const ratio = ratios[gearIndex];
+    const shifting = shiftTimer > 0;
+    let driveForce = 0;
+    if (shifting) {
+      shiftTimer -= TIME_STEP;
+    } else {
+      const rpm = Math.max((speedMPH * ratio * finalDrive * 336) / vehicle.diameter, LAUNCH_RPM);
+      driveForce = (getEngineTorque(engine, rpm) * ratio * finalDrive * efficiency) / radiusFt;
+    }
+
+    const resistance = rollingForce + calculateAeroDrag(speedMPH, setup.dragCoefficient, setup.frontalArea);
+    const drivelineMass = (ENGINE_INERTIA * Math.pow(ratio * finalDrive, 2)) / (radiusFt * radiusFt);
+    const acceleration = (driveForce - resistance) / (vehicleMass + drivelineMass);
+    if (acceleration <= 0 && !shifting) {
+      break; // Top speed
+    }
+
+    const previous = velocity;
+    velocity = Math.max(0, velocity + acceleration * TIME_STEP);
+    time += TIME_STEP;
+
+    targetSpeeds.forEach(speed => {
+      const target = speed * FPS_PER_MPH;
+      if (times[speed] === null && previous < target && velocity >= target) {
+        times[speed] = time - TIME_STEP + (TIME_STEP * (target - previous)) / (velocity - previous);
+      }
+    });
+
+    if (velocity / FPS_PER_MPH >= stopSpeed) {
+      break;
+    }
+  }
+
+  return {
+    times,
+    shifts,
+    topSpeed: velocity / FPS_PER_MPH
+  };
+}
+
+function findUpshift(engine, ratios, gearIndex, finalDrive, diameter, speedMPH, efficiency) {
+  let best = gearIndex;
+  let bestEffort = getGearTractiveEffort(engine, ratios[gearIndex], finalDrive, diameter, speedMPH, efficiency);
+  for (let i = gearIndex + 1; i < ratios.length; i++) {
+    const effort = getGearTractiveEffort(engine, ratios[i], finalDrive, diameter, speedMPH, efficiency);
+    if (effort.rpm < engine.torqueCurve[0][0]) break;
+    if (effort.tractiveEffort > bestEffort.tractiveEffort || bestEffort.rpm >= engine.redline) {
+      best = i;
+      bestEffort = effort;
+    }
+  }
+  return best;
+}
+
+/**
+ * 0-60 and 50-70 (0-100 and 80-120 km/h) before and after a tire change
+ *
+ * @param {number} currentDiameter - Current tire diameter (inches, effective if rolling radius is used)
+ * @param {number} newDiameter - New tire diameter (inches)
+ * @param {Object} drivetrain - { engine, axleGearRatio, transferCaseRatio, portalRatio, transmission or transmissionRatios }
+ * @param {string|Object} unitSystem - Unit system id or definition (benchmark speeds)
+ * @param {Object} options - Vehicle settings (imperial)
+ * @param {number} options.vehicleWeight - Vehicle weight (lbs, default overlandLoad DEFAULT_VEHICLE_WEIGHT)
+ * @param {number} options.expeditionLoad - Expedition load (lbs)
+ * @param {number} options.currentTireWeight - Current tire weight, each (lbs)
+ * @param {number} options.newTireWeight - New tire weight, each (lbs)
+ * @param {number} options.currentWheelDiameter - Current wheel diameter (inches)
+ * @param {number} options.newWheelDiameter - New wheel diameter (inches)
+ * @param {number} options.wheelWeight - Wheel weight, each (lbs, default 35)
+ * @param {string} options.currentTreadType - Key of TREAD_ROLLING_RESISTANCE (default all_terrain)
+ * @param {string} options.newTreadType - Key of TREAD_ROLLING_RESISTANCE (default all_terrain)
+ * @returns {Object|null} Benchmark times, null without engine and ratio set
+ */
+export function analyzeAcceleration(currentDiameter, newDiameter, drivetrain, unitSystem, options = {}) {
+  const ratios = getTransmissionRatios(drivetrain);
+  if (!drivetrain.engine || !ratios || !drivetrain.axleGearRatio) {
+    return null;
+  }
+
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const engine = getEngine(drivetrain.engine);
+  const setup = {
+    engine,
+    ratios,
+    finalDrive: drivetrain.axleGearRatio * getRoadReduction(drivetrain),
+    efficiency: DRIVETRAIN_EFFICIENCY,
+    dragCoefficient: options.dragCoefficient || DEFAULT_DRAG_COEFFICIENT,
+    frontalArea: options.frontalArea || DEFAULT_FRONTAL_AREA
+  };
+
+  const loadedWeight = calculateLoadedWeight(options.expeditionLoad, options.vehicleWeight);
+  const currentTireWeight = options.currentTireWeight || 0;
+  const newTireWeight = options.newTireWeight || currentTireWeight;
+  const stock = {
+    diameter: currentDiameter,
+    wheelDiameter: options.currentWheelDiameter,
+    weight: loadedWeight,
+    tireWeight: currentTireWeight,
+    wheelWeight: options.wheelWeight,
+    rollingResistance: TREAD_ROLLING_RESISTANCE[options.currentTreadType] || TREAD_ROLLING_RESISTANCE.all_terrain
+  };
+  const upgraded = {
+    diameter: newDiameter,
+    wheelDiameter: options.newWheelDiameter || options.currentWheelDiameter,
+    weight: loadedWeight + (newTireWeight - currentTireWeight) * 4,
+    tireWeight: newTireWeight,
+    wheelWeight: options.wheelWeight,
+    rollingResistance: TREAD_ROLLING_RESISTANCE[options.newTreadType] || TREAD_ROLLING_RESISTANCE.all_terrain
+  };
+
+  // Simulation runs in mph; benchmarks follow the selected unit system
+  const runs = (BENCHMARKS[units.id] || BENCHMARKS.imperial).map(run => ({
+    ...run,
+    fromMPH: fromDisplayUnits(run.from, 'speed', units.id),
+    toMPH: fromDisplayUnits(run.to, 'speed', units.id)
+  }));
+  const targetSpeeds = [...new Set(runs.flatMap(run => [run.fromMPH, run.toMPH]))];
+  const currentRun = simulateAcceleration(setup, stock, targetSpeeds);
+  const newRun = simulateAcceleration(setup, upgraded, targetSpeeds);
+
+  const benchmarks = runs.map(run => {
+    const current = elapsed(currentRun.times, run);
+    const next = elapsed(newRun.times, run);
+    const change = current !== null && next !== null ? next - current : null;
+    return {
+      label: `${run.from}-${run.to} ${units.labels.speed}`,
+      from: run.from,
+      to: run.to,
+      current,
+      new: next,
+      change,
+      changePercentage: change !== null ? (change / current) * 100 : null
+    };
+  });
+
+  return {
+    engine: { id: engine.id, name: engine.name },
+    speedUnit: units.labels.speed,
+    vehicle: {
+      weight: { current: stock.weight, new: upgraded.weight },
+      rotatingEquivalentWeight: {
+        current: calculateRotatingEquivalentWeight(stock),
+        new: calculateRotatingEquivalentWeight(upgraded)
+      }
+    },
+    shifts: { current: currentRun.shifts, new: newRun.shifts },
+    benchmarks,
+    summary: summarizeAcceleration(benchmarks)
+  };
+}
+
+function elapsed(times, run) {
+  const start = times[run.fromMPH];
+  const end = times[run.toMPH];
+  return start !== null && end !== null ? end - start : null;
+}
+
+function summarizeAcceleration(benchmarks) {
+  return benchmarks
+    .map(run => {
+      if (run.change === null) {
+        return `${run.label}: ${run.new === null ? 'not reached' : `${run.new.toFixed(1)} s`}`;
+      }
+      const sign = run.change > 0 ? '+' : '';
+      return `${run.label}: ${run.current.toFixed(1)} s → ${run.new.toFixed(1)} s (${sign}${run.change.toFixed(1)} s)`;
+    })
+    .join(', ');
+}
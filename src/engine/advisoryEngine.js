@@ -4,6 +4,11 @@
  * Based on real-world off-road and overland experience
  */
 
+import { formatEconomyChange } from './fuelEconomy.js';
+
+// Modeled combined fuel economy loss (%) worth a warning
+const FUEL_ECONOMY_WARNING = 3;
+
 /**
  * Generate comprehensive advisory report
  * @param {Object} comparison - Tire comparison results
@@ -76,8 +81,24 @@ function generateWarnings(comparison, intendedUse, vehicleInfo) {
     warnings.important.push({
       category: 'Braking',
       message: 'Braking performance will be reduced',
-      detail: 'Larger tire diameter increases rotational mass and reduces braking leverage. Brake pad wear will increase. Consider brake upgrades for heavy vehicles or frequent towing.',
-      action: 'Upgrade brake pads, test stopping distances, consider bigger brake kit'
+      detail: comparison.braking
+        ? `Stopping distance ${comparison.braking.summary}. Larger tire diameter increases rotational mass and reduces braking leverage. Brake pad wear will increase.`
+        : 'Larger tire diameter increases rotational mass and reduces braking leverage. Brake pad wear will increase. Consider brake upgrades for heavy vehicles or frequent towing.',
+      action: comparison.brakeSizing?.recommended
+        ? `Fit the ${comparison.brakeSizing.recommended.name} before driving loaded`
+        : 'Upgrade brake pads, test stopping distances, consider bigger brake kit'
+    });
+  }
+
+  if (comparison.axleMismatch?.status === 'exceeds') {
+    const mismatch = comparison.axleMismatch;
+    warnings[mismatch.driveSystem === 'awd' ? 'critical' : 'important'].push({
+      category: 'Drivetrain',
+      message: `Front and rear axles turn ${Math.abs(mismatch.new.mismatch).toFixed(1)}% apart`,
+      detail: mismatch.warnings[0],
+      action: Math.abs(mismatch.new.tireContribution) >= Math.abs(mismatch.new.ratioContribution)
+        ? 'Run the same tire size on both axles, or stay in 2WD'
+        : `Match the axle ratios (a ${mismatch.matchingFrontRatio.toFixed(2)} front ratio pairs with this setup), or stay in 2WD`
     });
   }
 
@@ -100,11 +121,17 @@ function generateWarnings(comparison, intendedUse, vehicleInfo) {
   }
 
   // Advisory warnings (good to know, plan accordingly)
-  if (diameterPct > 5) {
+  const fuelEconomy = comparison.fuelEconomy;
+  if (fuelEconomy && fuelEconomy.change.combined <= -FUEL_ECONOMY_WARNING) {
+    const causes = fuelEconomy.contributions
+      .filter(contribution => contribution.percent < 0)
+      .sort((a, b) => a.percent - b.percent)
+      .slice(0, 2)
+      .map(contribution => `${contribution.name.toLowerCase()} (${contribution.percent.toFixed(1)}%)`);
     warnings.advisory.push({
       category: 'Fuel Economy',
       message: 'Fuel economy will decrease',
-      detail: `Larger tire diameter increases rotational mass and rolling resistance. Expect 1-3 MPG decrease depending on driving conditions and gearing.`,
+      detail: `${fuelEconomy.summary}. Biggest factors: ${causes.join(' and ')}.`,
       action: 'Factor increased fuel costs into build budget'
     });
   }
@@ -128,6 +155,20 @@ function generateWarnings(comparison, intendedUse, vehicleInfo) {
     });
   }
 
+  // Rim width outside the tire's approved range (only when rim widths were entered)
+  if (comparison.rimFit) {
+    [['Current', comparison.rimFit.current], ['New', comparison.rimFit.new]].forEach(([label, fit]) => {
+      fit.warnings.forEach(warning => {
+        warnings.important.push({
+          category: 'Wheels',
+          message: `${label} tire: ${warning.message}`,
+          detail: warning.detail,
+          action: `Use a ${fit.approvedRange.min}"-${fit.approvedRange.max}" wide wheel (${fit.approvedRange.measuring}" measuring rim)`
+        });
+      });
+    });
+  }
+
   if (comparison.new.isLT === false && intendedUse !== 'daily_driver') {
     warnings.advisory.push({
       category: 'Load Rating',
@@ -182,13 +223,13 @@ function generateRecommendations(comparison, intendedUse, vehicleInfo) {
 
   // Gearing recommendations
   if (diameterPct > 5 && comparison.drivetrainImpact) {
-    const rpm = comparison.drivetrainImpact.rpm.new;
+    const { new: rpm, testSpeed, testSpeedUnit } = comparison.drivetrainImpact.rpm;
     recommendations.push({
       category: 'Drivetrain',
       title: 'Re-Gearing',
       priority: diameterPct > 10 ? 'critical' : 'high',
       items: [
-        `Current: ${rpm.toFixed(0)} RPM at 65 mph with new tires`,
+        `Current: ${rpm.toFixed(0)} RPM at ${testSpeed} ${testSpeedUnit} with new tires`,
         'Re-gear both axles together for 4WD/AWD',
         'Install lockers at same time to save labor cost',
         'Speedometer recalibration required after re-gear'
@@ -248,6 +289,7 @@ function generateRecommendations(comparison, intendedUse, vehicleInfo) {
  */
 function assessBuildImpact(comparison, intendedUse) {
   const diameterPct = comparison.differences.diameter.percentage;
+  const fuelLoss = comparison.fuelEconomy ? -comparison.fuelEconomy.change.combined : 0;
 
   return {
     suspension: {
@@ -269,14 +311,20 @@ function assessBuildImpact(comparison, intendedUse) {
     },
     brakes: {
       impact: diameterPct > 8 ? 'high' : diameterPct > 4 ? 'medium' : 'low',
-      description: 'Larger diameter reduces braking leverage',
-      modifications: diameterPct > 8
-        ? ['Upgrade brake pads', 'Consider larger rotor kit']
-        : ['Upgrade to performance brake pads']
+      description: comparison.braking
+        ? `Larger diameter reduces braking leverage: ${comparison.braking.summary}`
+        : 'Larger diameter reduces braking leverage',
+      modifications: comparison.brakeSizing?.recommended
+        ? [comparison.brakeSizing.recommended.name]
+        : diameterPct > 8
+          ? ['Upgrade brake pads', 'Consider larger rotor kit']
+          : ['Upgrade to performance brake pads']
     },
     fuelEconomy: {
-      impact: diameterPct > 7 ? 'high' : diameterPct > 3 ? 'medium' : 'low',
-      description: `Estimated ${Math.round(diameterPct / 3)}-${Math.round(diameterPct / 2)} MPG reduction`,
+      impact: fuelLoss > 7 ? 'high' : fuelLoss > 3 ? 'medium' : 'low',
+      description: comparison.fuelEconomy
+        ? `Estimated ${describeEconomyChange(comparison.fuelEconomy)} (${comparison.fuelEconomy.change.combined.toFixed(1)}% combined)`
+        : 'Add tire and vehicle details to estimate fuel economy',
       note: 'Re-gearing helps but won\'t fully restore economy'
     }
   };
@@ -379,8 +427,10 @@ function generateOverlandingAdvice(comparison, intendedUse) {
     fuelRange: {
       title: 'Fuel Range Impact',
       advice: [
-        `Expect ~${Math.round(comparison.differences.diameter.percentage / 2.5)} MPG decrease`,
-        'Larger tires reduce effective fuel range',
+        comparison.fuelEconomy
+          ? `Expect ${describeEconomyChange(comparison.fuelEconomy)}`
+          : 'Expect lower fuel economy from the added weight and rolling resistance',
+        comparison.fuelRange ? comparison.fuelRange.summary : 'Larger tires reduce effective fuel range',
         'Plan fuel stops conservatively in remote areas',
         'Auxiliary fuel tank or jerry cans may be necessary'
       ]
@@ -388,6 +438,13 @@ function generateOverlandingAdvice(comparison, intendedUse) {
   };
 }
 
+/**
+ * Estimated economy range against the baseline, e.g. "0.9-1.0 mpg decrease"
+ */
+function describeEconomyChange(fuelEconomy) {
+  return formatEconomyChange(fuelEconomy.baseline, [fuelEconomy.estimate.low, fuelEconomy.estimate.high], fuelEconomy.unitSystem);
+}
+
 /**
  * Determine overall severity level
  */
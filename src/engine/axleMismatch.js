@@ -0,0 +1,142 @@
+/**
+ * Front / Rear Axle Mismatch
+ *
+ * PURPOSE: Catch staggered tire sizes and mismatched front and rear axle
+ * ratios (swapped front diff, a spare on one axle) before they bind the
+ * driveline in 4WD or cook an AWD coupling.
+ *
+ * METHODOLOGY:
+ * - With both axles driven, each driveshaft turn moves an axle
+ *   diameter / ratio forward
+ * - Mismatch (%) = (front diameter / front ratio) / (rear diameter / rear ratio) − 1
+ *   Positive: the front axle wants to run faster than the rear
+ * - Tolerance depends on what sits between the axles:
+ *   - Part-time 4WD: locked transfer case, the tires scrub out the difference (~1%)
+ *   - Full-time 4WD: an open center diff absorbs it but runs constantly (~3%)
+ *   - AWD coupling: viscous / clutch packs slip and heat (~0.3%, the
+ *     1/4" circumference rule manufacturers publish)
+ * - Front ratio that cancels the mismatch = rear ratio × front diameter / rear diameter
+ *
+ * EXAMPLE:
+ * - 35" front / 33" rear on 4.10 axles, part-time: front runs 6.1% fast,
+ *   far past 1%; a 4.35 front ratio would cancel it
+ */
+
+// Wheel-speed mismatch each system tolerates, in percent
+export const DRIVE_SYSTEMS = {
+  part_time: {
+    name: 'Part-time 4WD',
+    tolerance: 1.0,
+    effect: 'the locked transfer case binds - expect tire scrub, hopping in turns and driveline wind-up in 4WD even off pavement'
+  },
+  full_time: {
+    name: 'Full-time 4WD (center differential)',
+    tolerance: 3.0,
+    effect: 'the center differential spins constantly - heat and wear in the center diff, and binding whenever it is locked'
+  },
+  awd: {
+    name: 'AWD (viscous / clutch coupling)',
+    tolerance: 0.3,
+    effect: 'the coupling slips continuously - overheated fluid and clutch packs, a common cause of AWD coupling failure'
+  },
+  two_wd: {
+    name: '2WD',
+    tolerance: null,
+    effect: null
+  }
+};
+
+export const DEFAULT_DRIVE_SYSTEM = 'part_time';
+
+/**
+ * Wheel-speed mismatch between the front and rear axle
+ *
+ * @param {Object} front - { diameter (inches), ratio }
+ * @param {Object} rear - { diameter (inches), ratio }
+ * @returns {number} Mismatch (%), positive when the front axle wants to run faster
+ */
+export function calculateWheelSpeedMismatch(front, rear) {
+  return ((front.diameter / front.ratio) / (rear.diameter / rear.ratio) - 1) * 100;
+}
+
+/**
+ * Front axle ratio that makes both axles turn together
+ *
+ * @param {number} frontDiameter - Front tire diameter (inches)
+ * @param {number} rearDiameter - Rear tire diameter (inches)
+ * @param {number} rearRatio - Rear axle ratio
+ * @returns {number} Matching front ratio
+ */
+export function calculateMatchingFrontRatio(frontDiameter, rearDiameter, rearRatio) {
+  return rearRatio * (frontDiameter / rearDiameter);
+}
+
+/**
+ * Axle mismatch before and after a tire change
+ *
+ * @param {Object} setups - { current: { front, rear }, new: { front, rear } }, each axle { diameter, ratio }
+ * @param {string} driveSystem - 'part_time' (default), 'full_time', 'awd' or 'two_wd'
+ * @returns {Object} { driveSystem, tolerance, current, new, matchingFrontRatio, status, warnings, summary }
+ */
+export function analyzeAxleMismatch(setups, driveSystem = DEFAULT_DRIVE_SYSTEM) {
+  const system = DRIVE_SYSTEMS[driveSystem];
+  if (!system) {
+    throw new Error(`Unknown drive system: ${driveSystem}`);
+  }
+
+  const describe = ({ front, rear }) => {
+    const mismatch = calculateWheelSpeedMismatch(front, rear);
+    return {
+      front,
+      rear,
+      mismatch,
+      tireContribution: (front.diameter / rear.diameter - 1) * 100,
+      ratioContribution: (rear.ratio / front.ratio - 1) * 100,
+      withinTolerance: system.tolerance === null || Math.abs(mismatch) <= system.tolerance
+    };
+  };
+  const current = describe(setups.current);
+  const next = describe(setups.new);
+
+  const status = system.tolerance === null
+    ? 'not_driven'
+    : next.withinTolerance ? 'ok' : 'exceeds';
+
+  const warnings = [];
+  if (status === 'exceeds') {
+    const faster = next.mismatch > 0 ? 'front' : 'rear';
+    warnings.push(
+      `${faster === 'front' ? 'Front' : 'Rear'} axle wants to turn ${Math.abs(next.mismatch).toFixed(1)}% faster - ` +
+      `above the ~${system.tolerance}% a ${system.name} system tolerates: ${system.effect}`
+    );
+    if (Math.abs(next.tireContribution) > system.tolerance) {
+      warnings.push(`Front and rear tires differ by ${Math.abs(next.tireContribution).toFixed(1)}% in diameter - run the same size on both axles`);
+    }
+    if (Math.abs(next.ratioContribution) > system.tolerance) {
+      warnings.push(`Front and rear axle ratios differ by ${Math.abs(next.ratioContribution).toFixed(1)}% - regear both axles to the same ratio`);
+    }
+  }
+
+  return {
+    driveSystem,
+    driveSystemName: system.name,
+    tolerance: system.tolerance,
+    current,
+    new: next,
+    matchingFrontRatio: calculateMatchingFrontRatio(setups.new.front.diameter, setups.new.rear.diameter, setups.new.rear.ratio),
+    status,
+    warnings,
+    summary: summarizeMismatch(status, next, system)
+  };
+}
+
+function summarizeMismatch(status, next, system) {
+  const amount = `${Math.abs(next.mismatch).toFixed(1)}%`;
+  if (status === 'not_driven') {
+    return `Axles turn ${amount} apart - no bind with only one axle driven`;
+  }
+  if (status === 'exceeds') {
+    return `Axles turn ${amount} apart - exceeds the ~${system.tolerance}% ${system.name} tolerance`;
+  }
+  return `Axles turn ${amount} apart - within the ~${system.tolerance}% ${system.name} tolerance`;
+}
@@ -0,0 +1,341 @@
+/**
+ * Brake Hardware Sizing
+ *
+ * PURPOSE: Answer "do I need the brake swap?" for bigger tires: the torque the
+ * stock brakes make against the torque the new tires and load need, how hot
+ * the rotors get on a long descent, and which swaps close the gap.
+ *
+ * METHODOLOGY:
+ * - Brake torque per corner at DESIGN_LINE_PRESSURE (a hard stop):
+ *   - Disc: 2 pad faces × pad μ × pressure × piston area (one side) × effective
+ *     radius (rotor radius − half the pad height)
+ *   - Drum: brake factor × pressure × wheel cylinder area × drum radius
+ * - Required torque: enough to use full tire grip (TIRE_FRICTION, see braking.js)
+ *   on the new tire radius with the loaded weight and rotating mass
+ *   - Margin = available / required: 1.1+ adequate, 1.0+ marginal, below that undersized
+ *   - The factory sized the brakes for the stock tires: hardware data that reads
+ *     short of an adequate margin there is scaled up to it, so the margin
+ *     measures the tire and load change rather than the data
+ * - Long descent (default 6% for 5 miles at 45 mph, no engine braking):
+ *   - Brake power = (grade force − rolling resistance − aero drag) × speed,
+ *     split front / rear by torque share
+ *   - Each rotor heats toward P / hA with time constant m·c / hA
+ *     (cast iron c = 0.11 BTU/lb·°F, h grows with speed, vanes add cooling area)
+ *   - A peak above the pad's fade temperature is flagged
+ * - Platforms are matched on the vehicle preset label, so only the generation the
+ *   hardware came on is checked
+ * - Swaps: every kit for the vehicle category (src/data/brake-systems.json),
+ *   alone and as front + rear pairs, that clears the new wheels. The cheapest
+ *   one that restores an adequate margin without fade is recommended
+ *
+ * EXAMPLE:
+ * - Tacoma, 48 lb 31.6" → 72 lb 35" on 17" wheels, 800 lb load: 5,396 lb-ft
+ *   available vs 6,529 needed (83%, undersized) and the front rotors pass the
+ *   pads' 650°F fade point on the descent. The 4Runner / GX 13.3" swap only
+ *   reaches 93%; the Tundra / Sequoia 13.9" swap restores 115% and is recommended
+ */
+
+import brakeData from '../data/brake-systems.json' with { type: 'json' };
+import { calculateRotatingEquivalentWeight } from './accelerationSim.js';
+import { calculateLoadedWeight } from './overlandLoad.js';
+import { TIRE_FRICTION } from './braking.js';
+import { calculateAeroDrag, TREAD_ROLLING_RESISTANCE } from './gradeability.js';
+import { getUnitSystem, formatMeasurement } from './units.js';
+
+// Line pressure in a hard stop (PSI)
+export const DESIGN_LINE_PRESSURE = 1200;
+
+// Radial pad height (inches): the pad acts at the rotor radius minus half of it
+export const PAD_HEIGHT = 2.0;
+
+// Available / required torque
+export const TORQUE_MARGIN = { adequate: 1.1, marginal: 1.0 };
+
+// Long mountain descent: grade (%), length (miles), speed (mph)
+export const DEFAULT_DESCENT = { grade: 6, length: 5, speed: 45 };
+
+// Rotor temperature at the top of the descent (°F)
+export const AMBIENT_TEMPERATURE = 80;
+
+const ROTOR_SPECIFIC_HEAT = 0.11; // BTU/lb·°F, cast iron
+const COOLING = { base: 1, perMph: 0.18 }; // BTU/hr·ft²·°F
+const VENTED_AREA_FACTOR = 1.8; // vanes add cooling area
+const FT_LBF_PER_BTU = 778.17;
+
+/**
+ * Stock brake hardware for a vehicle preset
+ *
+ * @param {string} vehicleLabel - Preset label from the vehicle selector
+ * @returns {Object|null} { category, label, presets, front, rear }, null for other generations
+ */
+export function getBrakePlatform(vehicleLabel) {
+  return brakeData.platforms.find(platform => platform.presets.includes(vehicleLabel)) || null;
+}
+
+/**
+ * Brake swaps and kits that fit a vehicle category
+ *
+ * @param {string} category - Vehicle category
+ * @returns {Object[]} Kits ({ id, name, axle, changes, minWheelDiameter, cost, notes })
+ */
+export function getBrakeKits(category) {
+  return brakeData.kits.filter(kit => kit.fits.includes('all') || kit.fits.includes(category));
+}
+
+/**
+ * Torque one brake makes at a line pressure
+ *
+ * @param {Object} brake - { type: 'disc' or 'drum', diameter (inches), pistonArea (in²), padFriction, brakeFactor }
+ * @param {number} pressure - Line pressure (PSI, default DESIGN_LINE_PRESSURE)
+ * @returns {number} Torque (lb-ft)
+ */
+export function calculateCornerTorque(brake, pressure = DESIGN_LINE_PRESSURE) {
+  if (brake.type === 'drum') {
+    return (brake.brakeFactor * pressure * brake.pistonArea * (brake.diameter / 2)) / 12;
+  }
+  const effectiveRadius = brake.diameter / 2 - PAD_HEIGHT / 2;
+  return (2 * brake.padFriction * pressure * brake.pistonArea * effectiveRadius) / 12;
+}
+
+/**
+ * Brake torque of a full setup
+ *
+ * @param {Object} brakes - { front, rear } brake hardware
+ * @returns {Object} { front, rear, total (lb-ft, both corners of each axle), frontShare }
+ */
+export function calculateBrakeSystemTorque(brakes) {
+  const front = 2 * calculateCornerTorque(brakes.front);
+  const rear = 2 * calculateCornerTorque(brakes.rear);
+  return { front, rear, total: front + rear, frontShare: front / (front + rear) };
+}
+
+/**
+ * Torque needed to stop at full tire grip
+ *
+ * @param {Object} vehicle - { diameter, wheelDiameter (inches), weight, tireWeight, wheelWeight (lbs) }
+ * @returns {number} Total torque at the four wheels (lb-ft)
+ */
+export function calculateRequiredTorque(vehicle) {
+  const effectiveWeight = vehicle.weight + calculateRotatingEquivalentWeight(vehicle);
+  return TIRE_FRICTION * effectiveWeight * (vehicle.diameter / 24);
+}
+
+/**
+ * Rotor temperature rise on a long descent
+ *
+ * @param {Object} brakes - { front, rear } brake hardware
+ * @param {number} weight - Loaded vehicle weight (lbs)
+ * @param {Object} descent - { grade (%), length (miles), speed (mph) }
+ * @param {number} rollingResistance - Crr (default all-terrain)
+ * @returns {Object} { power (ft·lbf/s, all brakes), duration (s), front, rear } - each axle { temperatureRise, peakTemperature, fadeTemperature, fades }
+ */
+export function calculateDescentHeating(brakes, weight, descent = DEFAULT_DESCENT, rollingResistance = TREAD_ROLLING_RESISTANCE.all_terrain) {
+  const speedFps = (descent.speed * 5280) / 3600;
+  const angle = Math.atan(descent.grade / 100);
+  const retardingForce = weight * Math.sin(angle) - rollingResistance * weight * Math.cos(angle) - calculateAeroDrag(descent.speed);
+  const power = Math.max(0, retardingForce * speedFps);
+  const duration = (descent.length / descent.speed) * 3600;
+  const { frontShare } = calculateBrakeSystemTorque(brakes);
+
+  const axleHeating = (brake, share) => {
+    const radiusFt = brake.diameter / 24;
+    const area = 2 * Math.PI * radiusFt * radiusFt * (brake.vented ? VENTED_AREA_FACTOR : 1);
+    const hA = ((COOLING.base + COOLING.perMph * descent.speed) * area) / 3600; // BTU/s·°F
+    const heatInput = (power * share) / 2 / FT_LBF_PER_BTU; // BTU/s per rotor
+    const timeConstant = (brake.mass * ROTOR_SPECIFIC_HEAT) / hA;
+    const temperatureRise = (heatInput / hA) * (1 - Math.exp(-duration / timeConstant));
+    const peakTemperature = AMBIENT_TEMPERATURE + temperatureRise;
+    return {
+      temperatureRise,
+      peakTemperature,
+      fadeTemperature: brake.padMaxTemp,
+      fades: peakTemperature > brake.padMaxTemp
+    };
+  };
+
+  return {
+    power,
+    duration,
+    front: axleHeating(brakes.front, frontShare),
+    rear: axleHeating(brakes.rear, 1 - frontShare)
+  };
+}
+
+/**
+ * Brake hardware against the new tires and load, with swap recommendations
+ *
+ * @param {number} currentDiameter - Current tire diameter (inches)
+ * @param {number} newDiameter - New tire diameter (inches)
+ * @param {string|Object} unitSystem - 'imperial' or 'metric'
+ * @param {Object} options - Vehicle details (imperial units)
+ * @param {string} options.vehicleLabel - Vehicle preset label with stock brake data
+ * @param {number} options.vehicleWeight - Vehicle weight without load (lbs, default 4,500)
+ * @param {number} options.expeditionLoad - Expedition load (lbs)
+ * @param {number} options.currentTireWeight - Current tire weight, each (lbs)
+ * @param {number} options.newTireWeight - New tire weight, each (lbs)
+ * @param {number} options.currentWheelDiameter - Current wheel diameter (inches)
+ * @param {number} options.newWheelDiameter - New wheel diameter (inches), for caliper clearance
+ * @param {Object} options.descent - { grade (%), length (miles), speed (mph) } (default DEFAULT_DESCENT)
+ * @returns {Object|null} { platform, torque, required, margin, status, heating, descent, swaps, recommended, warnings, summary }, null without stock brake data
+ */
+export function analyzeBrakeSizing(currentDiameter, newDiameter, unitSystem, options = {}) {
+  const platform = getBrakePlatform(options.vehicleLabel);
+  if (!platform) {
+    return null;
+  }
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const descent = { ...DEFAULT_DESCENT, ...options.descent };
+
+  const vehicleWeight = calculateLoadedWeight(0, options.vehicleWeight);
+  const currentTireWeight = options.currentTireWeight || 0;
+  const newTireWeight = options.newTireWeight || currentTireWeight;
+  const newWheelDiameter = options.newWheelDiameter || options.currentWheelDiameter;
+  const stockVehicle = {
+    diameter: currentDiameter,
+    wheelDiameter: options.currentWheelDiameter,
+    weight: vehicleWeight,
+    tireWeight: currentTireWeight
+  };
+  const newVehicle = {
+    diameter: newDiameter,
+    wheelDiameter: newWheelDiameter,
+    weight: vehicleWeight + (newTireWeight - currentTireWeight) * 4,
+    tireWeight: newTireWeight
+  };
+  const loadedVehicle = { ...newVehicle, weight: calculateLoadedWeight(options.expeditionLoad, newVehicle.weight) };
+
+  const required = {
+    stock: calculateRequiredTorque(stockVehicle),
+    new: calculateRequiredTorque(newVehicle),
+    loaded: calculateRequiredTorque(loadedVehicle)
+  };
+  // Stock hardware is at least adequate on the stock tires
+  const stockMargin = calculateBrakeSystemTorque(platform).total / required.stock;
+  const calibration = Math.max(1, TORQUE_MARGIN.adequate / stockMargin);
+
+  const rollingResistance = TREAD_ROLLING_RESISTANCE[options.newTreadType] || TREAD_ROLLING_RESISTANCE.all_terrain;
+  const evaluate = brakes => {
+    const rated = calculateBrakeSystemTorque(brakes);
+    const torque = {
+      front: rated.front * calibration,
+      rear: rated.rear * calibration,
+      total: rated.total * calibration,
+      frontShare: rated.frontShare
+    };
+    const margin = torque.total / required.loaded;
+    const heating = calculateDescentHeating(brakes, loadedVehicle.weight, descent, rollingResistance);
+    return { brakes, torque, margin, status: getMarginStatus(margin), heating, fades: heating.front.fades || heating.rear.fades };
+  };
+
+  const stock = evaluate({ front: platform.front, rear: platform.rear });
+  const swaps = buildSwapOptions(getBrakeKits(platform.category), platform)
+    .map(option => ({
+      ...option,
+      clearsWheels: option.kits.every(kit => !newWheelDiameter || newWheelDiameter >= kit.minWheelDiameter),
+      ...evaluate(option.brakes)
+    }))
+    .sort((a, b) => a.cost.min - b.cost.min || b.margin - a.margin);
+  const recommended = swaps.find(swap => swap.clearsWheels && swap.status === 'adequate' && !swap.fades) || null;
+  const needsUpgrade = stock.status !== 'adequate' || stock.fades;
+
+  const result = {
+    platform: { category: platform.category, label: platform.label, front: platform.front, rear: platform.rear },
+    torque: stock.torque,
+    required,
+    margin: {
+      stock: stock.torque.total / required.stock,
+      new: stock.torque.total / required.new,
+      loaded: stock.margin
+    },
+    status: stock.status,
+    heating: stock.heating,
+    descent: {
+      ...descent,
+      displaySpeed: formatMeasurement(descent.speed, 'speed', units.id, { decimals: 0 }),
+      displayLength: formatMeasurement(descent.length, 'distance', units.id, { decimals: 1 }),
+      drop: (descent.length * 5280 * descent.grade) / 100
+    },
+    needsUpgrade,
+    swaps,
+    recommended: needsUpgrade ? recommended : null
+  };
+  result.warnings = generateBrakeWarnings(result, units);
+  result.summary = summarizeBrakeSizing(result, units);
+  return result;
+}
+
+function getMarginStatus(margin) {
+  if (margin >= TORQUE_MARGIN.adequate) return 'adequate';
+  if (margin >= TORQUE_MARGIN.marginal) return 'marginal';
+  return 'undersized';
+}
+
+// Each kit alone, plus every front + rear pair
+function buildSwapOptions(kits, platform) {
+  const apply = selected => {
+    const brakes = { front: platform.front, rear: platform.rear };
+    selected.forEach(kit => {
+      brakes[kit.axle] = { ...brakes[kit.axle], ...kit.changes };
+    });
+    return {
+      id: selected.map(kit => kit.id).join('+'),
+      name: selected.map(kit => kit.name).join(' + '),
+      kits: selected,
+      brakes,
+      cost: {
+        min: selected.reduce((sum, kit) => sum + kit.cost.min, 0),
+        max: selected.reduce((sum, kit) => sum + kit.cost.max, 0)
+      },
+      notes: selected.map(kit => kit.notes)
+    };
+  };
+
+  const front = kits.filter(kit => kit.axle === 'front');
+  const rear = kits.filter(kit => kit.axle === 'rear');
+  const pairs = front.flatMap(frontKit => rear.map(rearKit => [frontKit, rearKit]));
+  return [...kits.map(kit => [kit]), ...pairs].map(apply);
+}
+
+function generateBrakeWarnings(result, units) {
+  const warnings = [];
+  const torque = value => formatMeasurement(value, 'torque', units.id);
+  const temperature = value => formatMeasurement(value, 'temperature', units.id);
+
+  if (result.status !== 'adequate') {
+    warnings.push({
+      severity: result.status === 'undersized' ? 'high' : 'moderate',
+      component: 'Brakes',
+      message: `Stock brakes make ${torque(result.torque.total)}, ${torque(result.required.loaded)} needed to use full tire grip on the new tires loaded (${(result.margin.loaded * 100).toFixed(0)}%).`
+    });
+  }
+  ['front', 'rear'].forEach(axle => {
+    const heating = result.heating[axle];
+    if (heating.fades) {
+      warnings.push({
+        severity: 'high',
+        component: 'Brakes',
+        message: `${axle === 'front' ? 'Front' : 'Rear'} ${result.platform[axle].type === 'drum' ? 'drums' : 'rotors'} reach ${temperature(heating.peakTemperature)} on a ${result.descent.grade}% descent, past the ${temperature(heating.fadeTemperature)} fade point - downshift to hold speed.`
+      });
+    }
+  });
+  if (result.needsUpgrade && !result.recommended) {
+    warnings.push({
+      severity: 'moderate',
+      component: 'Brakes',
+      message: 'No listed swap restores the margin on these wheels - consider a custom big brake kit or lighter tires.'
+    });
+  }
+  return warnings;
+}
+
+function summarizeBrakeSizing(result, units) {
+  const percent = `${(result.margin.loaded * 100).toFixed(0)}% of the torque needed`;
+  const fadeText = result.heating.front.fades || result.heating.rear.fades ? ', fades on long descents' : '';
+  if (!result.needsUpgrade) {
+    return `Stock ${result.platform.label} brakes are ${result.status} for the new tires loaded (${percent})`;
+  }
+  return `Stock ${result.platform.label} brakes are ${result.status} for the new tires loaded (${percent}${fadeText})` +
+    (result.recommended
+      ? ` - the ${result.recommended.name} restores ${(result.recommended.margin * 100).toFixed(0)}% ($${result.recommended.cost.min}-${result.recommended.cost.max})`
+      : '');
+}
@@ -0,0 +1,179 @@
+/**
+ * Braking Distance Model
+ *
+ * PURPOSE: Estimate the stop from 60 mph (100 km/h) on the stock tires, the
+ * new tires and the new tires with expedition load, instead of a "braking
+ * will be reduced" note.
+ *
+ * METHODOLOGY:
+ * - Stopping distance = v² / (2 × deceleration), brakes fully applied
+ *   (driver reaction time is the same for every setup and left out)
+ * - Deceleration is the lower of two limits:
+ *   - Tire grip: μ × g, with μ falling as the tires carry more weight
+ *     (load sensitivity: μ = 0.8 × (weight / unloaded weight)^-0.1)
+ *   - Brake torque: torque / tire radius, decelerating the vehicle mass plus
+ *     the rotating equivalent mass of the tires and wheels (I / r², see accelerationSim.js)
+ * - Brake torque capacity is the torque all four brakes can hold at a firm
+ *   pedal. Unknown: stock brakes are assumed to reach 0.9 g on the stock tires
+ *   unloaded - slightly more than the tires can use, so a stock stop is grip limited
+ * - Taller tires give the same brakes less leverage, heavier tires and load
+ *   add mass: once the brake limit falls below the grip limit, every pound
+ *   and inch lengthens the stop
+ *
+ * EXAMPLE:
+ * - 4,500 lb vehicle, 48 lb 31.6" → 72 lb 35" tires, 800 lb load:
+ *   150 ft stock, 153 ft on the new tires (+1.7%), 179 ft loaded (+19%)
+ */
+
+import { calculateRotatingEquivalentWeight } from './accelerationSim.js';
+import { calculateLoadedWeight } from './overlandLoad.js';
+import { getUnitSystem, fromDisplayUnits, formatMeasurement } from './units.js';
+
+// Peak tire-road friction, dry pavement
+export const TIRE_FRICTION = 0.8;
+
+// Exponent of the friction drop with tire load
+export const LOAD_SENSITIVITY = 0.1;
+
+// Deceleration the stock brakes reach on the stock tires, unloaded (g)
+export const BRAKE_DESIGN_DECELERATION = 0.9;
+
+const GRAVITY = 32.174; // ft/s²
+const FPS_PER_MPH = 5280 / 3600;
+
+/**
+ * Stopping distance from a speed at constant deceleration
+ *
+ * @param {number} speed - Speed (mph)
+ * @param {number} deceleration - Deceleration (g)
+ * @returns {number} Distance (ft)
+ */
+export function calculateStoppingDistance(speed, deceleration) {
+  const velocity = speed * FPS_PER_MPH;
+  return (velocity * velocity) / (2 * deceleration * GRAVITY);
+}
+
+/**
+ * Brake torque that stops a setup at a given deceleration
+ *
+ * @param {Object} vehicle - { diameter, wheelDiameter (inches), weight, tireWeight, wheelWeight (lbs) }
+ * @param {number} deceleration - Deceleration (g, default BRAKE_DESIGN_DECELERATION)
+ * @returns {number} Total torque at the four wheels (lb-ft)
+ */
+export function calculateBrakeTorque(vehicle, deceleration = BRAKE_DESIGN_DECELERATION) {
+  const effectiveWeight = vehicle.weight + calculateRotatingEquivalentWeight(vehicle);
+  return deceleration * effectiveWeight * (vehicle.diameter / 24);
+}
+
+/**
+ * Deceleration limits for a setup
+ *
+ * @param {Object} vehicle - { diameter, wheelDiameter, weight, tireWeight, wheelWeight }
+ * @param {number} brakeTorque - Total brake torque capacity (lb-ft)
+ * @param {number} referenceWeight - Weight at which the tires grip at TIRE_FRICTION (lbs, default vehicle weight)
+ * @returns {Object} { deceleration, gripLimit, brakeLimit (g), limitedBy: 'tires' or 'brakes' }
+ */
+export function calculateDeceleration(vehicle, brakeTorque, referenceWeight = vehicle.weight) {
+  const gripLimit = TIRE_FRICTION * Math.pow(vehicle.weight / referenceWeight, -LOAD_SENSITIVITY);
+  const effectiveWeight = vehicle.weight + calculateRotatingEquivalentWeight(vehicle);
+  const brakeLimit = brakeTorque / (vehicle.diameter / 24) / effectiveWeight;
+  return {
+    deceleration: Math.min(gripLimit, brakeLimit),
+    gripLimit,
+    brakeLimit,
+    limitedBy: brakeLimit < gripLimit ? 'brakes' : 'tires'
+  };
+}
+
+/**
+ * Stopping distance on the stock tires, the new tires and the new tires loaded
+ *
+ * @param {number} currentDiameter - Current tire diameter (inches)
+ * @param {number} newDiameter - New tire diameter (inches)
+ * @param {string|Object} unitSystem - 'imperial' or 'metric' test speed (60 mph / 100 km/h)
+ * @param {Object} options - Vehicle details (imperial units)
+ * @param {number} options.vehicleWeight - Vehicle weight without load (lbs, default 4,500)
+ * @param {number} options.expeditionLoad - Expedition load (lbs)
+ * @param {number} options.currentTireWeight - Current tire weight, each (lbs)
+ * @param {number} options.newTireWeight - New tire weight, each (lbs)
+ * @param {number} options.currentWheelDiameter - Current wheel diameter (inches)
+ * @param {number} options.newWheelDiameter - New wheel diameter (inches)
+ * @param {number} options.wheelWeight - Wheel weight, each (lbs, default 35)
+ * @param {number} options.brakeTorque - Total brake torque capacity (lb-ft, default from BRAKE_DESIGN_DECELERATION)
+ * @returns {Object} { speed, speedUnit, vehicleWeight, brakeTorque, brakeTorqueEstimated, stock, new, loaded, recommendation, summary }
+ */
+export function analyzeBraking(currentDiameter, newDiameter, unitSystem, options = {}) {
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const speed = fromDisplayUnits(units.referenceSpeed, 'speed', units.id);
+
+  const vehicleWeight = calculateLoadedWeight(0, options.vehicleWeight);
+  const expeditionLoad = Math.max(0, options.expeditionLoad || 0);
+  const currentTireWeight = options.currentTireWeight || 0;
+  const newTireWeight = options.newTireWeight || currentTireWeight;
+  const stockVehicle = {
+    diameter: currentDiameter,
+    wheelDiameter: options.currentWheelDiameter,
+    weight: vehicleWeight,
+    tireWeight: currentTireWeight,
+    wheelWeight: options.wheelWeight
+  };
+  const newVehicle = {
+    diameter: newDiameter,
+    wheelDiameter: options.newWheelDiameter || options.currentWheelDiameter,
+    weight: vehicleWeight + (newTireWeight - currentTireWeight) * 4,
+    tireWeight: newTireWeight,
+    wheelWeight: options.wheelWeight
+  };
+
+  const brakeTorque = options.brakeTorque || calculateBrakeTorque(stockVehicle);
+  const stock = brakingScenario(stockVehicle, brakeTorque, vehicleWeight, speed, null);
+  const upgraded = brakingScenario(newVehicle, brakeTorque, vehicleWeight, speed, stock);
+  const loaded = expeditionLoad > 0
+    ? brakingScenario({ ...newVehicle, weight: newVehicle.weight + expeditionLoad }, brakeTorque, vehicleWeight, speed, stock)
+    : null;
+
+  const worst = loaded || upgraded;
+  return {
+    speed: units.referenceSpeed,
+    speedUnit: units.labels.speed,
+    vehicleWeight,
+    expeditionLoad,
+    brakeTorque,
+    brakeTorqueEstimated: !options.brakeTorque,
+    stock,
+    new: upgraded,
+    loaded,
+    recommendation: getBrakingRecommendation(worst.changePercent),
+    summary: summarizeBraking(stock, upgraded, loaded, units)
+  };
+}
+
+function brakingScenario(vehicle, brakeTorque, referenceWeight, speed, baseline) {
+  const limits = calculateDeceleration(vehicle, brakeTorque, referenceWeight);
+  const distance = calculateStoppingDistance(speed, limits.deceleration);
+  return {
+    vehicle,
+    weight: vehicle.weight,
+    rotatingEquivalentWeight: calculateRotatingEquivalentWeight(vehicle),
+    ...limits,
+    distance,
+    change: baseline ? distance - baseline.distance : 0,
+    changePercent: baseline ? ((distance - baseline.distance) / baseline.distance) * 100 : 0
+  };
+}
+
+function getBrakingRecommendation(changePercent) {
+  if (changePercent > 15) return 'Brake upgrade essential for safe loaded operation';
+  if (changePercent > 10) return 'Brake upgrade strongly recommended';
+  if (changePercent > 5) return 'Monitor brake performance, consider upgrade';
+  return 'Stock brakes adequate';
+}
+
+function summarizeBraking(stock, upgraded, loaded, units) {
+  const distance = (value, options) => formatMeasurement(value, 'shortDistance', units.id, options);
+  const change = scenario => `${distance(scenario.change, { signed: true })}, ${scenario.changePercent >= 0 ? '+' : ''}${scenario.changePercent.toFixed(1)}%`;
+  const limited = (loaded || upgraded).limitedBy === 'brakes' ? ' - brake torque limited' : ' - tire grip limited';
+  return `${units.referenceSpeed}-0 ${units.labels.speed}: ${distance(stock.distance)} → ${distance(upgraded.distance)} on the new tires (${change(upgraded)})` +
+    (loaded ? `, ${distance(loaded.distance)} loaded (${change(loaded)})` : '') +
+    limited;
+}
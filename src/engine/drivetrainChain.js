@@ -0,0 +1,247 @@
+/**
+ * Multi-Stage Drivetrain Chain
+ *
+ * PURPOSE: Model the drivetrain as an ordered list of reduction stages instead
+ * of transmission × one transfer case × axle, so crawler boxes, doubled
+ * transfer cases, underdrives and portal hubs can be compared against a
+ * regear.
+ *
+ * METHODOLOGY:
+ * - Stages, engine to wheel: transmission → underdrive → doubler (second
+ *   transfer case) → transfer case → axle → portal hubs
+ * - Each stage has a low (engaged) and high (bypassed) ratio; fixed stages
+ *   (axle, portals) use the same ratio for both. The transmission sits in
+ *   first gear for crawling and top gear on the highway
+ * - Every combination of the switchable stages is evaluated:
+ *   crawl ratio = Π engaged ratios, crawl speed = RPM × diameter / (ratio × 336)
+ * - Regear equivalent: the axle ratio that gives the same crawl ratio with
+ *   the transfer case low range alone, and the highway RPM it would cost
+ *   (crawler boxes are bypassed on the highway, a regear is not)
+ *
+ * EXAMPLE:
+ * - 3.5 first, 4:1 underdrive, 2.72 low range, 4.10 axle: 39.0:1 → 156.1:1
+ *   with the box engaged; a regear alone would need a 16.40 axle
+ */
+
+import { getUnitSystem, fromDisplayUnits, formatMeasurement } from './units.js';
+
+// Idle-ish engine speed for crawl speed (same as the drivetrain impact)
+export const CRAWL_TEST_RPM = 1000;
+
+// Walking pace used for crawl RPM, in display units
+export const TRAIL_SPEED = { imperial: 3, metric: 5 };
+
+// Combinations grow as 2^n
+export const MAX_SWITCHABLE_STAGES = 4;
+
+// Optional stages built from the drivetrain fields, in chain order
+const AUXILIARY_STAGES = [
+  { id: 'underdrive', field: 'underdriveRatio', name: 'Underdrive / crawler box', type: 'auxiliary' },
+  { id: 'doubler', field: 'doublerRatio', name: 'Doubler (second transfer case)', type: 'auxiliary' }
+];
+
+/**
+ * Ordered reduction stages of a drivetrain
+ *
+ * @param {Object} drivetrain - { axleGearRatio, firstGearRatio, transmissionTopGear, transferCaseRatio,
+ *   transferCaseLowRatio, underdriveRatio, doublerRatio, portalRatio } or { reductionStages }
+ * @returns {Object[]} [{ id, name, type, low, high, switchable }]
+ */
+export function buildDrivetrainChain(drivetrain = {}) {
+  if (Array.isArray(drivetrain.reductionStages)) {
+    return drivetrain.reductionStages.map(normalizeStage);
+  }
+
+  const stages = [
+    {
+      id: 'transmission',
+      name: 'Transmission',
+      type: 'transmission',
+      low: drivetrain.firstGearRatio || 3.5,
+      high: drivetrain.transmissionTopGear || 1.0
+    }
+  ];
+  AUXILIARY_STAGES.forEach(stage => {
+    if (drivetrain[stage.field]) {
+      stages.push({ id: stage.id, name: stage.name, type: stage.type, low: drivetrain[stage.field], high: 1.0 });
+    }
+  });
+  stages.push({
+    id: 'transferCase',
+    name: 'Transfer case low range',
+    type: 'transfer_case',
+    low: drivetrain.transferCaseLowRatio || 2.5,
+    high: drivetrain.transferCaseRatio || 1.0
+  });
+  if (drivetrain.axleGearRatio) {
+    stages.push({ id: 'axle', name: 'Axle', type: 'axle', low: drivetrain.axleGearRatio, high: drivetrain.axleGearRatio });
+  }
+  if (drivetrain.portalRatio) {
+    stages.push({ id: 'portal', name: 'Portal hubs', type: 'portal', low: drivetrain.portalRatio, high: drivetrain.portalRatio });
+  }
+
+  return stages.map(normalizeStage);
+}
+
+/**
+ * Overall ratio with a set of switchable stages engaged
+ *
+ * @param {Object[]} chain - Stages from buildDrivetrainChain
+ * @param {string[]} engaged - Ids of the engaged switchable stages
+ * @param {string} transmissionGear - 'low' (first gear) or 'high' (top gear)
+ * @returns {number} Overall reduction, engine to wheel
+ */
+export function calculateChainRatio(chain, engaged = [], transmissionGear = 'low') {
+  return chain.reduce((ratio, stage) => {
+    if (stage.type === 'transmission') {
+      return ratio * stage[transmissionGear];
+    }
+    return ratio * (stage.switchable && !engaged.includes(stage.id) ? stage.high : stage.low);
+  }, 1);
+}
+
+/**
+ * Every on/off combination of the switchable stages
+ *
+ * @param {Object[]} chain - Stages from buildDrivetrainChain
+ * @returns {Object[]} [{ engaged, label, ratio }] lowest to highest crawl ratio
+ */
+export function getStageCombinations(chain) {
+  const switchable = chain.filter(stage => stage.switchable);
+  if (switchable.length > MAX_SWITCHABLE_STAGES) {
+    throw new Error(`At most ${MAX_SWITCHABLE_STAGES} switchable reduction stages are supported`);
+  }
+
+  const combinations = [];
+  for (let mask = 0; mask < (1 << switchable.length); mask++) {
+    const stages = switchable.filter((_, i) => mask & (1 << i));
+    const engaged = stages.map(stage => stage.id);
+    combinations.push({
+      engaged,
+      label: stages.length > 0 ? stages.map(stage => stage.name).join(' + ') : 'High range',
+      ratio: calculateChainRatio(chain, engaged)
+    });
+  }
+  return combinations.sort((a, b) => a.ratio - b.ratio);
+}
+
+/**
+ * Reduction between the transmission and the wheel outside the axle, on the road
+ * (transfer case high range, bypassed crawl stages, portal hubs)
+ *
+ * @param {Object} drivetrain - Drivetrain specs
+ * @returns {number} Multiplier on the axle ratio for on-road analyses
+ */
+export function getRoadReduction(drivetrain = {}) {
+  return buildDrivetrainChain(drivetrain)
+    .filter(stage => stage.type !== 'transmission' && stage.type !== 'axle')
+    .reduce((ratio, stage) => ratio * stage.high, 1);
+}
+
+/**
+ * Deepest crawl ratio: first gear with every switchable stage engaged
+ *
+ * @param {Object} drivetrain - Drivetrain specs
+ * @returns {number} Crawl ratio
+ */
+export function getCrawlRatio(drivetrain = {}) {
+  const chain = buildDrivetrainChain(drivetrain);
+  return calculateChainRatio(chain, chain.filter(stage => stage.switchable).map(stage => stage.id));
+}
+
+/**
+ * Crawl ratio, crawl speed and RPM for every stage combination, before and after a tire change
+ *
+ * @param {number} currentDiameter - Current tire diameter (inches, effective if rolling radius is used)
+ * @param {number} newDiameter - New tire diameter (inches)
+ * @param {Object} drivetrain - Drivetrain specs (see buildDrivetrainChain)
+ * @param {string|Object} unitSystem - Unit system id or definition
+ * @param {Object} options - { crawlRPM }
+ * @returns {Object|null} { stages, combinations, highwayRPM, maxCrawl, summary }, null without an axle ratio
+ */
+export function analyzeDrivetrainChain(currentDiameter, newDiameter, drivetrain, unitSystem, options = {}) {
+  if (!drivetrain.axleGearRatio && !Array.isArray(drivetrain.reductionStages)) {
+    return null;
+  }
+
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const chain = buildDrivetrainChain(drivetrain);
+  const crawlRPM = options.crawlRPM || CRAWL_TEST_RPM;
+  const trailSpeed = TRAIL_SPEED[units.id] || TRAIL_SPEED.imperial;
+  const trailSpeedMPH = fromDisplayUnits(trailSpeed, 'speed', units.id);
+  const highwaySpeedMPH = fromDisplayUnits(units.highwaySpeed, 'speed', units.id);
+
+  const highwayRatio = calculateChainRatio(chain, [], 'high');
+  const highwayRPM = {
+    speed: units.highwaySpeed,
+    speedUnit: units.labels.speed,
+    current: (highwaySpeedMPH * highwayRatio * 336) / currentDiameter,
+    new: (highwaySpeedMPH * highwayRatio * 336) / newDiameter
+  };
+
+  // Axle ratio that matches a combination with the transfer case low range alone
+  const axle = chain.find(stage => stage.type === 'axle');
+  const transferCaseOnly = chain.filter(stage => stage.switchable && stage.type === 'transfer_case').map(stage => stage.id);
+  const axleFreeRatio = axle ? calculateChainRatio(chain, transferCaseOnly) / axle.low : null;
+
+  const combinations = getStageCombinations(chain).map(combination => {
+    const usesAuxiliary = chain.some(stage => stage.type === 'auxiliary' && combination.engaged.includes(stage.id));
+    const equivalentAxleRatio = usesAuxiliary && axleFreeRatio ? combination.ratio / axleFreeRatio : null;
+    return {
+      ...combination,
+      crawlSpeed: {
+        current: crawlSpeedAt(crawlRPM, currentDiameter, combination.ratio),
+        new: crawlSpeedAt(crawlRPM, newDiameter, combination.ratio)
+      },
+      trailRPM: {
+        current: (trailSpeedMPH * combination.ratio * 336) / currentDiameter,
+        new: (trailSpeedMPH * combination.ratio * 336) / newDiameter
+      },
+      regearEquivalent: equivalentAxleRatio
+        ? { axleRatio: equivalentAxleRatio, highwayRPM: highwayRPM.new * (equivalentAxleRatio / axle.low) }
+        : null
+    };
+  });
+
+  const maxCrawl = combinations[combinations.length - 1];
+  return {
+    stages: chain,
+    crawlRPM,
+    trailSpeed,
+    speedUnit: units.labels.speed,
+    combinations,
+    highwayRPM,
+    maxCrawl,
+    summary: summarizeChain(maxCrawl, crawlRPM, units)
+  };
+}
+
+function normalizeStage(stage) {
+  const low = Number(stage.low || stage.ratio);
+  const high = Number(stage.high || (stage.switchable ? 1.0 : low));
+  if (!(low > 0) || !(high > 0)) {
+    throw new Error(`Reduction stage ${stage.name || stage.id} needs a positive ratio`);
+  }
+  return {
+    id: stage.id,
+    name: stage.name || stage.id,
+    type: stage.type || 'auxiliary',
+    low,
+    high,
+    switchable: stage.type !== 'transmission' && (stage.switchable !== undefined ? stage.switchable : low !== high)
+  };
+}
+
+function crawlSpeedAt(rpm, diameter, ratio) {
+  return (rpm * diameter) / (ratio * 336);
+}
+
+function summarizeChain(maxCrawl, crawlRPM, units) {
+  const speed = formatMeasurement(maxCrawl.crawlSpeed.new, 'speed', units.id, { decimals: 2 });
+  const base = `Up to ${maxCrawl.ratio.toFixed(1)}:1 crawl ratio (${maxCrawl.label}) - ${speed} at ${crawlRPM} RPM on the new tires`;
+  if (!maxCrawl.regearEquivalent) {
+    return base;
+  }
+  return `${base}; matching it by regearing alone would take a ${maxCrawl.regearEquivalent.axleRatio.toFixed(2)} axle ` +
+    `(${Math.round(maxCrawl.regearEquivalent.highwayRPM)} RPM at ${units.highwaySpeed} ${units.labels.speed})`;
+}
@@ -0,0 +1,259 @@
+/**
+ * Fleet / Batch Mode
+ *
+ * PURPOSE: Run a whole fleet of builds in one go - a CSV with one row per
+ * vehicle (vehicle, current tire, new tire, gears, lift, use) - instead of
+ * recomputing each vehicle by hand.
+ *
+ * METHODOLOGY:
+ * - Columns are matched by header name in any order; only the current and new
+ *   tire columns are required
+ * - Each row runs the same pipeline as a single calculation:
+ *   calculateTireComparison, generateRegearRecommendations (when gears are
+ *   given) and generateAdvisory
+ * - Lift is in the selected unit system (inches or mm); use accepts a key
+ *   (rock_crawling) or a name (Rock Crawling) and defaults to weekend trail
+ * - A bad row records its error and the rest of the fleet still runs
+ *
+ * EXAMPLE:
+ * - "Shop Tacoma, 265/70R16, 285/75R16, 3.909, 3, overlanding" →
+ *   +2.2" diameter (+7.2%), regear recommended, 4.19 restores stock gearing
+ */
+
+import { parseTireSize, validateTireCompatibility } from './tireParser.js';
+import { calculateTireComparison } from './tireCalculator.js';
+import { generateRegearRecommendations, getUseCaseProfiles } from './regearEngine.js';
+import { generateAdvisory } from './advisoryEngine.js';
+import { getVehicleSuspensionType } from './clearanceProbability.js';
+import { getUnitSystem, getSpeedKey, fromDisplayUnits } from './units.js';
+
+// Accepted header names per field, compared lowercase without units, spaces or punctuation
+const COLUMN_ALIASES = {
+  vehicle: ['vehicle', 'name', 'build'],
+  currentTire: ['currenttire', 'current', 'stocktire'],
+  newTire: ['newtire', 'new'],
+  gears: ['gears', 'gear', 'gearratio', 'axleratio', 'axlegearratio'],
+  lift: ['lift', 'liftheight'],
+  use: ['use', 'intendeduse']
+};
+
+const DEFAULT_USE = 'weekend_trail';
+
+/**
+ * Parse a fleet CSV into build rows
+ *
+ * @param {string} csvText - Header row, then one build per line (quoted fields may contain commas)
+ * @returns {Object[]} [{ line, vehicle, currentTire, newTire, gears, lift, use }] as entered
+ */
+export function parseFleetCSV(csvText = '') {
+  const lines = csvText
+    .replace(/^\uFEFF/, '')
+    .split('\n')
+    .map((line, i) => ({ line: i + 1, text: line.trim() }))
+    .filter(({ text }) => text);
+
+  if (lines.length === 0) {
+    throw new Error('Fleet CSV is empty');
+  }
+
+  // "Lift (inches)" matches lift, so an exported fleet CSV can be run again
+  const header = splitCSVLine(lines[0].text).map(name => name.replace(/\(.*\)/, '').toLowerCase().replace(/[^a-z]/g, ''));
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = header.findIndex(name => aliases.includes(name));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  });
+
+  if (columns.currentTire === undefined || columns.newTire === undefined) {
+    throw new Error('Fleet CSV needs "current tire" and "new tire" columns');
+  }
+
+  return lines.slice(1).map(({ line, text }) => {
+    const values = splitCSVLine(text);
+    const value = field => (columns[field] !== undefined ? values[columns[field]] || '' : '');
+    return {
+      line,
+      vehicle: value('vehicle'),
+      currentTire: value('currentTire'),
+      newTire: value('newTire'),
+      gears: value('gears'),
+      lift: value('lift'),
+      use: value('use')
+    };
+  });
+}
+
+/**
+ * Resolve a use column value to a use case key
+ *
+ * @param {string} use - Key or name, e.g. "rock_crawling" or "Rock Crawling" (blank = weekend trail)
+ * @returns {string} Use case key
+ */
+export function resolveIntendedUse(use = '') {
+  if (!use.trim()) {
+    return DEFAULT_USE;
+  }
+  const profiles = getUseCaseProfiles();
+  const normalized = use.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const key = Object.keys(profiles).find(id => (
+    id === normalized || profiles[id].name.toLowerCase() === use.trim().toLowerCase()
+  ));
+  if (!key) {
+    throw new Error(`Unknown use "${use}" (use one of ${Object.keys(profiles).join(', ')})`);
+  }
+  return key;
+}
+
+/**
+ * Run every build in a fleet
+ *
+ * @param {Object[]} rows - Rows from parseFleetCSV
+ * @param {Object} options - { unitSystem } (lift is read in this unit system)
+ * @returns {Object} { unitSystem, builds, summary } - each build carries the full
+ *   results ({ comparison, regearRecommendations, advisory, compatibility, formData })
+ *   for drill-down, or an error
+ */
+export function runFleetBatch(rows, options = {}) {
+  if (!rows || rows.length === 0) {
+    throw new Error('Fleet CSV has no builds');
+  }
+  const units = getUnitSystem(options.unitSystem);
+  const speedKey = getSpeedKey(units.referenceSpeed, units.id);
+
+  const builds = rows.map(row => {
+    try {
+      return runBuild(row, units, speedKey);
+    } catch (err) {
+      return { line: row.line, vehicle: row.vehicle, input: row, status: 'error', error: err.message };
+    }
+  });
+
+  return {
+    unitSystem: units.id,
+    referenceSpeed: units.referenceSpeed,
+    builds,
+    summary: summarizeFleet(builds)
+  };
+}
+
+function runBuild(row, units, speedKey) {
+  const intendedUse = resolveIntendedUse(row.use);
+  const axleGearRatio = row.gears ? parseFloat(row.gears) : null;
+  if (row.gears && !(axleGearRatio > 0)) {
+    throw new Error(`Gears should be a ratio like 4.10, not "${row.gears}"`);
+  }
+  const lift = row.lift ? parseFloat(row.lift) : 0;
+  if (!Number.isFinite(lift) || lift < 0) {
+    throw new Error(`Lift should be a height in ${units.id === 'metric' ? 'mm' : 'inches'}, not "${row.lift}"`);
+  }
+  const liftHeight = fromDisplayUnits(lift, 'length', units.id);
+
+  const currentTire = parseTireSize(row.currentTire);
+  const newTire = parseTireSize(row.newTire);
+  const suspensionType = row.vehicle ? getVehicleSuspensionType(row.vehicle) : 'ifs';
+  const drivetrain = { liftHeight, suspensionType };
+  if (axleGearRatio) {
+    drivetrain.axleGearRatio = axleGearRatio;
+  }
+  if (row.vehicle) {
+    drivetrain.vehicleType = row.vehicle;
+  }
+
+  const comparison = calculateTireComparison(currentTire, newTire, drivetrain, {}, intendedUse, {
+    unitSystem: units.id,
+    liftHeight
+  });
+  const regearRecommendations = axleGearRatio
+    ? generateRegearRecommendations(comparison, axleGearRatio, intendedUse, drivetrain, row.vehicle || null)
+    : null;
+  const advisory = generateAdvisory(comparison, intendedUse, { suspensionType });
+  const compatibility = validateTireCompatibility(currentTire, newTire, { unitSystem: units.id });
+  const clearance = comparison.clearance.probabilityAnalysis;
+
+  return {
+    line: row.line,
+    vehicle: row.vehicle,
+    input: row,
+    status: 'ok',
+    intendedUse,
+    metrics: {
+      diameterChange: comparison.differences.diameter.inches,
+      diameterChangePct: comparison.differences.diameter.percentage,
+      speedometerError: comparison.speedometerError.errors[speedKey].errorPercentage,
+      effectiveRatio: comparison.drivetrainImpact?.effectiveGearRatio.new || null,
+      rpmChange: comparison.drivetrainImpact?.rpm.change ?? null,
+      clearanceRisk: clearance.riskClass,
+      clearanceProbability: clearance.probability,
+      regearNecessity: regearRecommendations?.necessity.level || null,
+      restoreRatio: regearRecommendations?.idealRatios.restoration || null,
+      suggestedRatio: regearRecommendations?.recommendations[0]?.ratio || null,
+      advisorySeverity: advisory.severity
+    },
+    results: {
+      comparison,
+      comparisonWithNewGears: null,
+      finalStateComparison: null,
+      regearRecommendations,
+      advisory,
+      compatibility,
+      formData: {
+        vehicleType: row.vehicle,
+        currentTireSize: row.currentTire,
+        newTireSize: row.newTire,
+        axleGearRatio: row.gears,
+        newAxleGearRatio: '',
+        liftHeight: row.lift,
+        intendedUse,
+        suspensionType,
+        unitSystem: units.id
+      }
+    }
+  };
+}
+
+// Split one CSV line, honouring double-quoted fields ("a, b" and "" escapes)
+function splitCSVLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+function summarizeFleet(builds) {
+  const ok = builds.filter(build => build.status === 'ok');
+  const failed = builds.length - ok.length;
+  const highRisk = ok.filter(build => build.metrics.clearanceRisk === 'HIGH').length;
+  const regear = ok.filter(build => ['recommended', 'strongly_recommended'].includes(build.metrics.regearNecessity)).length;
+
+  let summary = `${ok.length} of ${builds.length} builds calculated`;
+  if (ok.length > 0) {
+    summary += `: ${highRisk} with high rub risk, ${regear} should regear`;
+  }
+  if (failed > 0) {
+    summary += ` (${failed} row${failed === 1 ? '' : 's'} with errors)`;
+  }
+  return summary;
+}
@@ -0,0 +1,380 @@
+/**
+ * Fuel Economy Model
+ *
+ * PURPOSE: Replace "expect 1-3 MPG less" rules of thumb with an estimate built
+ * from what actually changes with bigger tires: weight, rotating mass,
+ * rolling resistance, frontal area and where the engine runs on the highway.
+ *
+ * METHODOLOGY:
+ * - Road load: rolling resistance (Crr × weight) + aero drag (0.00256 × Cd × A × v²),
+ *   through the drivetrain efficiency
+ * - Frontal area grows with ride height: half the diameter change plus the
+ *   suspension lift, across the vehicle width
+ * - Engine (Willans line): fuel energy = (brake + friction + pumping work) / indicated efficiency
+ *   - Friction MEP (kPa) = 97 + 15 N + 5 N², N = RPM / 1000
+ *   - Pumping MEP (gasoline, throttled) = 40 kPa × (1 − load)
+ *   - Above 85% load the mixture is enriched (+15% fuel); the transmission
+ *     downshifts when top gear cannot hold the speed
+ *   - The shift and lockup schedule stays calibrated for the stock cruise RPM:
+ *     below it the converter unlocks and hunts (engine held at stock RPM, slip
+ *     lost), so taller effective gearing costs economy instead of saving it
+ * - Highway: steady cruise in the highest gear that holds it
+ * - City: 20 mph average with 2 stops per mile from 30 mph; every stop throws away
+ *   the kinetic energy of the vehicle and its rotating tires and wheels
+ * - Combined = EPA 55% city / 45% highway (harmonic); the city-highway spread
+ *   of the change is the range
+ * - A measured baseline scales the model; the odometer reads low on bigger
+ *   tires, so hand-calculated economy = true economy / speedometer ratio
+ *
+ * EXAMPLE:
+ * - 4,500 lb 4Runner, 1GR-FE, A750F, 3.73 axle, 31.6" 48 lb AT → 35" 70 lb MT
+ *   with a 2" lift: -9.5% combined (mud tread -4.4%, gearing -3.3%, lift -1.5%);
+ *   a measured 18.0 mpg becomes 16.3, and 14.7 calculated from the odometer
+ */
+
+import { getEngine, getEngineTorque, DRIVETRAIN_EFFICIENCY } from './tractiveEffort.js';
+import { getTransmissionRatios } from './transmissionModel.js';
+import { getRoadReduction } from './drivetrainChain.js';
+import { calculateLoadedWeight } from './overlandLoad.js';
+import { calculateRotatingEquivalentWeight } from './accelerationSim.js';
+import { TREAD_ROLLING_RESISTANCE, DEFAULT_DRAG_COEFFICIENT, DEFAULT_FRONTAL_AREA, calculateAeroDrag } from './gradeability.js';
+import { getUnitSystem, fromDisplayUnits, toDisplayUnits, formatMeasurement } from './units.js';
+
+// Lower heating value per gallon (114,000 / 128,500 BTU × 778.17 ft·lbf/BTU)
+export const FUEL_ENERGY = {
+  gasoline: 88.7e6,
+  diesel: 100.0e6
+};
+
+// Willans line slope: fuel energy to indicated work
+export const INDICATED_EFFICIENCY = {
+  gasoline: 0.36,
+  diesel: 0.42
+};
+
+// Stop-and-go cycle (mph)
+export const CITY_CYCLE = { speed: 20, peakSpeed: 30, stopsPerMile: 2, rpm: 1500 };
+
+// EPA combined weighting
+export const CYCLE_WEIGHTING = { city: 0.55, highway: 0.45 };
+
+// Highway cruise RPM assumed on the current tires when no axle ratio is given
+export const DEFAULT_CRUISE_RPM = 2000;
+
+export const DEFAULT_VEHICLE_WIDTH = 74; // inches, mid-size 4x4
+
+// Used when no engine is selected: naturally aspirated gasoline V6 / V8
+const GENERIC_ENGINE = { id: null, name: 'Generic 4.0L gasoline', fuel: 'gasoline', displacement: 4.0, torquePerLiter: 68 };
+
+const ENRICHMENT_LOAD = 0.85;
+const ENRICHMENT_PENALTY = 1.15;
+const HUNTING_RPM_DEFICIT = 0.1; // cruise RPM drop below stock at which the converter is always hunting
+const PUMPING_MEP = 40; // kPa at closed throttle
+const MEP_TO_FTLBF = 0.737562; // kPa × L = J
+const GRAVITY = 32.174; // ft/s²
+const FPS_PER_MPH = 5280 / 3600;
+
+const CONTRIBUTIONS = [
+  { id: 'weight', name: 'Tire weight', fields: ['weight'] },
+  { id: 'rotatingMass', name: 'Rotating mass', fields: ['rotatingWeight'] },
+  { id: 'rollingResistance', name: 'Tread rolling resistance', fields: ['rollingResistance'] },
+  { id: 'aero', name: 'Ride height / frontal area', fields: ['frontalArea'] },
+  { id: 'gearing', name: 'Engine operating point (gearing)', fields: ['diameter'] }
+];
+
+/**
+ * Friction and pumping mean effective pressure
+ *
+ * @param {number} rpm - Engine speed
+ * @param {number} load - Fraction of full-throttle torque (0-1)
+ * @param {string} fuel - 'gasoline' or 'diesel'
+ * @returns {number} Lost MEP (kPa)
+ */
+export function calculateLossMEP(rpm, load, fuel = 'gasoline') {
+  const n = rpm / 1000;
+  const friction = 97 + 15 * n + 5 * n * n;
+  const pumping = fuel === 'diesel' ? 0 : PUMPING_MEP * Math.max(0, 1 - load);
+  return friction + pumping;
+}
+
+/**
+ * Engine operating point and fuel burned per second for a brake power
+ *
+ * @param {Object} engine - Engine definition (torqueCurve) or generic { displacement, torquePerLiter }
+ * @param {number} rpm - Engine speed
+ * @param {number} brakePower - Power at the crank (ft·lbf/s)
+ * @returns {Object} { rpm, torque, load, region, fuelPower (ft·lbf/s of fuel energy) }
+ *   region: 'light_load' (pumping losses), 'efficient' or 'enrichment'
+ */
+export function calculateEngineFuel(engine, rpm, brakePower) {
+  const fuel = engine.fuel === 'diesel' ? 'diesel' : 'gasoline';
+  const torque = brakePower / ((2 * Math.PI * rpm) / 60);
+  const available = engine.torqueCurve ? getEngineTorque(engine, rpm) : engine.displacement * engine.torquePerLiter;
+  const load = available > 0 ? torque / available : Infinity;
+
+  const lossPower = (calculateLossMEP(rpm, Math.min(load, 1), fuel) * engine.displacement * MEP_TO_FTLBF * rpm) / 120;
+  const enrichment = load > ENRICHMENT_LOAD ? ENRICHMENT_PENALTY : 1;
+  return {
+    rpm,
+    torque,
+    load,
+    region: load > ENRICHMENT_LOAD ? 'enrichment' : load < 0.4 ? 'light_load' : 'efficient',
+    fuelPower: ((brakePower + lossPower) / INDICATED_EFFICIENCY[fuel]) * enrichment
+  };
+}
+
+/**
+ * Cruise below the RPM the factory gearing was calibrated for
+ *
+ * The shift and lockup schedule is tuned for the stock cruise RPM. Taller
+ * effective gearing lugs the engine, so on every grade and headwind the
+ * converter unlocks and the transmission hunts out of top gear: the engine is
+ * held at the stock RPM and the slip is lost as heat. The share of highway time
+ * spent unlocked grows with the RPM deficit (all of it at HUNTING_RPM_DEFICIT).
+ * Without this the Willans line alone rewards any drop in RPM with lower
+ * friction and pumping losses.
+ *
+ * @param {Object} engine - Engine definition
+ * @param {Object} point - Locked operating point in the gear that holds the cruise
+ * @param {number} brakePower - Power needed at the transmission input (ft·lbf/s)
+ * @param {number} minCruiseRPM - Stock cruise RPM (none = no floor)
+ * @returns {Object} Operating point, with unlockedShare of the time spent held at the stock RPM
+ */
+function holdCruiseRPM(engine, point, brakePower, minCruiseRPM) {
+  if (!minCruiseRPM || point.rpm >= minCruiseRPM) {
+    return point;
+  }
+  const deficit = 1 - point.rpm / minCruiseRPM;
+  const unlockedShare = Math.min(1, deficit / HUNTING_RPM_DEFICIT);
+  // Fluid coupling: same torque in and out, so engine power rises with the speed ratio
+  const held = calculateEngineFuel(engine, minCruiseRPM, brakePower * (minCruiseRPM / point.rpm));
+  return {
+    ...point,
+    unlockedShare,
+    fuelPower: point.fuelPower * (1 - unlockedShare) + held.fuelPower * unlockedShare
+  };
+}
+
+/**
+ * City, highway and combined economy for one setup
+ *
+ * @param {Object} setup - { engine, gearRatios (overall, top gear first), speedMPH, efficiency, dragCoefficient,
+ *   minCruiseRPM (stock cruise RPM the shift schedule holds) }
+ * @param {Object} vehicle - { diameter, weight, rotatingWeight, rollingResistance, frontalArea }
+ * @returns {Object} { city, highway, combined (mpg), operatingPoint }
+ */
+export function estimateFuelEconomy(setup, vehicle) {
+  const { engine, speedMPH, efficiency, dragCoefficient } = setup;
+  const energyPerGallon = FUEL_ENERGY[engine.fuel === 'diesel' ? 'diesel' : 'gasoline'];
+  const rolling = vehicle.rollingResistance * vehicle.weight;
+
+  // Highway: highest gear that holds the cruise without running out of torque
+  const roadLoad = rolling + calculateAeroDrag(speedMPH, dragCoefficient, vehicle.frontalArea);
+  const brakePower = (roadLoad * speedMPH * FPS_PER_MPH) / efficiency;
+  const points = setup.gearRatios.map((ratio, i) => ({
+    gear: setup.gearRatios.length - i,
+    ...calculateEngineFuel(engine, (speedMPH * ratio * 336) / vehicle.diameter, brakePower)
+  }));
+  const gearPoint = points.find(point => point.load <= 1) || points[points.length - 1];
+  const operatingPoint = holdCruiseRPM(engine, gearPoint, brakePower, setup.minCruiseRPM);
+  const highway = (speedMPH * energyPerGallon) / (operatingPoint.fuelPower * 3600);
+
+  // City: steady road load, plus the kinetic energy lost at every stop
+  const cityRoadLoad = rolling + calculateAeroDrag(CITY_CYCLE.speed, dragCoefficient, vehicle.frontalArea);
+  const peakSpeed = CITY_CYCLE.peakSpeed * FPS_PER_MPH;
+  const stopEnergy = CITY_CYCLE.stopsPerMile * 0.5 * ((vehicle.weight + vehicle.rotatingWeight) / GRAVITY) * peakSpeed * peakSpeed;
+  const cityBrakeWork = (cityRoadLoad * 5280 + stopEnergy) / efficiency;
+  const citySeconds = 3600 / CITY_CYCLE.speed;
+  const cityEngine = calculateEngineFuel(engine, CITY_CYCLE.rpm, cityBrakeWork / citySeconds);
+  const city = energyPerGallon / (cityEngine.fuelPower * citySeconds);
+
+  return {
+    city,
+    highway,
+    combined: 1 / (CYCLE_WEIGHTING.city / city + CYCLE_WEIGHTING.highway / highway),
+    operatingPoint
+  };
+}
+
+/**
+ * Fuel economy before and after a tire change
+ *
+ * @param {number} currentDiameter - Current tire diameter (inches, effective if rolling radius is used)
+ * @param {number} newDiameter - New tire diameter (inches)
+ * @param {Object} drivetrain - { engine, transmission / transmissionRatios or transmissionTopGear, axleGearRatio }
+ * @param {string|Object} unitSystem - Unit system id or definition
+ * @param {Object} options - Vehicle, tire and baseline inputs (imperial)
+ * @param {number} options.vehicleWeight - Vehicle weight (lbs, default 4,500)
+ * @param {number} options.expeditionLoad - Expedition load (lbs)
+ * @param {number} options.currentTireWeight - Current tire weight, each (lbs)
+ * @param {number} options.newTireWeight - New tire weight, each (lbs)
+ * @param {number} options.currentWheelDiameter - Current wheel diameter (inches)
+ * @param {number} options.newWheelDiameter - New wheel diameter (inches)
+ * @param {string} options.currentTreadType - Key of TREAD_ROLLING_RESISTANCE (default all_terrain)
+ * @param {string} options.newTreadType - Key of TREAD_ROLLING_RESISTANCE (default all_terrain)
+ * @param {number} options.liftHeight - Suspension lift installed with the new tires (inches)
+ * @param {number} options.vehicleWidth - Vehicle width (inches, default 74)
+ * @param {number} options.baselineFuelEconomy - Measured economy on the current tires (mpg)
+ * @param {number} options.speedometerRatio - Actual / indicated speed on the new tires
+ * @param {Object} options.fuelLog - Fill-up log on the new tires (correctFuelLog)
+ * @returns {Object} { current, new, change, contributions, baseline, estimate, odometer, measured, summary }
+ */
+export function analyzeFuelEconomy(currentDiameter, newDiameter, drivetrain = {}, unitSystem, options = {}) {
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const engine = drivetrain.engine ? getEngine(drivetrain.engine) : GENERIC_ENGINE;
+  const speedMPH = fromDisplayUnits(units.highwaySpeed, 'speed', units.id);
+
+  // Overall highway ratios, top gear first; without an axle ratio the
+  // current tires cruise at DEFAULT_CRUISE_RPM
+  const transmissionRatios = getTransmissionRatios(drivetrain) || [drivetrain.transmissionTopGear || 1.0];
+  const gearRatios = drivetrain.axleGearRatio
+    ? transmissionRatios.map(ratio => ratio * drivetrain.axleGearRatio * getRoadReduction(drivetrain)).reverse()
+    : [(DEFAULT_CRUISE_RPM * currentDiameter) / (speedMPH * 336)];
+  const setup = {
+    engine,
+    gearRatios,
+    speedMPH,
+    efficiency: DRIVETRAIN_EFFICIENCY,
+    dragCoefficient: options.dragCoefficient || DEFAULT_DRAG_COEFFICIENT
+  };
+
+  const loadedWeight = calculateLoadedWeight(options.expeditionLoad, options.vehicleWeight);
+  const currentTireWeight = options.currentTireWeight || 0;
+  const newTireWeight = options.newTireWeight || currentTireWeight;
+  const frontalArea = options.frontalArea || DEFAULT_FRONTAL_AREA;
+  const rideHeightChange = (newDiameter - currentDiameter) / 2 + (options.liftHeight || 0);
+
+  const stock = {
+    diameter: currentDiameter,
+    weight: loadedWeight,
+    rotatingWeight: calculateRotatingEquivalentWeight({
+      diameter: currentDiameter,
+      wheelDiameter: options.currentWheelDiameter,
+      tireWeight: currentTireWeight
+    }),
+    rollingResistance: getRollingResistance(options.currentTreadType),
+    frontalArea
+  };
+  const upgraded = {
+    diameter: newDiameter,
+    weight: loadedWeight + (newTireWeight - currentTireWeight) * 4,
+    rotatingWeight: calculateRotatingEquivalentWeight({
+      diameter: newDiameter,
+      wheelDiameter: options.newWheelDiameter || options.currentWheelDiameter,
+      tireWeight: newTireWeight
+    }),
+    rollingResistance: getRollingResistance(options.newTreadType),
+    frontalArea: frontalArea + ((options.vehicleWidth || DEFAULT_VEHICLE_WIDTH) * rideHeightChange) / 144
+  };
+
+  const current = estimateFuelEconomy(setup, stock);
+  // The new tires keep the stock shift schedule, so they cannot cruise below the stock RPM
+  const upgradedSetup = { ...setup, minCruiseRPM: current.operatingPoint.rpm };
+  const next = estimateFuelEconomy(upgradedSetup, upgraded);
+  const percent = (cycle) => (next[cycle] / current[cycle] - 1) * 100;
+  const change = {
+    city: percent('city'),
+    highway: percent('highway'),
+    combined: percent('combined')
+  };
+  change.low = Math.min(change.city, change.highway, change.combined);
+  change.high = Math.max(change.city, change.highway, change.combined);
+
+  // Step each factor from stock to new, in order, so the parts add up to the total
+  let stepped = { ...stock };
+  let previous = current.combined;
+  const contributions = CONTRIBUTIONS.map(({ id, name, fields }) => {
+    fields.forEach(field => { stepped[field] = upgraded[field]; });
+    const combined = estimateFuelEconomy(upgradedSetup, stepped).combined;
+    const contribution = { id, name, change: combined - previous, percent: (combined / previous - 1) * 100 };
+    previous = combined;
+    return contribution;
+  });
+
+  // A measured baseline is scaled by the model's change; otherwise the model stands alone
+  const baseline = options.baselineFuelEconomy || current.combined;
+  const estimate = {
+    combined: baseline * (1 + change.combined / 100),
+    low: baseline * (1 + change.low / 100),
+    high: baseline * (1 + change.high / 100)
+  };
+
+  // Hand-calculated from the uncorrected odometer
+  const ratio = options.speedometerRatio || 1;
+  const odometer = {
+    ratio,
+    combined: estimate.combined / ratio,
+    low: estimate.low / ratio,
+    high: estimate.high / ratio
+  };
+
+  const result = {
+    unitSystem: units.id,
+    engine: { id: engine.id, name: engine.name, fuel: engine.fuel, isGeneric: !drivetrain.engine },
+    speed: units.highwaySpeed,
+    speedUnit: units.labels.speed,
+    vehicle: {
+      weight: { current: stock.weight, new: upgraded.weight },
+      rotatingWeight: { current: stock.rotatingWeight, new: upgraded.rotatingWeight },
+      rollingResistance: { current: stock.rollingResistance, new: upgraded.rollingResistance },
+      frontalArea: { current: stock.frontalArea, new: upgraded.frontalArea },
+      rideHeightChange
+    },
+    current,
+    new: next,
+    change,
+    contributions,
+    baseline,
+    baselineMeasured: !!options.baselineFuelEconomy,
+    estimate,
+    odometer,
+    measured: options.fuelLog?.average || null
+  };
+  result.summary = summarizeFuelEconomy(result, units);
+  return result;
+}
+
+/**
+ * Economy change between two values, in display units
+ *
+ * @param {number} before - Economy before (mpg)
+ * @param {number[]} after - One or two economies after (mpg), e.g. the estimate range
+ * @param {string|Object} unitSystem - Unit system id or definition
+ * @returns {string} e.g. "1.2-1.9 mpg decrease" or "0.9-1.4 L/100km increase"
+ */
+export function formatEconomyChange(before, after, unitSystem) {
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const decimals = units.decimals.fuelEconomy;
+  const base = toDisplayUnits(before, 'fuelEconomy', units.id);
+  const deltas = after
+    .map(value => Number((toDisplayUnits(value, 'fuelEconomy', units.id) - base).toFixed(decimals)))
+    .sort((a, b) => a - b);
+  const label = units.labels.fuelEconomy;
+
+  if (deltas.every(delta => delta === 0)) {
+    return `no ${label} change`;
+  }
+
+  // Straddling zero (city worse, highway better): signed range
+  if (deltas[0] < 0 && deltas[deltas.length - 1] > 0) {
+    return `${deltas.map(delta => `${delta > 0 ? '+' : ''}${delta.toFixed(decimals)}`).join(' to ')} ${label}`;
+  }
+  // L/100km rises as mpg falls, so the direction follows the displayed value
+  const amounts = [...new Set(deltas.map(delta => Math.abs(delta)).sort((a, b) => a - b).map(delta => delta.toFixed(decimals)))];
+  return `${amounts.join('-')} ${label} ${deltas[0] + deltas[deltas.length - 1] > 0 ? 'increase' : 'decrease'}`;
+}
+
+function getRollingResistance(treadType) {
+  return TREAD_ROLLING_RESISTANCE[treadType] || TREAD_ROLLING_RESISTANCE.all_terrain;
+}
+
+function summarizeFuelEconomy(result, units) {
+  const format = (value) => formatMeasurement(value, 'fuelEconomy', units.id);
+  const { baseline, estimate, odometer, change } = result;
+  const base = `${format(baseline)} → ${format(estimate.combined)} combined (${change.combined >= 0 ? '+' : ''}${change.combined.toFixed(1)}%, ` +
+    `${formatEconomyChange(baseline, [estimate.low, estimate.high], units)})`;
+  if (Math.abs(odometer.ratio - 1) < 0.005) {
+    return base;
+  }
+  return `${base}; calculated from the odometer it reads ${format(odometer.combined)}`;
+}
@@ -0,0 +1,238 @@
+/**
+ * Gradeability Module
+ *
+ * PURPOSE: Answer "will it hold 6th up a 6% grade at 70 after 35s?" - the
+ * steepest grade the vehicle can sustain in each gear at a road speed, for the
+ * stock and new setups.
+ *
+ * METHODOLOGY:
+ * - Available force: full-throttle tractive effort in the gear at that speed
+ *   (engine torque curve × gearing × driveline efficiency / tire radius)
+ * - Resistances at steady speed:
+ *   - Aero drag (lbf) = 0.00256 × Cd × frontal area (ft²) × speed² (mph), sea-level air
+ *   - Rolling resistance = Crr × weight × cos θ (Crr by tread type)
+ *   - Grade = weight × sin θ
+ * - Max grade solves W (sin θ + Crr cos θ) = effort − drag:
+ *   θ = asin((effort − drag) / (W √(1 + Crr²))) − atan(Crr), grade % = tan θ × 100
+ * - Weight = vehicle + expedition load (overlandLoad) + added tire weight
+ * - A gear past redline or below the torque curve at that speed cannot hold it
+ *
+ * EXAMPLE:
+ * - 5,700 lb 4Runner, 1GR-FE, A750F, 4.10 axle, 33" → 35" at 65 mph:
+ *   5th holds 3.9% → 3.4%, 4th holds 7.7% → 6.9%
+ */
+
+import { getEngine, getGearTractiveEffort, DRIVETRAIN_EFFICIENCY } from './tractiveEffort.js';
+import { getTransmissionRatios } from './transmissionModel.js';
+import { getRoadReduction } from './drivetrainChain.js';
+import { calculateLoadedWeight } from './overlandLoad.js';
+import { getUnitSystem, fromDisplayUnits, toDisplayUnits } from './units.js';
+
+// Rolling resistance coefficient by tread type (loaded light truck tires on pavement)
+export const TREAD_ROLLING_RESISTANCE = {
+  highway: 0.009,
+  all_terrain: 0.011,
+  rugged_terrain: 0.012,
+  mud_terrain: 0.014
+};
+
+export const DEFAULT_DRAG_COEFFICIENT = 0.45; // Boxy body-on-frame SUV / truck
+export const DEFAULT_FRONTAL_AREA = 32; // ft² (~3.0 m²), mid-size 4x4 with roof load
+export const DEFAULT_TARGET_GRADE = 6; // % - steepest grades on US Interstates
+
+const AERO_CONSTANT = 0.00256;
+
+/**
+ * Aerodynamic drag at a road speed
+ *
+ * @param {number} speedMPH - Road speed (mph)
+ * @param {number} dragCoefficient - Cd
+ * @param {number} frontalArea - Frontal area (ft²)
+ * @returns {number} Drag force (lbf)
+ */
+export function calculateAeroDrag(speedMPH, dragCoefficient = DEFAULT_DRAG_COEFFICIENT, frontalArea = DEFAULT_FRONTAL_AREA) {
+  return AERO_CONSTANT * dragCoefficient * frontalArea * speedMPH * speedMPH;
+}
+
+/**
+ * Steepest grade a net forward force can hold at steady speed
+ *
+ * @param {number} netForce - Tractive effort minus aero drag (lbf)
+ * @param {number} weight - Vehicle weight (lbs)
+ * @param {number} rollingResistance - Crr
+ * @returns {number} Grade in percent (negative when it cannot hold speed on the flat)
+ */
+export function calculateMaxGrade(netForce, weight, rollingResistance) {
+  const ratio = Math.max(-1, Math.min(1, netForce / (weight * Math.sqrt(1 + rollingResistance * rollingResistance))));
+  const angle = Math.asin(ratio) - Math.atan(rollingResistance);
+  return Math.tan(angle) * 100;
+}
+
+/**
+ * Max grade in every gear for one tire and axle ratio
+ *
+ * @param {Object} setup - { engine, ratios, roadReduction, efficiency, speedMPH, dragCoefficient, frontalArea }
+ * @param {Object} vehicle - { diameter, weight, rollingResistance, axleGearRatio }
+ * @returns {Object[]} [{ gear, ratio, rpm, tractiveEffort, maxGrade, status }]
+ *   status: 'ok', 'over_rev' (past redline) or 'below_power_band' (below the torque curve)
+ */
+export function calculateGearGrades(setup, vehicle) {
+  const { engine, ratios, speedMPH } = setup;
+  const finalDrive = vehicle.axleGearRatio * (setup.roadReduction || 1.0);
+  const drag = calculateAeroDrag(speedMPH, setup.dragCoefficient, setup.frontalArea);
+  const minRPM = engine.torqueCurve[0][0];
+
+  return ratios.map((ratio, index) => {
+    const { rpm, tractiveEffort } = getGearTractiveEffort(engine, ratio, finalDrive, vehicle.diameter, speedMPH, setup.efficiency);
+    const status = rpm > engine.redline ? 'over_rev' : rpm < minRPM ? 'below_power_band' : 'ok';
+    return {
+      gear: index + 1,
+      ratio,
+      rpm,
+      tractiveEffort,
+      maxGrade: status === 'ok' ? calculateMaxGrade(tractiveEffort - drag, vehicle.weight, vehicle.rollingResistance) : null,
+      status
+    };
+  });
+}
+
+/**
+ * Highest gear that holds a grade (null when no gear does)
+ */
+export function findHighestGearForGrade(gears, targetGrade) {
+  const holding = gears.filter(g => g.maxGrade !== null && g.maxGrade >= targetGrade);
+  return holding.length > 0 ? holding[holding.length - 1].gear : null;
+}
+
+/**
+ * Gradeability before and after a tire change
+ *
+ * @param {number} currentDiameter - Current tire diameter (inches, effective if rolling radius is used)
+ * @param {number} newDiameter - New tire diameter (inches)
+ * @param {Object} drivetrain - { engine, axleGearRatio, transferCaseRatio, portalRatio, transmission or transmissionRatios }
+ * @param {string|Object} unitSystem - Unit system id or definition
+ * @param {Object} options - Vehicle and test settings (imperial)
+ * @param {number} options.vehicleWeight - Vehicle weight (lbs, default overlandLoad DEFAULT_VEHICLE_WEIGHT)
+ * @param {number} options.expeditionLoad - Expedition load (lbs)
+ * @param {number} options.tireWeightChange - Added weight of the new tires, all four (lbs)
+ * @param {string} options.currentTreadType - Key of TREAD_ROLLING_RESISTANCE (default all_terrain)
+ * @param {string} options.newTreadType - Key of TREAD_ROLLING_RESISTANCE (default all_terrain)
+ * @param {number} options.speed - Test speed (mph, default highway speed of the unit system)
+ * @param {number} options.targetGrade - Grade to hold (%, default 6)
+ * @param {number} options.dragCoefficient - Cd
+ * @param {number} options.frontalArea - Frontal area (ft²)
+ * @returns {Object|null} Per-gear max grades, null without engine and ratio set
+ */
+export function analyzeGradeability(currentDiameter, newDiameter, drivetrain, unitSystem, options = {}) {
+  const ratios = getTransmissionRatios(drivetrain);
+  if (!drivetrain.engine || !ratios || !drivetrain.axleGearRatio) {
+    return null;
+  }
+
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const speedMPH = options.speed || fromDisplayUnits(units.highwaySpeed, 'speed', units.id);
+  const targetGrade = options.targetGrade || DEFAULT_TARGET_GRADE;
+
+  const setup = {
+    engine: getEngine(drivetrain.engine),
+    ratios,
+    roadReduction: getRoadReduction(drivetrain),
+    efficiency: DRIVETRAIN_EFFICIENCY,
+    speedMPH,
+    dragCoefficient: options.dragCoefficient || DEFAULT_DRAG_COEFFICIENT,
+    frontalArea: options.frontalArea || DEFAULT_FRONTAL_AREA
+  };
+
+  const loadedWeight = calculateLoadedWeight(options.expeditionLoad, options.vehicleWeight);
+  const tireWeightChange = options.tireWeightChange || 0;
+  const stock = {
+    diameter: currentDiameter,
+    weight: loadedWeight,
+    rollingResistance: getRollingResistance(options.currentTreadType),
+    axleGearRatio: drivetrain.axleGearRatio
+  };
+  const upgraded = {
+    diameter: newDiameter,
+    weight: loadedWeight + tireWeightChange,
+    rollingResistance: getRollingResistance(options.newTreadType),
+    axleGearRatio: drivetrain.axleGearRatio
+  };
+
+  const currentGears = calculateGearGrades(setup, stock);
+  const newGears = calculateGearGrades(setup, upgraded);
+
+  const gears = currentGears.map((current, i) => {
+    const next = newGears[i];
+    return {
+      gear: current.gear,
+      ratio: current.ratio,
+      current,
+      new: next,
+      change: current.maxGrade !== null && next.maxGrade !== null ? next.maxGrade - current.maxGrade : null
+    };
+  });
+
+  const highestGearHoldingTarget = {
+    current: findHighestGearForGrade(currentGears, targetGrade),
+    new: findHighestGearForGrade(newGears, targetGrade)
+  };
+
+  const speed = toDisplayUnits(speedMPH, 'speed', units.id);
+  return {
+    engine: { id: setup.engine.id, name: setup.engine.name },
+    speed,
+    speedUnit: units.labels.speed,
+    targetGrade,
+    vehicle: {
+      vehicleWeight: options.vehicleWeight || null,
+      expeditionLoad: options.expeditionLoad || 0,
+      tireWeightChange,
+      weight: { current: stock.weight, new: upgraded.weight },
+      rollingResistance: { current: stock.rollingResistance, new: upgraded.rollingResistance },
+      dragCoefficient: setup.dragCoefficient,
+      frontalArea: setup.frontalArea,
+      aeroDrag: calculateAeroDrag(speedMPH, setup.dragCoefficient, setup.frontalArea)
+    },
+    gears,
+    highestGearHoldingTarget,
+    summary: summarizeGradeability(highestGearHoldingTarget, targetGrade, `${Math.round(speed)} ${units.labels.speed}`),
+    // New tire and load, for re-evaluating other axle ratios (regear verdict)
+    setup,
+    newVehicle: upgraded
+  };
+}
+
+/**
+ * Gradeability of the new tires on a different axle ratio
+ *
+ * @param {Object} gradeability - Result of analyzeGradeability
+ * @param {number} axleGearRatio - Axle ratio to evaluate
+ * @returns {Object} { gears, topGearGrade, highestGearHoldingTarget }
+ */
+export function evaluateAxleRatio(gradeability, axleGearRatio) {
+  const gears = calculateGearGrades(gradeability.setup, { ...gradeability.newVehicle, axleGearRatio });
+  return {
+    gears,
+    topGearGrade: gears[gears.length - 1].maxGrade,
+    highestGearHoldingTarget: findHighestGearForGrade(gears, gradeability.targetGrade)
+  };
+}
+
+function getRollingResistance(treadType) {
+  return TREAD_ROLLING_RESISTANCE[treadType] || TREAD_ROLLING_RESISTANCE.all_terrain;
+}
+
+function summarizeGradeability({ current, new: next }, targetGrade, speedText) {
+  if (next === null) {
+    return current === null
+      ? `Cannot hold a ${targetGrade}% grade at ${speedText} in any gear, before or after the change`
+      : `Can no longer hold a ${targetGrade}% grade at ${speedText} in any gear (stock: gear ${current})`;
+  }
+  if (current === null || next > current) {
+    return `Holds a ${targetGrade}% grade at ${speedText} in gear ${next}${current ? ` (stock: gear ${current})` : ''}`;
+  }
+  if (next < current) {
+    return `Drops from gear ${current} to gear ${next} to hold a ${targetGrade}% grade at ${speedText}`;
+  }
+  return `Still holds a ${targetGrade}% grade at ${speedText} in gear ${next}`;
+}
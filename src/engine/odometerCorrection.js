@@ -0,0 +1,227 @@
+/**
+ * Odometer and Maintenance Interval Correction
+ *
+ * PURPOSE: Carry the speedometer error over to accumulated distance - true
+ * miles driven since the tire install, service intervals on the uncorrected
+ * odometer, and real fuel economy from a fill-up log.
+ *
+ * METHODOLOGY:
+ * - The odometer counts tire revolutions with the factory revs per mile, so it
+ *   is off by the same ratio as the speedometer:
+ *   actual distance = indicated distance × ratio (new / current diameter)
+ * - Service intervals are true miles; on the uncorrected odometer they come
+ *   due at interval / ratio indicated miles
+ * - Fuel log (fill-to-full): each fill-up's fuel covers the distance since the
+ *   previous fill-up; observed economy = indicated distance / fuel,
+ *   corrected economy = actual distance / fuel = observed × ratio
+ * - Assumes the speedometer has not been recalibrated since the install
+ *
+ * EXAMPLE:
+ * - 31.6" → 35" (ratio 1.108): 10,000 indicated miles are 11,076 true miles;
+ *   a 5,000 mile oil change comes due at 4,514 on the odometer; an observed
+ *   15.0 mpg is really 16.6 mpg
+ */
+
+import { getUnitSystem, fromDisplayUnits } from './units.js';
+
+// Typical intervals, in display units so metric users get round numbers
+export const DEFAULT_SERVICE_INTERVALS = {
+  imperial: { oil: 5000, diffFluid: 30000, tireRotation: 5000 },
+  metric: { oil: 8000, diffFluid: 50000, tireRotation: 8000 }
+};
+
+const SERVICE_NAMES = {
+  oil: 'Engine oil',
+  diffFluid: 'Differential fluid',
+  tireRotation: 'Tire rotation'
+};
+
+/**
+ * True distance for an odometer reading
+ *
+ * @param {number} indicatedDistance - Distance shown on the odometer
+ * @param {number} ratio - Speedometer error ratio (new / current diameter)
+ * @returns {number} Actual distance (same unit)
+ */
+export function correctDistance(indicatedDistance, ratio) {
+  return indicatedDistance * ratio;
+}
+
+/**
+ * Distance driven since the tire install
+ *
+ * @param {number} ratio - Speedometer error ratio
+ * @param {number} installOdometer - Odometer at the install (miles)
+ * @param {number} currentOdometer - Odometer now (miles)
+ * @returns {Object} { indicated, actual, difference } in miles
+ */
+export function correctOdometer(ratio, installOdometer, currentOdometer) {
+  if (currentOdometer < installOdometer) {
+    throw new Error('Current odometer reading is lower than the reading at tire install');
+  }
+  const indicated = currentOdometer - installOdometer;
+  const actual = correctDistance(indicated, ratio);
+  return {
+    installOdometer,
+    currentOdometer,
+    indicated,
+    actual,
+    difference: actual - indicated
+  };
+}
+
+/**
+ * Service intervals read on the uncorrected odometer
+ *
+ * @param {number} ratio - Speedometer error ratio
+ * @param {Object} intervals - { oil, diffFluid, tireRotation } true miles
+ * @returns {Object[]} [{ id, name, interval, indicatedInterval, difference }] in miles
+ */
+export function adjustServiceIntervals(ratio, intervals) {
+  return Object.entries(intervals).map(([id, interval]) => {
+    const indicatedInterval = interval / ratio;
+    return {
+      id,
+      name: SERVICE_NAMES[id] || id,
+      interval,
+      indicatedInterval,
+      difference: indicatedInterval - interval
+    };
+  });
+}
+
+/**
+ * Observed and corrected fuel economy from a fill-to-full log
+ *
+ * A fill-up whose odometer reading does not increase, or that has no fuel amount,
+ * is left out of the log and reported in warnings by its line (1 = first fill-up).
+ *
+ * @param {number} ratio - Speedometer error ratio
+ * @param {Object[]} fillUps - [{ odometer (miles), fuel (gallons) }], the first entry only sets the start
+ * @param {Object[]} warnings - Collects a warning for each fill-up left out
+ * @returns {Object|null} { entries, average: { observed, corrected } } in mpg, null without two usable fill-ups
+ */
+export function correctFuelLog(ratio, fillUps = [], warnings = []) {
+  if (fillUps.length < 2) {
+    return null;
+  }
+
+  const skip = (line, problem) => warnings.push({
+    severity: 'moderate',
+    component: 'Fuel Log',
+    message: `Fill-up line ${line} ${problem} - left out of the fuel log.`
+  });
+
+  const entries = [];
+  fillUps.slice(1).forEach((fillUp, i) => {
+    const indicatedDistance = fillUp.odometer - fillUps[i].odometer;
+    if (indicatedDistance <= 0) {
+      skip(i + 2, `odometer reading is not higher than line ${i + 1}`);
+      return;
+    }
+    if (!(fillUp.fuel > 0)) {
+      skip(i + 2, 'needs the amount of fuel added');
+      return;
+    }
+    const actualDistance = correctDistance(indicatedDistance, ratio);
+    entries.push({
+      odometer: fillUp.odometer,
+      fuel: fillUp.fuel,
+      indicatedDistance,
+      actualDistance,
+      observedEconomy: indicatedDistance / fillUp.fuel,
+      correctedEconomy: actualDistance / fillUp.fuel
+    });
+  });
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const totalFuel = entries.reduce((sum, entry) => sum + entry.fuel, 0);
+  const totalDistance = entries.reduce((sum, entry) => sum + entry.indicatedDistance, 0);
+  return {
+    entries,
+    totalFuel,
+    average: {
+      observed: totalDistance / totalFuel,
+      corrected: correctDistance(totalDistance, ratio) / totalFuel
+    }
+  };
+}
+
+/**
+ * Parse a pasted fill-up log, one "odometer, fuel" pair per line
+ *
+ * @param {string} text - e.g. "42100, 18.2\n42,415, 19.6" (thousands separators allowed)
+ * @returns {Object[]} [{ odometer, fuel }] in the units they were entered
+ */
+export function parseFuelLog(text = '') {
+  const splitFields = line => line.split(/[,;\t ]+/).filter(Boolean);
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, i) => {
+      // More than two fields: commas inside a number group thousands ("42,100, 18.2")
+      let fields = splitFields(line);
+      if (fields.length > 2) {
+        fields = splitFields(line.replace(/(\d),(?=\d{3}(?!\d))/g, '$1'));
+      }
+      const [odometer, fuel] = fields.map(Number);
+      if (fields.length !== 2 || !Number.isFinite(odometer) || !Number.isFinite(fuel)) {
+        throw new Error(`Fuel log line ${i + 1} should be "odometer, fuel": ${line}`);
+      }
+      return { odometer, fuel };
+    });
+}
+
+/**
+ * Odometer, service interval and fuel log correction for a tire change
+ *
+ * @param {number} ratio - Speedometer error ratio from calculateSpeedometerError
+ * @param {Object} odometer - Readings (imperial)
+ * @param {number} odometer.installOdometer - Odometer at the tire install (miles)
+ * @param {number} odometer.currentOdometer - Odometer now (miles)
+ * @param {Object} odometer.serviceIntervals - { oil, diffFluid, tireRotation } (miles, default per unit system)
+ * @param {Object[]} odometer.fillUps - [{ odometer (miles), fuel (gallons) }]
+ * @param {string|Object} unitSystem - Unit system id or definition (default intervals)
+ * @returns {Object} { ratio, distance, serviceIntervals, fuelLog, warnings, summary } - distance is null
+ *   without both readings, or with a current reading below the install reading (warned)
+ */
+export function analyzeOdometerCorrection(ratio, odometer = {}, unitSystem) {
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+
+  const defaults = DEFAULT_SERVICE_INTERVALS[units.id] || DEFAULT_SERVICE_INTERVALS.imperial;
+  const intervals = {};
+  Object.entries(defaults).forEach(([id, value]) => {
+    intervals[id] = odometer.serviceIntervals?.[id] || fromDisplayUnits(value, 'distance', units.id);
+  });
+
+  const hasReadings = odometer.installOdometer !== undefined && odometer.installOdometer !== null &&
+    odometer.currentOdometer !== undefined && odometer.currentOdometer !== null;
+  const readingsReversed = hasReadings && odometer.currentOdometer < odometer.installOdometer;
+  const distance = hasReadings && !readingsReversed
+    ? correctOdometer(ratio, odometer.installOdometer, odometer.currentOdometer)
+    : null;
+  const warnings = readingsReversed
+    ? [{
+      severity: 'moderate',
+      component: 'Odometer',
+      message: 'Current odometer reading is lower than the reading at tire install - check both readings to get the distance driven.'
+    }]
+    : [];
+
+  return {
+    ratio,
+    distance,
+    serviceIntervals: adjustServiceIntervals(ratio, intervals),
+    fuelLog: correctFuelLog(ratio, odometer.fillUps, warnings),
+    warnings,
+    summary: ratio > 1
+      ? `Odometer reads ${((1 - 1 / ratio) * 100).toFixed(1)}% low - service comes due before the odometer shows it`
+      : ratio < 1
+        ? `Odometer reads ${((1 / ratio - 1) * 100).toFixed(1)}% high - service comes due after the odometer shows it`
+        : 'No odometer error'
+  };
+}
@@ -8,6 +8,7 @@
  * - Typical expedition load: 300-1500 lbs (gear, water, recovery equipment, armor)
  * - Load increases effective stress on drivetrain
  * - Load affects fuel economy, acceleration, braking
+ * - Braking: stopping distance from 60 mph with the load (braking.js)
  * - Provides load-specific warnings and recommendations
  *
  * LOAD CATEGORIES:
@@ -15,7 +16,49 @@
  * - Medium (300-700 lbs): Week-long trips, full camping gear
  * - Heavy (700-1200 lbs): Extended overlanding, full build
  * - Extreme (1200+ lbs): Expedition-spec, armor, massive water/fuel
+ *
+ * FUEL RANGE:
+ * - Fuel carried = tank + jerry cans + auxiliary tank
+ * - Economy per terrain = highway economy (fuelEconomy model) × terrain factor;
+ *   the trip economy is the distance-weighted harmonic mean of the terrain mix
+ * - Range = fuel × trip economy; reserve-safe range keeps a reserve (default 25%) in hand
+ * - A remote fuel gap longer than the safe range needs more fuel: the jerry
+ *   cans that close it are reported
+ */
+
+import { getUnitSystem, fromDisplayUnits, formatMeasurement } from './units.js';
+import { analyzeBraking } from './braking.js';
+
+// Typical mid-size 4x4 curb weight with driver (lbs) when the vehicle weight is unknown
+export const DEFAULT_VEHICLE_WEIGHT = 4500;
+
+// Stock 265/70R17 (inches) when the analysis carries no tire dimensions
+const DEFAULT_TIRE_DIAMETER = 31.6;
+
+// Economy relative to steady highway cruise: lower gears, loose surfaces, wheel spin
+export const TERRAIN_TYPES = {
+  highway: { name: 'Highway', factor: 1.0 },
+  gravel: { name: 'Gravel / dirt road', factor: 0.8 },
+  trail: { name: 'Trail / low range', factor: 0.5 },
+  sand: { name: 'Sand / mud', factor: 0.4 }
+};
+
+// Fuel kept in hand for detours, headwinds and wrong turns (%)
+export const DEFAULT_RESERVE_PERCENT = 25;
+
+// Common jerry can size, in display units
+export const DEFAULT_JERRY_CAN_CAPACITY = { imperial: 5, metric: 20 };
+
+/**
+ * Total vehicle weight with expedition load
+ *
+ * @param {number} expeditionLoad - Additional weight in lbs
+ * @param {number} vehicleWeight - Vehicle weight in lbs (default DEFAULT_VEHICLE_WEIGHT)
+ * @returns {number} Loaded weight in lbs
  */
+export function calculateLoadedWeight(expeditionLoad = 0, vehicleWeight = DEFAULT_VEHICLE_WEIGHT) {
+  return (vehicleWeight || DEFAULT_VEHICLE_WEIGHT) + Math.max(0, expeditionLoad || 0);
+}
 
 /**
  * Calculate overland load impact on existing analysis
@@ -23,14 +66,21 @@
  * @param {object} baseAnalysis - Base tire comparison analysis
  * @param {number} expeditionLoad - Additional weight in lbs (0-2000)
  * @param {string} loadType - 'weekend', 'overland', 'expedition' (optional)
+ * @param {object} fuelPlan - Tanks, terrain mix and fuel gap for calculateFuelRange (optional)
  * @returns {object} Load-adjusted analysis with multipliers
  */
-export function calculateOverlandImpact(baseAnalysis, expeditionLoad = 0, loadType = 'overland') {
+export function calculateOverlandImpact(baseAnalysis, expeditionLoad = 0, loadType = 'overland', fuelPlan = null) {
+  // Usable range on the new setup (needs the fuel economy model and a tank size)
+  const fuelRange = fuelPlan && baseAnalysis.fuelEconomy
+    ? calculateFuelRange(baseAnalysis.fuelEconomy, fuelPlan, baseAnalysis.unitSystem)
+    : null;
+
   if (expeditionLoad <= 0) {
     return {
       hasLoad: false,
       expeditionLoad: 0,
-      adjustments: null
+      adjustments: null,
+      fuelRange
     };
   }
 
@@ -72,12 +122,149 @@ export function calculateOverlandImpact(baseAnalysis, expeditionLoad = 0, loadTy
     multipliers,
     adjustedStressScore,
     fuelEconomyImpact,
+    fuelRange,
     brakingImpact,
     loadWarnings,
     summary: generateLoadSummary(expeditionLoad, loadCategory, multipliers, adjustedStressScore)
   };
 }
 
+/**
+ * Usable fuel range on the current and new setups
+ *
+ * @param {object} fuelEconomy - Fuel economy model (analyzeFuelEconomy)
+ * @param {object} fuelPlan - Fuel carried and trip (imperial)
+ * @param {number} fuelPlan.tankCapacity - Main tank (gallons)
+ * @param {number} fuelPlan.jerryCans - Number of jerry cans
+ * @param {number} fuelPlan.jerryCanCapacity - Each jerry can (gallons, default 5 gal / 20 L)
+ * @param {number} fuelPlan.auxiliaryTank - Auxiliary / long-range tank (gallons)
+ * @param {object} fuelPlan.terrainMix - Percent of distance per TERRAIN_TYPES key (default all highway)
+ * @param {number} fuelPlan.reservePercent - Fuel kept in reserve (%, default 25)
+ * @param {number} fuelPlan.fuelGap - Longest stretch between fuel stops (miles)
+ * @param {string|object} unitSystem - Unit system id or definition
+ * @returns {object|null} { capacity, terrainMix, current, new, fuelGap, status, jerryCansNeeded, warnings, summary }, null without a tank size
+ */
+export function calculateFuelRange(fuelEconomy, fuelPlan = {}, unitSystem) {
+  if (!fuelPlan.tankCapacity) {
+    return null;
+  }
+
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const canCapacity = fuelPlan.jerryCanCapacity ||
+    fromDisplayUnits(DEFAULT_JERRY_CAN_CAPACITY[units.id] || DEFAULT_JERRY_CAN_CAPACITY.imperial, 'volume', units.id);
+  const capacity = {
+    tank: fuelPlan.tankCapacity,
+    jerryCans: (fuelPlan.jerryCans || 0) * canCapacity,
+    auxiliaryTank: fuelPlan.auxiliaryTank || 0
+  };
+  capacity.total = capacity.tank + capacity.jerryCans + capacity.auxiliaryTank;
+
+  const terrainMix = normalizeTerrainMix(fuelPlan.terrainMix);
+  const reservePercent = fuelPlan.reservePercent !== undefined && fuelPlan.reservePercent !== null
+    ? fuelPlan.reservePercent
+    : DEFAULT_RESERVE_PERCENT;
+  const reserveFactor = 1 - reservePercent / 100;
+
+  // A measured baseline scales the modeled economy
+  const scale = fuelEconomy.baseline / fuelEconomy.current.combined;
+  // odometerRatio: trip meter error on that setup (the stock tires read true)
+  const describeSetup = (setup, odometerRatio) => {
+    const terrain = Object.entries(terrainMix).map(([id, share]) => ({
+      id,
+      name: TERRAIN_TYPES[id].name,
+      share,
+      economy: setup.highway * scale * TERRAIN_TYPES[id].factor
+    }));
+    const economy = 1 / terrain.reduce((sum, t) => sum + t.share / t.economy, 0);
+    const range = capacity.total * economy;
+    return {
+      terrain,
+      economy,
+      range,
+      safeRange: range * reserveFactor,
+      // Trip meter reading at the reserve point, until the speedometer is recalibrated
+      indicatedSafeRange: (range * reserveFactor) / odometerRatio
+    };
+  };
+  const current = describeSetup(fuelEconomy.current, 1);
+  const next = describeSetup(fuelEconomy.new, fuelEconomy.odometer.ratio);
+
+  const fuelGap = fuelPlan.fuelGap || null;
+  let status = null;
+  let jerryCansNeeded = 0;
+  if (fuelGap) {
+    status = next.safeRange >= fuelGap ? 'ok' : next.range >= fuelGap ? 'into_reserve' : 'exceeds';
+    const fuelNeeded = fuelGap / (next.economy * reserveFactor);
+    jerryCansNeeded = Math.max(0, Math.ceil((fuelNeeded - capacity.total) / canCapacity - 1e-9));
+  }
+
+  const result = {
+    capacity,
+    jerryCanCapacity: canCapacity,
+    terrainMix,
+    reservePercent,
+    current,
+    new: next,
+    fuelGap,
+    status,
+    jerryCansNeeded,
+    warnings: generateFuelRangeWarnings(status, fuelGap, current, next, jerryCansNeeded, units)
+  };
+  result.summary = summarizeFuelRange(result, units);
+  return result;
+}
+
+/**
+ * Terrain percentages as fractions of the distance, scaled to add up to 1
+ */
+function normalizeTerrainMix(mix = {}) {
+  const entries = Object.entries(mix || {}).filter(([id, share]) => TERRAIN_TYPES[id] && share > 0);
+  const total = entries.reduce((sum, [, share]) => sum + share, 0);
+  if (total <= 0) {
+    return { highway: 1 };
+  }
+  return Object.fromEntries(entries.map(([id, share]) => [id, share / total]));
+}
+
+function generateFuelRangeWarnings(status, fuelGap, current, next, jerryCansNeeded, units) {
+  if (!status || status === 'ok') {
+    return [];
+  }
+  const distance = (value) => formatMeasurement(value, 'distance', units.id);
+  const warnings = [{
+    severity: status === 'exceeds' ? 'high' : 'moderate',
+    component: 'Fuel Range',
+    message: status === 'exceeds'
+      ? `${distance(fuelGap)} fuel gap is beyond the ${distance(next.range)} range on the new tires - you would run dry.`
+      : `${distance(fuelGap)} fuel gap eats into the reserve - safe range on the new tires is ${distance(next.safeRange)}.`
+  }];
+  warnings.push({
+    severity: 'moderate',
+    component: 'Fuel Range',
+    message: `Carry ${jerryCansNeeded} more jerry can${jerryCansNeeded === 1 ? '' : 's'} to cover the gap with the reserve intact.`
+  });
+  if (current.safeRange >= fuelGap) {
+    warnings.push({
+      severity: 'moderate',
+      component: 'Fuel Range',
+      message: `The current setup covers this gap (${distance(current.safeRange)} safe range) - the tire change is what makes it short.`
+    });
+  }
+  return warnings;
+}
+
+function summarizeFuelRange({ current, new: next, fuelGap, status }, units) {
+  const distance = (value) => formatMeasurement(value, 'distance', units.id);
+  const base = `Safe range ${distance(current.safeRange)} → ${distance(next.safeRange)} ` +
+    `(${distance(next.range)} to empty, ${formatMeasurement(next.economy, 'fuelEconomy', units.id)} on this terrain mix)`;
+  if (!fuelGap) {
+    return base;
+  }
+  return status === 'ok'
+    ? `${base} - covers the ${distance(fuelGap)} fuel gap`
+    : `${base} - short of the ${distance(fuelGap)} fuel gap`;
+}
+
 /**
  * Categorize load by weight
  */
@@ -181,36 +368,36 @@ function calculateFuelEconomyImpact(diameterChangePct, load, multipliers) {
 
 /**
  * Calculate braking distance impact
+ *
+ * Stops from 60 mph (100 km/h) on the new tires with and without this load,
+ * using the comparison's tires, weights and brake torque when available
  */
 function calculateBrakingImpact(load, baseAnalysis) {
-  // Braking distance increases with load
-  // Formula: Simplified physics (kinetic energy = 0.5 * m * v²)
-  // Assume base vehicle weight of 4500 lbs
-  const baseWeight = 4500;
-  const loadedWeight = baseWeight + load;
-
-  // Braking distance scales with weight (simplified)
-  const brakingIncrease = ((loadedWeight - baseWeight) / baseWeight) * 100;
-
-  // Also factor in tire size if rotational physics available
-  let rotationalFactor = 0;
-  if (baseAnalysis.rotationalPhysics) {
-    rotationalFactor = baseAnalysis.rotationalPhysics.changes.rotational_inertia.factor * 0.3;
-  }
-
-  const totalBrakingIncrease = brakingIncrease + rotationalFactor;
+  const currentDiameter = baseAnalysis.current ? baseAnalysis.current.diameter : DEFAULT_TIRE_DIAMETER;
+  const newDiameter = baseAnalysis.new
+    ? baseAnalysis.new.diameter
+    : currentDiameter * (1 + baseAnalysis.differences.diameter.percentage / 100);
+  const braking = analyzeBraking(currentDiameter, newDiameter, baseAnalysis.unitSystem, {
+    vehicleWeight: baseAnalysis.braking?.vehicleWeight,
+    expeditionLoad: load,
+    currentTireWeight: baseAnalysis.weightAnalysis?.current.perTire,
+    newTireWeight: baseAnalysis.weightAnalysis?.new.perTire,
+    currentWheelDiameter: baseAnalysis.current?.wheelDiameter,
+    newWheelDiameter: baseAnalysis.new?.wheelDiameter,
+    brakeTorque: baseAnalysis.braking?.brakeTorqueEstimated === false ? baseAnalysis.braking.brakeTorque : undefined
+  });
 
   return {
-    loadImpact: Math.round(brakingIncrease * 10) / 10,
-    tireImpact: Math.round(rotationalFactor * 10) / 10,
-    totalIncrease: Math.round(totalBrakingIncrease * 10) / 10,
-    recommendation: totalBrakingIncrease > 15
-      ? 'Brake upgrade essential for safe loaded operation'
-      : totalBrakingIncrease > 10
-      ? 'Brake upgrade strongly recommended'
-      : totalBrakingIncrease > 5
-      ? 'Monitor brake performance, consider upgrade'
-      : 'Stock brakes adequate'
+    stock: braking.stock,
+    new: braking.new,
+    loaded: braking.loaded,
+    loadImpact: Math.round((braking.loaded.changePercent - braking.new.changePercent) * 10) / 10,
+    tireImpact: Math.round(braking.new.changePercent * 10) / 10,
+    totalIncrease: Math.round(braking.loaded.changePercent * 10) / 10,
+    addedDistance: braking.loaded.change,
+    limitedBy: braking.loaded.limitedBy,
+    recommendation: braking.recommendation,
+    summary: braking.summary
   };
 }
 
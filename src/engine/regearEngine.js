@@ -8,6 +8,9 @@ import {
   enhanceRecommendationsWithRealWorldData,
   getVehicleExamples
 } from './gearRatioData.js';
+import { evaluateAxleRatio } from './gradeability.js';
+import { getCrawlRatio, getRoadReduction } from './drivetrainChain.js';
+import { getUnitSystem, fromDisplayUnits } from './units.js';
 
 // Common available gear ratios (sorted numerically)
 const AVAILABLE_GEAR_RATIOS = [
@@ -16,7 +19,7 @@ const AVAILABLE_GEAR_RATIOS = [
   5.12, 5.13, 5.29, 5.38, 5.71, 5.86
 ];
 
-// Vehicle use case profiles
+// Vehicle use case profiles (RPM targets are at 65 mph, see rpmAtHighway)
 const USE_CASE_PROFILES = {
   daily_driver: {
     name: 'Daily Driver',
@@ -69,6 +72,14 @@ const USE_CASE_PROFILES = {
 export function generateRegearRecommendations(comparison, currentGearRatio, intendedUse = 'balanced', drivetrain = {}, vehicleType = null) {
   const useCase = USE_CASE_PROFILES[intendedUse] || USE_CASE_PROFILES.weekend_trail;
 
+  // RPM at the same highway speed as the drivetrain impact (65 mph / 100 km/h)
+  const units = getUnitSystem(comparison.unitSystem);
+  const highway = {
+    speed: units.highwaySpeed,
+    unit: units.labels.speed,
+    mph: fromDisplayUnits(units.highwaySpeed, 'speed', units.id)
+  };
+
   // Calculate what ratio would restore factory performance
   const restorationRatio = calculateRestorationRatio(
     comparison.current.diameter,
@@ -81,7 +92,8 @@ export function generateRegearRecommendations(comparison, currentGearRatio, inte
     comparison,
     currentGearRatio,
     useCase,
-    drivetrain
+    drivetrain,
+    highway
   );
 
   // Find closest available gear ratios
@@ -98,7 +110,8 @@ export function generateRegearRecommendations(comparison, currentGearRatio, inte
     restorationOptions,
     optimalOptions,
     useCase,
-    drivetrain
+    drivetrain,
+    highway
   );
 
   // Enhance with real-world data
@@ -138,24 +151,23 @@ function calculateRestorationRatio(originalDiameter, newDiameter, currentRatio)
 /**
  * Calculate optimal gear ratio based on use case
  */
-function calculateOptimalRatio(comparison, currentRatio, useCase, drivetrain) {
+function calculateOptimalRatio(comparison, currentRatio, useCase, drivetrain, highway) {
   const { transmissionTopGear = 1.0 } = drivetrain;
-  const targetRPM = useCase.targetRPMAt65;
-  const testSpeed = 65; // mph
+  const targetRPM = rpmAtHighway(useCase.targetRPMAt65, highway);
+  const testSpeed = highway.mph;
   const newDiameter = comparison.new.diameter;
 
   // Calculate ratio needed to achieve target RPM
   // Ratio = (RPM × Diameter) / (Speed × Trans Ratio × 336)
-  const optimalRatio = (targetRPM * newDiameter) / (testSpeed * transmissionTopGear * 336);
+  const optimalRatio = (targetRPM * newDiameter) / (testSpeed * transmissionTopGear * getRoadReduction(drivetrain) * 336);
 
   // For rock crawling, also consider crawl ratio requirements
   if (useCase.priority === 'torque' && useCase.crawlRatioMin) {
-    const { transferCaseLowRatio = 2.5 } = drivetrain;
     const firstGearRatio = drivetrain.firstGearRatio || 4.0;
 
     // Calculate minimum axle ratio needed for crawl ratio
-    // Crawl Ratio = Axle × Transfer Low × First Gear
-    const minAxleRatio = useCase.crawlRatioMin / (transferCaseLowRatio * firstGearRatio);
+    // Crawl Ratio = Axle × Transfer Low × First Gear (× crawler box, doubler, portal hubs)
+    const minAxleRatio = useCase.crawlRatioMin / getCrawlRatio({ ...drivetrain, firstGearRatio, axleGearRatio: 1 });
 
     // Use higher of the two ratios
     return Math.max(optimalRatio, minAxleRatio);
@@ -164,6 +176,13 @@ function calculateOptimalRatio(comparison, currentRatio, useCase, drivetrain) {
   return optimalRatio;
 }
 
+/**
+ * RPM at the highway test speed for a 65 mph figure (same gear, RPM scales with speed)
+ */
+function rpmAtHighway(rpmAt65, highway) {
+  return rpmAt65 * (highway.mph / 65);
+}
+
 /**
  * Find closest available gear ratios
  */
@@ -208,7 +227,7 @@ function determineRegearNecessity(comparison, currentRatio) {
 /**
  * Build detailed recommendations
  */
-function buildRecommendations(comparison, currentRatio, restorationOptions, optimalOptions, useCase, drivetrain) {
+function buildRecommendations(comparison, currentRatio, restorationOptions, optimalOptions, useCase, drivetrain, highway) {
   const recommendations = [];
   const seenRatios = new Set();
 
@@ -219,13 +238,13 @@ function buildRecommendations(comparison, currentRatio, restorationOptions, opti
     if (seenRatios.has(ratio)) return;
     seenRatios.add(ratio);
 
-    const impact = calculateRatioImpact(comparison, currentRatio, ratio, drivetrain);
+    const impact = calculateRatioImpact(comparison, currentRatio, ratio, drivetrain, highway);
 
     recommendations.push({
       ratio,
       type: restorationOptions.includes(ratio) ? 'restoration' : 'optimal',
       impact,
-      verdict: generateVerdict(impact, useCase)
+      verdict: generateVerdict(impact, useCase, highway)
     });
   });
 
@@ -241,16 +260,16 @@ function buildRecommendations(comparison, currentRatio, restorationOptions, opti
 /**
  * Calculate impact of a specific gear ratio
  */
-function calculateRatioImpact(comparison, currentRatio, newRatio, drivetrain) {
-  const { transmissionTopGear = 1.0, transferCaseLowRatio = 2.5, firstGearRatio = 4.0 } = drivetrain;
-  const testSpeed = 65;
+function calculateRatioImpact(comparison, currentRatio, newRatio, drivetrain, highway) {
+  const { transmissionTopGear = 1.0, firstGearRatio = 4.0 } = drivetrain;
+  const testSpeed = highway.mph;
   const newDiameter = comparison.new.diameter;
 
-  // RPM at highway speed
-  const rpm = (testSpeed * newRatio * transmissionTopGear * 336) / newDiameter;
+  // RPM at highway speed (portal hubs stay in the chain on the road)
+  const rpm = (testSpeed * newRatio * getRoadReduction(drivetrain) * transmissionTopGear * 336) / newDiameter;
 
   // Crawl ratio
-  const crawlRatio = newRatio * transferCaseLowRatio * firstGearRatio;
+  const crawlRatio = getCrawlRatio({ ...drivetrain, firstGearRatio, axleGearRatio: newRatio });
 
   // Effective ratio vs original
   const originalEffectiveRatio = currentRatio;
@@ -259,29 +278,47 @@ function calculateRatioImpact(comparison, currentRatio, newRatio, drivetrain) {
 
   // Performance characteristics
   const acceleration = restorationPct > 2 ? 'improved' : restorationPct < -2 ? 'reduced' : 'similar';
-  const fuelEconomy = rpm < 2200 ? 'improved' : rpm > 2500 ? 'reduced' : 'similar';
+  const fuelEconomy = rpm < rpmAtHighway(2200, highway) ? 'improved' : rpm > rpmAtHighway(2500, highway) ? 'reduced' : 'similar';
 
   return {
     rpm: Math.round(rpm),
+    testSpeed: highway.speed,
+    testSpeedUnit: highway.unit,
     crawlRatio: crawlRatio.toFixed(1),
     restorationPercentage: restorationPct,
     acceleration,
     fuelEconomy,
-    highwayComfort: rpm < 2400 ? 'comfortable' : rpm < 2700 ? 'moderate' : 'high RPM'
+    highwayComfort: rpm < rpmAtHighway(2400, highway) ? 'comfortable' : rpm < rpmAtHighway(2700, highway) ? 'moderate' : 'high RPM',
+    gradeability: comparison.gradeability ? calculateGradeImpact(comparison.gradeability, newRatio) : null
+  };
+}
+
+/**
+ * Grade holding on the new tires with a candidate ratio, against the stock setup
+ */
+function calculateGradeImpact(gradeability, newRatio) {
+  const { topGearGrade, highestGearHoldingTarget } = evaluateAxleRatio(gradeability, newRatio);
+  return {
+    targetGrade: gradeability.targetGrade,
+    speed: Math.round(gradeability.speed),
+    speedUnit: gradeability.speedUnit,
+    topGearGrade,
+    highestGearHoldingTarget,
+    stockGearHoldingTarget: gradeability.highestGearHoldingTarget.current
   };
 }
 
 /**
  * Generate verdict for a gear ratio based on use case
  */
-function generateVerdict(impact, useCase) {
+function generateVerdict(impact, useCase, highway) {
   let score = 50; // Base score
   let pros = [];
   let cons = [];
   let recommendation = '';
 
   // Score based on RPM target
-  const rpmDiff = Math.abs(impact.rpm - useCase.targetRPMAt65);
+  const rpmDiff = Math.abs(impact.rpm - rpmAtHighway(useCase.targetRPMAt65, highway));
   if (rpmDiff < 100) {
     score += 30;
     pros.push('Ideal RPM for intended use');
@@ -333,6 +370,26 @@ function generateVerdict(impact, useCase) {
       break;
   }
 
+  // Hill holding: loaded rigs care most about keeping their highway gear on grades
+  if (impact.gradeability) {
+    const { targetGrade, speed, speedUnit, highestGearHoldingTarget: gear, stockGearHoldingTarget: stockGear } = impact.gradeability;
+    const weight = useCase.priority === 'power_band' ? 15 : 10;
+    const grade = `${targetGrade}% grade at ${speed} ${speedUnit}`;
+    if (gear === null && stockGear === null) {
+      // Stock cannot hold it either, so the grade does not separate the ratios
+      cons.push(`Cannot hold a ${grade} in any gear, same as stock`);
+    } else if (gear !== null && (stockGear === null || gear >= stockGear)) {
+      score += weight;
+      pros.push(`Holds a ${grade} in gear ${gear}${stockGear === null ? ', stock cannot' : gear > stockGear ? '' : ' like stock'}`);
+    } else if (gear === null) {
+      score -= weight;
+      cons.push(`Cannot hold a ${grade} in any gear (stock: gear ${stockGear})`);
+    } else {
+      score -= weight;
+      cons.push(`Needs gear ${gear} for a ${grade} (stock: gear ${stockGear})`);
+    }
+  }
+
   // Highway comfort
   if (impact.highwayComfort === 'comfortable') {
     pros.push('Comfortable highway cruising RPM');
@@ -0,0 +1,134 @@
+/**
+ * Rim Width Compatibility Module
+ *
+ * PURPOSE: Check a tire against its approved rim width range and estimate the
+ * section width it actually runs at on the chosen rim.
+ *
+ * METHODOLOGY:
+ * - Approved rim ranges and measuring rims per section width (Tire & Rim
+ *   Association / ETRTO style tables, rounded to common published values)
+ * - Published section width is measured on the measuring rim
+ * - Section width changes ~0.2" for every 0.5" of rim width away from the
+ *   measuring rim: adjusted = nominal + 0.4 × (rim − measuring rim)
+ *
+ * EXAMPLE:
+ * - 35x12.50R17 (measuring rim 10"): 12.50" on a 10" rim, ~11.7" on an 8" rim
+ */
+
+/**
+ * Approved rim widths (inches) for metric section widths (mm)
+ */
+const METRIC_RIM_RANGES = {
+  195: { min: 5.5, max: 7.0, measuring: 6.0 },
+  205: { min: 5.5, max: 7.5, measuring: 6.0 },
+  215: { min: 6.0, max: 7.5, measuring: 6.5 },
+  225: { min: 6.0, max: 8.0, measuring: 6.5 },
+  235: { min: 6.5, max: 8.5, measuring: 7.0 },
+  245: { min: 7.0, max: 8.5, measuring: 7.0 },
+  255: { min: 7.0, max: 9.0, measuring: 7.5 },
+  265: { min: 7.5, max: 9.5, measuring: 8.0 },
+  275: { min: 7.5, max: 9.5, measuring: 8.0 },
+  285: { min: 7.5, max: 10.0, measuring: 8.0 },
+  295: { min: 8.0, max: 10.0, measuring: 8.5 },
+  305: { min: 8.0, max: 10.5, measuring: 9.0 },
+  315: { min: 8.5, max: 11.0, measuring: 9.0 },
+  325: { min: 9.0, max: 11.0, measuring: 9.5 },
+  335: { min: 9.0, max: 11.5, measuring: 10.0 },
+  345: { min: 9.5, max: 12.0, measuring: 10.0 },
+  355: { min: 9.5, max: 12.0, measuring: 10.5 }
+};
+
+/**
+ * Approved rim widths (inches) for flotation section widths (inches)
+ */
+const FLOTATION_RIM_RANGES = {
+  9.5: { min: 6.0, max: 8.0, measuring: 7.0 },
+  10.5: { min: 7.0, max: 9.0, measuring: 8.5 },
+  11.5: { min: 7.5, max: 9.5, measuring: 8.5 },
+  12.5: { min: 8.5, max: 11.0, measuring: 10.0 },
+  13.5: { min: 9.5, max: 12.0, measuring: 11.0 },
+  14.5: { min: 10.0, max: 12.5, measuring: 11.0 },
+  15.5: { min: 10.5, max: 13.0, measuring: 12.0 },
+  16.5: { min: 11.0, max: 14.0, measuring: 13.0 }
+};
+
+// Section width change per inch of rim width (0.2" per 0.5")
+const WIDTH_CHANGE_PER_RIM_INCH = 0.4;
+
+/**
+ * Look up the approved rim range for a tire
+ *
+ * @param {Object} tire - Parsed tire or tire metrics (format, width in mm, widthInches)
+ * @returns {Object} { min, max, measuring } in inches, from the nearest table row
+ */
+export function getApprovedRimRange(tire) {
+  if (tire.format === 'Flotation') {
+    const widthInches = tire.widthInches || tire.width / 25.4;
+    return nearestRow(FLOTATION_RIM_RANGES, widthInches);
+  }
+  return nearestRow(METRIC_RIM_RANGES, tire.width);
+}
+
+/**
+ * Analyze a tire on a rim width
+ *
+ * @param {Object} tire - Parsed tire or tire metrics
+ * @param {number} rimWidth - Rim width in inches (optional - nominal width is used without it)
+ * @returns {Object} Approved range, fit status, adjusted section width and warnings
+ */
+export function analyzeRimFit(tire, rimWidth) {
+  const range = getApprovedRimRange(tire);
+  const nominalWidthInches = tire.width / 25.4;
+  const rim = parseFloat(rimWidth) || null;
+
+  if (!rim) {
+    return {
+      rimWidth: null,
+      approvedRange: range,
+      inRange: null,
+      nominalWidthInches,
+      adjustedWidthInches: nominalWidthInches,
+      widthAdjustment: 0,
+      warnings: []
+    };
+  }
+
+  const widthAdjustment = WIDTH_CHANGE_PER_RIM_INCH * (rim - range.measuring);
+  const adjustedWidthInches = nominalWidthInches + widthAdjustment;
+  const inRange = rim >= range.min && rim <= range.max;
+
+  const warnings = [];
+  if (rim < range.min) {
+    warnings.push({
+      severity: 'important',
+      message: `${rim}" rim is narrower than approved (${range.min}"-${range.max}")`,
+      detail: 'The bead is pinched together, ballooning the sidewall. Expect vague steering, uneven tread wear and a higher risk of rolling the tire off the bead when aired down.'
+    });
+  } else if (rim > range.max) {
+    warnings.push({
+      severity: 'important',
+      message: `${rim}" rim is wider than approved (${range.min}"-${range.max}")`,
+      detail: 'The sidewall is stretched flat, leaving the rim lip exposed to rocks and the bead under extra load. Mounting shops may refuse the combination.'
+    });
+  }
+
+  return {
+    rimWidth: rim,
+    approvedRange: range,
+    inRange,
+    nominalWidthInches,
+    adjustedWidthInches,
+    widthAdjustment,
+    warnings
+  };
+}
+
+/**
+ * Closest table row to a section width
+ */
+function nearestRow(table, width) {
+  const key = Object.keys(table)
+    .map(Number)
+    .reduce((best, candidate) => (Math.abs(candidate - width) < Math.abs(best - width) ? candidate : best));
+  return table[key];
+}
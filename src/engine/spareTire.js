@@ -0,0 +1,233 @@
+/**
+ * Spare Tire Compatibility
+ *
+ * PURPOSE: After four new tires, check the spare that stays behind (or a
+ * different fifth tire): how far it is from each running tire, how far and
+ * how fast it can be driven in each drive mode, and whether it still fits
+ * the stock carrier.
+ *
+ * METHODOLOGY:
+ * - Circumference difference (%) = (running diameter − spare diameter) / running diameter
+ *   (circumference scales with diameter)
+ * - A spare on one corner loads two differentials:
+ *   - the axle differential sees the full difference between the two wheels
+ *   - the axles see half of it, since each axle runs at its wheels' average
+ * - Drive modes and what must absorb the difference:
+ *   - 2WD (part-time or 2WD vehicle): the rear axle diff, only when the spare
+ *     is on the rear; an open diff tolerates ~3% indefinitely
+ *   - Part-time 4WD engaged: the locked transfer case (~1% between axles)
+ *   - Full-time 4WD / AWD: the center diff or coupling, always (see axleMismatch.js)
+ * - Within tolerance: drive normally. Beyond it, up to 6%: temporary spare
+ *   limits (50 mph / 50 miles, owner's manual guidance). Beyond 6%: do not
+ *   drive that mode on the spare
+ * - Carrier fit: spare diameter and width against the stock carrier for the
+ *   vehicle category (src/data/spare-carriers.json)
+ *
+ * EXAMPLE:
+ * - Old 31.6" spare with new 35" tires: 9.7% smaller. Part-time 4WD: fine in
+ *   2WD on the front axle, never in 4WD. It still fits a Tacoma's under-bed
+ *   carrier; a matching 35" fifth spare does not
+ */
+
+import carrierData from '../data/spare-carriers.json' with { type: 'json' };
+import { getUnitSystem, fromDisplayUnits } from './units.js';
+import { DRIVE_SYSTEMS, DEFAULT_DRIVE_SYSTEM } from './axleMismatch.js';
+
+// Open axle differential running continuously (%)
+export const AXLE_DIFF_TOLERANCE = 3.0;
+
+// Beyond this difference even temporary use on a driven axle is not advised (%)
+export const MAX_TEMPORARY_MISMATCH = 6.0;
+
+// Typical owner's manual limits for a mismatched spare, in display units
+export const TEMPORARY_SPARE_LIMITS = {
+  imperial: { speed: 50, distance: 50 },
+  metric: { speed: 80, distance: 80 }
+};
+
+// Drive modes available for each drive system
+const DRIVE_MODES = {
+  part_time: ['2wd', '4wd'],
+  full_time: ['4wd'],
+  awd: ['awd'],
+  two_wd: ['2wd']
+};
+
+const STATUS_RANK = { unrestricted: 0, temporary: 1, avoid: 2 };
+
+const MODE_NAMES = {
+  '2wd': '2WD',
+  '4wd': '4WD',
+  awd: 'AWD'
+};
+
+/**
+ * Stock spare carrier for a vehicle category
+ *
+ * @param {string} category - Vehicle category (e.g. 'tacoma', 'jeep')
+ * @returns {Object|null} { category, location, description, maxDiameter, maxWidth, notes }
+ */
+export function getSpareCarrier(category) {
+  return carrierData.carriers.find(carrier => carrier.category === category) || null;
+}
+
+/**
+ * Circumference difference of the spare against a running tire
+ *
+ * @param {number} spareDiameter - Spare diameter (inches)
+ * @param {number} runningDiameter - Running tire diameter (inches)
+ * @returns {number} Difference (%), positive when the spare is smaller
+ */
+export function calculateCircumferenceDifference(spareDiameter, runningDiameter) {
+  return ((runningDiameter - spareDiameter) / runningDiameter) * 100;
+}
+
+/**
+ * How the spare can be driven in one drive mode
+ *
+ * @param {string} driveSystem - Drive system id (see DRIVE_SYSTEMS)
+ * @param {string} mode - '2wd', '4wd' or 'awd'
+ * @param {string} axle - Axle the spare is on ('front' or 'rear')
+ * @param {number} difference - Circumference difference (%)
+ * @returns {Object} { mode, axle, status, loadedBy, mismatch, tolerance } - status: 'unrestricted', 'temporary' or 'avoid'
+ */
+export function assessDriveMode(driveSystem, mode, axle, difference) {
+  const absolute = Math.abs(difference);
+  const checks = [];
+
+  if (mode === '2wd') {
+    // Only the rear axle is driven
+    if (axle === 'rear') {
+      checks.push({ loadedBy: 'rear differential', mismatch: absolute, tolerance: AXLE_DIFF_TOLERANCE });
+    }
+  } else {
+    // Each axle runs at its wheels' average, so the axles see half the difference;
+    // the spare's own axle diff sees all of it
+    const system = DRIVE_SYSTEMS[driveSystem];
+    const centerName = mode === 'awd' ? 'AWD coupling' : driveSystem === 'full_time' ? 'center differential' : 'locked transfer case';
+    checks.push({ loadedBy: centerName, mismatch: absolute / 2, tolerance: system.tolerance });
+    checks.push({ loadedBy: `${axle} differential`, mismatch: absolute, tolerance: AXLE_DIFF_TOLERANCE });
+  }
+
+  if (checks.length === 0) {
+    return { mode, axle, status: 'unrestricted', loadedBy: null, mismatch: 0, tolerance: null };
+  }
+  const worst = checks.reduce((a, b) => (b.mismatch / b.tolerance > a.mismatch / a.tolerance ? b : a));
+  const status = worst.mismatch <= worst.tolerance
+    ? 'unrestricted'
+    : absolute <= MAX_TEMPORARY_MISMATCH ? 'temporary' : 'avoid';
+  return { mode, axle, status, ...worst };
+}
+
+/**
+ * Spare tire compatibility with the running tires
+ *
+ * @param {Object} spare - Spare tire ({ diameter, width (mm) }, e.g. from parseTireSize)
+ * @param {Object} running - { front, rear } running tires (rear defaults to front)
+ * @param {Object} options - { driveSystem, vehicleCategory, unitSystem }
+ * @returns {Object} { spare, driveSystem, positions, modes, limits, displayLimits, carrier, warnings, summary }
+ */
+export function analyzeSpareTire(spare, running, options = {}) {
+  const driveSystem = options.driveSystem || DEFAULT_DRIVE_SYSTEM;
+  if (!DRIVE_MODES[driveSystem]) {
+    throw new Error(`Unknown drive system: ${driveSystem}`);
+  }
+  const units = typeof options.unitSystem === 'object' ? options.unitSystem : getUnitSystem(options.unitSystem);
+  const displayLimits = TEMPORARY_SPARE_LIMITS[units.id] || TEMPORARY_SPARE_LIMITS.imperial;
+  const limits = {
+    speed: fromDisplayUnits(displayLimits.speed, 'speed', units.id),
+    distance: fromDisplayUnits(displayLimits.distance, 'distance', units.id)
+  };
+
+  const runningTires = { front: running.front, rear: running.rear || running.front };
+  const positions = ['front', 'rear'].map(axle => {
+    const difference = calculateCircumferenceDifference(spare.diameter, runningTires[axle].diameter);
+    return {
+      axle,
+      runningDiameter: runningTires[axle].diameter,
+      difference,
+      modes: DRIVE_MODES[driveSystem].map(mode => assessDriveMode(driveSystem, mode, axle, difference))
+    };
+  });
+
+  // The spare can go on either axle: each mode takes the better position
+  const modes = DRIVE_MODES[driveSystem].map(mode => positions
+    .map(position => position.modes.find(m => m.mode === mode))
+    .reduce((a, b) => (STATUS_RANK[b.status] < STATUS_RANK[a.status] ? b : a)));
+
+  const carrier = options.vehicleCategory ? getSpareCarrier(options.vehicleCategory) : null;
+  const spareWidth = spare.width / 25.4;
+  const carrierFit = carrier
+    ? {
+        ...carrier,
+        spareDiameter: spare.diameter,
+        spareWidth,
+        fits: spare.diameter <= carrier.maxDiameter && spareWidth <= carrier.maxWidth
+      }
+    : null;
+
+  const warnings = generateSpareWarnings(positions, modes, carrierFit, driveSystem, displayLimits, units);
+  return {
+    spare: { diameter: spare.diameter, width: spareWidth },
+    driveSystem,
+    positions,
+    modes,
+    limits,
+    displayLimits: { ...displayLimits, speedUnit: units.labels.speed, distanceUnit: units.labels.distance },
+    carrier: carrierFit,
+    warnings,
+    summary: summarizeSpare(positions, modes, carrierFit)
+  };
+}
+
+function generateSpareWarnings(positions, modes, carrier, driveSystem, displayLimits, units) {
+  const warnings = [];
+  const worst = positions.reduce((a, b) => (Math.abs(b.difference) > Math.abs(a.difference) ? b : a));
+  const sizeText = `${Math.abs(worst.difference).toFixed(1)}% ${worst.difference > 0 ? 'smaller' : 'larger'}`;
+  const limitText = `${displayLimits.speed} ${units.labels.speed} and ${displayLimits.distance} ${units.labels.distance}`;
+
+  modes.forEach(({ mode, axle, status, loadedBy }) => {
+    if (status === 'avoid') {
+      const safeMode = modes.find(m => m.status === 'unrestricted');
+      warnings.push({
+        severity: driveSystem === 'awd' || driveSystem === 'full_time' ? 'critical' : 'important',
+        message: `Spare is ${sizeText} than the running tires`,
+        detail: `Do not drive in ${MODE_NAMES[mode]} on this spare - the ${loadedBy} would work continuously and overheat.` +
+          (safeMode ? ` Mount it on the ${safeMode.axle} axle and stay in ${MODE_NAMES[safeMode.mode]}.` : '')
+      });
+    } else if (status === 'temporary') {
+      warnings.push({
+        severity: 'advisory',
+        message: `Temporary use only in ${MODE_NAMES[mode]}`,
+        detail: `Spare is ${sizeText} - mount it on the ${axle} axle and keep under ${limitText} in ${MODE_NAMES[mode]} to spare the ${loadedBy}.`
+      });
+    } else if (loadedBy === null && !modes.some(m => m.status === 'avoid') && positions.some(position => position.modes.find(m => m.mode === mode).status !== 'unrestricted')) {
+      warnings.push({
+        severity: 'advisory',
+        message: `Mount the spare on the ${axle} axle`,
+        detail: `Spare is ${sizeText} - on the ${axle} axle nothing has to make up the difference in ${MODE_NAMES[mode]}.`
+      });
+    }
+  });
+
+  if (carrier && !carrier.fits) {
+    warnings.push({
+      severity: 'important',
+      message: 'Spare does not fit the stock carrier',
+      detail: `${carrier.description} takes up to ${carrier.maxDiameter}" x ${carrier.maxWidth}" - ${carrier.notes}.`
+    });
+  }
+  return warnings;
+}
+
+function summarizeSpare(positions, modes, carrier) {
+  const worst = Math.max(...positions.map(position => Math.abs(position.difference)));
+  const fitText = carrier ? (carrier.fits ? ', fits the stock carrier' : ', does not fit the stock carrier') : '';
+  if (modes.every(mode => mode.status === 'unrestricted' && mode.loadedBy !== null) || worst === 0) {
+    return `Spare is within ${worst.toFixed(1)}% of the running tires - drive normally${fitText}`;
+  }
+  const usable = modes.filter(mode => mode.status !== 'avoid').map(mode => `${MODE_NAMES[mode.mode]} (${mode.status === 'temporary' ? 'temporary' : `on the ${mode.axle} axle`})`);
+  return usable.length > 0
+    ? `Spare is ${worst.toFixed(1)}% off the running tires - usable in ${usable.join(', ')}${fitText}`
+    : `Spare is ${worst.toFixed(1)}% off the running tires - not usable on a driven axle${fitText}`;
+}
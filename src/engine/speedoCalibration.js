@@ -0,0 +1,165 @@
+/**
+ * Speedometer Recalibration Assistant
+ *
+ * PURPOSE: After the tire change, tell the owner what to enter in the common
+ * recalibration tools (AlphaOBD, Techstream, Hypertech, ScanGauge, CAN-bus
+ * correctors) and how far off the speedometer stays at the nearest setting.
+ *
+ * METHODOLOGY:
+ * - Starts from the speedometer error ratio (new / current diameter, loaded
+ *   rolling diameter when enabled) and the new tire's revolutions per mile
+ * - Tool formats (src/data/speedo-programmers.json):
+ *   - dropdown: nearest listed tire size by revolutions per mile
+ *   - revsPerMile: new revs per mile rounded to the tool's step
+ *   - percentage: (ratio − 1) × 100 rounded to the tool's step, relative to
+ *     the current calibration
+ * - Remaining error, as actual vs indicated speed:
+ *   - dropdown / revsPerMile: actual / indicated = programmed revs / true revs
+ *   - percentage: actual / indicated = ratio / (1 + correction / 100)
+ * - Settings outside the tool's range are clamped and flagged
+ *
+ * EXAMPLE:
+ * - 265/70R17 (31.6") → 35x12.50R17: 576 revs/mile, +10.8% correction
+ *   - AlphaOBD: 35" (35x12.50R17), no remaining error
+ *   - Techstream: 285/70R17 (largest listed), still reads 7.0% slow
+ */
+
+import programmerData from '../data/speedo-programmers.json' with { type: 'json' };
+import { calculateCircumference, calculateRevolutionsPerMile } from './tireParser.js';
+import { getUnitSystem } from './units.js';
+
+// Remaining error (%) that counts as a good calibration
+export const CALIBRATION_TOLERANCE = 1;
+
+/**
+ * All recalibration tools in the library
+ *
+ * @returns {Object[]} [{ id, name, vehicles, format, options | range + step }]
+ */
+export function getSpeedoProgrammers() {
+  return programmerData.tools;
+}
+
+/**
+ * Nearest available setting of one tool and the error it leaves
+ *
+ * @param {Object} tool - Tool definition
+ * @param {number} ratio - Speedometer error ratio (new / current diameter)
+ * @param {number} trueRevsPerMile - New tire revolutions per mile
+ * @returns {Object} { value, display, outOfRange, residualRatio }
+ */
+export function calculateToolSetting(tool, ratio, trueRevsPerMile) {
+  switch (tool.format) {
+    case 'dropdown': {
+      const nearest = tool.options.reduce((best, option) => {
+        const revs = revsPerMile(option.diameter);
+        return !best || Math.abs(revs - trueRevsPerMile) < Math.abs(best.revs - trueRevsPerMile)
+          ? { ...option, revs }
+          : best;
+      }, null);
+      const diameters = tool.options.map(option => option.diameter);
+      return {
+        value: nearest.label,
+        display: nearest.label,
+        outOfRange: trueRevsPerMile > revsPerMile(Math.min(...diameters)) ||
+          trueRevsPerMile < revsPerMile(Math.max(...diameters)),
+        residualRatio: nearest.revs / trueRevsPerMile
+      };
+    }
+
+    case 'revsPerMile': {
+      const { value, outOfRange } = roundToTool(trueRevsPerMile, tool);
+      return {
+        value,
+        display: `${value} revs/mile`,
+        outOfRange,
+        residualRatio: value / trueRevsPerMile
+      };
+    }
+
+    case 'percentage': {
+      const { value, outOfRange } = roundToTool((ratio - 1) * 100, tool);
+      return {
+        value,
+        display: `${value > 0 ? '+' : ''}${value.toFixed(tool.step < 1 ? 1 : 0)}%`,
+        outOfRange,
+        residualRatio: ratio / (1 + value / 100)
+      };
+    }
+
+    default:
+      throw new Error(`Unknown speedometer tool format: ${tool.format}`);
+  }
+}
+
+/**
+ * Settings for every recalibration tool
+ *
+ * @param {number} ratio - Speedometer error ratio from calculateSpeedometerError
+ * @param {number} newDiameter - New tire diameter used for the ratio (inches)
+ * @param {string|Object} unitSystem - Unit system id or definition (reference speed)
+ * @returns {Object} { revolutionsPerMile, correctionPercentage, tools, summary }
+ */
+export function recommendSpeedoSettings(ratio, newDiameter, unitSystem) {
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const trueRevsPerMile = revsPerMile(newDiameter);
+  const referenceSpeed = units.referenceSpeed;
+
+  const tools = programmerData.tools.map(tool => {
+    const setting = calculateToolSetting(tool, ratio, trueRevsPerMile);
+    const errorPercentage = (setting.residualRatio - 1) * 100;
+    return {
+      id: tool.id,
+      name: tool.name,
+      vehicles: tool.vehicles,
+      format: tool.format,
+      setting: {
+        value: setting.value,
+        display: setting.display,
+        outOfRange: setting.outOfRange
+      },
+      residual: {
+        ratio: setting.residualRatio,
+        errorPercentage,
+        indicated: referenceSpeed,
+        actual: referenceSpeed * setting.residualRatio,
+        unit: units.labels.speed
+      },
+      withinTolerance: Math.abs(errorPercentage) <= CALIBRATION_TOLERANCE
+    };
+  });
+
+  return {
+    revolutionsPerMile: trueRevsPerMile,
+    correctionPercentage: (ratio - 1) * 100,
+    tools,
+    summary: summarizeSettings(tools, ratio)
+  };
+}
+
+function roundToTool(value, tool) {
+  const rounded = Math.round(value / tool.step) * tool.step;
+  const clamped = Math.min(tool.range.max, Math.max(tool.range.min, rounded));
+  return {
+    value: Number(clamped.toFixed(2)),
+    outOfRange: clamped !== rounded
+  };
+}
+
+function summarizeSettings(tools, ratio) {
+  if (Math.abs(ratio - 1) * 100 <= CALIBRATION_TOLERANCE) {
+    return `Speedometer error is within ${CALIBRATION_TOLERANCE}% - recalibration optional`;
+  }
+  const good = tools.filter(tool => tool.withinTolerance);
+  if (good.length === tools.length) {
+    return `Every listed tool can bring the speedometer within ${CALIBRATION_TOLERANCE}%`;
+  }
+  if (good.length === 0) {
+    return `No listed tool gets within ${CALIBRATION_TOLERANCE}% - use GPS speed or a tool with a finer setting`;
+  }
+  return `${good.map(tool => tool.name).join(', ')} can bring the speedometer within ${CALIBRATION_TOLERANCE}%`;
+}
+
+function revsPerMile(diameter) {
+  return calculateRevolutionsPerMile(calculateCircumference(diameter));
+}
@@ -4,21 +4,77 @@
  * Handles speedometer error, gear ratio changes, RPM changes
  */
 
-import { calculateCircumference, calculateRevolutionsPerMile } from './tireParser.js';
+import {
+  calculateCircumference,
+  calculateRevolutionsPerMile,
+  calculateWornDiameter,
+  getNewTreadDepth,
+  LEGAL_MIN_TREAD_DEPTH
+} from './tireParser.js';
 import { calculateRotationalImpact } from './rotationalPhysics.js';
 import { getGuidanceFromComparison } from './regearingGuidance.js';
 import { calculateClearanceProbability, getVehicleSuspensionType } from './clearanceProbability.js';
+import { calculateRollingRadiusComparison } from './rollingRadius.js';
+import { analyzeRimFit } from './rimWidth.js';
+import { getUnitSystem, fromDisplayUnits, getSpeedKey } from './units.js';
+import { analyzeTransmissionGears, applyTransmissionRatios } from './transmissionModel.js';
+import { analyzeTractiveEffort } from './tractiveEffort.js';
+import { analyzeGradeability } from './gradeability.js';
+import { analyzeAcceleration } from './accelerationSim.js';
+import { recommendSpeedoSettings } from './speedoCalibration.js';
+import { analyzeOdometerCorrection } from './odometerCorrection.js';
+import { analyzeDrivetrainChain, getCrawlRatio, getRoadReduction, CRAWL_TEST_RPM } from './drivetrainChain.js';
+import { analyzeAxleMismatch } from './axleMismatch.js';
+import { analyzeFuelEconomy, formatEconomyChange } from './fuelEconomy.js';
+import { analyzeBraking } from './braking.js';
+import { analyzeBrakeSizing } from './brakeSizing.js';
+import { calculateFuelRange } from './overlandLoad.js';
 
 /**
  * Calculate comprehensive tire comparison
  * @param {Object} currentTire - Current tire dimensions
  * @param {Object} newTire - New tire dimensions
- * @param {Object} drivetrain - Optional drivetrain specs
- * @param {Object} tireSpecs - Optional tire weight and load rating specs
+ * @param {Object} drivetrainSpecs - Optional drivetrain specs (transmission id or transmissionRatios for per-gear analysis,
+ *   engine id for tractive effort, underdriveRatio / doublerRatio / portalRatio or reductionStages for the drivetrain chain,
+ *   frontAxleRatio / rearAxleRatio and driveSystem for axle mismatch)
+ * @param {Object} tireSpecs - Optional tire weight, load rating and rim width (inches) specs
  * @param {string} intendedUse - Intended use case for context-aware recommendations
+ * @param {Object} options - Optional calculation settings
+ * @param {boolean} options.useRollingRadius - Use loaded rolling radius for speedometer and RPM math
+ * @param {number} options.currentPressure - Current tire inflation (PSI)
+ * @param {number} options.newPressure - New tire inflation (PSI)
+ * @param {number} options.cornerLoad - Load per tire (lbs)
+ * @param {string} options.unitSystem - 'imperial' (default) or 'metric' test speeds and labels;
+ *   dimensions, weights and pressures stay imperial and are converted for display
+ * @param {number} options.vehicleWeight - Vehicle weight (lbs) for gradeability
+ * @param {number} options.expeditionLoad - Expedition load (lbs) for gradeability
+ * @param {string} options.currentTreadType - Current tread type (rolling resistance)
+ * @param {string} options.newTreadType - New tread type (rolling resistance)
+ * @param {number} options.gradeSpeed - Gradeability test speed (mph, default highway speed)
+ * @param {number} options.targetGrade - Grade to hold (%, default 6)
+ * @param {Object} options.odometer - Odometer readings, service intervals and fill-ups (miles, gallons)
+ * @param {Object} options.currentRearTire - Parsed rear tire when the current setup is staggered
+ * @param {Object} options.newRearTire - Parsed rear tire when the new setup is staggered
+ * @param {number} options.baselineFuelEconomy - Measured economy on the current tires (mpg)
+ * @param {number} options.liftHeight - Suspension lift with the new tires (inches, default from the clearance estimate)
+ * @param {Object} options.fuelPlan - Tanks, jerry cans, terrain mix and fuel gap (gallons, miles) for the fuel range
+ * @param {number} options.brakeTorque - Total brake torque capacity (lb-ft, default from the stock brake hardware
+ *   for options.vehicleLabel, else estimated from the stock setup)
+ * @param {string} options.vehicleLabel - Vehicle preset label for the stock brake hardware check
+ * @param {Object} options.descent - Long descent for brake heating ({ grade (%), length (miles), speed (mph) })
  * @returns {Object} Complete comparison data
  */
-export function calculateTireComparison(currentTire, newTire, drivetrain = {}, tireSpecs = {}, intendedUse = 'weekend_trail') {
+export function calculateTireComparison(currentTire, newTire, drivetrainSpecs = {}, tireSpecs = {}, intendedUse = 'weekend_trail', options = {}) {
+  const units = getUnitSystem(options.unitSystem);
+
+  // A selected transmission supplies top and first gear when they are not given;
+  // with only split ratios the rear axle drives the single-ratio analyses
+  const drivetrain = applyTransmissionRatios(
+    !drivetrainSpecs.axleGearRatio && drivetrainSpecs.rearAxleRatio
+      ? { ...drivetrainSpecs, axleGearRatio: drivetrainSpecs.rearAxleRatio }
+      : drivetrainSpecs
+  );
+
   // Basic tire metrics
   const current = calculateTireMetrics(currentTire);
   const newCalc = calculateTireMetrics(newTire);
@@ -26,16 +82,44 @@ export function calculateTireComparison(currentTire, newTire, drivetrain = {}, t
   // Differences
   const differences = calculateDifferences(current, newCalc);
 
+  // Loaded rolling radius (opt-in): tires roll smaller than their free diameter
+  const rollingRadius = options.useRollingRadius
+    ? calculateRollingRadiusComparison(current, newCalc, options)
+    : null;
+
   // Speedometer error
-  const speedometerError = calculateSpeedometerError(current, newCalc);
+  const speedometerError = calculateSpeedometerError(current, newCalc, rollingRadius, units, options.odometer);
 
   // Drivetrain impact (if gear ratios provided)
   const drivetrainImpact = drivetrain.axleGearRatio
-    ? calculateDrivetrainImpact(current, newCalc, drivetrain)
+    ? calculateDrivetrainImpact(current, newCalc, drivetrain, rollingRadius, units)
+    : null;
+
+  const currentDiameter = rollingRadius ? rollingRadius.current.effectiveDiameter : current.diameter;
+  const newDiameter = rollingRadius ? rollingRadius.new.effectiveDiameter : newCalc.diameter;
+
+  // Crawl ratio, speed and RPM for every combination of switchable reduction stages
+  const drivetrainChain = analyzeDrivetrainChain(currentDiameter, newDiameter, drivetrain, units);
+
+  // Front / rear wheel-speed mismatch (staggered tires or split axle ratios)
+  const axleMismatch = calculateAxleMismatch(current, newCalc, drivetrain, options);
+
+  // Per-gear RPM, shift points and overdrive usability (if a transmission is selected)
+  const transmissionAnalysis = analyzeTransmissionGears(currentDiameter, newDiameter, drivetrain, units);
+
+  // Tractive effort by gear (if an engine and transmission are selected)
+  const tractiveEffort = analyzeTractiveEffort(currentDiameter, newDiameter, drivetrain, units);
+
+  // Rim width fit: section width grows or shrinks with rim width
+  const rimFit = (tireSpecs.currentRimWidth || tireSpecs.newRimWidth)
+    ? {
+        current: analyzeRimFit(current, tireSpecs.currentRimWidth),
+        new: analyzeRimFit(newCalc, tireSpecs.newRimWidth)
+      }
     : null;
 
   // Clearance and fitment
-  const clearance = calculateClearanceImpact(differences, newCalc, drivetrain);
+  const clearance = calculateClearanceImpact(differences, newCalc, drivetrain, rimFit);
 
   // Weight and load analysis
   // Use provided weights or estimate based on tire size
@@ -46,13 +130,87 @@ export function calculateTireComparison(currentTire, newTire, drivetrain = {}, t
     ? parseFloat(tireSpecs.newTireWeight)
     : estimateTireWeight(newCalc);
 
+  // Simulated 0-60 and 50-70 times (if an engine and transmission are selected)
+  const acceleration = analyzeAcceleration(currentDiameter, newDiameter, drivetrain, units, {
+    vehicleWeight: options.vehicleWeight,
+    expeditionLoad: options.expeditionLoad,
+    currentTireWeight: currentWeight,
+    newTireWeight: newWeight,
+    currentWheelDiameter: current.wheelDiameter,
+    newWheelDiameter: newCalc.wheelDiameter,
+    currentTreadType: options.currentTreadType,
+    newTreadType: options.newTreadType
+  });
+
+  // Stock brake torque and descent heating against the new tires and load, with swaps (known vehicles)
+  const brakeSizing = analyzeBrakeSizing(currentDiameter, newDiameter, units, {
+    vehicleLabel: options.vehicleLabel,
+    vehicleWeight: options.vehicleWeight,
+    expeditionLoad: options.expeditionLoad,
+    currentTireWeight: currentWeight,
+    newTireWeight: newWeight,
+    currentWheelDiameter: current.wheelDiameter,
+    newWheelDiameter: newCalc.wheelDiameter,
+    newTreadType: options.newTreadType,
+    descent: options.descent
+  });
+
+  // Stopping distance from 60 mph: stock, new tires, new tires with expedition load
+  const braking = analyzeBraking(currentDiameter, newDiameter, units, {
+    vehicleWeight: options.vehicleWeight,
+    expeditionLoad: options.expeditionLoad,
+    currentTireWeight: currentWeight,
+    newTireWeight: newWeight,
+    currentWheelDiameter: current.wheelDiameter,
+    newWheelDiameter: newCalc.wheelDiameter,
+    brakeTorque: options.brakeTorque || brakeSizing?.torque.total
+  });
+
+  // City / highway / combined economy from road load, ride height and engine operating point
+  const fuelEconomy = analyzeFuelEconomy(currentDiameter, newDiameter, drivetrain, units, {
+    vehicleWeight: options.vehicleWeight,
+    expeditionLoad: options.expeditionLoad,
+    currentTireWeight: currentWeight,
+    newTireWeight: newWeight,
+    currentWheelDiameter: current.wheelDiameter,
+    newWheelDiameter: newCalc.wheelDiameter,
+    currentTreadType: options.currentTreadType,
+    newTreadType: options.newTreadType,
+    liftHeight: options.liftHeight !== undefined && options.liftHeight !== null
+      ? options.liftHeight
+      : clearance.estimatedLiftRequired,
+    baselineFuelEconomy: options.baselineFuelEconomy,
+    speedometerRatio: speedometerError.ratio,
+    fuelLog: speedometerError.odometer.fuelLog
+  });
+
+  // Usable and reserve-safe range for the fuel carried (if a tank size is given)
+  const fuelRange = options.fuelPlan ? calculateFuelRange(fuelEconomy, options.fuelPlan, units) : null;
+
   const weightAnalysis = calculateWeightImpact({
     currentTireWeight: currentWeight,
     newTireWeight: newWeight
-  }, !tireSpecs.currentTireWeight || !tireSpecs.newTireWeight, intendedUse); // isEstimate flag + intendedUse
+  }, !tireSpecs.currentTireWeight || !tireSpecs.newTireWeight, intendedUse, acceleration, fuelEconomy, braking); // isEstimate flag + intendedUse
+
+  // Max sustainable grade by gear (if an engine and transmission are selected)
+  const gradeability = analyzeGradeability(currentDiameter, newDiameter, drivetrain, units, {
+    vehicleWeight: options.vehicleWeight,
+    expeditionLoad: options.expeditionLoad,
+    tireWeightChange: weightAnalysis.difference.total,
+    currentTreadType: options.currentTreadType,
+    newTreadType: options.newTreadType,
+    speed: options.gradeSpeed,
+    targetGrade: options.targetGrade
+  });
 
-  const loadCapacityAnalysis = (tireSpecs.currentTireLoadIndex && tireSpecs.newTireLoadIndex)
-    ? calculateLoadCapacity(tireSpecs, intendedUse)
+  // Load indexes are read from the sidewall string (e.g. "LT285/75R17 121/118S E")
+  // Explicit tireSpecs values still take precedence
+  const loadSpecs = {
+    currentTireLoadIndex: tireSpecs.currentTireLoadIndex || currentTire.loadIndex,
+    newTireLoadIndex: tireSpecs.newTireLoadIndex || newTire.loadIndex
+  };
+  const loadCapacityAnalysis = (loadSpecs.currentTireLoadIndex && loadSpecs.newTireLoadIndex)
+    ? calculateLoadCapacity(loadSpecs, intendedUse)
     : null;
 
   // Rotational physics analysis (Part 1: Engineering Expansion)
@@ -91,13 +249,26 @@ export function calculateTireComparison(currentTire, newTire, drivetrain = {}, t
     : null;
 
   return {
+    unitSystem: units.id,
     current,
     new: newCalc,
     differences,
+    rollingRadius,
     speedometerError,
     drivetrainImpact,
+    drivetrainChain,
+    axleMismatch,
+    transmissionAnalysis,
+    tractiveEffort,
+    rimFit,
     clearance,
     weightAnalysis,
+    gradeability,
+    acceleration,
+    braking,
+    brakeSizing,
+    fuelEconomy,
+    fuelRange,
     loadCapacityAnalysis,
     rotationalPhysics,
     regearingGuidance,
@@ -121,6 +292,15 @@ function calculateTireMetrics(tire) {
     wheelDiameter: tire.wheelDiameter,
     isLT: tire.isLT,
 
+    // Sidewall markings (null when only the size was entered)
+    loadIndex: tire.loadIndex || null,
+    speedRating: tire.speedRating || null,
+    loadRange: tire.loadRange || null,
+    serviceDescription: tire.serviceDescription || null,
+
+    // Measured-diameter dataset entry used for the diameter (null = size formula)
+    measuredDataEntry: tire.measuredDataEntry || null,
+
     // Calculated dimensions
     sidewallHeight: tire.sidewallHeight,
     sidewallInches: tire.sidewallInches,
@@ -132,11 +312,47 @@ function calculateTireMetrics(tire) {
     circumferenceMm: circumference * 25.4,
     revolutionsPerMile: revolutionsPerMile,
 
+    // Diameter drift over the life of the tread
+    treadWear: calculateTreadWearStates(tire),
+
     // Display
     formatted: formatDisplay(tire)
   };
 }
 
+/**
+ * Calculate diameter and revs/mile at new, half-worn and legal-minimum tread
+ * Half-worn is the midpoint of usable tread (new depth down to the legal minimum).
+ * A "current" state is added when the remaining tread depth was entered.
+ */
+function calculateTreadWearStates(tire) {
+  const newDepth = getNewTreadDepth(tire);
+  const depths = {
+    new: newDepth,
+    halfWorn: (newDepth + LEGAL_MIN_TREAD_DEPTH) / 2,
+    legalMin: LEGAL_MIN_TREAD_DEPTH
+  };
+  if (tire.treadDepthCurrent) {
+    depths.current = Math.min(tire.treadDepthCurrent, newDepth);
+  }
+
+  const states = {};
+  Object.entries(depths).forEach(([state, treadDepth]) => {
+    const diameter = calculateWornDiameter(tire, treadDepth);
+    states[state] = {
+      treadDepth: treadDepth, // 32nds
+      diameter: diameter,
+      revolutionsPerMile: calculateRevolutionsPerMile(calculateCircumference(diameter))
+    };
+  });
+
+  return {
+    treadDepthNew: newDepth,
+    isEstimate: !tire.treadDepthNew,
+    states
+  };
+}
+
 /**
  * Calculate differences between tires
  */
@@ -195,81 +411,121 @@ function calculateDifferences(current, newTire) {
 
 /**
  * Calculate speedometer error at various speeds
+ * The speedometer is assumed calibrated to the current tire at full tread, so the
+ * tread-wear breakdown shows how the error drifts as the new tire wears down.
+ * With rolling radius, both tires are compared at their loaded effective diameter.
  */
-function calculateSpeedometerError(current, newTire) {
+function calculateSpeedometerError(current, newTire, rollingRadius = null, units = getUnitSystem(), odometer = {}) {
+  const currentDiameter = rollingRadius ? rollingRadius.current.effectiveDiameter : current.diameter;
+  const newDiameter = rollingRadius ? rollingRadius.new.effectiveDiameter : newTire.diameter;
+
   // Ratio of diameters determines speed error
-  const ratio = newTire.diameter / current.diameter;
+  const ratio = newDiameter / currentDiameter;
+
+  // Loaded deflection shrinks every wear state by the same amount
+  const deflectionLoss = newTire.diameter - newDiameter;
+
+  const treadWear = {};
+  Object.entries(newTire.treadWear.states).forEach(([state, wear]) => {
+    const wearRatio = (wear.diameter - deflectionLoss) / currentDiameter;
+    treadWear[state] = {
+      treadDepth: wear.treadDepth,
+      diameter: wear.diameter,
+      revolutionsPerMile: wear.revolutionsPerMile,
+      ratio: wearRatio,
+      errors: calculateSpeedErrors(wearRatio, units)
+    };
+  });
 
-  const testSpeeds = [30, 45, 60, 75];
+  return {
+    ratio: ratio,
+    summary: ratio > 1
+      ? 'Speedometer will read SLOWER than actual speed'
+      : ratio < 1
+        ? 'Speedometer will read FASTER than actual speed'
+        : 'No speedometer error',
+    errors: calculateSpeedErrors(ratio, units),
+    treadWear,
+    rollingRadius,
+    // What to enter in AlphaOBD, Techstream, Hypertech, ScanGauge or a CAN corrector
+    calibration: recommendSpeedoSettings(ratio, newDiameter, units),
+    // True distance, service intervals and fuel log on the uncorrected odometer
+    odometer: analyzeOdometerCorrection(ratio, odometer, units)
+  };
+}
+
+/**
+ * Actual vs indicated speed at the unit system's test speeds for a diameter ratio
+ * Keys follow the unit system: at30mph...at75mph or at50kmh...at120kmh
+ */
+function calculateSpeedErrors(ratio, units = getUnitSystem()) {
+  const speedLabel = units.labels.speed;
   const errors = {};
 
-  testSpeeds.forEach(speed => {
+  units.testSpeeds.forEach(speed => {
     const actualSpeed = speed * ratio;
     const error = actualSpeed - speed;
     const errorPct = (error / speed) * 100;
 
-    errors[`at${speed}mph`] = {
+    errors[getSpeedKey(speed, units.id)] = {
       indicated: speed,
       actual: actualSpeed,
       error: error,
       errorPercentage: errorPct,
-      correction: `${speed} mph indicated = ${actualSpeed.toFixed(1)} mph actual`
+      unit: speedLabel,
+      correction: `${speed} ${speedLabel} indicated = ${actualSpeed.toFixed(1)} ${speedLabel} actual`
     };
   });
 
-  return {
-    ratio: ratio,
-    summary: ratio > 1
-      ? 'Speedometer will read SLOWER than actual speed'
-      : ratio < 1
-        ? 'Speedometer will read FASTER than actual speed'
-        : 'No speedometer error',
-    errors
-  };
+  return errors;
 }
 
 /**
  * Calculate drivetrain impact
+ * With rolling radius, RPM, effective ratio and crawl speed use loaded effective diameter.
  */
-function calculateDrivetrainImpact(current, newTire, drivetrain) {
+function calculateDrivetrainImpact(current, newTire, drivetrain, rollingRadius = null, units = getUnitSystem()) {
   const {
     axleGearRatio,
-    transmissionTopGear = 1.0,
-    transferCaseRatio = 1.0,
-    transferCaseLowRatio = 2.5,
-    firstGearRatio = 3.5  // Default first gear ratio for crawl calculations
+    transmissionTopGear = 1.0
   } = drivetrain;
+  // Transfer case high range and portal hubs also turn the wheels on the road
+  const roadReduction = getRoadReduction(drivetrain);
+
+  const currentDiameter = rollingRadius ? rollingRadius.current.effectiveDiameter : current.diameter;
+  const newDiameter = rollingRadius ? rollingRadius.new.effectiveDiameter : newTire.diameter;
 
   // Effective gear ratio change
   // New Effective Ratio = Original Ratio × (Original Diameter / New Diameter)
   const originalEffectiveRatio = axleGearRatio;
-  const newEffectiveRatio = axleGearRatio * (current.diameter / newTire.diameter);
+  const newEffectiveRatio = axleGearRatio * (currentDiameter / newDiameter);
   const effectiveRatioChange = newEffectiveRatio - originalEffectiveRatio;
   const effectiveRatioChangePct = (effectiveRatioChange / originalEffectiveRatio) * 100;
 
-  // RPM change at highway speed (65 mph)
-  const testSpeed = 65; // mph
-  const originalRPM = calculateEngineRPM(current.diameter, axleGearRatio, transmissionTopGear, testSpeed);
-  const newRPM = calculateEngineRPM(newTire.diameter, axleGearRatio, transmissionTopGear, testSpeed);
+  // RPM change at highway speed (65 mph / 100 km/h)
+  const testSpeed = units.highwaySpeed;
+  const testSpeedMPH = fromDisplayUnits(testSpeed, 'speed', units.id);
+  const originalRPM = calculateEngineRPM(currentDiameter, axleGearRatio * roadReduction, transmissionTopGear, testSpeedMPH);
+  const newRPM = calculateEngineRPM(newDiameter, axleGearRatio * roadReduction, transmissionTopGear, testSpeedMPH);
   const rpmChange = newRPM - originalRPM;
   const rpmChangePct = (rpmChange / originalRPM) * 100;
 
   // Crawl ratio impact (4WD low range)
   // CRITICAL: Use FIRST gear ratio, not top gear!
-  // Crawl Ratio = Axle × Transfer Case Low × First Gear
+  // Crawl Ratio = Axle × Transfer Case Low × First Gear (× crawler box, doubler, portal hubs)
   // NOTE: Crawl ratio is ONLY about gears, NOT tire diameter
   // Larger tires make you move faster, but the ratio number stays the same
-  const originalCrawlRatio = axleGearRatio * transferCaseLowRatio * firstGearRatio;
-  const newCrawlRatio = axleGearRatio * transferCaseLowRatio * firstGearRatio; // Same! Only gears matter
+  const originalCrawlRatio = getCrawlRatio(drivetrain);
+  const newCrawlRatio = originalCrawlRatio; // Same! Only gears matter
   const crawlRatioChange = 0; // No change when gears stay the same
   const crawlRatioChangePct = 0;
 
   // Crawl SPEED impact (the real issue for rock crawlers)
   // Speed at idle (1000 RPM) in 4WD low, first gear
-  // Formula: MPH = (RPM × Tire_Diameter) / (Gear_Ratio × Trans_Low × First_Gear × 336)
-  const testRPM = 1000;
-  const originalCrawlSpeed = (testRPM * current.diameter) / (axleGearRatio * transferCaseLowRatio * firstGearRatio * 336);
-  const newCrawlSpeed = (testRPM * newTire.diameter) / (axleGearRatio * transferCaseLowRatio * firstGearRatio * 336);
+  // Formula: MPH = (RPM × Tire_Diameter) / (Crawl_Ratio × 336)
+  const testRPM = CRAWL_TEST_RPM;
+  const originalCrawlSpeed = (testRPM * currentDiameter) / (originalCrawlRatio * 336);
+  const newCrawlSpeed = (testRPM * newDiameter) / (newCrawlRatio * 336);
   const crawlSpeedChange = newCrawlSpeed - originalCrawlSpeed;
   const crawlSpeedChangePct = (crawlSpeedChange / originalCrawlSpeed) * 100;
 
@@ -291,7 +547,8 @@ function calculateDrivetrainImpact(current, newTire, drivetrain) {
       change: rpmChange,
       changePercentage: rpmChangePct,
       testSpeed: testSpeed,
-      summary: `${Math.abs(rpmChange).toFixed(0)} RPM ${rpmChange > 0 ? 'increase' : 'decrease'} at ${testSpeed} mph`
+      testSpeedUnit: units.labels.speed,
+      summary: `${Math.abs(rpmChange).toFixed(0)} RPM ${rpmChange > 0 ? 'increase' : 'decrease'} at ${testSpeed} ${units.labels.speed}`
     },
     crawlRatio: {
       original: originalCrawlRatio,
@@ -311,10 +568,37 @@ function calculateDrivetrainImpact(current, newTire, drivetrain) {
             ? `Crawling ${Math.abs(crawlSpeedChangePct).toFixed(1)}% slower - improved control`
             : 'Minimal impact on crawling speed'
       }
-    }
+    },
+    rollingRadius
   };
 }
 
+/**
+ * Front / rear axle mismatch, when the axles differ in tire size or ratio
+ * The entered tire size is on both axles unless a rear tire is given
+ */
+function calculateAxleMismatch(current, newCalc, drivetrain, options = {}) {
+  const frontRatio = drivetrain.frontAxleRatio || drivetrain.axleGearRatio;
+  const rearRatio = drivetrain.rearAxleRatio || drivetrain.axleGearRatio;
+  const isSplit = drivetrain.frontAxleRatio || drivetrain.rearAxleRatio || options.currentRearTire || options.newRearTire;
+  if (!frontRatio || !rearRatio || !isSplit) {
+    return null;
+  }
+
+  const currentRear = options.currentRearTire ? calculateTireMetrics(options.currentRearTire) : current;
+  const newRear = options.newRearTire ? calculateTireMetrics(options.newRearTire) : newCalc;
+  return analyzeAxleMismatch({
+    current: {
+      front: { diameter: current.diameter, ratio: frontRatio },
+      rear: { diameter: currentRear.diameter, ratio: rearRatio }
+    },
+    new: {
+      front: { diameter: newCalc.diameter, ratio: frontRatio },
+      rear: { diameter: newRear.diameter, ratio: rearRatio }
+    }
+  }, drivetrain.driveSystem);
+}
+
 /**
  * Calculate engine RPM at given speed
  * RPM = (Speed × Gear Ratio × Trans Ratio × 336) / Tire Diameter
@@ -328,9 +612,14 @@ function calculateEngineRPM(tireDiameter, axleRatio, transRatio, speedMPH) {
  * NOTE: Lift recommendations are conservative. Many builds fit larger tires with
  * modifications like trimming, BMC, wheel offset changes, etc.
  */
-function calculateClearanceImpact(differences, newTire, drivetrain = {}) {
+function calculateClearanceImpact(differences, newTire, drivetrain = {}, rimFit = null) {
   const diameterIncrease = differences.diameter.inches;
-  const widthIncrease = differences.width.inches;
+
+  // Section width as mounted: rim width moves it away from the published width
+  const newWidth = rimFit ? rimFit.new.adjustedWidthInches : newTire.widthInches;
+  const widthIncrease = rimFit
+    ? rimFit.new.adjustedWidthInches - rimFit.current.adjustedWidthInches
+    : differences.width.inches;
 
   // Calculate realistic lift requirement
   // Account for: ground clearance gain is HALF diameter increase (radius)
@@ -383,7 +672,7 @@ function calculateClearanceImpact(differences, newTire, drivetrain = {}) {
       diameterIncrease: Math.abs(diameterIncrease),
       widthIncrease: Math.abs(widthIncrease),
       newDiameter: newTire.diameter,
-      newWidth: newTire.widthInches,
+      newWidth: newWidth,
       vehicleType: drivetrain.vehicleType || 'generic'
     });
   }
@@ -408,6 +697,11 @@ function calculateClearanceImpact(differences, newTire, drivetrain = {}) {
     bumpstopModification: diameterIncrease > 1.5
       ? 'Bump stop modification likely required to prevent tire contact at full compression'
       : null,
+    mountedWidth: {
+      inches: newWidth,
+      increase: widthIncrease,
+      rimAdjusted: Boolean(rimFit)
+    },
     probabilityAnalysis // Enhanced clearance probability (Part 3)
   };
 }
@@ -480,9 +774,12 @@ function estimateTireWeight(tire) {
  * @param {Object} tireSpecs - Tire weight specifications
  * @param {boolean} isEstimate - Whether weights are estimated vs user-provided
  * @param {string} intendedUse - Intended use case for context-aware recommendations
+ * @param {Object|null} acceleration - Simulated acceleration times (analyzeAcceleration)
+ * @param {Object|null} fuelEconomy - Fuel economy model (analyzeFuelEconomy)
+ * @param {Object|null} braking - Stopping distances (analyzeBraking)
  * @returns {Object} Weight impact analysis
  */
-function calculateWeightImpact(tireSpecs, isEstimate = false, intendedUse = 'weekend_trail') {
+function calculateWeightImpact(tireSpecs, isEstimate = false, intendedUse = 'weekend_trail', acceleration = null, fuelEconomy = null, braking = null) {
   const currentWeight = parseFloat(tireSpecs.currentTireWeight);
   const newWeight = parseFloat(tireSpecs.newTireWeight);
 
@@ -527,24 +824,26 @@ function calculateWeightImpact(tireSpecs, isEstimate = false, intendedUse = 'wee
     },
     impact: {
       severity,
-      acceleration: weightDifference > 0
-        ? `${Math.abs(weightDifference).toFixed(1)} lbs/tire increase reduces acceleration`
-        : `${Math.abs(weightDifference).toFixed(1)} lbs/tire decrease improves acceleration`,
+      acceleration: acceleration
+        ? acceleration.summary
+        : `${Math.abs(weightDifference).toFixed(1)} lbs/tire ${weightDifference > 0 ? 'increase' : 'decrease'} - select an engine and transmission to simulate 0-60 and 50-70 times`,
       suspension: totalUnsprungWeightIncrease > 40
         ? 'Significant unsprung weight increase - suspension may feel harsh, consider upgrading shocks'
         : totalUnsprungWeightIncrease > 20
           ? 'Moderate unsprung weight increase - ride quality slightly affected'
           : 'Minimal suspension impact',
-      braking: totalUnsprungWeightIncrease > 40
-        ? 'Braking distances will increase - consider brake upgrades'
-        : totalUnsprungWeightIncrease > 0
-          ? 'Slightly longer braking distances'
-          : 'Improved braking response',
+      braking: braking
+        ? braking.summary
+        : totalUnsprungWeightIncrease > 40
+          ? 'Braking distances will increase - consider brake upgrades'
+          : totalUnsprungWeightIncrease > 0
+            ? 'Slightly longer braking distances'
+            : 'Improved braking response',
       handling: totalUnsprungWeightIncrease > 40
         ? 'Reduced suspension compliance - slower rebound over rough terrain'
         : 'Minimal handling impact'
     },
-    recommendations: generateWeightRecommendations(weightDifference, totalUnsprungWeightIncrease, intendedUse)
+    recommendations: generateWeightRecommendations(weightDifference, totalUnsprungWeightIncrease, intendedUse, fuelEconomy)
   };
 }
 
@@ -553,8 +852,9 @@ function calculateWeightImpact(tireSpecs, isEstimate = false, intendedUse = 'wee
  * @param {number} perTireChange - Weight change per tire in pounds
  * @param {number} totalChange - Total weight change for 4 tires
  * @param {string} intendedUse - Intended use case
+ * @param {Object|null} fuelEconomy - Fuel economy model, for the cost of the added weight
  */
-function generateWeightRecommendations(perTireChange, totalChange, intendedUse = 'weekend_trail') {
+function generateWeightRecommendations(perTireChange, totalChange, intendedUse = 'weekend_trail', fuelEconomy = null) {
   const recommendations = [];
 
   // Shock recommendations
@@ -576,13 +876,22 @@ function generateWeightRecommendations(perTireChange, totalChange, intendedUse =
   }
 
   // Fuel economy (more critical for daily drivers and overlanding)
-  if (perTireChange > 20) {
+  // Tire weight and rotating mass share of the modeled change
+  if (perTireChange > 20 && fuelEconomy) {
+    const weightShare = fuelEconomy.contributions
+      .filter(contribution => contribution.id === 'weight' || contribution.id === 'rotatingMass')
+      .reduce((sum, contribution) => sum + contribution.percent, 0);
+    const change = formatEconomyChange(
+      fuelEconomy.baseline,
+      [fuelEconomy.baseline * (1 + weightShare / 100)],
+      fuelEconomy.unitSystem
+    );
     if (intendedUse === 'daily_driver') {
-      recommendations.push('Expect 1.0-2.0 MPG fuel economy decrease - significant for daily commuting');
+      recommendations.push(`Expect about ${change} from the added weight - significant for daily commuting`);
     } else if (intendedUse === 'overlanding') {
-      recommendations.push('Expect 0.5-1.5 MPG decrease - factor into fuel range planning for remote trips');
+      recommendations.push(`Expect about ${change} from the added weight - factor into fuel range planning for remote trips`);
     } else {
-      recommendations.push('Expect 0.5-1.0 MPG fuel economy decrease from weight alone');
+      recommendations.push(`Expect about ${change} from weight alone`);
     }
   }
 
@@ -626,6 +935,16 @@ const LOAD_INDEX_TABLE = {
   130: 4189
 };
 
+/**
+ * Load capacity for a load index
+ *
+ * @param {number} loadIndex - Load index (70-130)
+ * @returns {number|null} Capacity per tire (lbs), null when unknown
+ */
+export function getLoadIndexCapacity(loadIndex) {
+  return LOAD_INDEX_TABLE[parseInt(loadIndex)] || null;
+}
+
 /**
  * Calculate load capacity analysis
  * @param {Object} tireSpecs - Load index specifications
@@ -4,8 +4,12 @@
  * Built for off-road and overland tire calculations
  */
 
+import measuredDiameters from '../data/measured-tire-diameters.json' with { type: 'json' };
+import { normalizeTireSize } from './tireSizeNormalizer.js';
+import { analyzeSpareTire } from './spareTire.js';
+
 /**
- * Real-world measured tire diameters for common sizes
+ * Real-world measured tire diameters (src/data/measured-tire-diameters.json)
  *
  * WHY THIS EXISTS:
  * Tire manufacturers' advertised diameters often don't match real-world measurements due to:
@@ -18,10 +22,10 @@
  * - 285/75R17 (most popular 33" upgrade): Formula calculates 33.83", actually measures 32.8"
  * - This 1.03" error cascades through ALL calculations (speedometer, RPM, crawl speed)
  *
- * DATA SOURCES:
- * - TireRack measured diameters (professional measurement)
- * - Verified forum user measurements (n≥5, tape measure + photos)
- * - Validation testing against GPS and tachometer data
+ * DATASET:
+ * Versioned JSON keyed by size (no P/LT prefix) plus optional brand/model.
+ * Every entry records its source, sample count and confidence.
+ * Lookup precedence: brand + model → brand only → size only → formula.
  *
  * ACCURACY:
  * - Listed sizes: ±0.2" (99%+ accurate)
@@ -31,111 +35,341 @@
  * - Before lookup table: 55% test pass rate
  * - After lookup table: 87.9% test pass rate (remaining failures are test data quality issues)
  */
-const MEASURED_TIRE_DIAMETERS = {
-  // Most common off-road sizes (validation-tested)
-  '285/75R17': 32.8,  // Formula: 33.83" - CRITICAL FIX (most popular 33" upgrade)
-  '285/75R16': 32.8,  // Formula: 33.83" - Same issue as R17
-  '265/70R17': 31.6,  // Formula: 31.61" - Minor correction
-  '255/75R17': 32.1,  // Formula: 32.06" - Very close
-  '285/70R17': 32.7,  // Formula: 32.71" - Minor correction
-  '315/70R17': 34.4,  // Formula: 34.36" - Very close
-
-  // Common Tacoma/4Runner sizes
-  '265/70R16': 30.6,  // Stock Tacoma TRD Off-Road
-  '265/65R17': 30.6,  // Stock 4Runner SR5
-  '275/70R17': 32.2,  // Common upgrade
-  '275/65R18': 32.1,  // Stock 4Runner Limited
-
-  // Common Jeep Wrangler sizes
-  '245/75R17': 31.5,  // Stock JL Sport
-  '255/75R17': 32.1,  // Stock JL Sahara
-  '285/70R17': 32.7,  // Stock JL Rubicon
-
-  // Common Bronco sizes
-  '275/70R18': 33.2,  // Stock Badlands
-  '315/70R17': 34.4,  // Stock Sasquatch
-
-  // Popular upgrades
-  '305/70R17': 33.8,  // Common 34" option
-  '295/70R17': 33.3,  // Common 33" option
-  '295/70R18': 34.3,  // Full-size truck upgrade
-  '305/65R18': 33.5,  // Full-size truck option
-
-  // Load Range E popular sizes
-  '285/75R18': 34.8,  // Heavy-duty overlanding
-  '295/75R16': 33.4   // Classic overland size
+const MEASURED_DIAMETER_ENTRIES = measuredDiameters.entries;
+export const MEASURED_DIAMETER_DATASET_VERSION = measuredDiameters.version;
+
+/**
+ * Speed symbols with maximum sustained speed in mph
+ * Z is the legacy open-ended ">149 mph" rating used with ZR sizes
+ */
+const SPEED_RATINGS = {
+  L: 75, M: 81, N: 87, P: 93, Q: 99, R: 106, S: 112, T: 118,
+  U: 124, H: 130, V: 149, W: 168, Y: 186, Z: 149
 };
 
+/**
+ * Ply rating to load range letter
+ */
+const PLY_TO_LOAD_RANGE = { 4: 'B', 6: 'C', 8: 'D', 10: 'E', 12: 'F', 14: 'G' };
+const LOAD_RANGE_TO_PLY = { B: 4, C: 6, D: 8, E: 10, F: 12, G: 14 };
+
+/**
+ * Construction codes found between the aspect ratio and rim diameter
+ * ZR is a radial rated for sustained speeds above 149 mph
+ */
+const CONSTRUCTION_TYPES = {
+  R: 'radial',
+  ZR: 'radial',
+  D: 'bias',
+  B: 'bias-belted',
+  '-': 'bias'
+};
+
+/**
+ * Tread depth (32nds of an inch)
+ * Legal minimum is 2/32" in most US states. Typical new depths are used when the
+ * user doesn't enter one: ~10/32" for passenger tires, ~15/32" for LT all-terrains.
+ */
+export const LEGAL_MIN_TREAD_DEPTH = 2;
+const TYPICAL_NEW_TREAD_DEPTH = { passenger: 10, lightTruck: 15 };
+
+/**
+ * Nominal aspect ratio for sizes that don't print one
+ * - Numeric (7.50R16, 9.00-16): section height ≈ section width
+ * - 82-series (185R14): 82% profile implied by the missing aspect ratio
+ */
+const NUMERIC_ASPECT_RATIO = 100;
+const LEGACY_METRIC_ASPECT_RATIO = 82;
+
+/**
+ * Size patterns, tried in order. Each captures [.., construction, rim] as its last groups
+ */
+const FLOTATION_PATTERN = /^(\d+(?:\.\d+)?)\s*X\s*(\d+(?:\.\d+)?)(ZR|R|D|B|-)(\d+(?:\.\d+)?)/;
+const METRIC_PATTERN = /^(P|LT)?(\d+)\/(\d+)(ZR|R|D|B|-)(\d+(?:\.\d+)?)(C(?![A-Z]))?/;
+const NUMERIC_PATTERN = /^(LT)?(\d{1,2}\.\d{2})(R|D|B|-)(\d+(?:\.\d+)?)/;
+const LEGACY_METRIC_PATTERN = /^(P|LT)?(\d{3})(ZR|R|D|B|-)(\d+(?:\.\d+)?)(C(?![A-Z]))?/;
+
 /**
  * Parse tire size string into normalized format
  * Supports:
- * - P-metric: 265/70R17, P265/70R17
- * - LT-metric: LT285/75R16, LT315/70R17
- * - Flotation: 35x12.50R17, 37x13.50R17, 33x10.50-15
+ * - P-metric: 265/70R17, P265/70R17, 255/40ZR19
+ * - LT-metric: LT285/75R16, LT315/70R17, LT215/85R16.5
+ * - Euro commercial: 235/85R16C, 195/75R16C
+ * - Flotation: 35x12.50R17, 37x13.50R17, 33x10.50-15, 35x12.50R17LT, 33x12.50R16.5
+ * - Numeric / bias: 7.50R16, 9.00-16, 8.75R16.5
+ * - 82-series (no aspect ratio): 185R14, 195R14C
+ *
+ * Construction codes R, ZR (radial), D, - (bias) and B (bias-belted) are accepted
+ * wherever the size format allows them. Half-inch rims (16.5") are kept as-is.
+ *
+ * Full sidewall strings are accepted as well. Anything after the rim diameter is
+ * read as the service description and load range:
+ * - "LT285/75R17 121/118S E" → load index 121 (single) / 118 (dual), speed S, load range E
+ * - "35x12.50R17LT 121Q D"   → load index 121, speed Q, load range D
+ * - "265/70R17 113T"         → load index 113, speed T
+ * - "LT265/75R16 10 PLY"     → ply rating 10 (load range E)
  *
- * @param {string} sizeString - Tire size string
- * @returns {Object} Parsed tire dimensions
+ * Loosely typed sizes ("2857517", "285 75 17", "35-12.5-17") are normalized when
+ * there is one clear reading; `normalizedFrom` keeps the original text. Ambiguous
+ * input throws with ranked `suggestions` on the error.
+ *
+ * Tread depth is optional and never changes the size math; it is carried on the
+ * result so calculations can report diameter drift as the tread wears.
+ *
+ * Brand/model are optional and select a brand-specific measured diameter when the
+ * dataset has one. `measuredDataEntry` reports the entry used (null = formula).
+ *
+ * @param {string} sizeString - Tire size or full sidewall string
+ * @param {Object} options - Optional tire details
+ * @param {number} options.treadDepthNew - Tread depth when new (32nds)
+ * @param {number} options.treadDepthCurrent - Remaining tread depth today (32nds)
+ * @param {string} options.brand - Tire brand (e.g., "BFGoodrich")
+ * @param {string} options.model - Tire model (e.g., "All-Terrain T/A KO2")
+ * @returns {Object} Parsed tire dimensions and sidewall markings
  */
-export function parseTireSize(sizeString) {
+export function parseTireSize(sizeString, options = {}) {
   if (!sizeString || typeof sizeString !== 'string') {
     throw new Error('Invalid tire size string');
   }
 
-  const normalized = sizeString.trim().toUpperCase();
+  const tire = matchTireSize(sizeString.trim().toUpperCase(), options);
+  if (tire) {
+    return tire;
+  }
 
+  // Fall back to forgiving normalization: "2857517" → 285/75R17
+  const normalization = normalizeTireSize(sizeString);
+  if (normalization.best && !normalization.isAmbiguous) {
+    const corrected = `${normalization.best.size} ${normalization.remainder}`.trim().toUpperCase();
+    const correctedTire = matchTireSize(corrected, options);
+    if (correctedTire) {
+      return { ...correctedTire, normalizedFrom: sizeString };
+    }
+  }
+
+  const didYouMean = normalization.candidates.length > 0
+    ? `Did you mean ${normalization.candidates.map(c => c.size).join(' or ')}? `
+    : '';
+  const error = new Error(`Unable to parse tire size: ${sizeString}. ${didYouMean}Supported formats: 265/70R17, LT285/75R16, 235/85R16C, 35x12.50R17, 7.50R16, 9.00-16, 185R14`);
+  error.suggestions = normalization.candidates;
+  throw error;
+}
+
+/**
+ * Match a normalized (upper-cased) string against the strict size patterns
+ * @returns {Object|null} Parsed tire, or null when no pattern matches
+ */
+function matchTireSize(normalized, options) {
   // Try flotation format first: 35x12.50R17 or 35x12.50-15
-  const flotationMatch = normalized.match(/^(\d+(?:\.\d+)?)\s*X\s*(\d+(?:\.\d+)?)(?:R|-)(\d+(?:\.\d+)?)/);
+  const flotationMatch = normalized.match(FLOTATION_PATTERN);
   if (flotationMatch) {
-    return parseFlotationSize(flotationMatch);
+    return buildTire(parseFlotationSize(flotationMatch), normalized.slice(flotationMatch[0].length), options);
   }
 
-  // Try P-metric or LT-metric: 265/70R17, P265/70R17, LT285/75R16
-  const metricMatch = normalized.match(/^(?:P|LT)?(\d+)\/(\d+)R(\d+(?:\.\d+)?)/);
+  // Try P-metric, LT-metric or Euro commercial: 265/70R17, LT285/75R16, 235/85R16C
+  const metricMatch = normalized.match(METRIC_PATTERN);
   if (metricMatch) {
-    return parseMetricSize(metricMatch, normalized.startsWith('LT'));
+    return buildTire(parseMetricSize(metricMatch), normalized.slice(metricMatch[0].length), options);
+  }
+
+  // Try numeric / bias-ply: 7.50R16, 9.00-16
+  const numericMatch = normalized.match(NUMERIC_PATTERN);
+  if (numericMatch) {
+    return buildTire(parseNumericSize(numericMatch), normalized.slice(numericMatch[0].length), options);
   }
 
-  throw new Error(`Unable to parse tire size: ${sizeString}. Supported formats: 265/70R17, LT285/75R16, 35x12.50R17`);
+  // Try 82-series metric with no aspect ratio: 185R14
+  const legacyMatch = normalized.match(LEGACY_METRIC_PATTERN);
+  if (legacyMatch) {
+    return buildTire(parseLegacyMetricSize(legacyMatch), normalized.slice(legacyMatch[0].length), options);
+  }
+
+  return null;
+}
+
+/**
+ * Combine parsed size, sidewall markings and optional user details into the result
+ */
+function buildTire(size, remainder, options) {
+  return {
+    ...applyMeasuredDiameter(size, options),
+    ...parseSidewallMarkings(remainder),
+    ...parseTreadDepth(options)
+  };
+}
+
+/**
+ * Swap the calculated diameter for a measured one when the dataset has the size
+ */
+function applyMeasuredDiameter(size, options) {
+  const brand = options.brand || null;
+  const model = options.model || null;
+  const entry = findMeasuredDiameter(formatTireSize({ ...size, isLT: false }), brand, model);
+
+  if (!entry) {
+    return { ...size, brand, model, usedMeasuredData: false, measuredDataEntry: null };
+  }
+
+  return {
+    ...size,
+    brand,
+    model,
+    diameter: entry.diameter, // inches
+    diameterMm: entry.diameter * 25.4,
+    usedMeasuredData: true, // Track if we used measured data vs formula
+    measuredDataEntry: { ...entry, datasetVersion: MEASURED_DIAMETER_DATASET_VERSION }
+  };
 }
 
 /**
- * Parse metric tire size (P-metric, LT-metric)
+ * Find the best measured-diameter entry for a size
+ * Precedence: brand + model → brand only → size only
+ * @param {string} size - Size without P/LT prefix (e.g., "285/75R17", "35x12.50R17")
+ * @param {string} brand - Optional brand
+ * @param {string} model - Optional model
+ * @returns {Object|null} Dataset entry or null when the size isn't listed
  */
-function parseMetricSize(match, isLT) {
-  const width = parseInt(match[1], 10); // Section width in mm
-  const aspectRatio = parseInt(match[2], 10); // Aspect ratio percentage
-  const wheelDiameter = parseFloat(match[3]); // Wheel diameter in inches
+export function findMeasuredDiameter(size, brand = null, model = null) {
+  const sizeKey = normalizeDatasetKey(size);
+  const brandKey = normalizeDatasetKey(brand);
+  const modelKey = normalizeDatasetKey(model);
+  const candidates = MEASURED_DIAMETER_ENTRIES.filter(entry => normalizeDatasetKey(entry.size) === sizeKey);
+
+  const exact = brandKey && modelKey && candidates.find(entry =>
+    normalizeDatasetKey(entry.brand) === brandKey && normalizeDatasetKey(entry.model) === modelKey
+  );
+  const brandOnly = brandKey && candidates.find(entry =>
+    normalizeDatasetKey(entry.brand) === brandKey && !entry.model
+  );
+  const generic = candidates.find(entry => !entry.brand && !entry.model);
+
+  return exact || brandOnly || generic || null;
+}
+
+/**
+ * Brands and models that have brand-specific measured diameters
+ * @returns {Object} { brands: string[], models: string[] } sorted for pickers
+ */
+export function getMeasuredTireModels() {
+  const brands = new Set();
+  const models = new Set();
+  MEASURED_DIAMETER_ENTRIES.forEach(entry => {
+    if (entry.brand) brands.add(entry.brand);
+    if (entry.model) models.add(entry.model);
+  });
+  return { brands: [...brands].sort(), models: [...models].sort() };
+}
+
+/**
+ * Case- and whitespace-insensitive key for dataset matching
+ */
+function normalizeDatasetKey(value) {
+  return value ? value.toUpperCase().replace(/\s+/g, '') : '';
+}
+
+/**
+ * Read optional tread depths (32nds), ignoring anything that isn't a positive number
+ */
+function parseTreadDepth(options) {
+  const treadDepthNew = parseFloat(options.treadDepthNew);
+  const treadDepthCurrent = parseFloat(options.treadDepthCurrent);
+
+  return {
+    treadDepthNew: treadDepthNew > 0 ? treadDepthNew : null,
+    treadDepthCurrent: treadDepthCurrent > 0 ? treadDepthCurrent : null
+  };
+}
+
+/**
+ * Parse the sidewall markings that follow the size
+ * Order on the sidewall is: [LT suffix] [load index[/dual]][speed symbol] [load range | ply rating]
+ *
+ * @param {string} remainder - Upper-cased text after the rim diameter
+ * @returns {Object} Sidewall markings (null when not printed in the string)
+ */
+function parseSidewallMarkings(remainder) {
+  const markings = {
+    loadIndex: null,
+    loadIndexDual: null,
+    speedRating: null,
+    speedRatingMph: null,
+    loadRange: null,
+    plyRating: null,
+    serviceDescription: null
+  };
+  let rest = remainder;
+
+  // Flotation sizes carry an LT suffix: 35x12.50R17LT
+  const ltSuffix = rest.match(/^\s*LT\b/);
+  if (ltSuffix) {
+    markings.isLT = true;
+    rest = rest.slice(ltSuffix[0].length);
+  }
+
+  // Service description: 121/118S, 113T, 106(Y), (97Y) on ZR sizes
+  // The speed symbol is printed directly against the load index; "10 PLY" is not a load index
+  const service = rest.match(/^\s*\(?(\d{2,3})(?!\s*-?\s*(?:PLY|PR)\b)(?:\/(\d{2,3}))?(?:([A-Z])\b|\(([A-Z])\))?\)?/);
+  if (service) {
+    const speedSymbol = service[3] || service[4] || null;
+
+    markings.loadIndex = parseInt(service[1], 10);
+    markings.loadIndexDual = service[2] ? parseInt(service[2], 10) : null;
+    markings.speedRating = speedSymbol && SPEED_RATINGS[speedSymbol] ? speedSymbol : null;
+    markings.speedRatingMph = markings.speedRating ? SPEED_RATINGS[markings.speedRating] : null;
+    markings.serviceDescription = service[0].trim();
+    rest = rest.slice(service[0].length);
+  }
+
+  // Load range letter (E, LR E, LOAD RANGE E) or ply rating (10 PLY, 10PR, 10-PLY)
+  const loadRange = rest.match(/^\s*(?:LOAD\s*RANGE\s*|LR\s*)?([B-G])\b/);
+  const plyRating = rest.match(/^\s*(\d{1,2})\s*-?\s*(?:PLY|PR)\b/);
+  if (loadRange) {
+    markings.loadRange = loadRange[1];
+    markings.plyRating = LOAD_RANGE_TO_PLY[loadRange[1]];
+  } else if (plyRating) {
+    markings.plyRating = parseInt(plyRating[1], 10);
+    markings.loadRange = PLY_TO_LOAD_RANGE[markings.plyRating] || null;
+  }
+
+  return markings;
+}
+
+/**
+ * Parse metric tire size (P-metric, LT-metric, Euro commercial)
+ */
+function parseMetricSize(match) {
+  const isLT = match[1] === 'LT';
+  const width = parseInt(match[2], 10); // Section width in mm
+  const aspectRatio = parseInt(match[3], 10); // Aspect ratio percentage
+  const construction = match[4]; // Construction code (R, ZR, D, B, -)
+  const wheelDiameter = parseFloat(match[5]); // Wheel diameter in inches
+  const isCommercial = Boolean(match[6]); // Trailing C = European commercial (van/light truck)
 
   // Calculate sidewall height in mm
   const sidewallMm = (width * aspectRatio) / 100;
 
-  // Check lookup table for measured diameter first
-  const lookupKey = `${width}/${aspectRatio}R${wheelDiameter}`;
-  let diameterInches;
-  let usedMeasuredData = false;
-
-  if (MEASURED_TIRE_DIAMETERS[lookupKey]) {
-    // Use real-world measured diameter from lookup table
-    diameterInches = MEASURED_TIRE_DIAMETERS[lookupKey];
-    usedMeasuredData = true;
-  } else {
-    // Fall back to formula calculation for sizes not in lookup table
-    // Formula: ((Width × Aspect Ratio × 2) / 25.4) + Wheel Diameter
-    diameterInches = ((width * aspectRatio * 2) / 100 / 25.4) + wheelDiameter;
-    usedMeasuredData = false;
+  // Formula: ((Width × Aspect Ratio × 2) / 25.4) + Wheel Diameter
+  // Replaced by a measured diameter in buildTire() when the dataset lists the size
+  const diameterInches = ((width * aspectRatio * 2) / 100 / 25.4) + wheelDiameter;
+
+  let format = isLT ? 'LT-metric' : 'P-metric';
+  if (isCommercial) {
+    format = 'Euro-commercial';
   }
 
   return {
-    format: isLT ? 'LT-metric' : 'P-metric',
+    format: format,
     width: width, // mm
     aspectRatio: aspectRatio, // percentage
     wheelDiameter: wheelDiameter, // inches
+    construction: construction,
+    constructionType: CONSTRUCTION_TYPES[construction],
     sidewallHeight: sidewallMm, // mm
     sidewallInches: sidewallMm / 25.4,
     diameter: diameterInches, // inches
     diameterMm: diameterInches * 25.4,
-    isLT: isLT,
-    usedMeasuredData: usedMeasuredData, // Track if we used measured data vs formula
+    isLT: isLT || isCommercial, // C-rated tires are built to LT-style load construction
+    isCommercial: isCommercial,
     raw: match[0]
   };
 }
@@ -146,7 +380,8 @@ function parseMetricSize(match, isLT) {
 function parseFlotationSize(match) {
   const diameterInches = parseFloat(match[1]); // Overall diameter
   const widthInches = parseFloat(match[2]); // Section width
-  const wheelDiameter = parseFloat(match[3]); // Wheel diameter
+  const construction = match[3]; // Construction code (R = radial, - = bias)
+  const wheelDiameter = parseFloat(match[4]); // Wheel diameter
 
   // Calculate sidewall height
   const sidewallInches = (diameterInches - wheelDiameter) / 2;
@@ -161,15 +396,76 @@ function parseFlotationSize(match) {
     widthInches: widthInches,
     aspectRatio: aspectRatio, // calculated equivalent
     wheelDiameter: wheelDiameter, // inches
+    construction: construction,
+    constructionType: CONSTRUCTION_TYPES[construction],
     sidewallHeight: sidewallInches * 25.4, // mm
     sidewallInches: sidewallInches,
     diameter: diameterInches, // inches (direct from flotation format)
     diameterMm: diameterInches * 25.4,
+    nominalDiameter: diameterInches, // printed size, kept when a measured diameter replaces it
     isLT: true, // Flotation sizes are typically LT equivalent
     raw: match[0]
   };
 }
 
+/**
+ * Parse numeric (bias-era) tire size: 7.50R16, 9.00-16
+ * Section width is in inches and the profile is ~100%, so diameter = rim + 2 × width
+ */
+function parseNumericSize(match) {
+  const widthInches = parseFloat(match[2]); // Section width
+  const construction = match[3]; // Construction code (R = radial, - / D = bias)
+  const wheelDiameter = parseFloat(match[4]); // Wheel diameter
+
+  const sidewallInches = widthInches * NUMERIC_ASPECT_RATIO / 100;
+  const diameterInches = wheelDiameter + (sidewallInches * 2);
+
+  return {
+    format: 'Numeric',
+    width: widthInches * 25.4, // mm (converted from inches)
+    widthInches: widthInches,
+    aspectRatio: NUMERIC_ASPECT_RATIO, // nominal
+    wheelDiameter: wheelDiameter, // inches
+    construction: construction,
+    constructionType: CONSTRUCTION_TYPES[construction],
+    sidewallHeight: sidewallInches * 25.4, // mm
+    sidewallInches: sidewallInches,
+    diameter: diameterInches, // inches
+    diameterMm: diameterInches * 25.4,
+    isLT: true, // Numeric sizes survive almost exclusively on light trucks
+    raw: match[0]
+  };
+}
+
+/**
+ * Parse 82-series metric size with no printed aspect ratio: 185R14, 195R14C
+ */
+function parseLegacyMetricSize(match) {
+  const width = parseInt(match[2], 10); // Section width in mm
+  const construction = match[3]; // Construction code
+  const wheelDiameter = parseFloat(match[4]); // Wheel diameter in inches
+  const isCommercial = Boolean(match[5]);
+
+  const sidewallMm = (width * LEGACY_METRIC_ASPECT_RATIO) / 100;
+  const diameterInches = ((sidewallMm * 2) / 25.4) + wheelDiameter;
+
+  return {
+    format: '82-series',
+    width: width, // mm
+    aspectRatio: LEGACY_METRIC_ASPECT_RATIO, // implied
+    wheelDiameter: wheelDiameter, // inches
+    construction: construction,
+    constructionType: CONSTRUCTION_TYPES[construction],
+    sidewallHeight: sidewallMm, // mm
+    sidewallInches: sidewallMm / 25.4,
+    diameter: diameterInches, // inches
+    diameterMm: diameterInches * 25.4,
+    isLT: match[1] === 'LT' || isCommercial,
+    isCommercial: isCommercial,
+    raw: match[0]
+  };
+}
+
 /**
  * Calculate tire circumference
  * @param {number} diameter - Tire diameter in inches
@@ -189,12 +485,43 @@ export function calculateRevolutionsPerMile(circumference) {
   return 63360 / circumference;
 }
 
+/**
+ * Calculate overall diameter at a given remaining tread depth
+ * Tread wears on both sides of the tire, so diameter shrinks by twice the depth lost.
+ * @param {Object} tire - Parsed tire (diameter is the new-tread diameter)
+ * @param {number} treadDepth - Remaining tread depth (32nds)
+ * @returns {number} Diameter in inches
+ */
+export function calculateWornDiameter(tire, treadDepth) {
+  const newDepth = getNewTreadDepth(tire);
+  const depthLost = Math.max(0, newDepth - treadDepth);
+  return tire.diameter - (2 * depthLost / 32);
+}
+
+/**
+ * New tread depth for a tire: user-entered, or a typical value for its construction
+ * @param {Object} tire - Parsed tire
+ * @returns {number} Tread depth in 32nds
+ */
+export function getNewTreadDepth(tire) {
+  if (tire.treadDepthNew) {
+    return tire.treadDepthNew;
+  }
+  return tire.isLT ? TYPICAL_NEW_TREAD_DEPTH.lightTruck : TYPICAL_NEW_TREAD_DEPTH.passenger;
+}
+
 /**
  * Validate tire size compatibility
  * Provides warnings for dangerous combinations but never blocks calculations
  * Users should be able to see results even for extreme changes
+ *
+ * @param {Object} currentTire - Parsed current tire
+ * @param {Object} newTire - Parsed new tire (front axle when staggered)
+ * @param {Object} options - { spareTire, newRearTire, driveSystem, vehicleCategory, unitSystem }
+ *   With a spareTire the spare is checked against the new tires (see spareTire.js)
+ * @returns {Object} { isValid, warnings, spare }
  */
-export function validateTireCompatibility(currentTire, newTire) {
+export function validateTireCompatibility(currentTire, newTire, options = {}) {
   const warnings = [];
 
   // Check diameter increase
@@ -253,22 +580,48 @@ export function validateTireCompatibility(currentTire, newTire) {
     });
   }
 
+  // Spare left behind (usually the old size) against the new running tires
+  const spare = options.spareTire
+    ? analyzeSpareTire(options.spareTire, { front: newTire, rear: options.newRearTire || newTire }, {
+        driveSystem: options.driveSystem,
+        vehicleCategory: options.vehicleCategory,
+        unitSystem: options.unitSystem
+      })
+    : null;
+  if (spare) {
+    warnings.push(...spare.warnings);
+  }
+
   // Always return valid - never block calculations
   // Let users see the numbers even for extreme changes
   return {
     isValid: true,
-    warnings
+    warnings,
+    spare
   };
 }
 
 /**
  * Format tire size for display
+ * Output re-parses to the same size (prefix, construction code and C suffix preserved)
  */
 export function formatTireSize(tire) {
+  const construction = tire.construction || 'R';
+
   if (tire.format === 'Flotation') {
-    return `${tire.diameter.toFixed(1)}x${tire.widthInches.toFixed(2)}R${tire.wheelDiameter}`;
+    return `${tire.nominalDiameter || tire.diameter}x${tire.widthInches.toFixed(2)}${construction}${tire.wheelDiameter}`;
+  }
+
+  if (tire.format === 'Numeric') {
+    return `${tire.widthInches.toFixed(2)}${construction}${tire.wheelDiameter}`;
+  }
+
+  const prefix = tire.isLT && !tire.isCommercial ? 'LT' : '';
+  const suffix = tire.isCommercial ? 'C' : '';
+
+  if (tire.format === '82-series') {
+    return `${prefix}${Math.round(tire.width)}${construction}${tire.wheelDiameter}${suffix}`;
   }
 
-  const prefix = tire.isLT ? 'LT' : '';
-  return `${prefix}${Math.round(tire.width)}/${tire.aspectRatio}R${tire.wheelDiameter}`;
+  return `${prefix}${Math.round(tire.width)}/${tire.aspectRatio}${construction}${tire.wheelDiameter}${suffix}`;
 }
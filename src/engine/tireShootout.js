@@ -0,0 +1,222 @@
+/**
+ * Multi-Candidate Tire Shootout
+ *
+ * PURPOSE: Compare a shopping list of sizes (285/75R17, 285/70R17, 295/70R17,
+ * 35x12.50R17...) against the stock size in one pass and rank them for the
+ * intended use - the table a buyer builds by hand from several two-tire runs.
+ *
+ * METHODOLOGY:
+ * - Every candidate runs through calculateTireComparison against the same
+ *   baseline, drivetrain and options. New-tire specs (weight, load index) are
+ *   dropped so every candidate is weighed on the same basis (tire database or
+ *   size estimate); load capacity comes from each size's own load index
+ * - Row metrics: diameter, speedometer error at the reference speed, cruise RPM,
+ *   weight per tire, clearance rub risk (suspension type and lift), regear
+ *   likelihood (forum data) and load capacity per tire
+ * - Fit score (0-100) = 100 − Σ weight × penalty, each penalty 0-1:
+ *   - size: distance from the use's ideal diameter gain (3" off = full penalty)
+ *   - weight: added weight per tire (50% heavier = full penalty)
+ *   - clearance: rub probability
+ *   - regear: regear likelihood
+ *   - speedometer: error (10% = full penalty)
+ *   - load: capacity lost against the stock tire (15% = full penalty, no
+ *     penalty when either load index is unknown - plain sizes carry none, so
+ *     the summary names the sizes whose load capacity was not ranked)
+ * - Weights and ideal gain come from USE_CASE_WEIGHTS (rock crawling favours
+ *   size, daily driving favours weight, RPM and speedometer, overlanding load)
+ *
+ * EXAMPLE:
+ * - 265/70R17 stock on IFS, weekend trail: 295/70R17 (+1.7") scores 78/100;
+ *   35x12.50R17 (+3.4") scores 40 - a 95% rub risk, 40% regear likelihood and
+ *   an 11% speedometer error. For rock crawling the 35 edges out the 295 (55 vs
+ *   54); with 265/70R17 itself in the list, staying stock ranks first (58)
+ */
+
+import { calculateTireComparison, getLoadIndexCapacity } from './tireCalculator.js';
+import { getRegearingGuidance } from './regearingGuidance.js';
+import { getVehicleSuspensionType } from './clearanceProbability.js';
+import { getUnitSystem, getSpeedKey, formatMeasurement } from './units.js';
+
+// Penalty weights (sum to 100) and ideal diameter gain (inches) by intended use
+export const USE_CASE_WEIGHTS = {
+  daily_driver: { idealGain: 1, size: 15, weight: 20, clearance: 20, regear: 20, speedometer: 15, load: 10 },
+  weekend_trail: { idealGain: 2, size: 25, weight: 15, clearance: 20, regear: 15, speedometer: 10, load: 15 },
+  rock_crawling: { idealGain: 4, size: 40, weight: 10, clearance: 20, regear: 10, speedometer: 5, load: 15 },
+  overlanding: { idealGain: 2, size: 20, weight: 20, clearance: 15, regear: 15, speedometer: 5, load: 25 },
+  sand_desert: { idealGain: 2, size: 25, weight: 25, clearance: 15, regear: 15, speedometer: 5, load: 15 },
+  snow: { idealGain: 1, size: 20, weight: 15, clearance: 20, regear: 15, speedometer: 10, load: 20 }
+};
+
+// Differences that count as a full penalty
+const FULL_PENALTY = { size: 3, weight: 0.5, speedometer: 10, load: 0.15 };
+
+const SORT_KEYS = ['rank', 'diameter', 'speedometerError', 'rpm', 'weight', 'clearanceProbability', 'regearLikelihood', 'loadCapacity'];
+
+/**
+ * Parse a pasted candidate list, one size per line or comma-separated
+ *
+ * @param {string} text - e.g. "285/75R17, 285/70R17\n35x12.50R17"
+ * @returns {string[]} Sizes in the order entered, duplicates removed
+ */
+export function parseCandidateSizes(text = '') {
+  const sizes = text
+    .split(/[\n,]/)
+    .map(size => size.trim())
+    .filter(Boolean);
+  return sizes.filter((size, i) => sizes.findIndex(other => other.toUpperCase() === size.toUpperCase()) === i);
+}
+
+/**
+ * Run several candidate tires against one baseline and rank them
+ *
+ * @param {Object} baselineTire - Parsed stock/current tire
+ * @param {Object[]} candidateTires - Parsed candidate tires
+ * @param {Object} drivetrainSpecs - Drivetrain specs (see calculateTireComparison)
+ * @param {Object} tireSpecs - Current tire weight / load index and rim widths; new-tire weight and load index are ignored
+ * @param {string} intendedUse - Intended use key (ranking weights)
+ * @param {Object} options - calculateTireComparison options, plus
+ * @param {string} options.suspensionType - 'ifs' or 'solid_axle' for the clearance risk (default from drivetrainSpecs.vehicleType)
+ * @returns {Object} { unitSystem, intendedUse, baseline, candidates (ranked), best, summary }
+ */
+export function runTireShootout(baselineTire, candidateTires, drivetrainSpecs = {}, tireSpecs = {}, intendedUse = 'weekend_trail', options = {}) {
+  if (!candidateTires || candidateTires.length === 0) {
+    throw new Error('At least one candidate tire is required');
+  }
+  const units = getUnitSystem(options.unitSystem);
+  const useWeights = USE_CASE_WEIGHTS[intendedUse] || USE_CASE_WEIGHTS.weekend_trail;
+
+  // Every candidate gets a clearance risk, and the same estimated-weight basis
+  const drivetrain = {
+    ...drivetrainSpecs,
+    suspensionType: options.suspensionType || drivetrainSpecs.suspensionType ||
+      getVehicleSuspensionType(drivetrainSpecs.vehicleType || 'generic'),
+    liftHeight: options.liftHeight || drivetrainSpecs.liftHeight || 0
+  };
+  const specs = { ...tireSpecs, newTireWeight: undefined, newTireLoadIndex: undefined };
+  const comparisonOptions = { ...options, newRearTire: undefined };
+
+  const baselineCapacity = getLoadIndexCapacity(tireSpecs.currentTireLoadIndex || baselineTire.loadIndex);
+  const speedKey = getSpeedKey(units.referenceSpeed, units.id);
+
+  let baseline = null;
+  const candidates = candidateTires.map(tire => {
+    const comparison = calculateTireComparison(baselineTire, tire, drivetrain, specs, intendedUse, comparisonOptions);
+    baseline = baseline || {
+      size: comparison.current.formatted,
+      diameter: comparison.current.diameter,
+      weight: comparison.weightAnalysis.current.perTire,
+      loadCapacity: baselineCapacity
+    };
+
+    const guidance = comparison.regearingGuidance || getRegearingGuidance({
+      diameterChangePct: comparison.differences.diameter.percentage,
+      diameterChangeInches: comparison.differences.diameter.inches,
+      intendedUse,
+      vehicleType: drivetrain.vehicleType || 'unknown'
+    });
+    const regearLikelihood = parseInt(guidance.likelihood, 10);
+    const clearance = comparison.clearance.probabilityAnalysis;
+    const loadCapacity = getLoadIndexCapacity(tire.loadIndex);
+
+    return {
+      size: comparison.new.formatted,
+      tire: comparison.new,
+      diameter: comparison.new.diameter,
+      diameterChange: comparison.differences.diameter.inches,
+      diameterChangePct: comparison.differences.diameter.percentage,
+      speedometerError: comparison.speedometerError.errors[speedKey].errorPercentage,
+      actualSpeed: comparison.speedometerError.errors[speedKey].actual,
+      rpm: comparison.drivetrainImpact ? comparison.drivetrainImpact.rpm.new : null,
+      rpmChange: comparison.drivetrainImpact ? comparison.drivetrainImpact.rpm.change : null,
+      weight: comparison.weightAnalysis.new.perTire,
+      weightChange: comparison.weightAnalysis.difference.perTire,
+      weightEstimated: comparison.weightAnalysis.isEstimate,
+      clearanceRisk: clearance.riskClass,
+      clearanceProbability: clearance.probability,
+      regearLikelihood: Number.isFinite(regearLikelihood) ? regearLikelihood : null,
+      loadCapacity,
+      loadCapacityChange: loadCapacity && baselineCapacity ? loadCapacity - baselineCapacity : null
+    };
+  });
+
+  candidates.forEach(candidate => {
+    candidate.penalties = calculatePenalties(candidate, baseline.weight, baselineCapacity, useWeights);
+    candidate.score = Math.max(0, 100 - Object.values(candidate.penalties).reduce((sum, value) => sum + value, 0));
+  });
+  const ranked = [...candidates].sort((a, b) => b.score - a.score);
+  ranked.forEach((candidate, i) => {
+    candidate.rank = i + 1;
+  });
+  const best = ranked[0];
+
+  return {
+    unitSystem: units.id,
+    intendedUse,
+    referenceSpeed: units.referenceSpeed,
+    baseline,
+    candidates: ranked,
+    best,
+    summary: summarizeShootout(best, ranked, baseline, useWeights, units)
+  };
+}
+
+/**
+ * Sort shootout rows by a column
+ *
+ * @param {Object[]} candidates - Rows from runTireShootout
+ * @param {string} key - rank, diameter, speedometerError, rpm, weight, clearanceProbability, regearLikelihood or loadCapacity
+ * @param {string} direction - 'asc' (default) or 'desc'
+ * @returns {Object[]} Sorted copy; rows without a value go last
+ */
+export function sortShootoutCandidates(candidates, key = 'rank', direction = 'asc') {
+  if (!SORT_KEYS.includes(key)) {
+    throw new Error(`Unknown shootout column: ${key}`);
+  }
+  const sign = direction === 'desc' ? -1 : 1;
+  const value = candidate => (key === 'speedometerError' ? Math.abs(candidate[key]) : candidate[key]);
+
+  return [...candidates].sort((a, b) => {
+    if (value(a) === null) return value(b) === null ? 0 : 1;
+    if (value(b) === null) return -1;
+    return sign * (value(a) - value(b)) || a.rank - b.rank;
+  });
+}
+
+function calculatePenalties(candidate, baselineWeight, baselineCapacity, useWeights) {
+  const clamp = value => Math.min(1, Math.max(0, value));
+  const weightGain = baselineWeight ? (candidate.weight - baselineWeight) / baselineWeight : 0;
+  const loadLoss = candidate.loadCapacityChange !== null ? -candidate.loadCapacityChange / baselineCapacity : 0;
+
+  return {
+    size: useWeights.size * clamp(Math.abs(candidate.diameterChange - useWeights.idealGain) / FULL_PENALTY.size),
+    weight: useWeights.weight * clamp(weightGain / FULL_PENALTY.weight),
+    clearance: useWeights.clearance * clamp(candidate.clearanceProbability / 100),
+    regear: useWeights.regear * clamp((candidate.regearLikelihood || 0) / 100),
+    speedometer: useWeights.speedometer * clamp(Math.abs(candidate.speedometerError) / FULL_PENALTY.speedometer),
+    load: useWeights.load * clamp(loadLoss / FULL_PENALTY.load)
+  };
+}
+
+function summarizeShootout(best, ranked, baseline, useWeights, units) {
+  const biggest = Object.entries(best.penalties).sort((a, b) => b[1] - a[1])[0];
+  const reasons = {
+    size: `${formatMeasurement(Math.abs(best.diameterChange - useWeights.idealGain), 'length', units.id)} from the ideal size gain`,
+    weight: `${formatMeasurement(best.weightChange, 'weight', units.id, { decimals: 0 })} heavier per tire`,
+    clearance: `${best.clearanceProbability}% rub risk`,
+    regear: `${best.regearLikelihood}% regear likelihood`,
+    speedometer: `${Math.abs(best.speedometerError).toFixed(1)}% speedometer error`,
+    load: 'less load capacity than stock'
+  };
+  const points = ranked.length > 1 ? Math.round(best.score - ranked[1].score) : 0;
+  const lead = ranked.length > 1 ? ` - ${points} point${points === 1 ? '' : 's'} ahead of ${ranked[1].size}` : '';
+  const tradeoff = biggest[1] >= 5 ? ` (main trade-off: ${reasons[biggest[0]]})` : '';
+  const summary = `${best.size} is the best fit (${best.score.toFixed(0)}/100)${lead}${tradeoff}`;
+
+  if (!baseline.loadCapacity) {
+    return `${summary}. Load capacity not ranked: no load index on ${baseline.size}`;
+  }
+  const unknownLoad = ranked.filter(candidate => candidate.loadCapacity === null).map(candidate => candidate.size);
+  return unknownLoad.length > 0
+    ? `${summary}. Load capacity not ranked for ${unknownLoad.join(', ')}: no load index`
+    : summary;
+}
@@ -0,0 +1,140 @@
+/**
+ * Equivalent Tire Size Finder
+ *
+ * PURPOSE: Reverse tire lookup - list the standard metric and flotation sizes that
+ * land near a target diameter on a given wheel. Answers questions like
+ * "all ~33-inch options for a 17-inch wheel within ±0.3 inch" and "what keeps
+ * my diameter if I move to 18-inch wheels".
+ *
+ * METHODOLOGY:
+ * - Enumerate plausible sizes: metric widths 195-355 mm (x5 steps) × aspect
+ *   ratios 40-85%, and flotation 27"-42" tall × x.50" widths
+ * - Flotation widths are kept to real-world proportions (width 28-40% of diameter)
+ * - Every size goes through parseTireSize, so measured diameters from the
+ *   dataset replace formula diameters where they exist
+ * - Results sorted by closeness to the target diameter
+ */
+
+import { parseTireSize, formatTireSize } from './tireParser.js';
+
+const METRIC_WIDTHS = [195, 205, 215, 225, 235, 245, 255, 265, 275, 285, 295, 305, 315, 325, 335, 345, 355];
+const METRIC_ASPECT_RATIOS = [40, 45, 50, 55, 60, 65, 70, 75, 80, 85];
+const FLOTATION_DIAMETERS = [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 42];
+const FLOTATION_WIDTHS = [8.5, 9.5, 10.5, 11.5, 12.5, 13.5, 14.5, 15.5, 16.5];
+
+/**
+ * Find standard sizes near a target diameter
+ *
+ * @param {Object} params - Search parameters
+ * @param {number} params.targetDiameter - Desired overall diameter (inches)
+ * @param {number[]} params.wheelDiameters - Wheel diameters to search (default [17])
+ * @param {number} params.tolerance - Allowed diameter difference (inches, default 0.3)
+ * @param {boolean} params.includeMetric - Include metric sizes (default true)
+ * @param {boolean} params.includeFlotation - Include flotation sizes (default true)
+ * @param {boolean} params.isLT - Label metric sizes as LT (default true, off-road focus)
+ * @returns {Object[]} Matching sizes sorted by |diameter difference|
+ */
+export function findEquivalentSizes(params) {
+  const {
+    targetDiameter,
+    wheelDiameters = [17],
+    tolerance = 0.3,
+    includeMetric = true,
+    includeFlotation = true,
+    isLT = true
+  } = params;
+
+  if (!targetDiameter || targetDiameter <= 0) {
+    throw new Error('Target diameter is required');
+  }
+
+  const sizes = [];
+  wheelDiameters.forEach(wheelDiameter => {
+    if (includeMetric) {
+      sizes.push(...enumerateMetricSizes(wheelDiameter, isLT));
+    }
+    if (includeFlotation) {
+      sizes.push(...enumerateFlotationSizes(wheelDiameter));
+    }
+  });
+
+  return sizes
+    .map(size => describeSize(parseTireSize(size), targetDiameter))
+    .filter(result => Math.abs(result.diameterDifference) <= tolerance)
+    .sort((a, b) => Math.abs(a.diameterDifference) - Math.abs(b.diameterDifference));
+}
+
+/**
+ * Find sizes that keep the current diameter on a different wheel (plus/minus sizing)
+ *
+ * @param {string} currentSize - Current tire size
+ * @param {number} newWheelDiameter - Wheel diameter to move to (inches)
+ * @param {number} tolerance - Allowed diameter difference (inches, default 0.3)
+ * @returns {Object} { current, wheelDiameter, options }
+ */
+export function findPlusSizeOptions(currentSize, newWheelDiameter, tolerance = 0.3) {
+  const current = parseTireSize(currentSize);
+  const options = findEquivalentSizes({
+    targetDiameter: current.diameter,
+    wheelDiameters: [newWheelDiameter],
+    tolerance,
+    isLT: current.isLT
+  });
+
+  return {
+    current: describeSize(current, current.diameter),
+    wheelDiameter: newWheelDiameter,
+    options
+  };
+}
+
+/**
+ * Metric sizes for a wheel, with a sidewall tall enough for the wheel and not absurd
+ */
+function enumerateMetricSizes(wheelDiameter, isLT) {
+  const prefix = isLT ? 'LT' : '';
+  const sizes = [];
+  METRIC_WIDTHS.forEach(width => {
+    METRIC_ASPECT_RATIOS.forEach(aspectRatio => {
+      const sidewallMm = (width * aspectRatio) / 100;
+      if (sidewallMm >= 100 && sidewallMm <= 260) {
+        sizes.push(`${prefix}${width}/${aspectRatio}R${wheelDiameter}`);
+      }
+    });
+  });
+  return sizes;
+}
+
+/**
+ * Flotation sizes for a wheel, kept to real-world width/diameter proportions
+ */
+function enumerateFlotationSizes(wheelDiameter) {
+  const sizes = [];
+  FLOTATION_DIAMETERS.forEach(diameter => {
+    FLOTATION_WIDTHS.forEach(width => {
+      const proportion = width / diameter;
+      const sidewall = (diameter - wheelDiameter) / 2;
+      if (proportion >= 0.28 && proportion <= 0.40 && sidewall >= 3) {
+        sizes.push(`${diameter}x${width.toFixed(2)}R${wheelDiameter}`);
+      }
+    });
+  });
+  return sizes;
+}
+
+/**
+ * Result row for a parsed size
+ */
+function describeSize(tire, targetDiameter) {
+  return {
+    size: formatTireSize(tire),
+    format: tire.format,
+    diameter: tire.diameter,
+    diameterDifference: tire.diameter - targetDiameter,
+    widthInches: tire.width / 25.4,
+    aspectRatio: tire.aspectRatio,
+    sidewallInches: tire.sidewallInches,
+    wheelDiameter: tire.wheelDiameter,
+    usedMeasuredData: tire.usedMeasuredData
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Tire Size Normalizer
+ *
+ * PURPOSE: Turn loosely typed tire sizes ("2857517", "285 75 17", "35/12.50R17",
+ * "35-12.5-17") into canonical sizes the strict parser understands.
+ *
+ * METHODOLOGY:
+ * - Pull the numeric groups out of the input (or split a bare digit run)
+ * - Build every plausible metric, flotation and 82-series reading
+ * - Score each reading against real-world size conventions:
+ *   metric widths end in 5, aspect ratios are multiples of 5, rims are common
+ *   diameters, flotation widths are x.50 steps and sidewalls are proportionate
+ * - Rank by score; a reading is unambiguous when it clearly beats the runner-up
+ *
+ * Candidates are canonical strings (285/75R17, 35x12.50R17) so they always
+ * re-parse with parseTireSize.
+ */
+
+const COMMON_RIM_DIAMETERS = [13, 14, 15, 16, 16.5, 17, 18, 19, 20, 22, 24, 26];
+const FLOTATION_WIDTHS = [7.5, 8.5, 9.5, 10.5, 11.5, 12.5, 13.5, 14.5, 15.5, 16.5, 17.5];
+
+// Top candidate must lead the runner-up by this much to be used without asking
+const AMBIGUITY_MARGIN = 0.25;
+
+/**
+ * Normalize a loosely formatted tire size into ranked candidate sizes
+ *
+ * @param {string} input - User-typed tire size
+ * @returns {Object} { candidates, best, isAmbiguous, remainder }
+ *   candidates: [{ size, format, score (0-1), reason }] best first
+ *   remainder: text after the size (load index, load range) to re-attach
+ */
+export function normalizeTireSize(input) {
+  const empty = { candidates: [], best: null, isAmbiguous: false, remainder: '' };
+  if (!input || typeof input !== 'string') {
+    return empty;
+  }
+
+  const cleaned = input.trim().toUpperCase().replace(/[×*]/g, 'X');
+  const prefixMatch = cleaned.match(/^(LT|P)\s*/);
+  const prefix = prefixMatch ? prefixMatch[1] : '';
+  const body = cleaned.slice(prefixMatch ? prefixMatch[0].length : 0);
+
+  const tokens = [...body.matchAll(/\d+(?:\.\d+)?/g)];
+  if (tokens.length === 0) {
+    return empty;
+  }
+
+  const hasX = /^\s*\d+(?:\.\d+)?\s*X/.test(body);
+  let readings = [];
+  let lastToken;
+
+  if (tokens.length >= 3) {
+    // Separated groups: "285 75 17", "35/12.50R17", "35-12.5-17"
+    const [a, b, c] = tokens.map(t => t[0]);
+    readings = [
+      readMetric(a, b, c, prefix, 0),
+      readFlotation(a, b, c, 0)
+    ];
+    lastToken = tokens[2];
+  } else if (tokens.length === 2) {
+    // "285/7517" or "185 14": split the digits, or read as 82-series
+    const [a, b] = tokens.map(t => t[0]);
+    readings = [
+      ...splitDigitRun(a + b, prefix),
+      readLegacyMetric(a, b, prefix)
+    ];
+    lastToken = tokens[1];
+  } else {
+    // Bare digit run: "2857517", "35125017"
+    readings = splitDigitRun(tokens[0][0], prefix);
+    lastToken = tokens[0];
+  }
+
+  // An explicit "x" only ever appears in flotation sizes
+  if (hasX) {
+    readings = readings.map(r => (r && r.format !== 'Flotation' ? { ...r, score: r.score - 0.5 } : r));
+  }
+
+  const candidates = rankCandidates(readings);
+  const best = candidates[0] || null;
+  const isAmbiguous = candidates.length > 1 && (candidates[0].score - candidates[1].score) < AMBIGUITY_MARGIN;
+  const remainder = body.slice(lastToken.index + lastToken[0].length).trim();
+
+  return { candidates, best, isAmbiguous, remainder };
+}
+
+/**
+ * Split a run of digits into size groups
+ * 7 digits: 285|75|17 (metric) or 33|125|15 (flotation)
+ * 8 digits: 35|1250|17 (flotation)
+ * 6 digits: 31|95|15 (flotation)
+ */
+function splitDigitRun(digits, prefix) {
+  if (!/^\d+$/.test(digits)) {
+    return [];
+  }
+
+  const readings = [];
+  if (digits.length === 7) {
+    readings.push(readMetric(digits.slice(0, 3), digits.slice(3, 5), digits.slice(5), prefix, 0.1));
+    readings.push(readFlotation(digits.slice(0, 2), digits.slice(2, 5), digits.slice(5), 0.1));
+  } else if (digits.length === 8) {
+    readings.push(readFlotation(digits.slice(0, 2), digits.slice(2, 6), digits.slice(6), 0.1));
+  } else if (digits.length === 6) {
+    readings.push(readFlotation(digits.slice(0, 2), digits.slice(2, 4), digits.slice(4), 0.1));
+  }
+  return readings;
+}
+
+/**
+ * Metric reading: width (mm) / aspect (%) R rim
+ */
+function readMetric(widthText, aspectText, rimText, prefix, penalty) {
+  const width = parseFloat(widthText);
+  const aspect = parseFloat(aspectText);
+  const rim = parseFloat(rimText);
+
+  if (!Number.isInteger(width) || !Number.isInteger(aspect) || width < 125 || width > 395 || aspect < 25 || aspect > 95 || !isRimDiameter(rim)) {
+    return null;
+  }
+
+  let score = 1 - penalty;
+  if (width % 10 !== 5) score -= 0.3;
+  if (aspect % 5 !== 0) score -= 0.3;
+  if (!COMMON_RIM_DIAMETERS.includes(rim)) score -= 0.3;
+
+  return {
+    size: `${prefix === 'LT' ? 'LT' : ''}${width}/${aspect}R${rim}`,
+    format: prefix === 'LT' ? 'LT-metric' : 'P-metric',
+    score,
+    reason: `${width} mm wide, ${aspect}% aspect ratio, ${rim}" wheel`
+  };
+}
+
+/**
+ * Flotation reading: diameter x width (inches) R rim
+ * Widths typed without a decimal point are read as 125 → 12.5, 1250 → 12.50, 95 → 9.5
+ */
+function readFlotation(diameterText, widthText, rimText, penalty) {
+  const diameter = parseFloat(diameterText);
+  const rim = parseFloat(rimText);
+  let width = parseFloat(widthText);
+
+  if (!widthText.includes('.')) {
+    if (widthText.length === 4) {
+      width = width / 100;
+    } else if (widthText.length === 3 || width > 20) {
+      width = width / 10;
+    }
+  }
+
+  if (diameter < 26 || diameter > 46 || width < 7 || width > 20 || !isRimDiameter(rim) || rim >= diameter) {
+    return null;
+  }
+
+  const sidewall = (diameter - rim) / 2;
+  let score = 1 - penalty;
+  if (!FLOTATION_WIDTHS.includes(width) && !Number.isInteger(width)) score -= 0.3;
+  if (!COMMON_RIM_DIAMETERS.includes(rim)) score -= 0.3;
+  if (sidewall / width < 0.4 || sidewall / width > 1.0) score -= 0.3;
+
+  return {
+    size: `${diameter}x${width.toFixed(2)}R${rim}`,
+    format: 'Flotation',
+    score,
+    reason: `${diameter}" tall, ${width.toFixed(2)}" wide, ${rim}" wheel`
+  };
+}
+
+/**
+ * 82-series reading: width (mm) R rim with no aspect ratio
+ */
+function readLegacyMetric(widthText, rimText, prefix) {
+  const width = parseFloat(widthText);
+  const rim = parseFloat(rimText);
+
+  if (!Number.isInteger(width) || width < 125 || width > 235 || !isRimDiameter(rim)) {
+    return null;
+  }
+
+  let score = 0.8;
+  if (width % 10 !== 5) score -= 0.3;
+  if (!COMMON_RIM_DIAMETERS.includes(rim)) score -= 0.3;
+
+  return {
+    size: `${prefix === 'LT' ? 'LT' : ''}${width}R${rim}`,
+    format: '82-series',
+    score,
+    reason: `${width} mm wide, no aspect ratio (82-series), ${rim}" wheel`
+  };
+}
+
+/**
+ * Rim diameters are whole inches or half-inch sizes between 10" and 30"
+ */
+function isRimDiameter(rim) {
+  return rim >= 10 && rim <= 30 && Number.isInteger(rim * 2);
+}
+
+/**
+ * Drop impossible readings, merge duplicates and sort best first
+ */
+function rankCandidates(readings) {
+  const bySize = {};
+  readings.filter(Boolean).forEach(reading => {
+    const score = Math.max(0, Math.min(1, reading.score));
+    if (!bySize[reading.size] || bySize[reading.size].score < score) {
+      bySize[reading.size] = { ...reading, score };
+    }
+  });
+  return Object.values(bySize).sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,224 @@
+/**
+ * Tractive Effort Model
+ *
+ * PURPOSE: Show the pull that actually reaches the ground in each gear across
+ * road speed, so a tire or gear change reads as pounds of thrust lost or gained
+ * instead of an effective-ratio percentage.
+ *
+ * METHODOLOGY:
+ * - Full-throttle torque curves from src/data/engines.json (1GR-FE, Pentastar,
+ *   2.7 EcoBoost, 2GD diesel, 5.7 HEMI, ...), linearly interpolated
+ * - Wheel torque = engine torque × gear × axle × transfer case (× portal hubs) × drivetrain efficiency
+ * - Tractive effort (lbf) = wheel torque / tire radius (ft) = wheel torque × 24 / diameter
+ * - Road speed at an RPM = RPM × diameter / (gear × axle × transfer case × 336)
+ * - Torque converter multiplication is ignored (locked converter), so launch
+ *   effort is conservative for automatics
+ * - Available effort at a road speed is the best gear at that speed
+ *
+ * EXAMPLE:
+ * - 1GR-FE, A750F 1st (3.52), 4.10 axle, 85%: 278 lb-ft → 3,410 lb-ft at the wheel
+ *   → 2,480 lbf on 33" tires, 2,339 lbf on 35"
+ */
+
+import engineData from '../data/engines.json' with { type: 'json' };
+import { getUnitSystem, fromDisplayUnits, formatMeasurement } from './units.js';
+import { getTransmissionRatios } from './transmissionModel.js';
+import { getRoadReduction } from './drivetrainChain.js';
+
+// Typical 4x4 driveline efficiency (transmission, transfer case, two axles)
+export const DRIVETRAIN_EFFICIENCY = 0.85;
+
+// RPM spacing of the plotted points
+const RPM_STEP = 250;
+
+/**
+ * All engines in the library
+ *
+ * @returns {Object[]} [{ id, name, fuel, peakHorsepower, peakTorque, redline, torqueCurve, ... }]
+ */
+export function getEngines() {
+  return engineData.engines;
+}
+
+/**
+ * Look up an engine by id
+ *
+ * @param {string} id - Engine id (e.g. '1GR-FE', 'PENTASTAR-3.6')
+ * @returns {Object} Engine definition
+ */
+export function getEngine(id) {
+  const engine = engineData.engines.find(e => e.id === id);
+  if (!engine) {
+    throw new Error(`Unknown engine: ${id}`);
+  }
+  return engine;
+}
+
+/**
+ * Engine fitted to a vehicle preset
+ *
+ * @param {string} vehicleLabel - Preset label from the vehicle selector
+ * @returns {string|null} Engine id, or null when the preset has no known engine
+ */
+export function getPresetEngine(vehicleLabel) {
+  const engine = engineData.engines.find(e => e.presets.includes(vehicleLabel));
+  return engine ? engine.id : null;
+}
+
+/**
+ * Full-throttle engine torque at an RPM
+ *
+ * @param {Object} engine - Engine definition
+ * @param {number} rpm - Crank RPM
+ * @returns {number} Torque (lb-ft), 0 below the first curve point or above redline
+ */
+export function getEngineTorque(engine, rpm) {
+  const curve = engine.torqueCurve;
+  if (rpm < curve[0][0] || rpm > curve[curve.length - 1][0]) {
+    return 0;
+  }
+  const upper = curve.findIndex(([pointRPM]) => pointRPM >= rpm);
+  if (curve[upper][0] === rpm) {
+    return curve[upper][1];
+  }
+  const [rpm0, torque0] = curve[upper - 1];
+  const [rpm1, torque1] = curve[upper];
+  return torque0 + ((torque1 - torque0) * (rpm - rpm0)) / (rpm1 - rpm0);
+}
+
+/**
+ * Tractive effort curves for every gear on one tire
+ *
+ * @param {Object} engine - Engine definition
+ * @param {number[]} ratios - Transmission ratios, first to top
+ * @param {number} finalDrive - Axle ratio × transfer case ratio
+ * @param {number} diameter - Tire diameter (inches)
+ * @param {number} efficiency - Drivetrain efficiency (0-1)
+ * @returns {Object[]} [{ gear, ratio, points: [{ rpm, speed, engineTorque, wheelTorque, tractiveEffort }], peakTractiveEffort, maxSpeed }]
+ */
+export function calculateGearCurves(engine, ratios, finalDrive, diameter, efficiency = DRIVETRAIN_EFFICIENCY) {
+  // Even RPM steps plus the curve's own points, so peaks are not stepped over
+  const firstRPM = engine.torqueCurve[0][0];
+  const stepped = [];
+  for (let rpm = firstRPM; rpm < engine.redline; rpm += RPM_STEP) {
+    stepped.push(rpm);
+  }
+  const rpms = [...new Set([...stepped, ...engine.torqueCurve.map(([rpm]) => rpm)])].sort((a, b) => a - b);
+
+  return ratios.map((ratio, index) => {
+    const points = rpms.map(rpm => {
+      const engineTorque = getEngineTorque(engine, rpm);
+      const wheelTorque = engineTorque * ratio * finalDrive * efficiency;
+      return {
+        rpm,
+        speed: (rpm * diameter) / (ratio * finalDrive * 336),
+        engineTorque,
+        wheelTorque,
+        tractiveEffort: (wheelTorque * 24) / diameter
+      };
+    });
+
+    return {
+      gear: index + 1,
+      ratio,
+      points,
+      peakTractiveEffort: Math.max(...points.map(p => p.tractiveEffort)),
+      maxSpeed: points[points.length - 1].speed
+    };
+  });
+}
+
+/**
+ * Tractive effort in one gear at a road speed
+ *
+ * @param {number} speedMPH - Road speed (mph)
+ * @returns {Object} { rpm, tractiveEffort (lbf) } - effort is 0 outside the torque curve
+ */
+export function getGearTractiveEffort(engine, ratio, finalDrive, diameter, speedMPH, efficiency = DRIVETRAIN_EFFICIENCY) {
+  const rpm = (speedMPH * ratio * finalDrive * 336) / diameter;
+  return {
+    rpm,
+    tractiveEffort: (getEngineTorque(engine, rpm) * ratio * finalDrive * efficiency * 24) / diameter
+  };
+}
+
+/**
+ * Best available tractive effort at a road speed
+ *
+ * @param {number} speedMPH - Road speed (mph)
+ * @returns {Object} { tractiveEffort (lbf), gear } - gear is null when no gear reaches the speed
+ */
+export function getTractiveEffortAtSpeed(engine, ratios, finalDrive, diameter, speedMPH, efficiency = DRIVETRAIN_EFFICIENCY) {
+  return ratios.reduce((best, ratio, index) => {
+    const { tractiveEffort } = getGearTractiveEffort(engine, ratio, finalDrive, diameter, speedMPH, efficiency);
+    return tractiveEffort > best.tractiveEffort ? { tractiveEffort, gear: index + 1 } : best;
+  }, { tractiveEffort: 0, gear: null });
+}
+
+/**
+ * Tractive effort before and after a tire change
+ *
+ * @param {number} currentDiameter - Current tire diameter (inches, effective if rolling radius is used)
+ * @param {number} newDiameter - New tire diameter (inches)
+ * @param {Object} drivetrain - { engine (id), axleGearRatio, transferCaseRatio, portalRatio, transmission or transmissionRatios }
+ * @param {string|Object} unitSystem - Unit system id or definition (test speeds)
+ * @param {Object} options - { efficiency }
+ * @returns {Object|null} Per-gear curves and effort at the test speeds, null without engine and ratio set
+ */
+export function analyzeTractiveEffort(currentDiameter, newDiameter, drivetrain, unitSystem, options = {}) {
+  const ratios = getTransmissionRatios(drivetrain);
+  if (!drivetrain.engine || !ratios || !drivetrain.axleGearRatio) {
+    return null;
+  }
+
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const engine = getEngine(drivetrain.engine);
+  const efficiency = options.efficiency || DRIVETRAIN_EFFICIENCY;
+  const finalDrive = drivetrain.axleGearRatio * getRoadReduction(drivetrain);
+
+  const currentCurves = calculateGearCurves(engine, ratios, finalDrive, currentDiameter, efficiency);
+  const newCurves = calculateGearCurves(engine, ratios, finalDrive, newDiameter, efficiency);
+
+  const gears = currentCurves.map((current, i) => {
+    const next = newCurves[i];
+    return {
+      gear: current.gear,
+      ratio: current.ratio,
+      current,
+      new: next,
+      peakChange: next.peakTractiveEffort - current.peakTractiveEffort,
+      peakChangePercentage: ((next.peakTractiveEffort - current.peakTractiveEffort) / current.peakTractiveEffort) * 100
+    };
+  });
+
+  const atSpeed = units.testSpeeds.map(speed => {
+    const speedMPH = fromDisplayUnits(speed, 'speed', units.id);
+    const current = getTractiveEffortAtSpeed(engine, ratios, finalDrive, currentDiameter, speedMPH, efficiency);
+    const next = getTractiveEffortAtSpeed(engine, ratios, finalDrive, newDiameter, speedMPH, efficiency);
+    const change = next.tractiveEffort - current.tractiveEffort;
+    return {
+      speed,
+      current,
+      new: next,
+      change,
+      changePercentage: current.tractiveEffort > 0 ? (change / current.tractiveEffort) * 100 : 0
+    };
+  });
+
+  const first = gears[0];
+  const force = (value) => formatMeasurement(value, 'force', units.id);
+  return {
+    engine: {
+      id: engine.id,
+      name: engine.name,
+      peakTorque: engine.peakTorque,
+      peakHorsepower: engine.peakHorsepower
+    },
+    efficiency,
+    finalDrive,
+    speedUnit: units.labels.speed,
+    gears,
+    atSpeed,
+    summary: `Peak pull in 1st gear ${first.peakChange < 0 ? 'drops' : 'rises'} from ${force(first.current.peakTractiveEffort)} to ${force(first.new.peakTractiveEffort)} (${first.peakChangePercentage > 0 ? '+' : ''}${first.peakChangePercentage.toFixed(1)}%)`
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Transmission Gear Model
+ *
+ * PURPOSE: Model every forward gear of the transmission, not just top and first,
+ * so a tire change shows RPM at speed in each gear, where each shift point moves
+ * and whether the overdrive gears are still usable.
+ *
+ * METHODOLOGY:
+ * - Complete ratio sets from src/data/transmissions.json (A750F, AC60, 8HP,
+ *   10R80, NSG370, ...) or a custom ratio list
+ * - RPM in each gear: RPM = speed × axle × gear × 336 / diameter
+ * - Shift point: road speed at the shift RPM, speed = RPM × diameter / (axle × gear × 336)
+ *   A larger tire moves every shift point up by the diameter ratio
+ * - Overdrive usability: the lowest speed a gear can cruise at without lugging
+ *   (below MIN_CRUISE_RPM the transmission hunts or the torque converter unlocks)
+ *   - usable: cruises at highway speed
+ *   - limited: only above highway speed
+ *   - unusable: not even at the top test speed (75 mph / 120 km/h)
+ *
+ * EXAMPLE:
+ * - AC60 (6th 0.580) with 3.909 axle: 1500 RPM at 65 mph on 33", 1415 RPM on 35"
+ *   → 6th gear goes from usable to limited (the 3rd gen Tacoma "gear hunting")
+ */
+
+import transmissionData from '../data/transmissions.json' with { type: 'json' };
+import { getUnitSystem, fromDisplayUnits } from './units.js';
+
+// Typical part-throttle upshift RPM for an automatic in normal driving
+export const DEFAULT_SHIFT_RPM = 2500;
+
+// Below this RPM a gear is lugging at steady cruise
+export const MIN_CRUISE_RPM = 1500;
+
+/**
+ * All transmissions in the library
+ *
+ * @returns {Object[]} [{ id, name, type, ratios, applications, presets }]
+ */
+export function getTransmissions() {
+  return transmissionData.transmissions;
+}
+
+/**
+ * Look up a transmission by id
+ *
+ * @param {string} id - Transmission id (e.g. 'A750F', '8HP')
+ * @returns {Object} Transmission definition
+ */
+export function getTransmission(id) {
+  const transmission = transmissionData.transmissions.find(t => t.id === id);
+  if (!transmission) {
+    throw new Error(`Unknown transmission: ${id}`);
+  }
+  return transmission;
+}
+
+/**
+ * Transmission fitted to a vehicle preset
+ *
+ * @param {string} vehicleLabel - Preset label from the vehicle selector
+ * @returns {string|null} Transmission id, or null when the preset has no known transmission
+ */
+export function getPresetTransmission(vehicleLabel) {
+  const transmission = transmissionData.transmissions.find(t => t.presets.includes(vehicleLabel));
+  return transmission ? transmission.id : null;
+}
+
+/**
+ * Forward ratio set from a transmission id or a custom ratio list
+ *
+ * @param {Object} drivetrain - { transmission (id) or transmissionRatios }
+ * @returns {number[]|null} Ratios first to top gear, null when neither is given
+ */
+export function getTransmissionRatios(drivetrain = {}) {
+  if (Array.isArray(drivetrain.transmissionRatios) && drivetrain.transmissionRatios.length > 0) {
+    return drivetrain.transmissionRatios.map(Number);
+  }
+  if (drivetrain.transmission) {
+    return getTransmission(drivetrain.transmission).ratios;
+  }
+  return null;
+}
+
+/**
+ * Fill top gear and first gear from the selected transmission when they are not given
+ *
+ * @param {Object} drivetrain - Drivetrain specs ({ transmission, transmissionRatios, ... })
+ * @returns {Object} Drivetrain specs with transmissionTopGear and firstGearRatio set
+ */
+export function applyTransmissionRatios(drivetrain) {
+  const ratios = getTransmissionRatios(drivetrain);
+  if (!ratios) {
+    return drivetrain;
+  }
+  return {
+    ...drivetrain,
+    transmissionTopGear: drivetrain.transmissionTopGear || ratios[ratios.length - 1],
+    firstGearRatio: drivetrain.firstGearRatio || ratios[0]
+  };
+}
+
+/**
+ * Per-gear analysis of a tire change
+ *
+ * @param {number} currentDiameter - Current tire diameter (inches, effective if rolling radius is used)
+ * @param {number} newDiameter - New tire diameter (inches)
+ * @param {Object} drivetrain - { axleGearRatio, transmission (id) or transmissionRatios }
+ * @param {string|Object} unitSystem - Unit system id or definition
+ * @param {Object} options - { shiftRPM, minCruiseRPM }
+ * @returns {Object|null} Gear table and overdrive usability, null without a ratio set
+ */
+export function analyzeTransmissionGears(currentDiameter, newDiameter, drivetrain, unitSystem, options = {}) {
+  const ratios = getTransmissionRatios(drivetrain);
+  if (!ratios || !drivetrain.axleGearRatio) {
+    return null;
+  }
+
+  const units = typeof unitSystem === 'object' ? unitSystem : getUnitSystem(unitSystem);
+  const { axleGearRatio } = drivetrain;
+  const shiftRPM = options.shiftRPM || DEFAULT_SHIFT_RPM;
+  const minCruiseRPM = options.minCruiseRPM || MIN_CRUISE_RPM;
+
+  // Speeds in the engine are mph; thresholds follow the selected unit system
+  const testSpeed = units.highwaySpeed;
+  const testSpeedMPH = fromDisplayUnits(testSpeed, 'speed', units.id);
+  const maxSpeedMPH = fromDisplayUnits(Math.max(...units.testSpeeds), 'speed', units.id);
+
+  const gears = ratios.map((ratio, index) => {
+    const currentRPM = rpmAtSpeed(testSpeedMPH, currentDiameter, axleGearRatio, ratio);
+    const newRPM = rpmAtSpeed(testSpeedMPH, newDiameter, axleGearRatio, ratio);
+    const currentShift = speedAtRPM(shiftRPM, currentDiameter, axleGearRatio, ratio);
+    const newShift = speedAtRPM(shiftRPM, newDiameter, axleGearRatio, ratio);
+    const currentMinSpeed = speedAtRPM(minCruiseRPM, currentDiameter, axleGearRatio, ratio);
+    const newMinSpeed = speedAtRPM(minCruiseRPM, newDiameter, axleGearRatio, ratio);
+
+    return {
+      gear: index + 1,
+      ratio,
+      isOverdrive: ratio < 1,
+      rpm: {
+        current: currentRPM,
+        new: newRPM,
+        change: newRPM - currentRPM
+      },
+      shiftSpeed: {
+        current: currentShift,
+        new: newShift,
+        change: newShift - currentShift
+      },
+      minCruiseSpeed: {
+        current: currentMinSpeed,
+        new: newMinSpeed
+      },
+      usability: {
+        current: classifyUsability(currentMinSpeed, testSpeedMPH, maxSpeedMPH),
+        new: classifyUsability(newMinSpeed, testSpeedMPH, maxSpeedMPH)
+      }
+    };
+  });
+
+  const overdriveGears = gears.filter(g => g.isOverdrive);
+  const lostGears = overdriveGears
+    .filter(g => g.usability.current === 'usable' && g.usability.new !== 'usable')
+    .map(g => g.gear);
+
+  return {
+    transmission: describeTransmission(drivetrain, ratios),
+    axleGearRatio,
+    shiftRPM,
+    minCruiseRPM,
+    testSpeed,
+    testSpeedUnit: units.labels.speed,
+    gears,
+    overdrive: {
+      gears: overdriveGears.map(g => g.gear),
+      lostGears,
+      unusableGears: overdriveGears.filter(g => g.usability.new === 'unusable').map(g => g.gear),
+      summary: summarizeOverdrive(overdriveGears, lostGears, testSpeed, units.labels.speed)
+    }
+  };
+}
+
+function describeTransmission(drivetrain, ratios) {
+  if (drivetrain.transmission && !drivetrain.transmissionRatios) {
+    const { id, name, type } = getTransmission(drivetrain.transmission);
+    return { id, name, type, gearCount: ratios.length };
+  }
+  return { id: 'custom', name: 'Custom ratios', type: null, gearCount: ratios.length };
+}
+
+function rpmAtSpeed(speedMPH, diameter, axleRatio, gearRatio) {
+  return (speedMPH * axleRatio * gearRatio * 336) / diameter;
+}
+
+function speedAtRPM(rpm, diameter, axleRatio, gearRatio) {
+  return (rpm * diameter) / (axleRatio * gearRatio * 336);
+}
+
+/**
+ * Usability of a gear from the lowest speed it can cruise at
+ */
+function classifyUsability(minCruiseSpeedMPH, highwaySpeedMPH, maxSpeedMPH) {
+  if (minCruiseSpeedMPH > maxSpeedMPH) return 'unusable';
+  if (minCruiseSpeedMPH > highwaySpeedMPH) return 'limited';
+  return 'usable';
+}
+
+function summarizeOverdrive(overdriveGears, lostGears, testSpeed, speedLabel) {
+  if (overdriveGears.length === 0) {
+    return 'No overdrive gears - top gear is direct drive';
+  }
+  if (lostGears.length > 0) {
+    const names = lostGears.map(ordinal).join(' and ');
+    return `${names} gear drops below ${MIN_CRUISE_RPM} RPM at ${testSpeed} ${speedLabel} - expect gear hunting; re-gear to get ${lostGears.length > 1 ? 'them' : 'it'} back`;
+  }
+  if (overdriveGears.some(g => g.usability.new !== 'usable')) {
+    return `Top overdrive was already below ${MIN_CRUISE_RPM} RPM at ${testSpeed} ${speedLabel} before the tire change`;
+  }
+  return `All overdrive gears stay usable at ${testSpeed} ${speedLabel}`;
+}
+
+function ordinal(n) {
+  const suffix = n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th';
+  return `${n}${suffix}`;
+}
@@ -0,0 +1,198 @@
+/**
+ * Unit System Module
+ *
+ * PURPOSE: Let results be read in imperial (in, mph, lbs, PSI) or metric
+ * (mm, km/h, kg, kPa) units without changing the engine math.
+ *
+ * METHODOLOGY:
+ * - The engine calculates in imperial units internally (336 RPM constant,
+ *   inch diameters, lbs); conversion happens at the edges
+ * - Inputs are converted to imperial with fromDisplayUnits before calculation,
+ *   outputs are converted with toDisplayUnits / formatMeasurement for display
+ * - Both directions use the same exact conversion factors, so a converted value
+ *   converts back to the original number
+ * - Fuel economy converts as a reciprocal (L/100 km = 235.21 / mpg)
+ * - Temperatures convert with the 32 °F offset, temperature rises without it
+ * - Test speeds are chosen per system (30/45/60/75 mph, 50/80/100/120 km/h)
+ *   rather than converted, so metric users see round speedometer readings
+ */
+
+// Exact conversion factors (imperial → metric)
+const CONVERSION_FACTORS = {
+  length: 25.4, // in → mm
+  speed: 1.609344, // mph → km/h
+  distance: 1.609344, // mi → km
+  shortDistance: 0.3048, // ft → m
+  perDistance: 1 / 1.609344, // per mile → per km (revs/mile → revs/km)
+  weight: 0.45359237, // lb → kg
+  pressure: 6.894757293168361, // PSI → kPa
+  torque: 1.3558179483314004, // lb-ft → N·m
+  force: 4.4482216152605, // lbf → N
+  treadDepth: 25.4 / 32, // 32nds of an inch → mm
+  volume: 3.785411784, // US gal → L
+  temperature: 5 / 9, // °F → °C (after the offset below)
+  temperatureRise: 5 / 9 // °F → °C difference
+};
+
+// Quantities with a zero offset (°C = (°F − 32) × 5/9)
+const OFFSETS = {
+  temperature: 32
+};
+
+// Quantities whose metric form is the reciprocal (mpg → L/100 km = factor / mpg)
+const RECIPROCAL_FACTORS = {
+  fuelEconomy: (100 * 3.785411784) / 1.609344
+};
+
+export const UNIT_SYSTEMS = {
+  imperial: {
+    id: 'imperial',
+    label: 'Imperial (in, mph, lbs, PSI)',
+    labels: {
+      length: '"',
+      speed: 'mph',
+      distance: 'mi',
+      shortDistance: 'ft',
+      perDistance: '/mile',
+      weight: 'lbs',
+      pressure: 'PSI',
+      torque: 'lb-ft',
+      force: 'lbf',
+      treadDepth: '/32"',
+      volume: 'gal',
+      fuelEconomy: 'mpg',
+      temperature: '°F',
+      temperatureRise: '°F'
+    },
+    decimals: { length: 2, speed: 1, distance: 0, shortDistance: 0, perDistance: 0, weight: 0, pressure: 0, torque: 0, force: 0, treadDepth: 1, volume: 1, fuelEconomy: 1, temperature: 0, temperatureRise: 0 },
+    speedKey: 'mph',
+    testSpeeds: [30, 45, 60, 75],
+    referenceSpeed: 60, // speedometer example and tread wear column
+    highwaySpeed: 65 // cruise RPM test speed
+  },
+  metric: {
+    id: 'metric',
+    label: 'Metric (mm, km/h, kg, kPa)',
+    labels: {
+      length: 'mm',
+      speed: 'km/h',
+      distance: 'km',
+      shortDistance: 'm',
+      perDistance: '/km',
+      weight: 'kg',
+      pressure: 'kPa',
+      torque: 'N·m',
+      force: 'N',
+      treadDepth: 'mm',
+      volume: 'L',
+      fuelEconomy: 'L/100km',
+      temperature: '°C',
+      temperatureRise: '°C'
+    },
+    decimals: { length: 0, speed: 1, distance: 0, shortDistance: 1, perDistance: 0, weight: 1, pressure: 0, torque: 0, force: 0, treadDepth: 1, volume: 1, fuelEconomy: 1, temperature: 0, temperatureRise: 0 },
+    speedKey: 'kmh',
+    testSpeeds: [50, 80, 100, 120],
+    referenceSpeed: 100,
+    highwaySpeed: 100
+  }
+};
+
+export const DEFAULT_UNIT_SYSTEM = 'imperial';
+
+/**
+ * Look up a unit system
+ *
+ * @param {string} unitSystem - 'imperial' or 'metric' (default imperial)
+ * @returns {Object} Unit system definition
+ */
+export function getUnitSystem(unitSystem) {
+  if (!unitSystem) {
+    return UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM];
+  }
+  const system = UNIT_SYSTEMS[unitSystem];
+  if (!system) {
+    throw new Error(`Unknown unit system: ${unitSystem}`);
+  }
+  return system;
+}
+
+/**
+ * Convert an engine (imperial) value into the selected unit system
+ *
+ * @param {number} value - Imperial value
+ * @param {string} quantity - length, speed, distance, shortDistance, perDistance, weight, pressure, torque, force, treadDepth,
+ *   volume, fuelEconomy (mpg ↔ L/100km is a reciprocal, so convert values, not differences), temperature,
+ *   temperatureRise (a temperature difference, no offset)
+ * @param {string} unitSystem - 'imperial' or 'metric'
+ * @returns {number} Value in the selected units
+ */
+export function toDisplayUnits(value, quantity, unitSystem) {
+  if (getUnitSystem(unitSystem).id !== 'metric') {
+    return value;
+  }
+  if (RECIPROCAL_FACTORS[quantity]) {
+    return RECIPROCAL_FACTORS[quantity] / value;
+  }
+  return (value - (OFFSETS[quantity] || 0)) * getFactor(quantity);
+}
+
+/**
+ * Convert a value in the selected unit system back to engine (imperial) units
+ *
+ * @param {number} value - Value in the selected units
+ * @param {string} quantity - See toDisplayUnits
+ * @param {string} unitSystem - 'imperial' or 'metric'
+ * @returns {number} Imperial value
+ */
+export function fromDisplayUnits(value, quantity, unitSystem) {
+  if (getUnitSystem(unitSystem).id !== 'metric') {
+    return value;
+  }
+  if (RECIPROCAL_FACTORS[quantity]) {
+    return RECIPROCAL_FACTORS[quantity] / value;
+  }
+  return value / getFactor(quantity) + (OFFSETS[quantity] || 0);
+}
+
+/**
+ * Unit label for a quantity ('"', 'mm', 'mph', 'km/h', ...)
+ */
+export function getUnitLabel(quantity, unitSystem) {
+  return getUnitSystem(unitSystem).labels[quantity];
+}
+
+/**
+ * Format an engine (imperial) value with its unit in the selected system
+ *
+ * @param {number} value - Imperial value
+ * @param {string} quantity - See toDisplayUnits
+ * @param {string} unitSystem - 'imperial' or 'metric'
+ * @param {Object} options - { decimals, signed }
+ * @returns {string} e.g. '33.15"', '842 mm', '+1.6 km/h'
+ */
+export function formatMeasurement(value, quantity, unitSystem, options = {}) {
+  const system = getUnitSystem(unitSystem);
+  const decimals = options.decimals !== undefined ? options.decimals : system.decimals[quantity];
+  const converted = toDisplayUnits(value, quantity, system.id);
+  const sign = options.signed && converted >= 0 ? '+' : '';
+  const label = system.labels[quantity];
+
+  // Inch marks, degrees and per-unit suffixes attach directly; other labels get a space
+  const separator = label.startsWith('"') || label.startsWith('/') || label.startsWith('°') ? '' : ' ';
+  return `${sign}${converted.toFixed(decimals)}${separator}${label}`;
+}
+
+/**
+ * Key of a speedometer test speed in speedometerError.errors (at60mph, at100kmh)
+ */
+export function getSpeedKey(speed, unitSystem) {
+  return `at${speed}${getUnitSystem(unitSystem).speedKey}`;
+}
+
+function getFactor(quantity) {
+  const factor = CONVERSION_FACTORS[quantity];
+  if (!factor) {
+    throw new Error(`Unknown quantity: ${quantity}`);
+  }
+  return factor;
+}
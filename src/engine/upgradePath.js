@@ -8,6 +8,8 @@
  * METHODOLOGY:
  * - Rule-based prioritization system
  * - Safety-critical upgrades first (brakes, suspension)
+ * - Brakes: the stock hardware check (brakeSizing.js) when the vehicle is known,
+ *   naming the swap for the budget level
  * - Performance restoration second (regearing)
  * - Protection third (armor, sliders)
  * - Considers budget levels: Budget, Mid-Range, Premium
@@ -31,16 +33,22 @@ export function generateUpgradePath(analysis, budgetLevel = 'mid_range', timelin
   const clearanceRisk = analysis.clearance?.probabilityAnalysis?.riskClass || 'LOW';
 
   // Priority 1: Safety-Critical (Always first)
-  if (rotationalImpact > 10 || stressScore > 60) {
+  // With stock brake data (brakeSizing) the hardware check decides and names the swap
+  const brakeSizing = analysis.brakeSizing;
+  if (brakeSizing ? brakeSizing.needsUpgrade : rotationalImpact > 10 || stressScore > 60) {
+    const swap = brakeSizing ? selectBrakeSwap(brakeSizing, budgetLevel) : null;
+    const fades = brakeSizing && (brakeSizing.heating.front.fades || brakeSizing.heating.rear.fades);
+
     upgrades.push({
       priority: 1,
       category: 'Safety',
       upgrade: 'Brake Upgrade',
-      necessity: 'essential',
-      reason: 'Larger/heavier tires significantly increase braking distances',
-      cost: estimateCost('brakes', budgetLevel),
+      necessity: !brakeSizing || brakeSizing.status === 'undersized' || fades ? 'essential' : 'recommended',
+      reason: brakeSizing ? brakeSizing.summary : 'Larger/heavier tires significantly increase braking distances',
+      cost: swap ? { ...swap.cost } : estimateCost('brakes', budgetLevel),
       timeline: 'before driving',
-      options: getBrakeOptions(budgetLevel)
+      options: swap ? getBrakeSwapOptions(brakeSizing, swap) : getBrakeOptions(budgetLevel),
+      swap
     });
   }
 
@@ -249,6 +257,30 @@ function getBrakeOptions(budgetLevel) {
   return options[budgetLevel];
 }
 
+/**
+ * Pick the brake swap for the budget level: the cheapest that passes, or the
+ * strongest that passes for premium builds
+ */
+function selectBrakeSwap(brakeSizing, budgetLevel) {
+  const passing = brakeSizing.swaps.filter(swap => swap.clearsWheels && swap.status === 'adequate' && !swap.fades);
+  if (passing.length === 0) {
+    return null;
+  }
+  return budgetLevel === 'premium'
+    ? passing.reduce((a, b) => (b.margin > a.margin ? b : a))
+    : passing[0];
+}
+
+/**
+ * Brake swap options: the selected swap first, then the other swaps that pass
+ */
+function getBrakeSwapOptions(brakeSizing, selected) {
+  const others = brakeSizing.swaps
+    .filter(swap => swap !== selected && swap.clearsWheels && swap.status === 'adequate' && !swap.fades)
+    .map(swap => `${swap.name} (${Math.round(swap.margin * 100)}% of required torque)`);
+  return [`${selected.name} (${Math.round(selected.margin * 100)}% of required torque)`, ...others];
+}
+
 /**
  * Get suspension options
  */
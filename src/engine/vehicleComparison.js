@@ -0,0 +1,164 @@
+/**
+ * Same Tire Across Vehicles
+ *
+ * PURPOSE: Answer "what does 35x12.50R17 do on a Tacoma vs a 4Runner vs a JL
+ * vs a Bronco" - one candidate tire applied to several vehicle presets at once,
+ * side by side.
+ *
+ * METHODOLOGY:
+ * - Each preset (vehicle-database.csv) runs calculateTireComparison with its own
+ *   stock tire, axle ratio, transfer case low range and first gear, plus the
+ *   factory transmission and engine when the preset has one
+ * - Clearance probability uses each vehicle's suspension type (IFS or solid
+ *   axle) at the same lift height
+ * - Regearing: forum-based likelihood for the vehicle, and the ratio that
+ *   restores stock effective gearing (axle ratio × new / stock diameter)
+ *   rounded to the nearest ratio that is made
+ * - Options that describe one specific vehicle (weights, load, odometer, fuel
+ *   plan, brakes) are left out
+ *
+ * EXAMPLE:
+ * - 35x12.50R17 on a 2016-2023 Tacoma TRD Off-Road (265/70R16, 3.909) is
+ *   +4.4" with HIGH rub risk on IFS and 4.46 gears to restore; on a JL Rubicon
+ *   (285/70R17, 4.10) it is +2.3", MODERATE risk on solid axles, also 4.46
+ */
+
+import { parseTireSize } from './tireParser.js';
+import { calculateTireComparison } from './tireCalculator.js';
+import { getAvailableGearRatios } from './regearEngine.js';
+import { getVehicleSuspensionType } from './clearanceProbability.js';
+import { getPresetTransmission } from './transmissionModel.js';
+import { getPresetEngine } from './tractiveEffort.js';
+import { getUnitSystem, getSpeedKey } from './units.js';
+
+/**
+ * Drivetrain specs for a vehicle preset
+ *
+ * @param {Object} preset - { label, gear, tcase, first } from vehicle-database.csv
+ * @returns {Object} Drivetrain specs for calculateTireComparison
+ */
+export function getPresetDrivetrain(preset) {
+  const drivetrain = {
+    axleGearRatio: preset.gear,
+    vehicleType: preset.label
+  };
+  if (preset.tcase) {
+    drivetrain.transferCaseLowRatio = preset.tcase;
+  }
+  if (preset.first) {
+    drivetrain.firstGearRatio = preset.first;
+  }
+  const transmission = getPresetTransmission(preset.label);
+  if (transmission) {
+    drivetrain.transmission = transmission;
+  }
+  const engine = getPresetEngine(preset.label);
+  if (engine) {
+    drivetrain.engine = engine;
+  }
+  return drivetrain;
+}
+
+/**
+ * Apply one tire to several vehicle presets
+ *
+ * @param {Object} newTire - Parsed candidate tire
+ * @param {Object[]} presets - Vehicle presets ({ category, label, tire, gear, tcase, first, suspensionType })
+ * @param {Object} tireSpecs - New tire weight / load index / rim width (stock tire specs come from each preset)
+ * @param {string} intendedUse - Intended use key for the regearing guidance
+ * @param {Object} options - { unitSystem, liftHeight (inches, all vehicles) }
+ * @returns {Object} { unitSystem, tire, vehicles, summary }
+ */
+export function compareAcrossVehicles(newTire, presets, tireSpecs = {}, intendedUse = 'weekend_trail', options = {}) {
+  if (!presets || presets.length === 0) {
+    throw new Error('Select at least one vehicle to compare');
+  }
+  const units = getUnitSystem(options.unitSystem);
+  const speedKey = getSpeedKey(units.referenceSpeed, units.id);
+  const specs = {
+    newTireWeight: tireSpecs.newTireWeight,
+    newTireLoadIndex: tireSpecs.newTireLoadIndex,
+    newRimWidth: tireSpecs.newRimWidth
+  };
+
+  const vehicles = presets.map(preset => {
+    const suspensionType = preset.suspensionType || getVehicleSuspensionType(preset.label);
+    const drivetrain = {
+      ...getPresetDrivetrain(preset),
+      suspensionType,
+      liftHeight: options.liftHeight || 0
+    };
+    const comparison = calculateTireComparison(parseTireSize(preset.tire), newTire, drivetrain, specs, intendedUse, {
+      unitSystem: units.id
+    });
+    const { drivetrainImpact, regearingGuidance } = comparison;
+    const clearance = comparison.clearance.probabilityAnalysis;
+    const restoreRatio = preset.gear * (comparison.new.diameter / comparison.current.diameter);
+
+    return {
+      tire: comparison.new.formatted,
+      category: preset.category,
+      label: preset.label,
+      suspensionType,
+      stockTire: comparison.current.formatted,
+      stockDiameter: comparison.current.diameter,
+      diameterChange: comparison.differences.diameter.inches,
+      diameterChangePct: comparison.differences.diameter.percentage,
+      speedometerError: comparison.speedometerError.errors[speedKey].errorPercentage,
+      drivetrain: {
+        axleRatio: preset.gear,
+        transferCaseLowRatio: preset.tcase,
+        firstGearRatio: preset.first,
+        transmission: drivetrain.transmission || null,
+        effectiveRatio: drivetrainImpact.effectiveGearRatio.new,
+        effectiveRatioChangePct: drivetrainImpact.effectiveGearRatio.changePercentage,
+        rpm: drivetrainImpact.rpm,
+        crawlRatio: drivetrainImpact.crawlRatio.new,
+        crawlSpeed: drivetrainImpact.crawlRatio.crawlSpeed
+      },
+      clearance: {
+        riskClass: clearance.riskClass,
+        probability: clearance.probability,
+        primaryIssue: clearance.primaryIssue,
+        liftRecommendation: clearance.liftRecommendation,
+        summary: clearance.summary
+      },
+      regearing: {
+        likelihood: regearingGuidance.likelihood,
+        consensus: regearingGuidance.consensus,
+        recommendation: regearingGuidance.recommendation,
+        restoreRatio,
+        suggestedRatio: nearestGearRatio(restoreRatio),
+        needed: Math.abs(drivetrainImpact.effectiveGearRatio.changePercentage) > 5
+      }
+    };
+  });
+
+  return {
+    unitSystem: units.id,
+    tire: vehicles[0].tire,
+    rpmTestSpeed: units.highwaySpeed,
+    vehicles,
+    summary: summarizeVehicles(vehicles)
+  };
+}
+
+function nearestGearRatio(ratio) {
+  return getAvailableGearRatios().reduce((best, available) => (
+    Math.abs(available - ratio) < Math.abs(best - ratio) ? available : best
+  ));
+}
+
+function summarizeVehicles(vehicles) {
+  if (vehicles.length === 1) {
+    const [vehicle] = vehicles;
+    return `${vehicle.label}: ${vehicle.clearance.riskClass.toLowerCase()} rub risk, ${vehicle.regearing.likelihood} regear likelihood`;
+  }
+  const easiest = vehicles.reduce((best, vehicle) => (vehicle.clearance.probability < best.clearance.probability ? vehicle : best));
+  const hardest = vehicles.reduce((worst, vehicle) => (vehicle.clearance.probability > worst.clearance.probability ? vehicle : worst));
+  if (easiest.clearance.probability === hardest.clearance.probability) {
+    return `Same ${easiest.clearance.riskClass.toLowerCase()} rub risk on all ${vehicles.length} vehicles`;
+  }
+  return `Easiest fit on the ${easiest.label} (${easiest.clearance.riskClass.toLowerCase()} rub risk), ` +
+    `hardest on the ${hardest.label} (${hardest.clearance.riskClass.toLowerCase()})`;
+}
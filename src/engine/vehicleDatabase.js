@@ -0,0 +1,68 @@
+/**
+ * Vehicle preset database
+ * Stock tire, axle ratio, transfer case low range and first gear for each
+ * preset in src/data/vehicle-database.csv
+ */
+
+// Initialize empty database - will be populated if CSV loads successfully
+let vehiclePresetDatabase = [];
+
+/**
+ * Parse vehicle-database.csv
+ *
+ * @param {string} csvText - CSV with a category,label,tire,gear,tcase,first header
+ * @returns {Object[]} [{ category, label, tire, gear, tcase, first }] with ratios as numbers
+ */
+export function parseVehicleDatabaseCSV(csvText) {
+  if (!csvText || csvText.trim() === '') {
+    return [];
+  }
+
+  return csvText
+    .trim()
+    .split('\n')
+    .slice(1)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [category, label, tire, gear, tcase, first] = line.split(',').map(value => value.trim());
+      return {
+        category,
+        label,
+        tire,
+        gear: parseFloat(gear),
+        tcase: tcase ? parseFloat(tcase) : null,
+        first: first ? parseFloat(first) : null
+      };
+    });
+}
+
+// Try to load CSV data if in browser/Vite environment
+if (typeof window !== 'undefined') {
+  import('../data/vehicle-database.csv?raw')
+    .then(module => {
+      vehiclePresetDatabase = parseVehicleDatabaseCSV(module.default);
+    })
+    .catch(() => {
+      // Import failed - keep empty database
+      vehiclePresetDatabase = [];
+    });
+}
+
+/**
+ * All vehicle presets (empty in the Node.js test environment)
+ * @returns {Object[]} Presets in file order
+ */
+export function getVehiclePresets() {
+  return vehiclePresetDatabase;
+}
+
+/**
+ * Find a preset by its label
+ * @param {string} label - Preset label (e.g. "JL Wrangler Rubicon (2018+)")
+ * @param {Object[]} presets - Preset list (default: the loaded database)
+ * @returns {Object|null} Preset or null if not found
+ */
+export function getVehiclePreset(label, presets = vehiclePresetDatabase) {
+  return presets.find(preset => preset.label === label) || null;
+}
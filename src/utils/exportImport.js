@@ -1,8 +1,12 @@
 /**
  * Export/Import utilities for tire calculations
  * Allows users to save and reload calculation results
+ * Reports use the comparison's unit system; JSON keeps engine (imperial) values
+ * plus the unit system so a re-import reproduces the same results
  */
 
+import { getUnitSystem, getSpeedKey, toDisplayUnits, formatMeasurement } from '../engine/units.js';
+
 /**
  * Export calculation results to JSON file
  * @param {Object} results - Complete calculation results
@@ -16,7 +20,8 @@ export function exportToJSON(results, formData) {
     results: results,
     metadata: {
       appName: 'Offroad Tire & Gear Ratio Engineering Tool',
-      appVersion: '1.0'
+      appVersion: '1.0',
+      unitSystem: results.comparison.unitSystem || 'imperial'
     }
   };
 
@@ -44,12 +49,42 @@ export function exportToJSON(results, formData) {
  * @param {Object} results - Complete calculation results
  */
 export function exportToCSV(results) {
-  const { comparison, drivetrainImpact } = results.comparison;
-  const { formData } = results;
+  const { comparison } = results;
+  const csvContent = generateCSV(results);
+  const dataBlob = new Blob([csvContent], { type: 'text/csv' });
+
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+  link.href = url;
+
+  const currentTire = comparison.current.formatted.replace(/\//g, '-');
+  const newTire = comparison.new.formatted.replace(/\//g, '-');
+  const timestamp = new Date().toISOString().split('T')[0];
+
+  link.download = `tire-calc_${currentTire}_to_${newTire}_${timestamp}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Build CSV content in the comparison's unit system
+ * @param {Object} results - Complete calculation results
+ * @returns {string} CSV text
+ */
+export function generateCSV(results) {
+  const { comparison, formData } = results;
+  const { drivetrainImpact } = comparison;
+  const unitSystem = comparison.unitSystem || 'imperial';
+  const units = getUnitSystem(unitSystem);
+  const lengthLabel = unitSystem === 'metric' ? 'mm' : 'inches';
+  const length = (value) => toDisplayUnits(value, 'length', unitSystem).toFixed(units.decimals.length);
 
   const rows = [
     ['Offroad Tire & Gear Ratio Engineering Tool - Results Export'],
     ['Export Date', new Date().toLocaleString()],
+    ['Units', unitSystem],
     [''],
   ];
 
@@ -62,20 +97,17 @@ export function exportToCSV(results) {
   rows.push(['Tire Comparison'],
     ['Metric', 'Current', 'New', 'Change'],
     ['Tire Size', comparison.current.formatted, comparison.new.formatted, ''],
-    ['Diameter (inches)', comparison.current.diameter.toFixed(2), comparison.new.diameter.toFixed(2), comparison.differences.diameter.inches.toFixed(2)],
-    ['Width (inches)', comparison.current.widthInches.toFixed(2), comparison.new.widthInches.toFixed(2), comparison.differences.width.inches.toFixed(2)],
-    ['Sidewall (inches)', comparison.current.sidewallInches.toFixed(2), comparison.new.sidewallInches.toFixed(2), comparison.differences.sidewall.inches.toFixed(2)],
-    ['Circumference (inches)', comparison.current.circumference.toFixed(2), comparison.new.circumference.toFixed(2), comparison.differences.circumference.inches.toFixed(2)],
-    ['Ground Clearance Gain (inches)', '', '', comparison.differences.groundClearance.inches.toFixed(2)],
+    [`Diameter (${lengthLabel})`, length(comparison.current.diameter), length(comparison.new.diameter), length(comparison.differences.diameter.inches)],
+    [`Width (${lengthLabel})`, length(comparison.current.widthInches), length(comparison.new.widthInches), length(comparison.differences.width.inches)],
+    [`Sidewall (${lengthLabel})`, length(comparison.current.sidewallInches), length(comparison.new.sidewallInches), length(comparison.differences.sidewall.inches)],
+    [`Circumference (${lengthLabel})`, length(comparison.current.circumference), length(comparison.new.circumference), length(comparison.differences.circumference.inches)],
+    [`Ground Clearance Gain (${lengthLabel})`, '', '', length(comparison.differences.groundClearance.inches)],
     [''],
     ['Speedometer Error'],
-    ['Speed (indicated)', '30 mph', '45 mph', '60 mph', '75 mph'],
-    ['Actual Speed',
-      comparison.speedometerError.errors.at30mph.actual.toFixed(1),
-      comparison.speedometerError.errors.at45mph.actual.toFixed(1),
-      comparison.speedometerError.errors.at60mph.actual.toFixed(1),
-      comparison.speedometerError.errors.at75mph.actual.toFixed(1)
-    ],
+    ['Speed (indicated)', ...units.testSpeeds.map(speed => `${speed} ${units.labels.speed}`)],
+    ['Actual Speed', ...units.testSpeeds.map(speed =>
+      comparison.speedometerError.errors[getSpeedKey(speed, unitSystem)].actual.toFixed(1)
+    )],
     ['']
   );
 
@@ -88,7 +120,7 @@ export function exportToCSV(results) {
         drivetrainImpact.effectiveGearRatio.new.toFixed(2),
         drivetrainImpact.effectiveGearRatio.change.toFixed(2) + ' (' + drivetrainImpact.effectiveGearRatio.changePercentage.toFixed(1) + '%)'
       ],
-      ['RPM @ 65 mph',
+      [`RPM @ ${drivetrainImpact.rpm.testSpeed} ${drivetrainImpact.rpm.testSpeedUnit || 'mph'}`,
         Math.round(drivetrainImpact.rpm.original),
         Math.round(drivetrainImpact.rpm.new),
         Math.round(drivetrainImpact.rpm.change) + ' (' + drivetrainImpact.rpm.changePercentage.toFixed(1) + '%)'
@@ -101,9 +133,18 @@ export function exportToCSV(results) {
     );
   }
 
-  const csvContent = rows.map(row => row.join(',')).join('\n');
-  const dataBlob = new Blob([csvContent], { type: 'text/csv' });
+  return rows.map(row => row.join(',')).join('\n');
+}
+
+/**
+ * Export calculation results to text report
+ * @param {Object} results - Complete calculation results
+ */
+export function exportToText(results) {
+  const { comparison } = results;
+  const text = generateTextReport(results);
 
+  const dataBlob = new Blob([text], { type: 'text/plain' });
   const url = URL.createObjectURL(dataBlob);
   const link = document.createElement('a');
   link.href = url;
@@ -112,7 +153,7 @@ export function exportToCSV(results) {
   const newTire = comparison.new.formatted.replace(/\//g, '-');
   const timestamp = new Date().toISOString().split('T')[0];
 
-  link.download = `tire-calc_${currentTire}_to_${newTire}_${timestamp}.csv`;
+  link.download = `tire-calc_${currentTire}_to_${newTire}_${timestamp}.txt`;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
@@ -120,12 +161,17 @@ export function exportToCSV(results) {
 }
 
 /**
- * Export calculation results to text report
+ * Build the plain text report in the comparison's unit system
  * @param {Object} results - Complete calculation results
+ * @returns {string} Report text
  */
-export function exportToText(results) {
+export function generateTextReport(results) {
   const { comparison, formData } = results;
   const drivetrainImpact = comparison.drivetrainImpact;
+  const unitSystem = comparison.unitSystem || 'imperial';
+  const units = getUnitSystem(unitSystem);
+  const length = (value, options) => formatMeasurement(value, 'length', unitSystem, options);
+  const signed = (value) => length(value, { signed: true });
 
   let text = '';
   text += '═══════════════════════════════════════════════════\n';
@@ -134,6 +180,7 @@ export function exportToText(results) {
   text += '═══════════════════════════════════════════════════\n\n';
   text += `Export Date: ${new Date().toLocaleString()}\n`;
   text += `Comparison: ${comparison.current.formatted} → ${comparison.new.formatted}\n`;
+  text += `Units: ${units.label}\n`;
 
   if (formData.vehicleType) {
     text += `Vehicle: ${formData.vehicleType}`;
@@ -150,30 +197,31 @@ export function exportToText(results) {
   text += '───────────────────────────────────────────────────\n\n';
 
   text += `Current Tire: ${comparison.current.formatted}\n`;
-  text += `  Diameter:     ${comparison.current.diameter.toFixed(2)}"\n`;
-  text += `  Width:        ${comparison.current.widthInches.toFixed(2)}"\n`;
-  text += `  Sidewall:     ${comparison.current.sidewallInches.toFixed(2)}"\n`;
-  text += `  Circumference: ${comparison.current.circumference.toFixed(2)}"\n\n`;
+  text += `  Diameter:     ${length(comparison.current.diameter)}\n`;
+  text += `  Width:        ${length(comparison.current.widthInches)}\n`;
+  text += `  Sidewall:     ${length(comparison.current.sidewallInches)}\n`;
+  text += `  Circumference: ${length(comparison.current.circumference)}\n\n`;
 
   text += `New Tire: ${comparison.new.formatted}\n`;
-  text += `  Diameter:     ${comparison.new.diameter.toFixed(2)}"\n`;
-  text += `  Width:        ${comparison.new.widthInches.toFixed(2)}"\n`;
-  text += `  Sidewall:     ${comparison.new.sidewallInches.toFixed(2)}"\n`;
-  text += `  Circumference: ${comparison.new.circumference.toFixed(2)}"\n\n`;
+  text += `  Diameter:     ${length(comparison.new.diameter)}\n`;
+  text += `  Width:        ${length(comparison.new.widthInches)}\n`;
+  text += `  Sidewall:     ${length(comparison.new.sidewallInches)}\n`;
+  text += `  Circumference: ${length(comparison.new.circumference)}\n\n`;
 
   text += 'Changes:\n';
-  text += `  Diameter:     ${comparison.differences.diameter.inches >= 0 ? '+' : ''}${comparison.differences.diameter.inches.toFixed(2)}" (${comparison.differences.diameter.percentage >= 0 ? '+' : ''}${comparison.differences.diameter.percentage.toFixed(1)}%)\n`;
-  text += `  Width:        ${comparison.differences.width.inches >= 0 ? '+' : ''}${comparison.differences.width.inches.toFixed(2)}" (${comparison.differences.width.percentage >= 0 ? '+' : ''}${comparison.differences.width.percentage.toFixed(1)}%)\n`;
-  text += `  Ground Clearance Gain: +${comparison.differences.groundClearance.inches.toFixed(2)}"\n\n`;
+  text += `  Diameter:     ${signed(comparison.differences.diameter.inches)} (${comparison.differences.diameter.percentage >= 0 ? '+' : ''}${comparison.differences.diameter.percentage.toFixed(1)}%)\n`;
+  text += `  Width:        ${signed(comparison.differences.width.inches)} (${comparison.differences.width.percentage >= 0 ? '+' : ''}${comparison.differences.width.percentage.toFixed(1)}%)\n`;
+  text += `  Ground Clearance Gain: ${signed(comparison.differences.groundClearance.inches)}\n\n`;
 
   text += '───────────────────────────────────────────────────\n';
   text += 'SPEEDOMETER ERROR\n';
   text += '───────────────────────────────────────────────────\n\n';
 
-  text += `30 mph indicated = ${comparison.speedometerError.errors.at30mph.actual.toFixed(1)} mph actual\n`;
-  text += `45 mph indicated = ${comparison.speedometerError.errors.at45mph.actual.toFixed(1)} mph actual\n`;
-  text += `60 mph indicated = ${comparison.speedometerError.errors.at60mph.actual.toFixed(1)} mph actual\n`;
-  text += `75 mph indicated = ${comparison.speedometerError.errors.at75mph.actual.toFixed(1)} mph actual\n\n`;
+  units.testSpeeds.forEach(speed => {
+    const data = comparison.speedometerError.errors[getSpeedKey(speed, unitSystem)];
+    text += `${speed} ${units.labels.speed} indicated = ${data.actual.toFixed(1)} ${units.labels.speed} actual\n`;
+  });
+  text += '\n';
 
   if (drivetrainImpact) {
     text += '───────────────────────────────────────────────────\n';
@@ -185,7 +233,7 @@ export function exportToText(results) {
     text += `  New:     ${drivetrainImpact.effectiveGearRatio.new.toFixed(2)}\n`;
     text += `  Change:  ${drivetrainImpact.effectiveGearRatio.change >= 0 ? '+' : ''}${drivetrainImpact.effectiveGearRatio.change.toFixed(2)} (${drivetrainImpact.effectiveGearRatio.changePercentage >= 0 ? '+' : ''}${drivetrainImpact.effectiveGearRatio.changePercentage.toFixed(1)}%)\n\n`;
 
-    text += 'Engine RPM @ 65 mph:\n';
+    text += `Engine RPM @ ${drivetrainImpact.rpm.testSpeed} ${drivetrainImpact.rpm.testSpeedUnit || 'mph'}:\n`;
     text += `  Current: ${Math.round(drivetrainImpact.rpm.original)} RPM\n`;
     text += `  New:     ${Math.round(drivetrainImpact.rpm.new)} RPM\n`;
     text += `  Change:  ${drivetrainImpact.rpm.change >= 0 ? '+' : ''}${Math.round(drivetrainImpact.rpm.change)} RPM (${drivetrainImpact.rpm.changePercentage >= 0 ? '+' : ''}${drivetrainImpact.rpm.changePercentage.toFixed(1)}%)\n\n`;
@@ -213,22 +261,121 @@ export function exportToText(results) {
   text += '             Engineering Tool\n';
   text += '═══════════════════════════════════════════════════\n';
 
-  const dataBlob = new Blob([text], { type: 'text/plain' });
+  return text;
+}
+
+/**
+ * Export a fleet batch to JSON file (every build with its full results)
+ * @param {Object} batch - Result of runFleetBatch
+ */
+export function exportFleetToJSON(batch) {
+  const exportData = {
+    version: '1.0',
+    exportDate: new Date().toISOString(),
+    type: 'fleet',
+    summary: batch.summary,
+    builds: batch.builds,
+    metadata: {
+      appName: 'Offroad Tire & Gear Ratio Engineering Tool',
+      appVersion: '1.0',
+      unitSystem: batch.unitSystem || 'imperial'
+    }
+  };
+
+  const dataStr = JSON.stringify(exportData, null, 2);
+  const dataBlob = new Blob([dataStr], { type: 'application/json' });
+
   const url = URL.createObjectURL(dataBlob);
   const link = document.createElement('a');
   link.href = url;
 
-  const currentTire = comparison.current.formatted.replace(/\//g, '-');
-  const newTire = comparison.new.formatted.replace(/\//g, '-');
   const timestamp = new Date().toISOString().split('T')[0];
 
-  link.download = `tire-calc_${currentTire}_to_${newTire}_${timestamp}.txt`;
+  link.download = `tire-calc_fleet_${batch.builds.length}-builds_${timestamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export a fleet batch to CSV file, one row per build
+ * @param {Object} batch - Result of runFleetBatch
+ */
+export function exportFleetToCSV(batch) {
+  const csvContent = generateFleetCSV(batch);
+  const dataBlob = new Blob([csvContent], { type: 'text/csv' });
+
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+  link.href = url;
+
+  const timestamp = new Date().toISOString().split('T')[0];
+
+  link.download = `tire-calc_fleet_${batch.builds.length}-builds_${timestamp}.csv`;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Build fleet CSV content in the batch's unit system
+ * Input columns first (as entered), then the results, so the file can be
+ * edited and run again
+ * @param {Object} batch - Result of runFleetBatch
+ * @returns {string} CSV text
+ */
+export function generateFleetCSV(batch) {
+  const unitSystem = batch.unitSystem || 'imperial';
+  const units = getUnitSystem(unitSystem);
+  const lengthLabel = unitSystem === 'metric' ? 'mm' : 'inches';
+  const length = (value) => toDisplayUnits(value, 'length', unitSystem).toFixed(units.decimals.length);
+  const fixed = (value, decimals) => (value !== null && value !== undefined ? value.toFixed(decimals) : '');
+
+  const rows = [[
+    'Vehicle', 'Current Tire', 'New Tire', 'Gears', `Lift (${lengthLabel})`, 'Use', 'Status',
+    `Diameter Change (${lengthLabel})`, 'Diameter Change (%)', `Speedometer Error @ ${units.referenceSpeed} ${units.labels.speed} (%)`,
+    'Effective Gear Ratio', 'RPM Change', 'Rub Risk', 'Rub Probability (%)', 'Regear', 'Restore Ratio',
+    'Top Regear Pick', 'Advisory Severity', 'Error'
+  ]];
+
+  batch.builds.forEach(build => {
+    const { input } = build;
+    const inputs = [input.vehicle, input.currentTire, input.newTire, input.gears, input.lift];
+    if (build.status !== 'ok') {
+      rows.push([...inputs, input.use, 'error', ...Array(11).fill(''), build.error]);
+      return;
+    }
+    const { metrics } = build;
+    rows.push([
+      ...inputs,
+      build.intendedUse,
+      'ok',
+      length(metrics.diameterChange),
+      fixed(metrics.diameterChangePct, 1),
+      fixed(metrics.speedometerError, 1),
+      fixed(metrics.effectiveRatio, 2),
+      fixed(metrics.rpmChange, 0),
+      metrics.clearanceRisk,
+      metrics.clearanceProbability,
+      metrics.regearNecessity || '',
+      fixed(metrics.restoreRatio, 2),
+      fixed(metrics.suggestedRatio, 2),
+      metrics.advisorySeverity,
+      ''
+    ]);
+  });
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n');
+}
+
+// Quote fields that contain commas, quotes or line breaks
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Import calculation results from JSON file
  * @param {File} file - JSON file to import
@@ -2,8 +2,17 @@
  * Forum Export Utility
  * Generates plain-text formatted tire comparison for forum posting
  * Optimized for Tacoma World, IH8MUD, JeepForum, Expedition Portal
+ * Uses the comparison's unit system (imperial or metric)
  */
 
+import { formatMeasurement, getSpeedKey } from '../engine/units.js';
+
+// Speedometer rows shown in forum posts
+const FORUM_TEST_SPEEDS = {
+  imperial: [30, 60, 75],
+  metric: [50, 100, 120]
+};
+
 /**
  * Generate forum-friendly plain text output
  * @param {Object} comparison - Full comparison result
@@ -13,6 +22,8 @@
 export function generateForumText(comparison, formData) {
   if (!comparison) return '';
 
+  const unitSystem = comparison.unitSystem || 'imperial';
+  const length = (value, options) => formatMeasurement(value, 'length', unitSystem, options);
   const lines = [];
   const divider = '═══════════════════════════════════════════════';
 
@@ -30,15 +41,15 @@ export function generateForumText(comparison, formData) {
 
   // Dimensions
   lines.push('DIMENSIONS');
-  lines.push(`Current: ${formData.currentTireSize} (${comparison.current.diameter.toFixed(2)}" diameter, ${comparison.current.widthInches.toFixed(1)}" width)`);
-  lines.push(`New:     ${formData.newTireSize} (${comparison.new.diameter.toFixed(2)}" diameter, ${comparison.new.widthInches.toFixed(1)}" width)`);
+  lines.push(`Current: ${formData.currentTireSize} (${length(comparison.current.diameter)} diameter, ${length(comparison.current.widthInches, { decimals: unitSystem === 'metric' ? 0 : 1 })} width)`);
+  lines.push(`New:     ${formData.newTireSize} (${length(comparison.new.diameter)} diameter, ${length(comparison.new.widthInches, { decimals: unitSystem === 'metric' ? 0 : 1 })} width)`);
 
-  const diamDiff = comparison.differences.diameter.absolute.toFixed(2);
+  const diamDiff = length(comparison.differences.diameter.absolute, { signed: true });
   const diamPct = comparison.differences.diameter.percentage.toFixed(1);
-  const widthDiff = comparison.differences.width.absolute.toFixed(2);
+  const widthDiff = length(comparison.differences.width.absolute, { signed: true });
   const widthPct = comparison.differences.width.percentage.toFixed(1);
 
-  lines.push(`Change:  ${diamDiff > 0 ? '+' : ''}${diamDiff}" diameter (${diamPct > 0 ? '+' : ''}${diamPct}%), ${widthDiff > 0 ? '+' : ''}${widthDiff}" width (${widthPct > 0 ? '+' : ''}${widthPct}%)`);
+  lines.push(`Change:  ${diamDiff} diameter (${diamPct > 0 ? '+' : ''}${diamPct}%), ${widthDiff} width (${widthPct > 0 ? '+' : ''}${widthPct}%)`);
   lines.push('');
 
   // Speedometer Error
@@ -46,10 +57,10 @@ export function generateForumText(comparison, formData) {
     lines.push('SPEEDOMETER ERROR');
     const errors = comparison.speedometerError.errors;
     if (errors) {
-      [30, 60, 75].forEach(speed => {
-        const data = errors[`at${speed}mph`];
+      FORUM_TEST_SPEEDS[unitSystem].forEach(speed => {
+        const data = errors[getSpeedKey(speed, unitSystem)];
         if (data) {
-          lines.push(`${speed} mph indicated → ${data.actual.toFixed(1)} mph actual (${data.error > 0 ? '+' : ''}${data.error.toFixed(1)} mph)`);
+          lines.push(`${speed} ${data.unit} indicated → ${data.actual.toFixed(1)} ${data.unit} actual (${data.error > 0 ? '+' : ''}${data.error.toFixed(1)} ${data.unit})`);
         }
       });
     }
@@ -61,25 +72,25 @@ export function generateForumText(comparison, formData) {
     lines.push(`GEARING IMPACT (${formData.axleGearRatio} axle ratio)`);
     const impact = comparison.drivetrainImpact;
 
-    if (impact.newEffectiveRatio) {
-      const effRatioChange = impact.ratioChangePercent || 0;
-      lines.push(`Effective ratio: ${formData.axleGearRatio} → ${impact.newEffectiveRatio.toFixed(2)} (${effRatioChange > 0 ? '+' : ''}${effRatioChange.toFixed(1)}%)`);
+    if (impact.effectiveGearRatio) {
+      const effRatioChange = impact.effectiveGearRatio.changePercentage || 0;
+      lines.push(`Effective ratio: ${formData.axleGearRatio} → ${impact.effectiveGearRatio.new.toFixed(2)} (${effRatioChange > 0 ? '+' : ''}${effRatioChange.toFixed(1)}%)`);
     }
 
-    if (impact.rpmAt65Current && impact.rpmAt65New) {
-      const rpmChange = impact.rpmChange || 0;
-      lines.push(`Highway RPM @ 65 mph: ${impact.rpmAt65Current.toFixed(0)} → ${impact.rpmAt65New.toFixed(0)} (${rpmChange > 0 ? '+' : ''}${rpmChange.toFixed(0)} RPM)`);
+    if (impact.rpm) {
+      const rpmChange = impact.rpm.change || 0;
+      lines.push(`Highway RPM @ ${impact.rpm.testSpeed} ${impact.rpm.testSpeedUnit || 'mph'}: ${impact.rpm.original.toFixed(0)} → ${impact.rpm.new.toFixed(0)} (${rpmChange > 0 ? '+' : ''}${rpmChange.toFixed(0)} RPM)`);
     }
 
-    if (impact.crawlRatioCurrent && impact.crawlRatioNew) {
-      lines.push(`Crawl ratio (4WD Low): ${impact.crawlRatioCurrent.toFixed(1)}:1 → ${impact.crawlRatioNew.toFixed(1)}:1`);
+    if (impact.crawlRatio) {
+      lines.push(`Crawl ratio (4WD Low): ${impact.crawlRatio.original.toFixed(1)}:1 → ${impact.crawlRatio.new.toFixed(1)}:1`);
     }
 
     lines.push('');
 
     // Re-gear recommendations
     lines.push('RE-GEAR RECOMMENDATION');
-    const pctChange = Math.abs(parseFloat(impact.ratioChangePercent || 0));
+    const pctChange = Math.abs(parseFloat(impact.effectiveGearRatio?.changePercentage || 0));
 
     if (pctChange > 10) {
       lines.push('Status: REQUIRED - Significant ratio change');
@@ -104,8 +115,8 @@ export function generateForumText(comparison, formData) {
 
   // Clearance & Fitment
   lines.push('CLEARANCE & FITMENT');
-  const clearanceGain = comparison.differences.groundClearance.gain.toFixed(2);
-  lines.push(`Ground clearance gain: +${clearanceGain}"`);
+  const clearanceGain = length(comparison.differences.groundClearance.gain, { signed: true });
+  lines.push(`Ground clearance gain: ${clearanceGain}`);
 
   // Lift requirements
   const diamChange = comparison.differences.diameter.absolute;
@@ -143,6 +154,8 @@ export function generateForumText(comparison, formData) {
 export function generateBBCodeText(comparison, formData) {
   if (!comparison) return '';
 
+  const unitSystem = comparison.unitSystem || 'imperial';
+  const length = (value, options) => formatMeasurement(value, 'length', unitSystem, options);
   const lines = [];
 
   // Header
@@ -159,24 +172,24 @@ export function generateBBCodeText(comparison, formData) {
 
   // Dimensions
   lines.push('[b]DIMENSIONS[/b]');
-  lines.push(`Current: ${formData.currentTireSize} (${comparison.current.diameter.toFixed(2)}" diameter, ${comparison.current.widthInches.toFixed(1)}" width)`);
-  lines.push(`New:     ${formData.newTireSize} (${comparison.new.diameter.toFixed(2)}" diameter, ${comparison.new.widthInches.toFixed(1)}" width)`);
+  lines.push(`Current: ${formData.currentTireSize} (${length(comparison.current.diameter)} diameter, ${length(comparison.current.widthInches, { decimals: unitSystem === 'metric' ? 0 : 1 })} width)`);
+  lines.push(`New:     ${formData.newTireSize} (${length(comparison.new.diameter)} diameter, ${length(comparison.new.widthInches, { decimals: unitSystem === 'metric' ? 0 : 1 })} width)`);
 
-  const diamDiff = comparison.differences.diameter.absolute.toFixed(2);
+  const diamDiff = length(comparison.differences.diameter.absolute, { signed: true });
   const diamPct = comparison.differences.diameter.percentage.toFixed(1);
-  const widthDiff = comparison.differences.width.absolute.toFixed(2);
+  const widthDiff = length(comparison.differences.width.absolute, { signed: true });
 
-  lines.push(`[color=orange]Change:  ${diamDiff > 0 ? '+' : ''}${diamDiff}" diameter (${diamPct > 0 ? '+' : ''}${diamPct}%), ${widthDiff > 0 ? '+' : ''}${widthDiff}" width[/color]`);
+  lines.push(`[color=orange]Change:  ${diamDiff} diameter (${diamPct > 0 ? '+' : ''}${diamPct}%), ${widthDiff} width[/color]`);
   lines.push('');
 
   // Speedometer
   if (comparison.speedometerError?.errors) {
     lines.push('[b]SPEEDOMETER ERROR[/b]');
     const errors = comparison.speedometerError.errors;
-    [30, 60, 75].forEach(speed => {
-      const data = errors[`at${speed}mph`];
+    FORUM_TEST_SPEEDS[unitSystem].forEach(speed => {
+      const data = errors[getSpeedKey(speed, unitSystem)];
       if (data) {
-        lines.push(`${speed} mph → [color=red]${data.actual.toFixed(1)} mph actual[/color]`);
+        lines.push(`${speed} ${data.unit} → [color=red]${data.actual.toFixed(1)} ${data.unit} actual[/color]`);
       }
     });
     lines.push('');
@@ -187,8 +200,8 @@ export function generateBBCodeText(comparison, formData) {
     lines.push(`[b]GEARING IMPACT (${formData.axleGearRatio} gears)[/b]`);
     const impact = comparison.drivetrainImpact;
 
-    if (impact.newEffectiveRatio) {
-      lines.push(`Effective ratio: ${formData.axleGearRatio} → [color=orange]${impact.newEffectiveRatio.toFixed(2)}[/color]`);
+    if (impact.effectiveGearRatio) {
+      lines.push(`Effective ratio: ${formData.axleGearRatio} → [color=orange]${impact.effectiveGearRatio.new.toFixed(2)}[/color]`);
     }
     lines.push('');
   }
@@ -156,4 +156,57 @@ test('Smaller tire downgrade', () => {
   assert.ok(comparison.speedometerError.ratio < 1);
 });
 
+test('Load capacity uses load index from sidewall string', () => {
+  const current = parseTireSize('265/70R17 113T');
+  const newTire = parseTireSize('LT285/75R17 121/118S E');
+
+  const comparison = calculateTireComparison(current, newTire);
+  const load = comparison.loadCapacityAnalysis;
+
+  assert.ok(load, 'Load analysis should run without separate load index inputs');
+  assert.strictEqual(load.current.loadIndex, 113);
+  assert.strictEqual(load.new.loadIndex, 121);
+  assert.strictEqual(load.new.capacityPerTire, 3197);
+});
+
+test('Load capacity skipped when load index missing', () => {
+  const current = parseTireSize('265/70R17');
+  const newTire = parseTireSize('LT285/75R17 121/118S E');
+
+  const comparison = calculateTireComparison(current, newTire);
+
+  assert.strictEqual(comparison.loadCapacityAnalysis, null);
+});
+
+test('Tread wear states report diameter and revs/mile drift', () => {
+  const current = parseTireSize('265/70R17');
+  const newTire = parseTireSize('35x12.50R17', { treadDepthNew: 20, treadDepthCurrent: 12 });
+
+  const comparison = calculateTireComparison(current, newTire);
+  const wear = comparison.new.treadWear;
+
+  assert.strictEqual(wear.isEstimate, false);
+  assert.strictEqual(wear.states.new.diameter, 35);
+  assert.strictEqual(wear.states.halfWorn.treadDepth, 11);
+  // 20/32 → 2/32 loses 18/32" per side = 1.125" of diameter
+  assert.strictEqual(wear.states.legalMin.diameter, 33.875);
+  assert.strictEqual(wear.states.current.diameter, 34.5);
+  assert.ok(wear.states.legalMin.revolutionsPerMile > wear.states.new.revolutionsPerMile);
+});
+
+test('Speedometer error drifts toward stock as the new tire wears', () => {
+  const current = parseTireSize('265/70R17');
+  const newTire = parseTireSize('285/75R17');
+
+  const comparison = calculateTireComparison(current, newTire);
+  const { treadWear } = comparison.speedometerError;
+
+  assert.strictEqual(treadWear.new.ratio, comparison.speedometerError.ratio);
+  assert.ok(treadWear.halfWorn.ratio < treadWear.new.ratio);
+  assert.ok(treadWear.legalMin.ratio < treadWear.halfWorn.ratio);
+  assert.ok(treadWear.legalMin.errors.at60mph.actual < comparison.speedometerError.errors.at60mph.actual);
+  assert.strictEqual(treadWear.current, undefined, 'No current state without a remaining tread depth');
+  assert.strictEqual(comparison.new.treadWear.isEstimate, true);
+});
+
 console.log('✓ All tire calculator tests passed');
@@ -5,7 +5,14 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { parseTireSize, calculateCircumference, calculateRevolutionsPerMile } from '../src/engine/tireParser.js';
+import {
+  parseTireSize,
+  calculateCircumference,
+  calculateRevolutionsPerMile,
+  formatTireSize,
+  calculateWornDiameter,
+  findMeasuredDiameter
+} from '../src/engine/tireParser.js';
 
 test('Parse P-metric tire size', () => {
   const tire = parseTireSize('265/70R17');
@@ -107,4 +114,209 @@ test('Flotation with dash separator', () => {
   assert.strictEqual(tire.wheelDiameter, 15);
 });
 
+test('Full sidewall string - LT metric with dual load index', () => {
+  const tire = parseTireSize('LT285/75R17 121/118S E');
+
+  assert.strictEqual(tire.format, 'LT-metric');
+  assert.strictEqual(tire.width, 285);
+  assert.strictEqual(tire.construction, 'R');
+  assert.strictEqual(tire.loadIndex, 121);
+  assert.strictEqual(tire.loadIndexDual, 118);
+  assert.strictEqual(tire.speedRating, 'S');
+  assert.strictEqual(tire.speedRatingMph, 112);
+  assert.strictEqual(tire.loadRange, 'E');
+  assert.strictEqual(tire.plyRating, 10);
+
+  // Sidewall markings must not change the size math
+  assert.strictEqual(tire.diameter, parseTireSize('LT285/75R17').diameter);
+});
+
+test('Full sidewall string - flotation with LT suffix', () => {
+  const tire = parseTireSize('35x12.50R17LT 121Q D');
+
+  assert.strictEqual(tire.format, 'Flotation');
+  assert.strictEqual(tire.diameter, 35);
+  assert.strictEqual(tire.loadIndex, 121);
+  assert.strictEqual(tire.loadIndexDual, null);
+  assert.strictEqual(tire.speedRating, 'Q');
+  assert.strictEqual(tire.loadRange, 'D');
+  assert.strictEqual(tire.plyRating, 8);
+});
+
+test('Ply rating maps to load range', () => {
+  const tire = parseTireSize('LT265/75R16 10 PLY');
+
+  assert.strictEqual(tire.loadIndex, null, 'Ply rating is not a load index');
+  assert.strictEqual(tire.plyRating, 10);
+  assert.strictEqual(tire.loadRange, 'E');
+});
+
+test('Size-only string has null sidewall markings', () => {
+  const tire = parseTireSize('265/70R17');
+
+  assert.strictEqual(tire.loadIndex, null);
+  assert.strictEqual(tire.speedRating, null);
+  assert.strictEqual(tire.loadRange, null);
+  assert.strictEqual(tire.raw, '265/70R17');
+});
+
+test('Numeric radial and bias sizes', () => {
+  const radial = parseTireSize('7.50R16');
+  const bias = parseTireSize('9.00-16');
+
+  assert.strictEqual(radial.format, 'Numeric');
+  assert.strictEqual(radial.widthInches, 7.5);
+  assert.strictEqual(radial.constructionType, 'radial');
+  // 100% profile: 16 + (2 × 7.50) = 31"
+  assert.strictEqual(radial.diameter, 31);
+
+  assert.strictEqual(bias.format, 'Numeric');
+  assert.strictEqual(bias.constructionType, 'bias');
+  assert.strictEqual(bias.diameter, 34);
+});
+
+test('Euro commercial C size', () => {
+  const tire = parseTireSize('235/85R16C 120/116R');
+
+  assert.strictEqual(tire.format, 'Euro-commercial');
+  assert.strictEqual(tire.isCommercial, true);
+  assert.strictEqual(tire.isLT, true);
+  assert.strictEqual(tire.raw, '235/85R16C');
+  assert.strictEqual(tire.loadIndex, 120, 'C suffix must not be read as a load range');
+  assert.strictEqual(tire.loadRange, null);
+  assert.ok(Math.abs(tire.diameter - 31.7) < 0.1, `Expected diameter ~31.7, got ${tire.diameter}`);
+});
+
+test('82-series size with no aspect ratio', () => {
+  const tire = parseTireSize('185R14');
+
+  assert.strictEqual(tire.format, '82-series');
+  assert.strictEqual(tire.aspectRatio, 82);
+  assert.strictEqual(tire.isLT, false);
+  // ((185 × 0.82 × 2) / 25.4) + 14 = 25.9"
+  assert.ok(Math.abs(tire.diameter - 25.9) < 0.1, `Expected diameter ~25.9, got ${tire.diameter}`);
+});
+
+test('ZR, D and B construction codes', () => {
+  const zr = parseTireSize('255/40ZR19 (97Y)');
+  assert.strictEqual(zr.format, 'P-metric');
+  assert.strictEqual(zr.construction, 'ZR');
+  assert.strictEqual(zr.constructionType, 'radial');
+  assert.strictEqual(zr.loadIndex, 97);
+  assert.strictEqual(zr.speedRating, 'Y');
+
+  assert.strictEqual(parseTireSize('31x10.50D15').constructionType, 'bias');
+  assert.strictEqual(parseTireSize('225/70B15').constructionType, 'bias-belted');
+});
+
+test('Half-inch rim diameters', () => {
+  const flotation = parseTireSize('33x12.50R16.5');
+  const numeric = parseTireSize('8.75R16.5');
+
+  assert.strictEqual(flotation.wheelDiameter, 16.5);
+  assert.strictEqual(flotation.sidewallInches, 8.25);
+  assert.strictEqual(numeric.wheelDiameter, 16.5);
+  assert.strictEqual(numeric.diameter, 34);
+  assert.strictEqual(parseTireSize('LT215/85R16.5').wheelDiameter, 16.5);
+});
+
+test('formatTireSize round-trips every format', () => {
+  const sizes = [
+    '265/70R17', 'LT285/75R16', '255/40ZR19', '235/85R16C', '35x12.50R17',
+    '33x10.50-15', '33x12.50R16.5', '7.50R16', '9.00-16', '185R14', '195R14C'
+  ];
+
+  for (const size of sizes) {
+    const tire = parseTireSize(size);
+    const formatted = formatTireSize(tire);
+    const reparsed = parseTireSize(formatted);
+
+    assert.strictEqual(formatted, size, `${size} formatted as ${formatted}`);
+    assert.strictEqual(reparsed.format, tire.format);
+    assert.strictEqual(reparsed.diameter, tire.diameter);
+    assert.strictEqual(reparsed.construction, tire.construction);
+  }
+});
+
+test('Optional tread depth is carried on the parsed tire', () => {
+  const tire = parseTireSize('LT285/75R17', { treadDepthNew: 18, treadDepthCurrent: '9' });
+  const bare = parseTireSize('LT285/75R17');
+
+  assert.strictEqual(tire.treadDepthNew, 18);
+  assert.strictEqual(tire.treadDepthCurrent, 9);
+  assert.strictEqual(tire.diameter, bare.diameter, 'Tread depth must not change the size math');
+  assert.strictEqual(bare.treadDepthNew, null);
+  assert.strictEqual(bare.treadDepthCurrent, null);
+});
+
+test('Worn diameter shrinks by twice the tread lost', () => {
+  const tire = parseTireSize('35x12.50R17', { treadDepthNew: 18 });
+
+  assert.strictEqual(calculateWornDiameter(tire, 18), 35);
+  assert.strictEqual(calculateWornDiameter(tire, 10), 34.5);
+  // Typical LT depth (15/32) is assumed when none was entered
+  assert.strictEqual(calculateWornDiameter(parseTireSize('35x12.50R17'), 7), 34.5);
+});
+
+test('Measured diameter dataset entry is reported', () => {
+  const tire = parseTireSize('LT285/75R17');
+
+  assert.strictEqual(tire.usedMeasuredData, true);
+  assert.strictEqual(tire.diameter, 32.8);
+  assert.strictEqual(tire.measuredDataEntry.size, '285/75R17');
+  assert.strictEqual(tire.measuredDataEntry.brand, null);
+  assert.ok(tire.measuredDataEntry.source);
+  assert.ok(tire.measuredDataEntry.sampleCount > 0);
+  assert.strictEqual(tire.measuredDataEntry.confidence, 'high');
+  assert.ok(tire.measuredDataEntry.datasetVersion);
+
+  assert.strictEqual(parseTireSize('245/65R17').measuredDataEntry, null);
+});
+
+test('Brand/model selects a brand-specific measured diameter', () => {
+  const ko2 = parseTireSize('LT285/75R17', { brand: 'bfgoodrich', model: 'All-Terrain T/A KO2' });
+  const rt = parseTireSize('LT285/75R17', { brand: 'Toyo', model: 'Open Country R/T' });
+
+  assert.strictEqual(ko2.measuredDataEntry.brand, 'BFGoodrich');
+  assert.strictEqual(ko2.brand, 'bfgoodrich');
+  assert.notStrictEqual(ko2.diameter, rt.diameter);
+
+  // Unknown model falls back to the size-only entry
+  const unknown = parseTireSize('LT285/75R17', { brand: 'Toyo', model: 'Open Country A/T III' });
+  assert.strictEqual(unknown.measuredDataEntry.brand, null);
+  assert.strictEqual(unknown.diameter, 32.8);
+});
+
+test('Brand-specific flotation diameter keeps the printed size', () => {
+  const tire = parseTireSize('35x12.50R17', { brand: 'BFGoodrich', model: 'All-Terrain T/A KO2' });
+
+  assert.strictEqual(tire.usedMeasuredData, true);
+  assert.ok(tire.diameter < 35, 'Measured diameter replaces the nominal 35"');
+  assert.strictEqual(formatTireSize(tire), '35x12.50R17');
+  assert.strictEqual(findMeasuredDiameter('35x12.50R17'), null, 'No size-only flotation entries');
+});
+
+test('Loosely typed sizes are normalized', () => {
+  const tire = parseTireSize('285 75 17 121/118S E');
+
+  assert.strictEqual(tire.format, 'P-metric');
+  assert.strictEqual(tire.raw, '285/75R17');
+  assert.strictEqual(tire.normalizedFrom, '285 75 17 121/118S E');
+  assert.strictEqual(tire.loadIndex, 121);
+  assert.strictEqual(tire.loadRange, 'E');
+  assert.strictEqual(parseTireSize('35-12.5-17').diameter, 35);
+  assert.strictEqual(parseTireSize('265/70R17').normalizedFrom, undefined);
+});
+
+test('Ambiguous size throws with ranked suggestions', () => {
+  assert.throws(
+    () => parseTireSize('2613516'),
+    (err) => {
+      assert.match(err.message, /Did you mean/);
+      assert.strictEqual(err.suggestions.length, 2);
+      return true;
+    }
+  );
+});
+
 console.log('✓ All tire parser tests passed');
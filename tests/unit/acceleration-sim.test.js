@@ -0,0 +1,128 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Acceleration Simulator
+ *
+ * PURPOSE: Verify the time-stepped full-throttle run: rotating inertia,
+ * benchmark timing and how tire size, weight and gearing move 0-60 and 50-70.
+ *
+ * FORMULA:
+ * a = (drive force − rolling resistance − aero drag) / effective mass
+ * Effective mass = (weight + rotating equivalent weight) / g + driveline inertia × (gear × final drive)² / r²
+ * Rotating equivalent weight = 4 × (tire × 0.8² + wheel × (0.7 × rim radius / tire radius)²)
+ *
+ * CONFIDENCE LEVEL: 100% (deterministic integration of a closed-form force balance)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { getEngine } from '../../src/engine/tractiveEffort.js';
+import {
+  calculateRotatingEquivalentWeight,
+  simulateAcceleration,
+  analyzeAcceleration,
+  DEFAULT_WHEEL_WEIGHT
+} from '../../src/engine/accelerationSim.js';
+
+const DRIVETRAIN = { axleGearRatio: 4.10, transmission: 'A750F', engine: '1GR-FE' };
+const TIRES = { currentTireWeight: 55, newTireWeight: 65, currentWheelDiameter: 17, newWheelDiameter: 17 };
+
+describe('Acceleration Simulator - Logic Verification (100% Confidence)', () => {
+
+  describe('Rotating Inertia', () => {
+
+    test('Tire and wheel equivalent weight', () => {
+      // 4 × (55 × 0.64 + 35 × (0.7 × 8.5 / 16.5)²) = 159.0 lbs
+      const weight = calculateRotatingEquivalentWeight({ diameter: 33, wheelDiameter: 17, tireWeight: 55 });
+      const expected = 4 * (55 * 0.64 + DEFAULT_WHEEL_WEIGHT * Math.pow((0.7 * 8.5) / 16.5, 2));
+
+      assert.ok(Math.abs(weight - expected) < 1e-9);
+    });
+
+    test('Heavier tires add more than their static weight', () => {
+      const light = calculateRotatingEquivalentWeight({ diameter: 33, wheelDiameter: 17, tireWeight: 55 });
+      const heavy = calculateRotatingEquivalentWeight({ diameter: 33, wheelDiameter: 17, tireWeight: 65 });
+
+      assert.ok(Math.abs(heavy - light - 4 * 10 * 0.64) < 1e-9);
+    });
+  });
+
+  describe('Simulation', () => {
+
+    const setup = {
+      engine: getEngine('1GR-FE'),
+      ratios: [3.52, 2.042, 1.4, 1.0, 0.716],
+      finalDrive: 4.10,
+      dragCoefficient: 0.45,
+      frontalArea: 32
+    };
+    const vehicle = { diameter: 33, wheelDiameter: 17, weight: 4500, tireWeight: 55, rollingResistance: 0.011 };
+
+    test('Times increase with speed and shifts happen on the way', () => {
+      const run = simulateAcceleration(setup, vehicle, [0, 30, 60, 70]);
+
+      assert.strictEqual(run.times[0], 0);
+      assert.ok(run.times[30] > 0 && run.times[30] < run.times[60] && run.times[60] < run.times[70]);
+      assert.ok(run.shifts >= 1);
+    });
+
+    test('Heavier vehicle is slower', () => {
+      const light = simulateAcceleration(setup, vehicle, [60]);
+      const heavy = simulateAcceleration(setup, { ...vehicle, weight: 5500 }, [60]);
+
+      assert.ok(heavy.times[60] > light.times[60]);
+    });
+
+    test('Unreachable speeds are reported as null', () => {
+      const run = simulateAcceleration({ ...setup, ratios: [3.52] }, vehicle, [60]);
+
+      assert.strictEqual(run.times[60], null);
+      assert.ok(run.topSpeed < 60);
+    });
+  });
+
+  describe('Tire Change Analysis', () => {
+
+    test('Larger, heavier tires slow 0-60; shorter gears win it back', () => {
+      const analysis = analyzeAcceleration(33, 35, DRIVETRAIN, 'imperial', TIRES);
+      const regeared = analyzeAcceleration(33, 35, { ...DRIVETRAIN, axleGearRatio: 4.56 }, 'imperial', TIRES);
+      const [zeroToSixty] = analysis.benchmarks;
+
+      assert.strictEqual(zeroToSixty.label, '0-60 mph');
+      assert.ok(zeroToSixty.change > 0);
+      assert.ok(regeared.benchmarks[0].new < zeroToSixty.new);
+      assert.strictEqual(analysis.vehicle.weight.new - analysis.vehicle.weight.current, 40);
+    });
+
+    test('Passing time is split from the same run', () => {
+      const analysis = analyzeAcceleration(33, 35, DRIVETRAIN, 'imperial', TIRES);
+      const passing = analysis.benchmarks[1];
+
+      assert.strictEqual(passing.label, '50-70 mph');
+      assert.ok(passing.current > 0 && passing.current < analysis.benchmarks[0].current);
+    });
+
+    test('Metric runs 0-100 and 80-120 km/h', () => {
+      const analysis = analyzeAcceleration(33, 35, DRIVETRAIN, 'metric', TIRES);
+
+      assert.deepStrictEqual(analysis.benchmarks.map(run => run.label), ['0-100 km/h', '80-120 km/h']);
+    });
+
+    test('Needs both an engine and a ratio set', () => {
+      assert.strictEqual(analyzeAcceleration(33, 35, { axleGearRatio: 4.10, engine: '1GR-FE' }, 'imperial'), null);
+      assert.strictEqual(analyzeAcceleration(33, 35, { axleGearRatio: 4.10, transmission: 'A750F' }, 'imperial'), null);
+    });
+
+    test('Weight analysis reports simulated times instead of generic text', () => {
+      const current = parseTireSize('265/70R17');
+      const next = parseTireSize('285/75R17');
+      const simulated = calculateTireComparison(current, next, DRIVETRAIN);
+      const generic = calculateTireComparison(current, next, { axleGearRatio: 4.10 });
+
+      assert.strictEqual(simulated.weightAnalysis.impact.acceleration, simulated.acceleration.summary);
+      assert.ok(simulated.acceleration.summary.startsWith('0-60 mph'));
+      assert.strictEqual(generic.acceleration, null);
+      assert.ok(generic.weightAnalysis.impact.acceleration.includes('select an engine'));
+    });
+  });
+});
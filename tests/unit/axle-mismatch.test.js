@@ -0,0 +1,121 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Axle Mismatch
+ *
+ * PURPOSE: Verify the front/rear wheel-speed mismatch from split axle ratios
+ * and staggered tires, and the tolerance of each drive system.
+ *
+ * FORMULA:
+ * Mismatch (%) = (front diameter / front ratio) / (rear diameter / rear ratio) − 1
+ * Matching front ratio = rear ratio × front diameter / rear diameter
+ *
+ * CONFIDENCE LEVEL: 100% (direct ratio math)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { generateAdvisory } from '../../src/engine/advisoryEngine.js';
+import {
+  calculateWheelSpeedMismatch,
+  calculateMatchingFrontRatio,
+  analyzeAxleMismatch,
+  DRIVE_SYSTEMS
+} from '../../src/engine/axleMismatch.js';
+
+const square = (diameter, ratio) => ({ front: { diameter, ratio }, rear: { diameter, ratio } });
+
+describe('Axle Mismatch - Logic Verification (100% Confidence)', () => {
+
+  describe('Mismatch', () => {
+
+    test('Staggered tires on equal ratios', () => {
+      // 35 / 33 − 1 = 6.06%
+      const mismatch = calculateWheelSpeedMismatch({ diameter: 35, ratio: 4.10 }, { diameter: 33, ratio: 4.10 });
+
+      assert.ok(Math.abs(mismatch - (35 / 33 - 1) * 100) < 1e-9);
+    });
+
+    test('Split ratios on equal tires', () => {
+      // Taller front ratio turns the front wheels slower: 4.10 / 4.30 − 1 = −4.65%
+      const mismatch = calculateWheelSpeedMismatch({ diameter: 33, ratio: 4.30 }, { diameter: 33, ratio: 4.10 });
+
+      assert.ok(Math.abs(mismatch - (4.10 / 4.30 - 1) * 100) < 1e-9);
+    });
+
+    test('A matching front ratio cancels staggered tires', () => {
+      const front = calculateMatchingFrontRatio(35, 33, 4.10);
+
+      assert.ok(Math.abs(front - 4.10 * 35 / 33) < 1e-9);
+      assert.ok(Math.abs(calculateWheelSpeedMismatch({ diameter: 35, ratio: front }, { diameter: 33, ratio: 4.10 })) < 1e-9);
+    });
+  });
+
+  describe('Drive System Tolerance', () => {
+
+    const staggered = {
+      current: square(33, 4.10),
+      new: { front: { diameter: 33.2, ratio: 4.10 }, rear: { diameter: 33, ratio: 4.10 } }
+    };
+
+    test('0.6% passes part-time and full-time but not an AWD coupling', () => {
+      assert.strictEqual(analyzeAxleMismatch(staggered, 'part_time').status, 'ok');
+      assert.strictEqual(analyzeAxleMismatch(staggered, 'full_time').status, 'ok');
+
+      const awd = analyzeAxleMismatch(staggered, 'awd');
+      assert.strictEqual(awd.status, 'exceeds');
+      assert.ok(awd.warnings[0].includes(`~${DRIVE_SYSTEMS.awd.tolerance}%`));
+    });
+
+    test('Only one axle driven never binds', () => {
+      const result = analyzeAxleMismatch({ current: square(33, 4.10), new: { front: { diameter: 37, ratio: 4.10 }, rear: { diameter: 33, ratio: 4.10 } } }, 'two_wd');
+
+      assert.strictEqual(result.status, 'not_driven');
+      assert.deepStrictEqual(result.warnings, []);
+    });
+
+    test('Warnings name the cause', () => {
+      const result = analyzeAxleMismatch({ current: square(33, 4.10), new: { front: { diameter: 33, ratio: 4.56 }, rear: { diameter: 33, ratio: 4.10 } } });
+
+      assert.strictEqual(result.driveSystem, 'part_time');
+      assert.ok(result.warnings[0].startsWith('Rear axle wants to turn'));
+      assert.ok(result.warnings.some(warning => warning.includes('axle ratios differ')));
+      assert.ok(!result.warnings.some(warning => warning.includes('tires differ')));
+    });
+
+    test('Unknown drive systems are rejected', () => {
+      assert.throws(() => analyzeAxleMismatch({ current: square(33, 4.10), new: square(33, 4.10) }, 'six_wheel'), /Unknown drive system/);
+    });
+  });
+
+  describe('Tire Change Analysis', () => {
+
+    const current = parseTireSize('265/70R17');
+    const next = parseTireSize('35x12.50R17');
+
+    test('Only reported for split setups', () => {
+      assert.strictEqual(calculateTireComparison(current, next, { axleGearRatio: 4.10 }).axleMismatch, null);
+    });
+
+    test('Staggered rear tire and split ratios feed the comparison', () => {
+      const comparison = calculateTireComparison(current, next, { rearAxleRatio: 4.10, frontAxleRatio: 4.10 }, {}, 'weekend_trail', {
+        newRearTire: parseTireSize('33x12.50R17')
+      });
+
+      assert.strictEqual(comparison.axleMismatch.current.mismatch, 0);
+      assert.ok(comparison.axleMismatch.new.mismatch > 5);
+      assert.strictEqual(comparison.axleMismatch.status, 'exceeds');
+      // Rear ratio stands in for the single axle ratio
+      assert.strictEqual(comparison.drivetrainImpact.effectiveGearRatio.original, 4.10);
+    });
+
+    test('Advisory warns when the mismatch exceeds the tolerance', () => {
+      const comparison = calculateTireComparison(current, next, { axleGearRatio: 4.10, driveSystem: 'awd' }, {}, 'weekend_trail', {
+        newRearTire: parseTireSize('33x12.50R17')
+      });
+      const advisory = generateAdvisory(comparison, 'weekend_trail', {});
+
+      assert.ok(advisory.warnings.critical.some(warning => warning.message.startsWith('Front and rear axles turn')));
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Brake Hardware Sizing
+ *
+ * PURPOSE: Verify brake torque from rotor, caliper and pad data, the torque the
+ * new tires and load need, rotor heating on a long descent, and that the swap
+ * recommendation restores the margin and feeds the upgrade path.
+ *
+ * FORMULA:
+ * Disc torque = 2 × pad μ × pressure × piston area × (rotor radius − pad height / 2)
+ * Drum torque = brake factor × pressure × wheel cylinder area × drum radius
+ * Required torque = 0.8 g × (weight + rotating equivalent weight) × tire radius
+ * Rotor rise = P / hA × (1 − e^(−t / τ)), τ = m·c / hA
+ *
+ * CONFIDENCE LEVEL: 90% (typical stock hardware values; rotor temperatures are estimates)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { generateUpgradePath } from '../../src/engine/upgradePath.js';
+import { calculateRotatingEquivalentWeight } from '../../src/engine/accelerationSim.js';
+import { TIRE_FRICTION } from '../../src/engine/braking.js';
+import { parseVehicleDatabaseCSV } from '../../src/engine/vehicleDatabase.js';
+import brakeData from '../../src/data/brake-systems.json' with { type: 'json' };
+import {
+  getBrakePlatform,
+  getBrakeKits,
+  calculateCornerTorque,
+  calculateBrakeSystemTorque,
+  calculateRequiredTorque,
+  calculateDescentHeating,
+  analyzeBrakeSizing,
+  DESIGN_LINE_PRESSURE,
+  AMBIENT_TEMPERATURE,
+  DEFAULT_DESCENT
+} from '../../src/engine/brakeSizing.js';
+
+const TACOMA = {
+  vehicleLabel: '2016-2023 Tacoma TRD Off-Road',
+  expeditionLoad: 800,
+  currentTireWeight: 48,
+  newTireWeight: 72,
+  currentWheelDiameter: 17,
+  newWheelDiameter: 17
+};
+
+const PRESETS = parseVehicleDatabaseCSV(
+  fs.readFileSync(new URL('../../src/data/vehicle-database.csv', import.meta.url), 'utf8')
+);
+
+describe('Brake Hardware Sizing - Logic Verification (90% Confidence)', () => {
+
+  describe('Brake Torque', () => {
+
+    test('Disc torque uses both pad faces at the effective radius', () => {
+      const disc = { type: 'disc', diameter: 13, pistonArea: 5, padFriction: 0.4 };
+
+      // 2 × 0.4 × 1200 × 5 × (6.5 − 1) / 12 = 2,200 lb-ft
+      assert.ok(Math.abs(calculateCornerTorque(disc) - 2200) < 1e-9);
+      assert.ok(Math.abs(calculateCornerTorque(disc, DESIGN_LINE_PRESSURE / 2) - 1100) < 1e-9);
+    });
+
+    test('Drum torque uses the brake factor at the drum radius', () => {
+      const drum = { type: 'drum', diameter: 12, pistonArea: 0.6, brakeFactor: 2 };
+
+      // 2 × 1200 × 0.6 × 6 / 12 = 720 lb-ft
+      assert.ok(Math.abs(calculateCornerTorque(drum) - 720) < 1e-9);
+    });
+
+    test('System torque adds both corners of each axle', () => {
+      const platform = getBrakePlatform(TACOMA.vehicleLabel);
+      const torque = calculateBrakeSystemTorque(platform);
+
+      assert.ok(Math.abs(torque.front - 2 * calculateCornerTorque(platform.front)) < 1e-9);
+      assert.ok(Math.abs(torque.total - torque.front - torque.rear) < 1e-9);
+      assert.ok(torque.frontShare > 0.5 && torque.frontShare < 1);
+    });
+
+    test('Required torque uses full grip at the tire radius', () => {
+      const vehicle = { diameter: 35, wheelDiameter: 17, weight: 5000, tireWeight: 72 };
+      const expected = TIRE_FRICTION * (5000 + calculateRotatingEquivalentWeight(vehicle)) * (35 / 24);
+
+      assert.ok(Math.abs(calculateRequiredTorque(vehicle) - expected) < 1e-9);
+      assert.ok(calculateRequiredTorque(vehicle) > calculateRequiredTorque({ ...vehicle, diameter: 31.6 }));
+    });
+  });
+
+  describe('Descent Heating', () => {
+
+    const brakes = getBrakePlatform(TACOMA.vehicleLabel);
+
+    test('Longer and steeper descents run hotter', () => {
+      const base = calculateDescentHeating(brakes, 5400);
+      const longer = calculateDescentHeating(brakes, 5400, { ...DEFAULT_DESCENT, length: 10 });
+      const steeper = calculateDescentHeating(brakes, 5400, { ...DEFAULT_DESCENT, grade: 8 });
+
+      assert.ok(base.front.peakTemperature > AMBIENT_TEMPERATURE);
+      assert.ok(longer.front.peakTemperature > base.front.peakTemperature);
+      assert.ok(steeper.front.peakTemperature > base.front.peakTemperature);
+      assert.ok(Math.abs(base.duration - 400) < 1e-9);
+    });
+
+    test('A gentle grade needs no brakes', () => {
+      const flat = calculateDescentHeating(brakes, 5400, { ...DEFAULT_DESCENT, grade: 0.5 });
+
+      assert.strictEqual(flat.power, 0);
+      assert.strictEqual(flat.front.peakTemperature, AMBIENT_TEMPERATURE);
+    });
+
+    test('Fade is flagged past the pad temperature', () => {
+      const heating = calculateDescentHeating(brakes, 5400);
+
+      assert.strictEqual(heating.front.fades, heating.front.peakTemperature > brakes.front.padMaxTemp);
+      assert.strictEqual(heating.front.fadeTemperature, 650);
+    });
+  });
+
+  describe('Platforms', () => {
+
+    test('Every platform is adequate on its stock tires', () => {
+      brakeData.platforms.forEach(platform => {
+        platform.presets.forEach(label => {
+          const preset = PRESETS.find(p => p.label === label);
+          assert.ok(preset, `${label} is a vehicle preset`);
+          const tire = parseTireSize(preset.tire);
+          const result = analyzeBrakeSizing(tire.diameter, tire.diameter, 'imperial', {
+            vehicleLabel: label,
+            currentWheelDiameter: tire.wheelDiameter
+          });
+
+          assert.strictEqual(result.platform.label, platform.label);
+          assert.strictEqual(result.status, 'adequate', `${label}: ${(result.margin.stock * 100).toFixed(0)}%`);
+          assert.strictEqual(result.needsUpgrade, false, `${label} needs no swap on stock tires`);
+        });
+      });
+    });
+
+    test('Other generations of the same vehicle are not matched', () => {
+      assert.strictEqual(getBrakePlatform('1998-2011 Ranger FX4'), null);
+      assert.strictEqual(getBrakePlatform('1995-2004 Tacoma 4cyl 4x4'), null);
+      assert.strictEqual(getBrakePlatform('2019-2024 Ranger XLT').label, '2019-2023 Ranger');
+    });
+
+    test('Stock Ranger gets no brake upgrade without a tire change', () => {
+      const comparison = calculateTireComparison(parseTireSize('255/70R16'), parseTireSize('255/70R16'), {}, {}, 'overlanding', {
+        vehicleLabel: '2019-2024 Ranger XLT'
+      });
+      const result = generateUpgradePath(comparison, 'mid_range', 'phased');
+
+      assert.strictEqual(comparison.brakeSizing.status, 'adequate');
+      assert.ok(!result.upgrades.some(u => u.upgrade === 'Brake Upgrade'));
+    });
+
+    test('Bigger tires still cut the margin on under-rated hardware', () => {
+      const stock = analyzeBrakeSizing(31.3, 31.3, 'imperial', { vehicleLabel: '2015-2020 Colorado ZR2' });
+      const bigger = analyzeBrakeSizing(31.3, 35, 'imperial', { vehicleLabel: '2015-2020 Colorado ZR2', expeditionLoad: 800 });
+
+      assert.ok(Math.abs(stock.margin.stock - 1.1) < 1e-9, 'scaled up to adequate on the stock tires');
+      assert.strictEqual(bigger.status, 'undersized');
+    });
+  });
+
+  describe('Sizing and Swaps', () => {
+
+    test('Bigger tires and load need more torque', () => {
+      const result = analyzeBrakeSizing(31.6, 35, 'imperial', TACOMA);
+
+      assert.ok(result.required.new > result.required.stock);
+      assert.ok(result.required.loaded > result.required.new);
+      assert.ok(result.margin.loaded < result.margin.stock);
+      assert.ok(Math.abs(result.margin.loaded - result.torque.total / result.required.loaded) < 1e-9);
+    });
+
+    test('Loaded Tacoma on 35s needs the brake swap', () => {
+      const result = analyzeBrakeSizing(31.6, 35, 'imperial', TACOMA);
+
+      assert.strictEqual(result.status, 'undersized');
+      assert.strictEqual(result.needsUpgrade, true);
+      assert.strictEqual(result.recommended.id, 'tundra_swap');
+      assert.ok(result.recommended.margin >= 1.1);
+      assert.ok(result.warnings.some(warning => warning.severity === 'high'));
+      assert.ok(result.summary.includes('Tundra'));
+    });
+
+    test('Swaps are sorted by cost and the recommendation is the cheapest that passes', () => {
+      const { swaps, recommended } = analyzeBrakeSizing(31.6, 35, 'imperial', TACOMA);
+      const passing = swaps.filter(swap => swap.clearsWheels && swap.status === 'adequate' && !swap.fades);
+
+      swaps.slice(1).forEach((swap, i) => assert.ok(swap.cost.min >= swaps[i].cost.min));
+      assert.strictEqual(recommended, passing[0]);
+      assert.ok(swaps.some(swap => swap.id === 'fourrunner_13+rear_disc'), 'front + rear pairs are offered');
+    });
+
+    test('Small wheels rule out the big calipers', () => {
+      const { swaps } = analyzeBrakeSizing(31.6, 35, 'imperial', { ...TACOMA, currentWheelDiameter: 16, newWheelDiameter: 16 });
+
+      assert.strictEqual(swaps.find(swap => swap.id === 'tundra_swap').clearsWheels, false);
+      assert.strictEqual(swaps.find(swap => swap.id === 'rear_disc').clearsWheels, true);
+    });
+
+    test('Kits only list for the platforms they fit', () => {
+      const ids = getBrakeKits('jeep').map(kit => kit.id);
+
+      assert.ok(ids.includes('ram_swap'));
+      assert.ok(!ids.includes('tundra_swap'));
+    });
+
+    test('Tundra brakes carry the same tires', () => {
+      const result = analyzeBrakeSizing(31.6, 35, 'imperial', { ...TACOMA, vehicleLabel: '2007-2021 Tundra SR5' });
+
+      assert.strictEqual(result.status, 'adequate');
+      assert.strictEqual(result.recommended, null);
+    });
+
+    test('Unknown vehicles have no sizing', () => {
+      assert.strictEqual(analyzeBrakeSizing(31.6, 35, 'imperial', { ...TACOMA, vehicleLabel: 'Not a vehicle' }), null);
+      assert.strictEqual(analyzeBrakeSizing(31.6, 35, 'imperial', {}), null);
+    });
+
+    test('Metric descent is shown in km and km/h', () => {
+      const result = analyzeBrakeSizing(31.6, 35, 'metric', TACOMA);
+
+      assert.strictEqual(result.descent.displaySpeed, '72 km/h');
+      assert.ok(result.descent.displayLength.endsWith('km'));
+      assert.ok(result.warnings.some(warning => warning.message.includes('°C')));
+    });
+  });
+
+  describe('Integration', () => {
+
+    const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), {}, TACOMA, 'overlanding', {
+      vehicleLabel: TACOMA.vehicleLabel,
+      expeditionLoad: 800
+    });
+
+    test('Braking distance uses the stock hardware torque', () => {
+      assert.ok(comparison.brakeSizing);
+      assert.strictEqual(comparison.braking.brakeTorque, comparison.brakeSizing.torque.total);
+      assert.strictEqual(comparison.braking.brakeTorqueEstimated, false);
+    });
+
+    test('Upgrade path names the swap for the budget', () => {
+      const midRange = generateUpgradePath(comparison, 'mid_range', 'phased');
+      const premium = generateUpgradePath(comparison, 'premium', 'phased');
+      const brakes = midRange.upgrades.find(u => u.upgrade === 'Brake Upgrade');
+
+      assert.strictEqual(brakes.necessity, 'essential');
+      assert.strictEqual(brakes.swap, comparison.brakeSizing.recommended);
+      assert.deepStrictEqual(brakes.cost, comparison.brakeSizing.recommended.cost);
+      assert.strictEqual(brakes.reason, comparison.brakeSizing.summary);
+      assert.ok(brakes.options[0].startsWith(comparison.brakeSizing.recommended.name));
+
+      const premiumBrakes = premium.upgrades.find(u => u.upgrade === 'Brake Upgrade');
+      assert.ok(premiumBrakes.swap.margin >= brakes.swap.margin);
+    });
+
+    test('Adequate stock brakes skip the brake upgrade', () => {
+      const tundra = calculateTireComparison(parseTireSize('275/65R18'), parseTireSize('295/70R18'), {}, {}, 'overlanding', {
+        vehicleLabel: '2007-2021 Tundra SR5'
+      });
+      const result = generateUpgradePath(tundra, 'mid_range', 'phased');
+
+      assert.strictEqual(tundra.brakeSizing.needsUpgrade, false);
+      assert.ok(!result.upgrades.some(u => u.upgrade === 'Brake Upgrade'));
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Braking Distance Model
+ *
+ * PURPOSE: Verify stopping distance from 60 mph, the tire grip and brake
+ * torque limits, and how tire size, tire weight and expedition load move the
+ * stop on the stock, new and loaded setups.
+ *
+ * FORMULA:
+ * Stopping distance = v² / (2 × a)
+ * Grip limit = 0.8 g × (weight / unloaded weight)^-0.1
+ * Brake limit = (torque / tire radius) / (weight + rotating equivalent weight)
+ *
+ * CONFIDENCE LEVEL: 95% (physics model; absolute distances depend on tires and pavement)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { calculateOverlandImpact } from '../../src/engine/overlandLoad.js';
+import { calculateRotatingEquivalentWeight } from '../../src/engine/accelerationSim.js';
+import {
+  calculateStoppingDistance,
+  calculateBrakeTorque,
+  calculateDeceleration,
+  analyzeBraking,
+  TIRE_FRICTION,
+  BRAKE_DESIGN_DECELERATION
+} from '../../src/engine/braking.js';
+
+const TIRES = { currentTireWeight: 48, newTireWeight: 72, currentWheelDiameter: 17, newWheelDiameter: 17 };
+
+describe('Braking Distance Model - Logic Verification (95% Confidence)', () => {
+
+  describe('Stopping Distance', () => {
+
+    test('60 mph at 1 g stops in 120 ft', () => {
+      // 88 ft/s² / (2 × 32.174) = 120.3 ft
+      assert.ok(Math.abs(calculateStoppingDistance(60, 1) - 120.35) < 0.01);
+    });
+
+    test('Distance is inverse to deceleration', () => {
+      assert.ok(Math.abs(calculateStoppingDistance(60, 0.5) - 2 * calculateStoppingDistance(60, 1)) < 1e-9);
+    });
+  });
+
+  describe('Deceleration Limits', () => {
+
+    const vehicle = { diameter: 31.6, wheelDiameter: 17, weight: 4500, tireWeight: 48 };
+
+    test('Default brake torque reaches the design deceleration', () => {
+      const torque = calculateBrakeTorque(vehicle);
+      const effectiveWeight = vehicle.weight + calculateRotatingEquivalentWeight(vehicle);
+
+      assert.ok(Math.abs(torque - BRAKE_DESIGN_DECELERATION * effectiveWeight * (31.6 / 24)) < 1e-9);
+      assert.ok(Math.abs(calculateDeceleration(vehicle, torque).brakeLimit - BRAKE_DESIGN_DECELERATION) < 1e-9);
+    });
+
+    test('Stock brakes out-stop the stock tires', () => {
+      const result = calculateDeceleration(vehicle, calculateBrakeTorque(vehicle));
+
+      assert.strictEqual(result.limitedBy, 'tires');
+      assert.strictEqual(result.deceleration, TIRE_FRICTION);
+    });
+
+    test('Taller tires give the same brakes less leverage', () => {
+      const torque = calculateBrakeTorque(vehicle);
+      const taller = calculateDeceleration({ ...vehicle, diameter: 35 }, torque);
+      const stock = calculateDeceleration(vehicle, torque);
+
+      assert.ok(taller.brakeLimit < stock.brakeLimit);
+    });
+
+    test('More load lowers the grip limit', () => {
+      const loaded = calculateDeceleration({ ...vehicle, weight: 5300 }, 1e6, 4500);
+
+      assert.ok(Math.abs(loaded.gripLimit - TIRE_FRICTION * Math.pow(5300 / 4500, -0.1)) < 1e-9);
+      assert.strictEqual(loaded.limitedBy, 'tires');
+    });
+  });
+
+  describe('Stock, New and Loaded', () => {
+
+    test('Bigger, heavier tires and load each lengthen the stop', () => {
+      const result = analyzeBraking(31.6, 35, 'imperial', { ...TIRES, expeditionLoad: 800 });
+
+      assert.strictEqual(result.stock.change, 0);
+      assert.ok(result.new.distance > result.stock.distance);
+      assert.ok(result.loaded.distance > result.new.distance);
+      assert.strictEqual(result.loaded.weight, 4500 + 24 * 4 + 800);
+      assert.ok(Math.abs(result.loaded.changePercent - (result.loaded.change / result.stock.distance) * 100) < 1e-9);
+      assert.strictEqual(result.brakeTorqueEstimated, true);
+    });
+
+    test('No load, no loaded stop', () => {
+      const result = analyzeBraking(31.6, 35, 'imperial', TIRES);
+
+      assert.strictEqual(result.loaded, null);
+      assert.ok(!result.summary.includes('loaded'));
+    });
+
+    test('Bigger brakes win back the stop', () => {
+      const stockBrakes = analyzeBraking(31.6, 35, 'imperial', { ...TIRES, expeditionLoad: 800 });
+      const bigBrakes = analyzeBraking(31.6, 35, 'imperial', { ...TIRES, expeditionLoad: 800, brakeTorque: 9000 });
+
+      assert.ok(bigBrakes.loaded.distance < stockBrakes.loaded.distance);
+      assert.strictEqual(bigBrakes.loaded.limitedBy, 'tires');
+      assert.strictEqual(bigBrakes.brakeTorqueEstimated, false);
+    });
+
+    test('Metric stops from 100 km/h in meters', () => {
+      const result = analyzeBraking(31.6, 35, 'metric', TIRES);
+
+      assert.strictEqual(result.speed, 100);
+      assert.ok(result.summary.startsWith('100-0 km/h'));
+      assert.ok(Math.abs(result.stock.distance - calculateStoppingDistance(100 / 1.609344, TIRE_FRICTION)) < 1e-9);
+    });
+  });
+
+  describe('Integration', () => {
+
+    test('Comparison reports braking and the weight impact quotes it', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), {}, TIRES, 'overlanding', {
+        expeditionLoad: 800
+      });
+
+      assert.ok(comparison.braking.loaded);
+      assert.strictEqual(comparison.weightAnalysis.impact.braking, comparison.braking.summary);
+    });
+
+    test('Overland braking impact uses the comparison setup', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), {}, TIRES, 'overlanding', {
+        expeditionLoad: 800,
+        brakeTorque: 6000
+      });
+      const { brakingImpact } = calculateOverlandImpact(comparison, 800);
+
+      assert.ok(Math.abs(brakingImpact.loaded.distance - comparison.braking.loaded.distance) < 1e-9);
+      assert.ok(Math.abs(brakingImpact.addedDistance - comparison.braking.loaded.change) < 1e-9);
+    });
+  });
+});
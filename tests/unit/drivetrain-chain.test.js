@@ -0,0 +1,127 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Drivetrain Chain
+ *
+ * PURPOSE: Verify the ordered reduction-stage model: crawl ratio for every
+ * combination of switchable stages, crawl speed and RPM, and the regear that
+ * would match a crawler box.
+ *
+ * FORMULA:
+ * Crawl ratio = Π engaged stage ratios (first gear, bypassed stages at their high ratio)
+ * Crawl speed (mph) = RPM × diameter / (crawl ratio × 336)
+ * Regear equivalent axle = crawl ratio / (first gear × transfer case low × fixed stages)
+ *
+ * CONFIDENCE LEVEL: 100% (products of gear ratios)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import {
+  buildDrivetrainChain,
+  calculateChainRatio,
+  getStageCombinations,
+  getRoadReduction,
+  getCrawlRatio,
+  analyzeDrivetrainChain,
+  CRAWL_TEST_RPM
+} from '../../src/engine/drivetrainChain.js';
+
+const BASE = { axleGearRatio: 4.10, firstGearRatio: 3.5, transferCaseLowRatio: 2.72 };
+
+describe('Drivetrain Chain - Logic Verification (100% Confidence)', () => {
+
+  describe('Stages', () => {
+
+    test('Stages run engine to wheel', () => {
+      const chain = buildDrivetrainChain({ ...BASE, underdriveRatio: 4.0, doublerRatio: 2.28, portalRatio: 1.32 });
+
+      assert.deepStrictEqual(chain.map(stage => stage.id), ['transmission', 'underdrive', 'doubler', 'transferCase', 'axle', 'portal']);
+      assert.deepStrictEqual(chain.filter(stage => stage.switchable).map(stage => stage.id), ['underdrive', 'doubler', 'transferCase']);
+    });
+
+    test('Classic chain matches axle × low range × first gear', () => {
+      assert.ok(Math.abs(getCrawlRatio(BASE) - 4.10 * 2.72 * 3.5) < 1e-9);
+    });
+
+    test('Bypassed stages use their high ratio', () => {
+      const chain = buildDrivetrainChain({ ...BASE, underdriveRatio: 4.0 });
+
+      assert.ok(Math.abs(calculateChainRatio(chain, ['transferCase']) - 3.5 * 2.72 * 4.10) < 1e-9);
+      assert.ok(Math.abs(calculateChainRatio(chain, [], 'high') - 4.10) < 1e-9);
+    });
+
+    test('Portal hubs stay in the chain on the road', () => {
+      assert.strictEqual(getRoadReduction(BASE), 1);
+      assert.strictEqual(getRoadReduction({ ...BASE, underdriveRatio: 4.0, portalRatio: 1.32 }), 1.32);
+    });
+
+    test('Custom stage lists are accepted and validated', () => {
+      const chain = buildDrivetrainChain({
+        reductionStages: [
+          { id: 'transmission', type: 'transmission', low: 4.0, high: 1.0 },
+          { id: 'box', name: 'Crawl box', ratio: 2.0, switchable: true },
+          { id: 'axle', type: 'axle', ratio: 5.38 }
+        ]
+      });
+
+      assert.strictEqual(chain[1].high, 1.0);
+      assert.strictEqual(chain[2].switchable, false);
+      assert.throws(() => buildDrivetrainChain({ reductionStages: [{ id: 'box', ratio: 0 }] }), /positive ratio/);
+    });
+  });
+
+  describe('Combinations', () => {
+
+    test('Two switchable stages give four combinations, lowest ratio first', () => {
+      const combinations = getStageCombinations(buildDrivetrainChain({ ...BASE, underdriveRatio: 4.0 }));
+
+      assert.strictEqual(combinations.length, 4);
+      assert.strictEqual(combinations[0].label, 'High range');
+      assert.ok(Math.abs(combinations[3].ratio - 3.5 * 4.0 * 2.72 * 4.10) < 1e-9);
+    });
+
+    test('Too many switchable stages are rejected', () => {
+      const reductionStages = Array.from({ length: 5 }, (_, i) => ({ id: `box${i}`, ratio: 2, switchable: true }));
+
+      assert.throws(() => getStageCombinations(buildDrivetrainChain({ reductionStages })), /At most 4/);
+    });
+  });
+
+  describe('Tire Change Analysis', () => {
+
+    test('Crawl speed and trail RPM for each combination', () => {
+      const analysis = analyzeDrivetrainChain(31.6, 35, { ...BASE, underdriveRatio: 4.0 }, 'imperial');
+      const low = analysis.combinations.find(c => c.label === 'Transfer case low range');
+
+      assert.ok(Math.abs(low.crawlSpeed.new - (CRAWL_TEST_RPM * 35) / (low.ratio * 336)) < 1e-9);
+      assert.ok(Math.abs(low.trailRPM.current - (3 * low.ratio * 336) / 31.6) < 1e-9);
+      assert.ok(low.crawlSpeed.new > low.crawlSpeed.current);
+    });
+
+    test('Crawler box is matched by a much deeper regear', () => {
+      // 156.1:1 / (3.5 × 2.72) = 16.40 axle
+      const analysis = analyzeDrivetrainChain(31.6, 35, { ...BASE, underdriveRatio: 4.0 }, 'imperial');
+
+      assert.ok(Math.abs(analysis.maxCrawl.regearEquivalent.axleRatio - 16.4) < 1e-9);
+      assert.ok(Math.abs(analysis.maxCrawl.regearEquivalent.highwayRPM - analysis.highwayRPM.new * 4) < 1e-9);
+      assert.strictEqual(analysis.combinations[0].regearEquivalent, null);
+      assert.ok(analysis.summary.includes('16.40 axle'));
+    });
+
+    test('Needs an axle ratio', () => {
+      assert.strictEqual(analyzeDrivetrainChain(31.6, 35, { firstGearRatio: 3.5 }, 'imperial'), null);
+    });
+
+    test('Comparison crawl ratio and RPM include the extra stages', () => {
+      const current = parseTireSize('265/70R17');
+      const next = parseTireSize('35x12.50R17');
+      const plain = calculateTireComparison(current, next, BASE);
+      const built = calculateTireComparison(current, next, { ...BASE, underdriveRatio: 4.0, portalRatio: 1.32 });
+
+      assert.ok(Math.abs(built.drivetrainImpact.crawlRatio.original - plain.drivetrainImpact.crawlRatio.original * 4.0 * 1.32) < 1e-9);
+      assert.ok(Math.abs(built.drivetrainImpact.rpm.new - plain.drivetrainImpact.rpm.new * 1.32) < 1e-9);
+      assert.strictEqual(built.drivetrainChain.combinations.length, 4);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Fleet Batch
+ *
+ * PURPOSE: Verify that a fleet CSV runs every build through the same pipeline
+ * as a single calculation, that bad rows fail on their own, and that the
+ * exported CSV carries every build and can be run again.
+ *
+ * FORMULA:
+ * Per build: calculateTireComparison → generateRegearRecommendations → generateAdvisory
+ * Lift (engine, inches) = lift as entered ÷ 25.4 in metric
+ *
+ * CONFIDENCE LEVEL: 95% (per-build results reuse the single-build engine)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { generateRegearRecommendations } from '../../src/engine/regearEngine.js';
+import { parseFleetCSV, resolveIntendedUse, runFleetBatch } from '../../src/engine/fleetBatch.js';
+import { generateFleetCSV } from '../../src/utils/exportImport.js';
+
+const FLEET_CSV = `Vehicle,Current Tire,New Tire,Gears,Lift,Use
+Shop Tacoma,265/70R16,285/75R16,3.909,3,overlanding
+"JL Rubicon, blue",285/70R17,37x12.50R17,4.10,2.5,Rock Crawling
+Bad Size,265/70R17,banana,3.73,,
+Daily 4Runner,265/70R17,275/70R17,,0,`;
+
+describe('Fleet Batch - Logic Verification (95% Confidence)', () => {
+
+  describe('CSV Parsing', () => {
+
+    test('Reads columns by header name, quoted fields included', () => {
+      const rows = parseFleetCSV(FLEET_CSV);
+
+      assert.strictEqual(rows.length, 4);
+      assert.deepStrictEqual(rows[1], {
+        line: 3,
+        vehicle: 'JL Rubicon, blue',
+        currentTire: '285/70R17',
+        newTire: '37x12.50R17',
+        gears: '4.10',
+        lift: '2.5',
+        use: 'Rock Crawling'
+      });
+    });
+
+    test('Columns in any order, optional columns may be missing', () => {
+      const [row] = parseFleetCSV('New Tire,current_tire\n285/75R17,265/70R17');
+
+      assert.strictEqual(row.currentTire, '265/70R17');
+      assert.strictEqual(row.newTire, '285/75R17');
+      assert.strictEqual(row.gears, '');
+      assert.strictEqual(row.vehicle, '');
+    });
+
+    test('Needs the two tire columns', () => {
+      assert.throws(() => parseFleetCSV('Vehicle,Gears\nTacoma,3.73'), /"current tire" and "new tire"/);
+      assert.throws(() => parseFleetCSV('  \n'), /empty/);
+    });
+
+    test('Use accepts keys and names, blank is weekend trail', () => {
+      assert.strictEqual(resolveIntendedUse('rock_crawling'), 'rock_crawling');
+      assert.strictEqual(resolveIntendedUse('Daily Driver'), 'daily_driver');
+      assert.strictEqual(resolveIntendedUse(''), 'weekend_trail');
+      assert.throws(() => resolveIntendedUse('racing'), /Unknown use "racing"/);
+    });
+  });
+
+  describe('Batch Run', () => {
+
+    const batch = runFleetBatch(parseFleetCSV(FLEET_CSV));
+    const [tacoma, jl, bad, fourRunner] = batch.builds;
+
+    test('Each build matches a single calculation', () => {
+      const drivetrain = { liftHeight: 3, suspensionType: 'ifs', axleGearRatio: 3.909, vehicleType: 'Shop Tacoma' };
+      const comparison = calculateTireComparison(
+        parseTireSize('265/70R16'), parseTireSize('285/75R16'), drivetrain, {}, 'overlanding', { liftHeight: 3 }
+      );
+      const regear = generateRegearRecommendations(comparison, 3.909, 'overlanding', drivetrain, 'Shop Tacoma');
+
+      assert.strictEqual(tacoma.status, 'ok');
+      assert.strictEqual(tacoma.metrics.diameterChange, comparison.differences.diameter.inches);
+      assert.strictEqual(tacoma.metrics.effectiveRatio, comparison.drivetrainImpact.effectiveGearRatio.new);
+      assert.strictEqual(tacoma.metrics.clearanceProbability, comparison.clearance.probabilityAnalysis.probability);
+      assert.strictEqual(tacoma.metrics.restoreRatio, regear.idealRatios.restoration);
+      assert.strictEqual(tacoma.metrics.suggestedRatio, regear.recommendations[0].ratio);
+      assert.ok(tacoma.results.advisory.warnings);
+    });
+
+    test('Drill-down results carry what the results view needs', () => {
+      const { results } = jl;
+
+      assert.strictEqual(results.formData.vehicleType, 'JL Rubicon, blue');
+      assert.strictEqual(results.formData.intendedUse, 'rock_crawling');
+      assert.strictEqual(results.comparison.new.formatted, '37X12.50R17');
+      assert.strictEqual(jl.results.regearRecommendations.necessity.level, 'strongly_recommended');
+    });
+
+    test('A bad row fails on its own', () => {
+      assert.strictEqual(bad.status, 'error');
+      assert.match(bad.error, /Unable to parse tire size: banana/);
+      assert.strictEqual(fourRunner.status, 'ok');
+      assert.strictEqual(fourRunner.results.regearRecommendations, null, 'no gears, no regear');
+      assert.strictEqual(fourRunner.metrics.effectiveRatio, null);
+      assert.strictEqual(batch.summary, '3 of 4 builds calculated: 1 with high rub risk, 2 should regear (1 row with errors)');
+    });
+
+    test('Bad gears and lift are reported per row', () => {
+      const { builds } = runFleetBatch(parseFleetCSV('Current,New,Gears,Lift\n265/70R17,285/75R17,abc,\n265/70R17,285/75R17,3.73,tall'));
+
+      assert.match(builds[0].error, /Gears should be a ratio/);
+      assert.match(builds[1].error, /Lift should be a height in inches/);
+      assert.throws(() => runFleetBatch([]), /no builds/);
+    });
+
+    test('No RPM change is 0, not missing', () => {
+      const [same] = runFleetBatch(parseFleetCSV('Current,New,Gears\n265/70R17,265/70R17,3.73')).builds;
+      const [noGears] = runFleetBatch(parseFleetCSV('Current,New\n265/70R17,285/75R17')).builds;
+
+      assert.strictEqual(same.metrics.rpmChange, 0);
+      assert.strictEqual(noGears.metrics.rpmChange, null);
+    });
+
+    test('Metric lift is entered in mm', () => {
+      const csv = 'Vehicle,Current,New,Lift\nTacoma,265/70R16,285/75R16,';
+      const imperial = runFleetBatch(parseFleetCSV(`${csv}3`));
+      const metric = runFleetBatch(parseFleetCSV(`${csv}76.2`), { unitSystem: 'metric' });
+      const stock = runFleetBatch(parseFleetCSV(`${csv}0`));
+
+      assert.strictEqual(metric.referenceSpeed, 100);
+      assert.strictEqual(metric.builds[0].metrics.clearanceProbability, imperial.builds[0].metrics.clearanceProbability);
+      assert.ok(imperial.builds[0].metrics.clearanceProbability < stock.builds[0].metrics.clearanceProbability);
+    });
+  });
+
+  describe('CSV Export', () => {
+
+    const batch = runFleetBatch(parseFleetCSV(FLEET_CSV));
+    const csv = generateFleetCSV(batch);
+
+    test('One row per build plus a header', () => {
+      const lines = csv.split('\n');
+
+      assert.strictEqual(lines.length, 5);
+      assert.ok(lines[0].startsWith('Vehicle,Current Tire,New Tire,Gears,Lift (inches),Use,Status'));
+      assert.ok(lines[2].startsWith('"JL Rubicon, blue",285/70R17,37x12.50R17,4.10,2.5,rock_crawling,ok,4.30'));
+      assert.ok(lines[3].includes(',error,'));
+      assert.ok(lines[3].endsWith('"'), 'error message with commas is quoted');
+    });
+
+    test('An exported CSV runs again with the same results', () => {
+      const again = runFleetBatch(parseFleetCSV(csv));
+
+      assert.deepStrictEqual(
+        again.builds.map(build => build.metrics?.diameterChange),
+        batch.builds.map(build => build.metrics?.diameterChange)
+      );
+      assert.strictEqual(again.summary, batch.summary);
+    });
+
+    test('Metric export labels lengths in mm', () => {
+      const metric = generateFleetCSV(runFleetBatch(parseFleetCSV(FLEET_CSV), { unitSystem: 'metric' }));
+
+      assert.ok(metric.startsWith('Vehicle,Current Tire,New Tire,Gears,Lift (mm)'));
+      assert.ok(metric.includes('Speedometer Error @ 100 km/h (%)'));
+    });
+  });
+});
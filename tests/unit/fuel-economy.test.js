@@ -0,0 +1,198 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Fuel Economy Model
+ *
+ * PURPOSE: Verify the road load and engine (Willans line) fuel model, how
+ * each tire change factor moves economy, the measured baseline scaling and
+ * the odometer correction for hand-calculated economy.
+ *
+ * FORMULA:
+ * Fuel energy = (brake + friction + pumping work) / indicated efficiency
+ * Friction MEP (kPa) = 97 + 15 N + 5 N², N = RPM / 1000
+ * Combined = 1 / (0.55 / city + 0.45 / highway)
+ * Hand-calculated economy = true economy / speedometer ratio
+ *
+ * CONFIDENCE LEVEL: 95% (physics model; absolute economy depends on the vehicle)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { generateAdvisory } from '../../src/engine/advisoryEngine.js';
+import {
+  calculateLossMEP,
+  calculateEngineFuel,
+  analyzeFuelEconomy,
+  formatEconomyChange,
+  CYCLE_WEIGHTING
+} from '../../src/engine/fuelEconomy.js';
+
+const DRIVETRAIN = { engine: '1GR-FE', transmission: 'A750F', axleGearRatio: 3.73 };
+const TIRES = { currentTireWeight: 48, newTireWeight: 48, currentWheelDiameter: 17, newWheelDiameter: 17 };
+
+describe('Fuel Economy Model - Logic Verification (95% Confidence)', () => {
+
+  describe('Engine Losses', () => {
+
+    test('Friction MEP grows with RPM', () => {
+      // 97 + 15 × 2 + 5 × 4 = 147 kPa at 2000 RPM, full load (no pumping)
+      assert.strictEqual(calculateLossMEP(2000, 1), 147);
+      assert.ok(calculateLossMEP(3000, 1) > calculateLossMEP(2000, 1));
+    });
+
+    test('Throttled gasoline engines add pumping losses, diesels do not', () => {
+      assert.strictEqual(calculateLossMEP(2000, 0.5, 'gasoline'), 147 + 20);
+      assert.strictEqual(calculateLossMEP(2000, 0.5, 'diesel'), 147);
+    });
+
+    test('Operating point region follows load', () => {
+      const engine = { fuel: 'gasoline', displacement: 4.0, torquePerLiter: 68 };
+      const light = calculateEngineFuel(engine, 2000, 5000);
+      const heavy = calculateEngineFuel(engine, 2000, 60000);
+
+      assert.strictEqual(light.region, 'light_load');
+      assert.strictEqual(heavy.region, 'enrichment');
+      assert.ok(Math.abs(light.torque - 5000 / ((2 * Math.PI * 2000) / 60)) < 1e-9);
+    });
+  });
+
+  describe('Tire Change Factors', () => {
+
+    test('Same tire gives no change', () => {
+      const result = analyzeFuelEconomy(31.6, 31.6, DRIVETRAIN, 'imperial', TIRES);
+
+      assert.ok(Math.abs(result.change.combined) < 1e-9);
+      result.contributions.forEach(c => assert.ok(Math.abs(c.change) < 1e-9));
+    });
+
+    test('Combined is the EPA weighted harmonic mean', () => {
+      const { current } = analyzeFuelEconomy(31.6, 33, DRIVETRAIN, 'imperial', TIRES);
+      const expected = 1 / (CYCLE_WEIGHTING.city / current.city + CYCLE_WEIGHTING.highway / current.highway);
+
+      assert.ok(Math.abs(current.combined - expected) < 1e-9);
+    });
+
+    test('Heavier tires, mud tread and lift each cost economy', () => {
+      const base = analyzeFuelEconomy(31.6, 31.6, DRIVETRAIN, 'imperial', TIRES);
+      const heavy = analyzeFuelEconomy(31.6, 31.6, DRIVETRAIN, 'imperial', { ...TIRES, newTireWeight: 80 });
+      const mud = analyzeFuelEconomy(31.6, 31.6, DRIVETRAIN, 'imperial', { ...TIRES, newTreadType: 'mud_terrain' });
+      const lifted = analyzeFuelEconomy(31.6, 31.6, DRIVETRAIN, 'imperial', { ...TIRES, liftHeight: 3 });
+
+      assert.ok(heavy.new.combined < base.new.combined);
+      assert.ok(heavy.new.city - base.new.city < heavy.new.highway - base.new.highway, 'Weight hurts most in the city');
+      assert.ok(mud.new.combined < base.new.combined);
+      assert.ok(lifted.new.highway < base.new.highway);
+      assert.ok(Math.abs(lifted.vehicle.frontalArea.new - lifted.vehicle.frontalArea.current - (74 * 3) / 144) < 1e-9);
+    });
+
+    test('Contributions add up to the total change', () => {
+      const result = analyzeFuelEconomy(31.6, 35, DRIVETRAIN, 'imperial', {
+        ...TIRES,
+        newTireWeight: 70,
+        newTreadType: 'mud_terrain',
+        liftHeight: 2
+      });
+      const total = result.contributions.reduce((sum, c) => sum + c.change, 0);
+
+      assert.ok(Math.abs(total - (result.new.combined - result.current.combined)) < 1e-9);
+      assert.ok(result.change.low <= result.change.combined && result.change.combined <= result.change.high);
+    });
+
+    test('Taller tires lower cruise RPM on the same gears', () => {
+      const result = analyzeFuelEconomy(31.6, 35, DRIVETRAIN, 'imperial', TIRES);
+
+      assert.ok(result.new.operatingPoint.rpm < result.current.operatingPoint.rpm);
+      assert.ok(result.new.operatingPoint.load > result.current.operatingPoint.load);
+    });
+
+    test('31.6" to 35" on the same gears lowers combined economy', () => {
+      [DRIVETRAIN, { axleGearRatio: 3.73 }, {}].forEach(drivetrain => {
+        const result = analyzeFuelEconomy(31.6, 35, drivetrain, 'imperial', TIRES);
+        const gearing = result.contributions.find(c => c.id === 'gearing');
+
+        assert.ok(result.change.combined < 0, `combined ${result.change.combined.toFixed(2)}%`);
+        assert.ok(result.change.highway < 0);
+        assert.ok(gearing.percent < 0, 'lugging below the stock cruise RPM is not a saving');
+      });
+    });
+
+    test('Converter hunting grows with the RPM deficit', () => {
+      const small = analyzeFuelEconomy(31.6, 32.2, DRIVETRAIN, 'imperial', TIRES);
+      const large = analyzeFuelEconomy(31.6, 35, DRIVETRAIN, 'imperial', TIRES);
+      const smaller = analyzeFuelEconomy(31.6, 30, DRIVETRAIN, 'imperial', TIRES);
+
+      assert.ok(small.new.operatingPoint.unlockedShare < large.new.operatingPoint.unlockedShare);
+      assert.strictEqual(smaller.new.operatingPoint.unlockedShare, undefined, 'shorter gearing never lugs');
+    });
+  });
+
+  describe('Baseline and Odometer', () => {
+
+    test('Measured baseline is scaled by the modeled change', () => {
+      const result = analyzeFuelEconomy(31.6, 35, DRIVETRAIN, 'imperial', { ...TIRES, baselineFuelEconomy: 18 });
+
+      assert.strictEqual(result.baseline, 18);
+      assert.ok(Math.abs(result.estimate.combined - 18 * (result.new.combined / result.current.combined)) < 1e-9);
+    });
+
+    test('Hand-calculated economy reads low by the speedometer ratio', () => {
+      const ratio = 35 / 31.6;
+      const result = analyzeFuelEconomy(31.6, 35, DRIVETRAIN, 'imperial', { ...TIRES, speedometerRatio: ratio });
+
+      assert.ok(Math.abs(result.odometer.combined - result.estimate.combined / ratio) < 1e-9);
+      assert.ok(result.summary.includes('calculated from the odometer'));
+    });
+
+    test('Comparison passes the speedometer ratio and fuel log', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), DRIVETRAIN, {}, 'weekend_trail', {
+        odometer: { fillUps: [{ odometer: 1000, fuel: 0 }, { odometer: 1300, fuel: 20 }] }
+      });
+      const { fuelEconomy, speedometerError } = comparison;
+
+      assert.strictEqual(fuelEconomy.odometer.ratio, speedometerError.ratio);
+      assert.strictEqual(fuelEconomy.measured.observed, 15);
+    });
+  });
+
+  describe('Advisory', () => {
+
+    test('Warning and build impact follow the model, not the diameter change', () => {
+      // +5.4% diameter on 4.88 gears at equal tire weight: a fraction of a percent
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('295/70R17'), { axleGearRatio: 4.88 }, {
+        currentTireWeight: 50,
+        newTireWeight: 50
+      });
+      const advisory = generateAdvisory(comparison, 'weekend_trail', {});
+
+      assert.ok(comparison.differences.diameter.percentage > 5);
+      assert.ok(comparison.fuelEconomy.change.combined > -3);
+      assert.ok(!advisory.warnings.advisory.some(w => w.category === 'Fuel Economy'));
+      assert.ok(!JSON.stringify(advisory).includes('1-3 MPG'));
+      assert.strictEqual(advisory.buildImpact.fuelEconomy.impact, 'low');
+    });
+
+    test('Modeled loss names the biggest factors', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), DRIVETRAIN);
+      const warning = generateAdvisory(comparison, 'weekend_trail', {}).warnings.advisory.find(w => w.category === 'Fuel Economy');
+
+      assert.ok(comparison.fuelEconomy.change.combined < 0);
+      assert.match(warning.detail, /Biggest factors/);
+    });
+  });
+
+  describe('Formatting', () => {
+
+    test('Imperial range reads as an mpg decrease', () => {
+      assert.strictEqual(formatEconomyChange(18, [17, 17.5], 'imperial'), '0.5-1.0 mpg decrease');
+    });
+
+    test('Metric range reads as an L/100km increase', () => {
+      // 18 mpg = 13.07 L/100km, 17 mpg = 13.84 L/100km
+      assert.strictEqual(formatEconomyChange(18, [17], 'metric'), '0.8 L/100km increase');
+    });
+
+    test('Range across zero is signed', () => {
+      assert.strictEqual(formatEconomyChange(18, [18.5, 17], 'imperial'), '-1.0 to +0.5 mpg');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Overland Fuel Range Planner
+ *
+ * PURPOSE: Verify fuel carried, terrain-weighted economy, range to empty,
+ * reserve-safe range and the jerry cans a remote fuel gap needs.
+ *
+ * FORMULA:
+ * Fuel = tank + jerry cans × can size + auxiliary tank
+ * Trip economy = 1 / Σ(share / (highway economy × terrain factor))
+ * Safe range = fuel × trip economy × (1 − reserve)
+ *
+ * CONFIDENCE LEVEL: 100% (direct ratio math)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import {
+  calculateFuelRange,
+  calculateOverlandImpact,
+  TERRAIN_TYPES,
+  DEFAULT_RESERVE_PERCENT
+} from '../../src/engine/overlandLoad.js';
+
+// Model output with round numbers: 20 mpg highway stock, 18 mpg on the new tires
+const FUEL_ECONOMY = {
+  baseline: 17,
+  current: { highway: 20, combined: 17 },
+  new: { highway: 18, combined: 15.5 },
+  odometer: { ratio: 1.1 }
+};
+
+describe('Fuel Range Planner - Logic Verification (100% Confidence)', () => {
+
+  describe('Fuel Carried', () => {
+
+    test('Tank, jerry cans and auxiliary tank add up', () => {
+      const result = calculateFuelRange(FUEL_ECONOMY, { tankCapacity: 20, jerryCans: 2, auxiliaryTank: 10 }, 'imperial');
+
+      assert.strictEqual(result.capacity.jerryCans, 10, 'Two 5 gal cans by default');
+      assert.strictEqual(result.capacity.total, 40);
+    });
+
+    test('Metric default can is 20 L', () => {
+      const result = calculateFuelRange(FUEL_ECONOMY, { tankCapacity: 20, jerryCans: 1 }, 'metric');
+
+      assert.ok(Math.abs(result.capacity.jerryCans - 20 / 3.785411784) < 1e-9);
+    });
+
+    test('No tank size, no plan', () => {
+      assert.strictEqual(calculateFuelRange(FUEL_ECONOMY, {}, 'imperial'), null);
+    });
+  });
+
+  describe('Range', () => {
+
+    test('All highway by default', () => {
+      // 20 gal × 18 mpg = 360 mi, 25% reserve → 270 mi
+      const result = calculateFuelRange(FUEL_ECONOMY, { tankCapacity: 20 }, 'imperial');
+
+      assert.deepStrictEqual(result.terrainMix, { highway: 1 });
+      assert.strictEqual(result.reservePercent, DEFAULT_RESERVE_PERCENT);
+      assert.ok(Math.abs(result.new.range - 360) < 1e-9);
+      assert.ok(Math.abs(result.new.safeRange - 270) < 1e-9);
+      assert.ok(Math.abs(result.current.range - 400) < 1e-9);
+      assert.ok(Math.abs(result.new.indicatedSafeRange - 270 / 1.1) < 1e-9);
+      assert.strictEqual(result.current.indicatedSafeRange, result.current.safeRange, 'the stock tires read true');
+    });
+
+    test('Terrain mix is a distance-weighted harmonic mean', () => {
+      const result = calculateFuelRange(FUEL_ECONOMY, { tankCapacity: 20, terrainMix: { highway: 50, trail: 50 } }, 'imperial');
+      const expected = 1 / (0.5 / 18 + 0.5 / (18 * TERRAIN_TYPES.trail.factor));
+
+      assert.ok(Math.abs(result.new.economy - expected) < 1e-9);
+    });
+
+    test('Terrain mix is scaled to 100%', () => {
+      const result = calculateFuelRange(FUEL_ECONOMY, { tankCapacity: 20, terrainMix: { highway: 60, gravel: 60 } }, 'imperial');
+
+      assert.deepStrictEqual(result.terrainMix, { highway: 0.5, gravel: 0.5 });
+    });
+
+    test('Measured baseline scales the modeled economy', () => {
+      const result = calculateFuelRange({ ...FUEL_ECONOMY, baseline: 18.7 }, { tankCapacity: 20 }, 'imperial');
+
+      assert.ok(Math.abs(result.new.economy - 18 * 1.1) < 1e-9);
+    });
+  });
+
+  describe('Fuel Gaps', () => {
+
+    test('Gap within the safe range is ok', () => {
+      const result = calculateFuelRange(FUEL_ECONOMY, { tankCapacity: 20, fuelGap: 250 }, 'imperial');
+
+      assert.strictEqual(result.status, 'ok');
+      assert.strictEqual(result.warnings.length, 0);
+      assert.ok(result.summary.includes('covers'));
+    });
+
+    test('Gap into the reserve warns and counts jerry cans', () => {
+      // 300 mi at 18 mpg with 25% reserve = 22.2 gal → 3 more gal → one 5 gal can
+      const result = calculateFuelRange(FUEL_ECONOMY, { tankCapacity: 20, fuelGap: 300 }, 'imperial');
+
+      assert.strictEqual(result.status, 'into_reserve');
+      assert.strictEqual(result.jerryCansNeeded, 1);
+      assert.ok(result.warnings.some(w => w.message.includes('current setup covers')), 'Stock range was safe (300 mi)');
+    });
+
+    test('Gap beyond the range to empty', () => {
+      const result = calculateFuelRange(FUEL_ECONOMY, { tankCapacity: 20, fuelGap: 450 }, 'imperial');
+
+      assert.strictEqual(result.status, 'exceeds');
+      assert.strictEqual(result.warnings[0].severity, 'high');
+      // 450 / (18 × 0.75) = 33.3 gal → 13.3 more → 3 cans
+      assert.strictEqual(result.jerryCansNeeded, 3);
+    });
+  });
+
+  describe('Integration', () => {
+
+    test('Comparison builds the range from the fuel economy model', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), { engine: '1GR-FE', transmission: 'A750F', axleGearRatio: 3.73 }, {}, 'overlanding', {
+        currentTireWeight: 48,
+        newTireWeight: 72,
+        newTreadType: 'mud_terrain',
+        expeditionLoad: 800,
+        fuelPlan: { tankCapacity: 23, terrainMix: { highway: 70, gravel: 30 } }
+      });
+      const { fuelRange, fuelEconomy } = comparison;
+      const scale = fuelEconomy.baseline / fuelEconomy.current.combined;
+
+      assert.ok(fuelRange.new.range < fuelRange.current.range, 'Heavier mud tires shorten the range');
+      assert.ok(Math.abs(fuelRange.new.terrain[0].economy - fuelEconomy.new.highway * scale) < 1e-9);
+    });
+
+    test('Size increase alone on stock gears shortens the range', () => {
+      // Same weight and tread, so only diameter and gearing move economy
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), { engine: '1GR-FE', transmission: 'A750F', axleGearRatio: 3.73 }, {}, 'overlanding', {
+        currentTireWeight: 48,
+        newTireWeight: 48,
+        fuelPlan: { tankCapacity: 23, fuelGap: 310 }
+      });
+      const { fuelRange, fuelEconomy } = comparison;
+
+      assert.ok(fuelEconomy.new.highway < fuelEconomy.current.highway);
+      assert.ok(fuelRange.new.safeRange < fuelRange.current.safeRange);
+      // ~328 mi safe on stock, ~294 mi on the 35s
+      assert.strictEqual(fuelRange.status, 'into_reserve');
+      assert.ok(fuelRange.warnings.some(w => w.message.includes('the tire change is what makes it short')));
+    });
+
+    test('Overland impact carries the fuel range with or without load', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('285/75R17'), {}, {}, 'overlanding');
+
+      assert.ok(calculateOverlandImpact(comparison, 0, 'overland', { tankCapacity: 21 }).fuelRange);
+      assert.ok(calculateOverlandImpact(comparison, 600, 'overland', { tankCapacity: 21 }).fuelRange);
+      assert.strictEqual(calculateOverlandImpact(comparison, 600).fuelRange, null);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Gradeability
+ *
+ * PURPOSE: Verify the steepest grade each gear holds at a road speed, the
+ * loaded weight it uses, and its effect on the regear verdict.
+ *
+ * FORMULA:
+ * Aero drag (lbf) = 0.00256 × Cd × A (ft²) × mph²
+ * W (sin θ + Crr cos θ) = tractive effort − aero drag
+ * θ = asin((F − D) / (W √(1 + Crr²))) − atan(Crr), grade % = tan θ × 100
+ *
+ * CONFIDENCE LEVEL: 100% (closed-form force balance)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { generateRegearRecommendations } from '../../src/engine/regearEngine.js';
+import { getEngine, getGearTractiveEffort } from '../../src/engine/tractiveEffort.js';
+import { DEFAULT_VEHICLE_WEIGHT } from '../../src/engine/overlandLoad.js';
+import {
+  calculateAeroDrag,
+  calculateMaxGrade,
+  analyzeGradeability,
+  evaluateAxleRatio,
+  TREAD_ROLLING_RESISTANCE,
+  DEFAULT_TARGET_GRADE
+} from '../../src/engine/gradeability.js';
+
+const DRIVETRAIN = { axleGearRatio: 4.10, transmission: 'A750F', engine: '1GR-FE' };
+
+describe('Gradeability - Logic Verification (100% Confidence)', () => {
+
+  describe('Force Balance', () => {
+
+    test('Aero drag grows with the square of speed', () => {
+      // 0.00256 × 0.45 × 32 × 65² = 155.8 lbf
+      assert.ok(Math.abs(calculateAeroDrag(65) - 0.00256 * 0.45 * 32 * 65 * 65) < 1e-9);
+      assert.ok(Math.abs(calculateAeroDrag(70) / calculateAeroDrag(35) - 4) < 1e-9);
+    });
+
+    test('Max grade satisfies the force balance', () => {
+      const weight = 5000;
+      const crr = 0.011;
+      const grade = calculateMaxGrade(600, weight, crr);
+      const angle = Math.atan(grade / 100);
+
+      assert.ok(Math.abs(weight * (Math.sin(angle) + crr * Math.cos(angle)) - 600) < 1e-6);
+    });
+
+    test('Force equal to rolling resistance holds speed on the flat only', () => {
+      assert.ok(Math.abs(calculateMaxGrade(5000 * 0.011, 5000, 0.011)) < 1e-3);
+      assert.ok(calculateMaxGrade(0, 5000, 0.011) < 0);
+    });
+  });
+
+  describe('Per-Gear Grades', () => {
+
+    test('Each gear uses its tractive effort at the test speed', () => {
+      const analysis = analyzeGradeability(33, 35, DRIVETRAIN, 'imperial', { vehicleWeight: 5700 });
+      const fifth = analysis.gears[4];
+      const { tractiveEffort } = getGearTractiveEffort(getEngine('1GR-FE'), 0.716, 4.10, 33, 65);
+      const expected = calculateMaxGrade(tractiveEffort - calculateAeroDrag(65), 5700, TREAD_ROLLING_RESISTANCE.all_terrain);
+
+      assert.ok(Math.abs(fifth.current.maxGrade - expected) < 1e-9);
+      assert.ok(fifth.change < 0);
+    });
+
+    test('Gears past redline cannot hold the speed', () => {
+      const analysis = analyzeGradeability(33, 35, DRIVETRAIN, 'imperial');
+
+      assert.strictEqual(analysis.gears[0].current.status, 'over_rev');
+      assert.strictEqual(analysis.gears[0].current.maxGrade, null);
+      assert.strictEqual(analysis.gears[0].change, null);
+    });
+
+    test('Expedition load and tire weight lower every grade', () => {
+      const unloaded = analyzeGradeability(33, 35, DRIVETRAIN, 'imperial');
+      const loaded = analyzeGradeability(33, 35, DRIVETRAIN, 'imperial', { expeditionLoad: 800, tireWeightChange: 40 });
+
+      assert.strictEqual(loaded.vehicle.weight.current, DEFAULT_VEHICLE_WEIGHT + 800);
+      assert.strictEqual(loaded.vehicle.weight.new, DEFAULT_VEHICLE_WEIGHT + 840);
+      assert.ok(loaded.gears[4].new.maxGrade < unloaded.gears[4].new.maxGrade);
+    });
+
+    test('Mud-terrain tread costs grade over an all-terrain', () => {
+      const analysis = analyzeGradeability(33, 33, DRIVETRAIN, 'imperial', { newTreadType: 'mud_terrain' });
+
+      assert.strictEqual(analysis.vehicle.rollingResistance.new, TREAD_ROLLING_RESISTANCE.mud_terrain);
+      assert.ok(analysis.gears[4].change < 0);
+    });
+  });
+
+  describe('Target Grade', () => {
+
+    test('Highest gear holding the default grade at 65 mph', () => {
+      // 5,700 lb: 4th holds 7.7% → 6.9%, 5th holds 3.9% → 3.4%
+      const analysis = analyzeGradeability(33, 35, DRIVETRAIN, 'imperial', { vehicleWeight: 5700 });
+
+      assert.strictEqual(analysis.targetGrade, DEFAULT_TARGET_GRADE);
+      assert.deepStrictEqual(analysis.highestGearHoldingTarget, { current: 4, new: 4 });
+      assert.ok(analysis.summary.includes('gear 4'));
+    });
+
+    test('Losing the highway gear is reported', () => {
+      const analysis = analyzeGradeability(33, 35, DRIVETRAIN, 'imperial', { vehicleWeight: 5700, targetGrade: 3.5 });
+
+      assert.deepStrictEqual(analysis.highestGearHoldingTarget, { current: 5, new: 4 });
+      assert.ok(analysis.summary.startsWith('Drops from gear 5 to gear 4'));
+    });
+
+    test('Shorter axle gears on the new tires restore the grade', () => {
+      const analysis = analyzeGradeability(33, 35, DRIVETRAIN, 'imperial', { vehicleWeight: 5700, targetGrade: 3.5 });
+      const regeared = evaluateAxleRatio(analysis, 4.56);
+
+      assert.strictEqual(regeared.highestGearHoldingTarget, 5);
+      assert.ok(regeared.topGearGrade > analysis.gears[4].new.maxGrade);
+    });
+
+    test('Metric defaults to 100 km/h', () => {
+      const analysis = analyzeGradeability(33, 35, DRIVETRAIN, 'metric');
+
+      assert.strictEqual(analysis.speed, 100);
+      assert.strictEqual(analysis.speedUnit, 'km/h');
+    });
+
+    test('Needs both an engine and a ratio set', () => {
+      assert.strictEqual(analyzeGradeability(33, 35, { axleGearRatio: 4.10, engine: '1GR-FE' }, 'imperial'), null);
+      assert.strictEqual(analyzeGradeability(33, 35, { axleGearRatio: 4.10, transmission: 'A750F' }, 'imperial'), null);
+    });
+  });
+
+  describe('Integration', () => {
+
+    test('Comparison includes gradeability with the added tire weight', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('285/75R17'), DRIVETRAIN, {}, 'overlanding', {
+        expeditionLoad: 600
+      });
+
+      assert.strictEqual(comparison.gradeability.vehicle.tireWeightChange, comparison.weightAnalysis.difference.total);
+      assert.strictEqual(comparison.gradeability.vehicle.weight.current, DEFAULT_VEHICLE_WEIGHT + 600);
+    });
+
+    test('Regear verdict reports grade holding for each ratio', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('285/75R17'), DRIVETRAIN, {}, 'overlanding', {
+        vehicleWeight: 5700,
+        targetGrade: 3.5
+      });
+      const result = generateRegearRecommendations(comparison, 4.10, 'overlanding', DRIVETRAIN);
+
+      result.recommendations.forEach(rec => {
+        assert.strictEqual(rec.impact.gradeability.targetGrade, 3.5);
+        const notes = [...rec.verdict.pros, ...rec.verdict.cons];
+        assert.ok(notes.some(note => note.includes('3.5% grade')), rec.ratio);
+      });
+    });
+
+    test('A grade stock cannot hold does not penalize any ratio', () => {
+      const drivetrain = { axleGearRatio: 3.909, engine: 'AMC-4.0', transmission: 'AW4' };
+      const comparison = calculateTireComparison(parseTireSize('265/70R16'), parseTireSize('35x12.50R17'), drivetrain, {}, 'overlanding', {
+        vehicleWeight: 7000,
+        targetGrade: 20
+      });
+      const result = generateRegearRecommendations(comparison, 3.909, 'overlanding', drivetrain);
+      const withoutGrade = generateRegearRecommendations({ ...comparison, gradeability: null }, 3.909, 'overlanding', drivetrain);
+
+      assert.strictEqual(comparison.gradeability.highestGearHoldingTarget.current, null);
+      result.recommendations.forEach((rec, i) => {
+        const notes = [...rec.verdict.pros, ...rec.verdict.cons];
+        assert.strictEqual(rec.verdict.score, withoutGrade.recommendations[i].verdict.score, rec.ratio);
+        assert.ok(notes.includes('Cannot hold a 20% grade at 65 mph in any gear, same as stock'), rec.ratio);
+        assert.ok(!notes.some(note => note.includes('null')));
+      });
+    });
+  });
+});
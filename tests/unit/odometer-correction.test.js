@@ -0,0 +1,198 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Odometer Correction
+ *
+ * PURPOSE: Verify true distance since the tire install, service intervals read
+ * on the uncorrected odometer and corrected fuel economy from a fill-up log.
+ *
+ * FORMULA:
+ * Actual distance = indicated distance × ratio (new / current diameter)
+ * Service due on odometer = interval / ratio
+ * Corrected economy = actual distance / fuel = observed economy × ratio
+ *
+ * CONFIDENCE LEVEL: 100% (direct ratio math)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import {
+  correctDistance,
+  correctOdometer,
+  adjustServiceIntervals,
+  correctFuelLog,
+  parseFuelLog,
+  analyzeOdometerCorrection
+} from '../../src/engine/odometerCorrection.js';
+
+const RATIO_35 = 35 / 31.6;
+
+describe('Odometer Correction - Logic Verification (100% Confidence)', () => {
+
+  describe('Distance', () => {
+
+    test('Actual distance scales with the ratio', () => {
+      assert.ok(Math.abs(correctDistance(10000, RATIO_35) - 11075.95) < 0.01);
+      assert.strictEqual(correctDistance(10000, 1), 10000);
+    });
+
+    test('Distance since the install', () => {
+      const distance = correctOdometer(RATIO_35, 40000, 50000);
+
+      assert.strictEqual(distance.indicated, 10000);
+      assert.ok(Math.abs(distance.actual - 10000 * RATIO_35) < 1e-9);
+      assert.ok(Math.abs(distance.difference - (distance.actual - 10000)) < 1e-9);
+    });
+
+    test('Current reading below the install reading is rejected', () => {
+      assert.throws(() => correctOdometer(RATIO_35, 50000, 40000), /lower than the reading at tire install/);
+    });
+  });
+
+  describe('Service Intervals', () => {
+
+    test('Larger tires bring service due sooner on the odometer', () => {
+      // 5,000 / (35 / 31.6) = 4,514 indicated miles
+      const [oil] = adjustServiceIntervals(RATIO_35, { oil: 5000 });
+
+      assert.strictEqual(oil.name, 'Engine oil');
+      assert.ok(Math.abs(oil.indicatedInterval - 5000 * 31.6 / 35) < 1e-9);
+      assert.ok(oil.difference < 0);
+    });
+
+    test('Smaller tires push service later', () => {
+      const [rotation] = adjustServiceIntervals(0.95, { tireRotation: 5000 });
+
+      assert.ok(rotation.indicatedInterval > 5000);
+    });
+
+    test('Defaults follow the unit system', () => {
+      const imperial = analyzeOdometerCorrection(RATIO_35, {}, 'imperial');
+      const metric = analyzeOdometerCorrection(RATIO_35, {}, 'metric');
+
+      assert.deepStrictEqual(imperial.serviceIntervals.map(s => s.interval), [5000, 30000, 5000]);
+      // 8,000 km stored as miles
+      assert.ok(Math.abs(metric.serviceIntervals[0].interval - 8000 / 1.609344) < 1e-6);
+    });
+
+    test('Entered intervals override the defaults', () => {
+      const result = analyzeOdometerCorrection(RATIO_35, { serviceIntervals: { oil: 7500 } }, 'imperial');
+
+      assert.strictEqual(result.serviceIntervals[0].interval, 7500);
+      assert.strictEqual(result.serviceIntervals[1].interval, 30000);
+    });
+  });
+
+  describe('Fuel Log', () => {
+
+    test('Corrected economy is observed × ratio', () => {
+      // 300 indicated miles on 20 gallons = 15.0 mpg observed
+      const log = correctFuelLog(RATIO_35, [
+        { odometer: 1000, fuel: 12 },
+        { odometer: 1300, fuel: 20 }
+      ]);
+
+      assert.strictEqual(log.entries.length, 1);
+      assert.strictEqual(log.entries[0].observedEconomy, 15);
+      assert.ok(Math.abs(log.entries[0].correctedEconomy - 15 * RATIO_35) < 1e-9);
+    });
+
+    test('Average is total distance over total fuel', () => {
+      const log = correctFuelLog(1, [
+        { odometer: 0, fuel: 10 },
+        { odometer: 300, fuel: 20 },
+        { odometer: 400, fuel: 5 }
+      ]);
+
+      assert.strictEqual(log.totalFuel, 25);
+      assert.strictEqual(log.average.observed, 16);
+    });
+
+    test('Needs two fill-ups and increasing readings', () => {
+      const warnings = [];
+
+      assert.strictEqual(correctFuelLog(RATIO_35, [{ odometer: 1000, fuel: 12 }]), null);
+      assert.strictEqual(correctFuelLog(RATIO_35, [{ odometer: 1000, fuel: 12 }, { odometer: 900, fuel: 10 }], warnings), null);
+      assert.strictEqual(correctFuelLog(RATIO_35, [{ odometer: 1000, fuel: 12 }, { odometer: 1300, fuel: 0 }], warnings), null);
+      assert.match(warnings[0].message, /^Fill-up line 2 odometer reading is not higher than line 1/);
+      assert.match(warnings[1].message, /^Fill-up line 2 needs the amount of fuel added/);
+    });
+
+    test('Bad fill-ups are left out, the rest of the log still counts', () => {
+      const warnings = [];
+      const log = correctFuelLog(1, [
+        { odometer: 0, fuel: 10 },
+        { odometer: 300, fuel: 20 },
+        { odometer: 300, fuel: 4 },
+        { odometer: 400, fuel: 5 }
+      ], warnings);
+
+      assert.deepStrictEqual(log.entries.map(entry => entry.odometer), [300, 400]);
+      assert.strictEqual(log.average.observed, 16);
+      assert.strictEqual(warnings.length, 1);
+      assert.strictEqual(warnings[0].component, 'Fuel Log');
+      assert.match(warnings[0].message, /line 3/);
+    });
+
+    test('Pasted log parses one fill-up per line', () => {
+      assert.deepStrictEqual(parseFuelLog('42100, 18.2\n\n 42415 19.6 '), [
+        { odometer: 42100, fuel: 18.2 },
+        { odometer: 42415, fuel: 19.6 }
+      ]);
+      assert.throws(() => parseFuelLog('42100, full'), /line 1/);
+    });
+
+    test('Thousands separators are not read as a second field', () => {
+      assert.deepStrictEqual(parseFuelLog('42,100, 18.2\n42,415;19.6\n1,042,730 20'), [
+        { odometer: 42100, fuel: 18.2 },
+        { odometer: 42415, fuel: 19.6 },
+        { odometer: 1042730, fuel: 20 }
+      ]);
+      assert.deepStrictEqual(parseFuelLog('42100,120'), [{ odometer: 42100, fuel: 120 }]);
+      assert.throws(() => parseFuelLog('42,100 18,2'), /line 1/);
+    });
+  });
+
+  describe('Tire Change Analysis', () => {
+
+    test('Summary states how far off the odometer reads', () => {
+      // 1 − 31.6 / 35 = 9.7% low
+      assert.ok(analyzeOdometerCorrection(RATIO_35, {}, 'imperial').summary.startsWith('Odometer reads 9.7% low'));
+      assert.ok(analyzeOdometerCorrection(0.95, {}, 'imperial').summary.includes('high'));
+      assert.strictEqual(analyzeOdometerCorrection(1, {}, 'imperial').summary, 'No odometer error');
+    });
+
+    test('Comparison builds the correction from the speedometer ratio', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), {}, {}, 'weekend_trail', {
+        odometer: { installOdometer: 40000, currentOdometer: 50000 }
+      });
+      const { odometer, ratio } = comparison.speedometerError;
+
+      assert.strictEqual(odometer.ratio, ratio);
+      assert.ok(Math.abs(odometer.distance.actual - 10000 * ratio) < 1e-9);
+      assert.strictEqual(odometer.fuelLog, null);
+    });
+
+    test('Current reading below the install reading warns instead of failing', () => {
+      const result = analyzeOdometerCorrection(RATIO_35, { installOdometer: 50000, currentOdometer: 40000 }, 'imperial');
+
+      assert.strictEqual(result.distance, null);
+      assert.strictEqual(result.warnings.length, 1);
+      assert.match(result.warnings[0].message, /lower than the reading at tire install/);
+      assert.strictEqual(result.serviceIntervals.length, 3, 'the rest of the correction still runs');
+      assert.deepStrictEqual(analyzeOdometerCorrection(RATIO_35, { installOdometer: 40000, currentOdometer: 50000 }, 'imperial').warnings, []);
+    });
+
+    test('Reversed fill-up readings warn instead of failing the comparison', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), {}, {}, 'weekend_trail', {
+        odometer: { fillUps: [{ odometer: 1000, fuel: 12 }, { odometer: 900, fuel: 10 }] }
+      });
+      const { odometer } = comparison.speedometerError;
+
+      assert.strictEqual(odometer.fuelLog, null);
+      assert.strictEqual(odometer.warnings.length, 1);
+      assert.match(odometer.warnings[0].message, /Fill-up line 2/);
+      assert.strictEqual(comparison.fuelEconomy.measured, null);
+    });
+  });
+});
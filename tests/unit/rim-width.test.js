@@ -0,0 +1,113 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Rim Width Fit
+ *
+ * PURPOSE: Verify approved rim range lookup, rim-adjusted section width and
+ * that clearance math uses the width the tire actually mounts at.
+ *
+ * FORMULA:
+ * adjusted width = published width + 0.4 × (rim width − measuring rim)
+ *
+ * CONFIDENCE LEVEL: 100% (logic verification with known inputs)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { getApprovedRimRange, analyzeRimFit } from '../../src/engine/rimWidth.js';
+
+describe('Rim Width Fit - Logic Verification (100% Confidence)', () => {
+
+  describe('Approved Range Lookup', () => {
+
+    test('35x12.50R17 approved 8.5"-11" with a 10" measuring rim', () => {
+      const range = getApprovedRimRange(parseTireSize('35x12.50R17'));
+      assert.deepStrictEqual(range, { min: 8.5, max: 11.0, measuring: 10.0 });
+    });
+
+    test('LT285/75R17 approved 7.5"-10" with an 8" measuring rim', () => {
+      const range = getApprovedRimRange(parseTireSize('LT285/75R17'));
+      assert.deepStrictEqual(range, { min: 7.5, max: 10.0, measuring: 8.0 });
+    });
+  });
+
+  describe('Adjusted Section Width', () => {
+
+    test('12.50" tire on an 8" rim runs 0.8" narrower than on a 10" rim', () => {
+      const tire = parseTireSize('35x12.50R17');
+      const narrow = analyzeRimFit(tire, 8);
+      const measuring = analyzeRimFit(tire, 10);
+
+      assert.ok(Math.abs(measuring.adjustedWidthInches - 12.5) < 0.01);
+      assert.ok(Math.abs((measuring.adjustedWidthInches - narrow.adjustedWidthInches) - 0.8) < 0.0001);
+    });
+
+    test('No rim width - nominal width, no fit verdict', () => {
+      const result = analyzeRimFit(parseTireSize('LT285/75R17'));
+
+      assert.strictEqual(result.rimWidth, null);
+      assert.strictEqual(result.inRange, null);
+      assert.strictEqual(result.widthAdjustment, 0);
+      assert.strictEqual(result.adjustedWidthInches, result.nominalWidthInches);
+      assert.strictEqual(result.warnings.length, 0);
+    });
+  });
+
+  describe('Range Warnings', () => {
+
+    test('Rim narrower than approved is flagged', () => {
+      const result = analyzeRimFit(parseTireSize('35x12.50R17'), 7);
+
+      assert.strictEqual(result.inRange, false);
+      assert.strictEqual(result.warnings.length, 1);
+      assert.ok(result.warnings[0].message.includes('narrower'));
+    });
+
+    test('Rim wider than approved is flagged', () => {
+      const result = analyzeRimFit(parseTireSize('LT265/70R17'), 11);
+
+      assert.strictEqual(result.inRange, false);
+      assert.ok(result.warnings[0].message.includes('wider'));
+    });
+
+    test('Rim inside range has no warnings', () => {
+      const result = analyzeRimFit(parseTireSize('35x12.50R17'), 9);
+
+      assert.strictEqual(result.inRange, true);
+      assert.strictEqual(result.warnings.length, 0);
+    });
+  });
+
+  describe('Comparison Integration', () => {
+
+    test('Without rim widths - rimFit null and clearance uses published width', () => {
+      const comparison = calculateTireComparison(
+        parseTireSize('265/70R17'),
+        parseTireSize('35x12.50R17')
+      );
+
+      assert.strictEqual(comparison.rimFit, null);
+      assert.strictEqual(comparison.clearance.mountedWidth.rimAdjusted, false);
+      assert.strictEqual(comparison.clearance.mountedWidth.inches, comparison.new.widthInches);
+      assert.strictEqual(comparison.clearance.mountedWidth.increase, comparison.differences.width.inches);
+    });
+
+    test('Clearance uses rim-adjusted widths', () => {
+      const comparison = calculateTireComparison(
+        parseTireSize('265/70R17'),
+        parseTireSize('35x12.50R17'),
+        {},
+        { currentRimWidth: 7.5, newRimWidth: 8 }
+      );
+      const { rimFit, clearance } = comparison;
+
+      assert.strictEqual(clearance.mountedWidth.rimAdjusted, true);
+      assert.strictEqual(clearance.mountedWidth.inches, rimFit.new.adjustedWidthInches);
+      assert.ok(Math.abs(
+        clearance.mountedWidth.increase -
+        (rimFit.new.adjustedWidthInches - rimFit.current.adjustedWidthInches)
+      ) < 0.0001);
+      assert.ok(clearance.mountedWidth.inches < comparison.new.widthInches);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Loaded Rolling Radius
+ *
+ * PURPOSE: Verify the rolling radius model responds correctly to pressure,
+ * load and construction, and that the comparison option feeds it into
+ * speedometer and drivetrain math.
+ *
+ * FORMULA:
+ * k = 1.5 × PSI × √(width × diameter) + carcass stiffness (LT 150, P 75)
+ * deflection = corner load / k
+ * effective radius = free radius − deflection / 3
+ *
+ * CONFIDENCE LEVEL: 100% (logic verification with known inputs)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { calculateRollingRadius, DEFAULT_CORNER_LOAD } from '../../src/engine/rollingRadius.js';
+
+describe('Loaded Rolling Radius - Logic Verification (100% Confidence)', () => {
+
+  describe('Deflection Model', () => {
+
+    test('Flotation 35x12.50R17 at 35 PSI and 1,400 lbs', () => {
+      const tire = parseTireSize('35x12.50R17');
+      const result = calculateRollingRadius(tire, { pressure: 35, cornerLoad: 1400 });
+
+      // k = 1.5 × 35 × √(12.5 × 35) + 150 = 1248.1 lb/in
+      const expectedStiffness = (1.5 * 35 * Math.sqrt(12.5 * 35)) + 150;
+      assert.ok(Math.abs(result.stiffness - expectedStiffness) < 0.01);
+      assert.ok(Math.abs(result.deflection - (1400 / expectedStiffness)) < 0.0001);
+      assert.strictEqual(result.effectiveRadius, result.freeRadius - (result.deflection / 3));
+      assert.strictEqual(result.effectiveDiameter, result.effectiveRadius * 2);
+    });
+
+    test('Lower pressure increases deflection', () => {
+      const tire = parseTireSize('LT285/75R17');
+      const street = calculateRollingRadius(tire, { pressure: 35, cornerLoad: 1400 });
+      const airedDown = calculateRollingRadius(tire, { pressure: 15, cornerLoad: 1400 });
+
+      assert.ok(airedDown.deflection > street.deflection);
+      assert.ok(airedDown.effectiveDiameter < street.effectiveDiameter);
+    });
+
+    test('More load increases deflection', () => {
+      const tire = parseTireSize('LT285/75R17');
+      const light = calculateRollingRadius(tire, { pressure: 35, cornerLoad: 1000 });
+      const loaded = calculateRollingRadius(tire, { pressure: 35, cornerLoad: 1800 });
+
+      assert.ok(loaded.deflection > light.deflection);
+    });
+
+    test('P-metric deflects more than LT at the same pressure', () => {
+      const pMetric = calculateRollingRadius(parseTireSize('285/75R17'), { pressure: 35, cornerLoad: 1400 });
+      const lt = calculateRollingRadius(parseTireSize('LT285/75R17'), { pressure: 35, cornerLoad: 1400 });
+
+      assert.strictEqual(pMetric.construction, 'P');
+      assert.strictEqual(lt.construction, 'LT');
+      assert.ok(pMetric.deflection > lt.deflection);
+    });
+
+    test('Defaults applied when pressure and load are omitted', () => {
+      const result = calculateRollingRadius(parseTireSize('LT285/75R17'));
+
+      assert.strictEqual(result.pressure, 35);
+      assert.strictEqual(result.cornerLoad, DEFAULT_CORNER_LOAD);
+    });
+
+    test('Deflection never exceeds sidewall height', () => {
+      const tire = parseTireSize('265/70R17');
+      const result = calculateRollingRadius(tire, { pressure: 5, cornerLoad: 5000 });
+
+      assert.ok(result.deflection <= tire.sidewallInches);
+      assert.ok(result.deflectionPercentage <= 100);
+    });
+  });
+
+  describe('Comparison Option', () => {
+
+    test('Off by default - free diameter math unchanged', () => {
+      const comparison = calculateTireComparison(
+        parseTireSize('265/70R17'),
+        parseTireSize('285/75R17'),
+        { axleGearRatio: 3.73 }
+      );
+
+      assert.strictEqual(comparison.rollingRadius, null);
+      assert.strictEqual(comparison.speedometerError.rollingRadius, null);
+      assert.strictEqual(comparison.speedometerError.ratio, comparison.new.diameter / comparison.current.diameter);
+    });
+
+    test('Speedometer and RPM use effective rolling diameter', () => {
+      const comparison = calculateTireComparison(
+        parseTireSize('265/70R17'),
+        parseTireSize('LT285/75R17'),
+        { axleGearRatio: 3.73, transmissionTopGear: 1.0 },
+        {},
+        'weekend_trail',
+        { useRollingRadius: true, currentPressure: 32, newPressure: 35, cornerLoad: 1300 }
+      );
+      const { rollingRadius, speedometerError, drivetrainImpact } = comparison;
+
+      assert.ok(rollingRadius.current.deflection > 0);
+      assert.ok(rollingRadius.new.deflection > 0);
+      assert.strictEqual(
+        speedometerError.ratio,
+        rollingRadius.new.effectiveDiameter / rollingRadius.current.effectiveDiameter
+      );
+
+      const expectedRPM = (65 * 3.73 * 1.0 * 336) / rollingRadius.new.effectiveDiameter;
+      assert.ok(Math.abs(drivetrainImpact.rpm.new - expectedRPM) < 0.01);
+      assert.strictEqual(drivetrainImpact.rollingRadius, rollingRadius);
+    });
+  });
+});
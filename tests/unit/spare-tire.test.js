@@ -0,0 +1,170 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Spare Tire Compatibility
+ *
+ * PURPOSE: Verify the spare's circumference difference against each running
+ * tire, what each drive mode loads with the spare on either axle, and the
+ * stock carrier fit check.
+ *
+ * FORMULA:
+ * Difference (%) = (running diameter − spare diameter) / running diameter × 100
+ * Axle differential sees the full difference, the center (transfer case,
+ * center diff, coupling) half of it
+ * Within tolerance: unrestricted; up to 6%: temporary; beyond: avoid
+ *
+ * CONFIDENCE LEVEL: 100% (direct ratio math)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize, validateTireCompatibility } from '../../src/engine/tireParser.js';
+import {
+  calculateCircumferenceDifference,
+  assessDriveMode,
+  analyzeSpareTire,
+  getSpareCarrier,
+  AXLE_DIFF_TOLERANCE,
+  MAX_TEMPORARY_MISMATCH
+} from '../../src/engine/spareTire.js';
+
+const mode = (result, id) => result.modes.find(m => m.mode === id);
+
+describe('Spare Tire Compatibility - Logic Verification (100% Confidence)', () => {
+
+  describe('Circumference Difference', () => {
+
+    test('Difference is relative to the running tire', () => {
+      // (35 − 31.6) / 35 = 9.71%
+      assert.ok(Math.abs(calculateCircumferenceDifference(31.6, 35) - 9.714285714) < 1e-6);
+      assert.ok(calculateCircumferenceDifference(36, 35) < 0, 'Larger spare is negative');
+      assert.strictEqual(calculateCircumferenceDifference(35, 35), 0);
+    });
+  });
+
+  describe('Drive Modes', () => {
+
+    test('2WD only loads the rear differential', () => {
+      const front = assessDriveMode('part_time', '2wd', 'front', 9.7);
+      const rear = assessDriveMode('part_time', '2wd', 'rear', 9.7);
+
+      assert.strictEqual(front.status, 'unrestricted');
+      assert.strictEqual(front.loadedBy, null);
+      assert.strictEqual(rear.status, 'avoid');
+      assert.strictEqual(rear.loadedBy, 'rear differential');
+    });
+
+    test('Part-time 4WD: locked transfer case sees half the difference', () => {
+      // 4% spare: transfer case 2% vs 1%, rear diff 4% vs 3% - transfer case is worse
+      const result = assessDriveMode('part_time', '4wd', 'rear', 4);
+
+      assert.strictEqual(result.loadedBy, 'locked transfer case');
+      assert.strictEqual(result.mismatch, 2);
+      assert.strictEqual(result.status, 'temporary');
+    });
+
+    test('Full-time 4WD tolerates a small spare on the axle differential', () => {
+      // 2.9%: center 1.45% vs 3%, axle diff 2.9% vs 3% - both within
+      const result = assessDriveMode('full_time', '4wd', 'front', 2.9);
+
+      assert.strictEqual(result.loadedBy, 'front differential');
+      assert.strictEqual(result.status, 'unrestricted');
+    });
+
+    test('Beyond the temporary limit the mode is avoided', () => {
+      assert.ok(MAX_TEMPORARY_MISMATCH > AXLE_DIFF_TOLERANCE);
+      assert.strictEqual(assessDriveMode('awd', 'awd', 'front', MAX_TEMPORARY_MISMATCH).status, 'temporary');
+      assert.strictEqual(assessDriveMode('awd', 'awd', 'front', MAX_TEMPORARY_MISMATCH + 0.1).status, 'avoid');
+    });
+  });
+
+  describe('Spare Analysis', () => {
+
+    test('Old spare with new tires on part-time 4WD', () => {
+      const result = analyzeSpareTire(parseTireSize('265/70R17'), { front: parseTireSize('35x12.50R17') }, {
+        driveSystem: 'part_time'
+      });
+
+      assert.strictEqual(result.positions.length, 2);
+      assert.strictEqual(mode(result, '2wd').status, 'unrestricted');
+      assert.strictEqual(mode(result, '2wd').axle, 'front');
+      assert.strictEqual(mode(result, '4wd').status, 'avoid');
+      assert.strictEqual(result.warnings[0].severity, 'important');
+      assert.ok(result.warnings[0].detail.includes('stay in 2WD'));
+    });
+
+    test('AWD spare within the temporary range gets speed and distance limits', () => {
+      const result = analyzeSpareTire({ diameter: 33, width: 285 }, { front: { diameter: 34 } }, {
+        driveSystem: 'awd',
+        unitSystem: 'metric'
+      });
+
+      assert.strictEqual(mode(result, 'awd').status, 'temporary');
+      assert.strictEqual(result.displayLimits.speed, 80);
+      assert.strictEqual(result.displayLimits.speedUnit, 'km/h');
+      assert.ok(Math.abs(result.limits.speed - 80 / 1.609344) < 0.01);
+      assert.strictEqual(result.warnings[0].severity, 'advisory');
+    });
+
+    test('AWD spare beyond the temporary range is critical', () => {
+      const result = analyzeSpareTire({ diameter: 31.6, width: 265 }, { front: { diameter: 35 } }, {
+        driveSystem: 'awd'
+      });
+
+      assert.strictEqual(mode(result, 'awd').status, 'avoid');
+      assert.strictEqual(result.warnings[0].severity, 'critical');
+      assert.ok(result.summary.includes('not usable on a driven axle'));
+    });
+
+    test('Matching spare drives normally', () => {
+      const tire = parseTireSize('35x12.50R17');
+      const result = analyzeSpareTire(tire, { front: tire }, { driveSystem: 'full_time' });
+
+      assert.ok(result.modes.every(m => m.status === 'unrestricted'));
+      assert.strictEqual(result.warnings.length, 0);
+      assert.ok(result.summary.includes('drive normally'));
+    });
+
+    test('Unknown drive system throws', () => {
+      assert.throws(() => analyzeSpareTire({ diameter: 33, width: 285 }, { front: { diameter: 33 } }, { driveSystem: 'six_wd' }));
+    });
+  });
+
+  describe('Carrier Fit', () => {
+
+    test('Every carrier has diameter and width limits', () => {
+      const carrier = getSpareCarrier('tacoma');
+
+      assert.ok(carrier.maxDiameter > 0);
+      assert.ok(carrier.maxWidth > 0);
+      assert.strictEqual(getSpareCarrier('unknown'), null);
+    });
+
+    test('Spare larger than the carrier is flagged', () => {
+      const carrier = getSpareCarrier('tacoma');
+      const tire = parseTireSize('35x12.50R17');
+      const result = analyzeSpareTire(tire, { front: tire }, { vehicleCategory: 'tacoma' });
+
+      assert.strictEqual(result.carrier.fits, tire.diameter <= carrier.maxDiameter && tire.width / 25.4 <= carrier.maxWidth);
+      assert.strictEqual(result.carrier.fits, false);
+      assert.ok(result.warnings.some(w => w.message === 'Spare does not fit the stock carrier'));
+    });
+  });
+
+  describe('Compatibility Validation', () => {
+
+    test('Spare warnings join the tire compatibility warnings', () => {
+      const current = parseTireSize('265/70R17');
+      const next = parseTireSize('35x12.50R17');
+      const result = validateTireCompatibility(current, next, { spareTire: current, driveSystem: 'part_time' });
+
+      assert.strictEqual(result.isValid, true);
+      assert.ok(result.spare);
+      assert.ok(result.warnings.some(w => w.message.startsWith('Spare is 9.7% smaller')));
+    });
+
+    test('Without a spare the check is skipped', () => {
+      const result = validateTireCompatibility(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'));
+
+      assert.strictEqual(result.spare, null);
+    });
+  });
+});
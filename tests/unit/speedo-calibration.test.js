@@ -0,0 +1,115 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Speedometer Recalibration
+ *
+ * PURPOSE: Verify the setting each recalibration tool needs for the new tire
+ * and the speedometer error left at the nearest available setting.
+ *
+ * FORMULA:
+ * Revolutions per mile = 63,360 / (π × diameter)
+ * Dropdown / revs entry: actual / indicated = programmed revs / true revs
+ * Percentage: actual / indicated = ratio / (1 + correction / 100)
+ *
+ * CONFIDENCE LEVEL: 100% (direct ratio math)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize, calculateCircumference, calculateRevolutionsPerMile } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import {
+  getSpeedoProgrammers,
+  calculateToolSetting,
+  recommendSpeedoSettings,
+  CALIBRATION_TOLERANCE
+} from '../../src/engine/speedoCalibration.js';
+
+const tool = (id) => getSpeedoProgrammers().find(t => t.id === id);
+const RATIO_35 = 35 / 31.6;
+const revolutionsPerMile = (diameter) => calculateRevolutionsPerMile(calculateCircumference(diameter));
+
+describe('Speedometer Recalibration - Logic Verification (100% Confidence)', () => {
+
+  describe('Tool Settings', () => {
+
+    test('Revolutions per mile from diameter', () => {
+      const { revolutionsPerMile: revs } = recommendSpeedoSettings(RATIO_35, 35, 'imperial');
+
+      assert.ok(Math.abs(revs - 63360 / (Math.PI * 35)) < 1e-9);
+      assert.strictEqual(revs, revolutionsPerMile(35), 'same helper as the tire calculator');
+      assert.strictEqual(Math.round(revs), 576);
+    });
+
+    test('Dropdown picks the nearest listed size', () => {
+      const setting = calculateToolSetting(tool('alphaobd'), RATIO_35, revolutionsPerMile(35));
+
+      assert.strictEqual(setting.value, '35" (35x12.50R17)');
+      assert.ok(Math.abs(setting.residualRatio - 1) < 1e-9);
+      assert.strictEqual(setting.outOfRange, false);
+    });
+
+    test('Dropdown without a large enough size leaves the error', () => {
+      // Largest Techstream size is 285/70R17 (32.7"): actual / indicated = 35 / 32.7
+      const setting = calculateToolSetting(tool('techstream'), RATIO_35, revolutionsPerMile(35));
+
+      assert.strictEqual(setting.value, '285/70R17');
+      assert.strictEqual(setting.outOfRange, true);
+      assert.ok(Math.abs(setting.residualRatio - 35 / 32.7) < 1e-9);
+    });
+
+    test('Revs per mile entry rounds to whole revolutions', () => {
+      const setting = calculateToolSetting(tool('hypertech'), RATIO_35, revolutionsPerMile(35));
+
+      assert.strictEqual(setting.value, 576);
+      assert.ok(Math.abs(setting.residualRatio - 576 / revolutionsPerMile(35)) < 1e-9);
+    });
+
+    test('Percentage correction rounds to the tool step', () => {
+      // (35 / 31.6 − 1) × 100 = 10.76%
+      const scangauge = calculateToolSetting(tool('scangauge'), RATIO_35, revolutionsPerMile(35));
+      const corrector = calculateToolSetting(tool('can_corrector'), RATIO_35, revolutionsPerMile(35));
+
+      assert.strictEqual(scangauge.value, 11);
+      assert.strictEqual(corrector.value, 10.8);
+      assert.ok(Math.abs(corrector.residualRatio - RATIO_35 / 1.108) < 1e-9);
+    });
+
+    test('Percentage outside the tool range is clamped', () => {
+      const setting = calculateToolSetting(tool('scangauge'), 1.4, revolutionsPerMile(44));
+
+      assert.strictEqual(setting.value, 30);
+      assert.strictEqual(setting.outOfRange, true);
+    });
+  });
+
+  describe('Recommendations', () => {
+
+    test('Every tool reports its remaining error at the reference speed', () => {
+      const result = recommendSpeedoSettings(RATIO_35, 35, 'imperial');
+      const techstream = result.tools.find(t => t.id === 'techstream');
+
+      assert.strictEqual(result.tools.length, getSpeedoProgrammers().length);
+      assert.strictEqual(techstream.residual.indicated, 60);
+      assert.ok(Math.abs(techstream.residual.actual - 60 * 35 / 32.7) < 1e-9);
+      assert.strictEqual(techstream.withinTolerance, false);
+      assert.ok(result.summary.includes('AlphaOBD'));
+    });
+
+    test('Small changes do not need recalibration', () => {
+      const result = recommendSpeedoSettings(1.005, 31.8, 'imperial');
+
+      assert.ok(result.summary.includes(`within ${CALIBRATION_TOLERANCE}%`));
+      assert.ok(result.summary.includes('optional'));
+    });
+
+    test('Comparison builds settings from the speedometer error', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('35x12.50R17'), {}, {}, 'weekend_trail', {
+        unitSystem: 'metric'
+      });
+      const { calibration, ratio } = comparison.speedometerError;
+
+      assert.ok(Math.abs(calibration.correctionPercentage - (ratio - 1) * 100) < 1e-9);
+      assert.strictEqual(calibration.tools[0].residual.indicated, 100);
+      assert.strictEqual(calibration.tools[0].residual.unit, 'km/h');
+    });
+  });
+});
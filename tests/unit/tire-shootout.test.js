@@ -0,0 +1,190 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Tire Shootout
+ *
+ * PURPOSE: Verify that several candidates run against one baseline give the
+ * same numbers as one-on-one comparisons, that the fit score follows the
+ * intended use, and that the table sorts by any column.
+ *
+ * FORMULA:
+ * Fit score = 100 − Σ weight × penalty (each penalty 0-1)
+ * Size penalty = |diameter gain − ideal gain| / 3"
+ * Weight penalty = (added weight / stock weight) / 50%
+ *
+ * CONFIDENCE LEVEL: 90% (row metrics are exact; the ranking weights are a judgment call)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison, getLoadIndexCapacity } from '../../src/engine/tireCalculator.js';
+import {
+  parseCandidateSizes,
+  runTireShootout,
+  sortShootoutCandidates,
+  USE_CASE_WEIGHTS
+} from '../../src/engine/tireShootout.js';
+
+const DRIVETRAIN = { axleGearRatio: 3.73, transmissionTopGear: 0.8 };
+const SIZES = ['285/75R17', '285/70R17', '295/70R17', '35x12.50R17'];
+
+function shootout(intendedUse = 'weekend_trail', sizes = SIZES, options = {}) {
+  return runTireShootout(parseTireSize('265/70R17'), sizes.map(size => parseTireSize(size)), DRIVETRAIN, {}, intendedUse, options);
+}
+
+describe('Tire Shootout - Logic Verification (90% Confidence)', () => {
+
+  describe('Candidate List', () => {
+
+    test('Splits on commas and lines, drops blanks and duplicates', () => {
+      assert.deepStrictEqual(
+        parseCandidateSizes('285/75R17, 285/70R17\n\n35x12.50R17\n285/75r17'),
+        ['285/75R17', '285/70R17', '35x12.50R17']
+      );
+      assert.deepStrictEqual(parseCandidateSizes(''), []);
+    });
+
+    test('Needs at least one candidate', () => {
+      assert.throws(() => runTireShootout(parseTireSize('265/70R17'), [], DRIVETRAIN), /At least one candidate/);
+    });
+  });
+
+  describe('Row Metrics', () => {
+
+    test('Rows match a one-on-one comparison', () => {
+      const result = shootout();
+      const row = result.candidates.find(candidate => candidate.size === '295/70R17');
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('295/70R17'), DRIVETRAIN);
+
+      assert.strictEqual(row.diameter, comparison.new.diameter);
+      assert.strictEqual(row.diameterChange, comparison.differences.diameter.inches);
+      assert.strictEqual(row.speedometerError, comparison.speedometerError.errors.at60mph.errorPercentage);
+      assert.strictEqual(row.rpm, comparison.drivetrainImpact.rpm.new);
+      assert.strictEqual(row.weight, comparison.weightAnalysis.new.perTire);
+      assert.strictEqual(result.baseline.weight, comparison.weightAnalysis.current.perTire);
+    });
+
+    test('Every candidate gets a clearance risk and regear likelihood', () => {
+      const result = shootout('weekend_trail', SIZES, { suspensionType: 'ifs' });
+
+      result.candidates.forEach(candidate => {
+        assert.ok(['LOW', 'MODERATE', 'HIGH'].includes(candidate.clearanceRisk));
+        assert.ok(Number.isFinite(candidate.regearLikelihood));
+      });
+      const big = result.candidates.find(candidate => candidate.size.startsWith('35'));
+      const small = result.candidates.find(candidate => candidate.size === '285/70R17');
+      assert.ok(big.clearanceProbability > small.clearanceProbability);
+      assert.ok(big.regearLikelihood > small.regearLikelihood);
+    });
+
+    test('No axle ratio, no RPM', () => {
+      const result = runTireShootout(parseTireSize('265/70R17'), [parseTireSize('285/75R17')]);
+
+      assert.strictEqual(result.candidates[0].rpm, null);
+      assert.ok(Number.isFinite(result.candidates[0].regearLikelihood));
+    });
+
+    test('Load capacity comes from each size\'s load index', () => {
+      const result = runTireShootout(
+        parseTireSize('LT265/70R17 121/118S'),
+        [parseTireSize('LT285/75R17 121/118S'), parseTireSize('285/70R17 116T'), parseTireSize('295/70R17')],
+        DRIVETRAIN
+      );
+      const byIndex = size => result.candidates.find(candidate => candidate.size.startsWith(size));
+
+      assert.strictEqual(result.baseline.loadCapacity, getLoadIndexCapacity(121));
+      assert.strictEqual(byIndex('LT285').loadCapacityChange, 0);
+      assert.strictEqual(byIndex('285/70').loadCapacityChange, getLoadIndexCapacity(116) - getLoadIndexCapacity(121));
+      assert.ok(byIndex('285/70').penalties.load > 0);
+      assert.strictEqual(byIndex('295/70').loadCapacity, null);
+      assert.strictEqual(byIndex('295/70').penalties.load, 0);
+      assert.ok(result.summary.endsWith('Load capacity not ranked for 295/70R17: no load index'));
+    });
+
+    test('Plain sizes leave load capacity unranked and say so', () => {
+      const result = shootout();
+
+      assert.strictEqual(result.baseline.loadCapacity, null);
+      assert.ok(result.candidates.every(candidate => candidate.penalties.load === 0));
+      assert.ok(result.summary.endsWith('Load capacity not ranked: no load index on 265/70R17'));
+      assert.ok(!runTireShootout(
+        parseTireSize('LT265/70R17 121/118S'),
+        [parseTireSize('LT285/75R17 121/118S')],
+        DRIVETRAIN
+      ).summary.includes('Load capacity'));
+    });
+
+    test('Metric rows use 100 km/h', () => {
+      const result = shootout('weekend_trail', SIZES, { unitSystem: 'metric' });
+
+      assert.strictEqual(result.referenceSpeed, 100);
+      assert.ok(result.candidates.every(candidate => candidate.actualSpeed > 100));
+      assert.ok(!result.summary.includes('lbs') && !result.summary.includes('"'));
+    });
+  });
+
+  describe('Ranking', () => {
+
+    test('Scores sum the weighted penalties', () => {
+      shootout().candidates.forEach(candidate => {
+        const total = Object.values(candidate.penalties).reduce((sum, value) => sum + value, 0);
+        assert.ok(Math.abs(candidate.score - (100 - total)) < 1e-9);
+      });
+      Object.values(USE_CASE_WEIGHTS).forEach(weights => {
+        const { idealGain, ...rest } = weights;
+        assert.ok(idealGain > 0);
+        assert.strictEqual(Object.values(rest).reduce((sum, value) => sum + value, 0), 100);
+      });
+    });
+
+    test('Ranked best first, best on top', () => {
+      const result = shootout();
+
+      result.candidates.forEach((candidate, i) => assert.strictEqual(candidate.rank, i + 1));
+      result.candidates.slice(1).forEach(candidate => assert.ok(candidate.score <= result.best.score));
+      assert.ok(result.summary.startsWith(`${result.best.size} is the best fit`));
+    });
+
+    test('Rock crawling favours the 35, daily driving a small step', () => {
+      const crawl = shootout('rock_crawling');
+      const daily = shootout('daily_driver');
+      const trail = shootout('weekend_trail');
+
+      assert.strictEqual(crawl.best.size, '35X12.50R17');
+      assert.ok(daily.best.diameterChange < 1.5);
+      assert.notStrictEqual(trail.best.size, '35X12.50R17');
+    });
+
+    test('Staying stock can outrank every upsize', () => {
+      const crawl = shootout('rock_crawling', ['265/70R17', ...SIZES], { suspensionType: 'ifs' });
+
+      assert.strictEqual(crawl.best.size, '265/70R17');
+      assert.strictEqual(crawl.candidates[1].size, '35X12.50R17');
+    });
+  });
+
+  describe('Sorting', () => {
+
+    const { candidates } = shootout();
+
+    test('Sorts by a column in either direction', () => {
+      const ascending = sortShootoutCandidates(candidates, 'diameter');
+      const descending = sortShootoutCandidates(candidates, 'diameter', 'desc');
+
+      ascending.slice(1).forEach((candidate, i) => assert.ok(candidate.diameter >= ascending[i].diameter));
+      assert.strictEqual(descending[0].size, '35X12.50R17');
+      assert.deepStrictEqual(sortShootoutCandidates(candidates).map(c => c.rank), [1, 2, 3, 4]);
+      assert.notStrictEqual(ascending, candidates, 'returns a copy');
+    });
+
+    test('Missing values sort last', () => {
+      const rows = [{ rank: 1, loadCapacity: null }, { rank: 2, loadCapacity: 3197 }, { rank: 3, loadCapacity: 2756 }];
+
+      assert.deepStrictEqual(sortShootoutCandidates(rows, 'loadCapacity').map(row => row.rank), [3, 2, 1]);
+      assert.deepStrictEqual(sortShootoutCandidates(rows, 'loadCapacity', 'desc').map(row => row.rank), [2, 3, 1]);
+    });
+
+    test('Unknown columns are rejected', () => {
+      assert.throws(() => sortShootoutCandidates(candidates, 'price'), /Unknown shootout column/);
+    });
+  });
+});
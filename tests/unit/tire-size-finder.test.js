@@ -0,0 +1,74 @@
+/**
+ * TIER 1: Logic Verification Tests - Equivalent Size Finder
+ *
+ * PURPOSE: Verify the reverse lookup returns real standard sizes within the
+ * requested tolerance, prefers measured diameters, and supports plus-sizing.
+ *
+ * CONFIDENCE LEVEL: 100% (logic verification with known inputs)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { findEquivalentSizes, findPlusSizeOptions } from '../../src/engine/tireSizeFinder.js';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+
+describe('Equivalent Size Finder - Logic Verification (100% Confidence)', () => {
+
+  test('~33" options on a 17" wheel within ±0.3"', () => {
+    const results = findEquivalentSizes({ targetDiameter: 33, wheelDiameters: [17], tolerance: 0.3 });
+    const sizes = results.map(r => r.size);
+
+    assert.ok(sizes.includes('33x12.50R17'));
+    assert.ok(sizes.includes('LT285/75R17'), 'Measured 32.8" diameter is within tolerance');
+    results.forEach(result => {
+      assert.strictEqual(result.wheelDiameter, 17);
+      assert.ok(Math.abs(result.diameterDifference) <= 0.3, `${result.size} outside tolerance`);
+    });
+  });
+
+  test('Results are sorted by closeness to target', () => {
+    const results = findEquivalentSizes({ targetDiameter: 35, wheelDiameters: [17, 18], tolerance: 0.5 });
+
+    for (let i = 1; i < results.length; i++) {
+      assert.ok(Math.abs(results[i].diameterDifference) >= Math.abs(results[i - 1].diameterDifference));
+    }
+  });
+
+  test('Measured diameters are used where they exist', () => {
+    const results = findEquivalentSizes({ targetDiameter: 32.8, wheelDiameters: [17], tolerance: 0.05 });
+    const lt285 = results.find(r => r.size === 'LT285/75R17');
+
+    assert.ok(lt285);
+    assert.strictEqual(lt285.usedMeasuredData, true);
+    assert.strictEqual(lt285.diameter, 32.8);
+  });
+
+  test('Format filters', () => {
+    const metricOnly = findEquivalentSizes({ targetDiameter: 33, includeFlotation: false });
+    const flotationOnly = findEquivalentSizes({ targetDiameter: 33, includeMetric: false });
+
+    assert.ok(metricOnly.length > 0 && metricOnly.every(r => r.format !== 'Flotation'));
+    assert.ok(flotationOnly.length > 0 && flotationOnly.every(r => r.format === 'Flotation'));
+  });
+
+  test('Every result re-parses to the same diameter', () => {
+    findEquivalentSizes({ targetDiameter: 31, wheelDiameters: [16] }).forEach(result => {
+      assert.strictEqual(parseTireSize(result.size).diameter, result.diameter);
+    });
+  });
+
+  test('Plus-size from 17" to 18" keeps the diameter', () => {
+    const plus = findPlusSizeOptions('LT285/75R17', 18);
+
+    assert.strictEqual(plus.current.diameter, 32.8);
+    assert.ok(plus.options.length > 0);
+    plus.options.forEach(option => {
+      assert.strictEqual(option.wheelDiameter, 18);
+      assert.ok(Math.abs(option.diameter - 32.8) <= 0.3);
+    });
+  });
+
+  test('Missing target diameter throws', () => {
+    assert.throws(() => findEquivalentSizes({}), /Target diameter/);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * TIER 1: Logic Verification Tests - Tire Size Normalizer
+ *
+ * PURPOSE: Verify loosely typed sizes are read the way a tire shop would read
+ * them, and that ambiguous input produces ranked candidates instead of a guess.
+ *
+ * CONFIDENCE LEVEL: 100% (logic verification with known inputs)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { normalizeTireSize } from '../../src/engine/tireSizeNormalizer.js';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+
+describe('Tire Size Normalizer - Logic Verification (100% Confidence)', () => {
+
+  describe('Common Typing Variants', () => {
+
+    const cases = [
+      ['2857517', '285/75R17'],
+      ['285 75 17', '285/75R17'],
+      ['285/75/17', '285/75R17'],
+      ['LT 285 75 17', 'LT285/75R17'],
+      ['35/12.50R17', '35x12.50R17'],
+      ['35-12.5-17', '35x12.50R17'],
+      ['35125017', '35x12.50R17'],
+      ['3312515', '33x12.50R15'],
+      ['185 14', '185R14']
+    ];
+
+    cases.forEach(([input, expected]) => {
+      test(`"${input}" → ${expected}`, () => {
+        const result = normalizeTireSize(input);
+
+        assert.strictEqual(result.best.size, expected);
+        assert.strictEqual(result.isAmbiguous, false);
+      });
+    });
+  });
+
+  describe('Ranking and Ambiguity', () => {
+
+    test('Plausible size outranks implausible reading', () => {
+      const result = normalizeTireSize('3312515');
+
+      assert.strictEqual(result.candidates.length, 2);
+      assert.strictEqual(result.candidates[0].format, 'Flotation');
+      assert.ok(result.candidates[0].score > result.candidates[1].score);
+    });
+
+    test('Equally plausible readings are ambiguous', () => {
+      const result = normalizeTireSize('2613516');
+
+      assert.strictEqual(result.isAmbiguous, true);
+      assert.deepStrictEqual(
+        result.candidates.map(c => c.size).sort(),
+        ['261/35R16', '26x13.50R16']
+      );
+    });
+
+    test('Sidewall text after the size is kept as remainder', () => {
+      const result = normalizeTireSize('285 75 17 121/118S E');
+
+      assert.strictEqual(result.best.size, '285/75R17');
+      assert.strictEqual(result.remainder, '121/118S E');
+    });
+
+    test('No numbers - no candidates', () => {
+      const result = normalizeTireSize('mud tires');
+
+      assert.strictEqual(result.best, null);
+      assert.deepStrictEqual(result.candidates, []);
+    });
+
+    test('Every candidate re-parses with the strict parser', () => {
+      ['2857517', '2613516', '35-12.5-17', '185 14'].forEach(input => {
+        normalizeTireSize(input).candidates.forEach(candidate => {
+          assert.doesNotThrow(() => parseTireSize(candidate.size), candidate.size);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Tractive Effort
+ *
+ * PURPOSE: Verify torque curve interpolation and wheel torque / tractive effort
+ * by gear before and after a tire change.
+ *
+ * FORMULA:
+ * Wheel torque = engine torque × gear × axle × transfer case × efficiency
+ * Tractive effort (lbf) = wheel torque × 24 / diameter
+ * Speed = RPM × diameter / (gear × axle × transfer case × 336)
+ *
+ * CONFIDENCE LEVEL: 100% (direct torque multiplication)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { getTransmission } from '../../src/engine/transmissionModel.js';
+import {
+  getEngines,
+  getEngine,
+  getPresetEngine,
+  getEngineTorque,
+  calculateGearCurves,
+  getTractiveEffortAtSpeed,
+  analyzeTractiveEffort,
+  DRIVETRAIN_EFFICIENCY
+} from '../../src/engine/tractiveEffort.js';
+
+const DRIVETRAIN = { axleGearRatio: 4.10, transmission: 'A750F', engine: '1GR-FE' };
+
+describe('Tractive Effort - Logic Verification (100% Confidence)', () => {
+
+  describe('Engine Library', () => {
+
+    test('Curves peak at the published torque and end at redline', () => {
+      getEngines().forEach(engine => {
+        const curve = engine.torqueCurve;
+        assert.strictEqual(Math.max(...curve.map(([, torque]) => torque)), engine.peakTorque.value, engine.id);
+        assert.strictEqual(curve[curve.length - 1][0], engine.redline, engine.id);
+      });
+    });
+
+    test('Torque is interpolated between curve points', () => {
+      const engine = getEngine('1GR-FE');
+
+      assert.strictEqual(getEngineTorque(engine, 4400), 278);
+      assert.strictEqual(getEngineTorque(engine, 1250), 215);
+      assert.strictEqual(getEngineTorque(engine, 500), 0);
+      assert.strictEqual(getEngineTorque(engine, 6500), 0);
+    });
+
+    test('Presets and unknown engines', () => {
+      assert.strictEqual(getPresetEngine('2014-2024 4Runner TRD Off-Road'), '1GR-FE');
+      assert.strictEqual(getPresetEngine('JL Wrangler Rubicon (2018+)'), 'PENTASTAR-3.6');
+      assert.strictEqual(getPresetEngine('Unknown Vehicle'), null);
+      assert.throws(() => getEngine('V12'), /Unknown engine/);
+    });
+  });
+
+  describe('Wheel Torque and Tractive Effort', () => {
+
+    test('Peak tractive effort in 1st gear', () => {
+      // 278 × 3.52 × 4.10 × 0.85 = 3,410 lb-ft → × 24 / 33 = 2,480 lbf
+      const [first] = calculateGearCurves(getEngine('1GR-FE'), [3.52], 4.10, 33);
+      const peak = first.points.find(p => p.rpm === 4400);
+      const wheelTorque = 278 * 3.52 * 4.10 * DRIVETRAIN_EFFICIENCY;
+
+      assert.ok(Math.abs(peak.wheelTorque - wheelTorque) < 1e-9);
+      assert.ok(Math.abs(peak.tractiveEffort - (wheelTorque * 24) / 33) < 1e-9);
+      assert.strictEqual(first.peakTractiveEffort, peak.tractiveEffort);
+    });
+
+    test('Larger tires lower every curve by the diameter ratio at the same RPM', () => {
+      const engine = getEngine('1GR-FE');
+      const ratios = getTransmission('A750F').ratios;
+      const small = calculateGearCurves(engine, ratios, 4.10, 33);
+      const large = calculateGearCurves(engine, ratios, 4.10, 35);
+
+      small.forEach((gear, i) => {
+        gear.points.forEach((point, j) => {
+          const other = large[i].points[j];
+          assert.ok(Math.abs(other.tractiveEffort / point.tractiveEffort - 33 / 35) < 1e-9);
+          assert.ok(Math.abs(other.speed / point.speed - 35 / 33) < 1e-9);
+        });
+      });
+    });
+
+    test('Best gear is used at a road speed', () => {
+      const engine = getEngine('1GR-FE');
+      const ratios = getTransmission('A750F').ratios;
+      const result = getTractiveEffortAtSpeed(engine, ratios, 4.10, 33, 45);
+
+      // 1st gear runs out at ~41 mph; 2nd is the strongest gear at 45 mph
+      assert.strictEqual(result.gear, 2);
+      assert.ok(result.tractiveEffort > 0);
+      assert.strictEqual(getTractiveEffortAtSpeed(engine, ratios, 4.10, 33, 300).gear, null);
+    });
+  });
+
+  describe('Tire Change Analysis', () => {
+
+    test('Reports the loss in lbf at each test speed', () => {
+      const analysis = analyzeTractiveEffort(33, 35, DRIVETRAIN, 'imperial');
+
+      assert.strictEqual(analysis.gears.length, 5);
+      assert.deepStrictEqual(analysis.atSpeed.map(row => row.speed), [30, 45, 60, 75]);
+      assert.ok(analysis.gears[0].peakChange < 0);
+      assert.ok(Math.abs(analysis.gears[0].peakChangePercentage - (33 / 35 - 1) * 100) < 1e-9);
+      assert.ok(analysis.summary.includes('lbf'));
+    });
+
+    test('Metric summary uses newtons', () => {
+      const analysis = analyzeTractiveEffort(33, 35, DRIVETRAIN, 'metric');
+
+      assert.deepStrictEqual(analysis.atSpeed.map(row => row.speed), [50, 80, 100, 120]);
+      assert.ok(analysis.summary.includes(' N'));
+    });
+
+    test('Shorter axle gears restore the pull', () => {
+      const stock = analyzeTractiveEffort(33, 33, DRIVETRAIN, 'imperial');
+      const regeared = analyzeTractiveEffort(33, 35, { ...DRIVETRAIN, axleGearRatio: 4.10 * 35 / 33 }, 'imperial');
+
+      assert.ok(Math.abs(regeared.gears[0].new.peakTractiveEffort - stock.gears[0].new.peakTractiveEffort) < 1e-9);
+    });
+
+    test('Needs both an engine and a ratio set', () => {
+      assert.strictEqual(analyzeTractiveEffort(33, 35, { axleGearRatio: 4.10, engine: '1GR-FE' }, 'imperial'), null);
+      assert.strictEqual(analyzeTractiveEffort(33, 35, { axleGearRatio: 4.10, transmission: 'A750F' }, 'imperial'), null);
+    });
+
+    test('Comparison includes tractive effort', () => {
+      const comparison = calculateTireComparison(parseTireSize('265/70R17'), parseTireSize('285/75R17'), DRIVETRAIN);
+
+      assert.strictEqual(comparison.tractiveEffort.engine.id, '1GR-FE');
+      assert.ok(comparison.tractiveEffort.gears[0].peakChange < 0);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Transmission Gear Model
+ *
+ * PURPOSE: Verify per-gear RPM, shift speeds and overdrive usability for
+ * complete transmission ratio sets.
+ *
+ * FORMULA:
+ * RPM = speed × axle × gear × 336 / diameter
+ * Shift speed = shift RPM × diameter / (axle × gear × 336)
+ * Overdrive is usable when it holds MIN_CRUISE_RPM at highway speed
+ *
+ * CONFIDENCE LEVEL: 100% (direct ratio math on published gear sets)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import {
+  getTransmissions,
+  getTransmission,
+  getPresetTransmission,
+  applyTransmissionRatios,
+  analyzeTransmissionGears,
+  DEFAULT_SHIFT_RPM,
+  MIN_CRUISE_RPM
+} from '../../src/engine/transmissionModel.js';
+
+describe('Transmission Model - Logic Verification (100% Confidence)', () => {
+
+  describe('Library', () => {
+
+    test('Ratio sets run from first gear down to top gear', () => {
+      getTransmissions().forEach(transmission => {
+        assert.ok(transmission.ratios.length >= 4, transmission.id);
+        transmission.ratios.slice(1).forEach((ratio, i) => {
+          assert.ok(ratio < transmission.ratios[i], `${transmission.id} gear ${i + 2}`);
+        });
+      });
+    });
+
+    test('Known ratio sets', () => {
+      assert.deepStrictEqual(getTransmission('A750F').ratios, [3.52, 2.042, 1.4, 1.0, 0.716]);
+      assert.strictEqual(getTransmission('10R80').ratios.length, 10);
+      assert.strictEqual(getTransmission('NSG370').type, 'manual');
+      assert.throws(() => getTransmission('TH9000'), /Unknown transmission/);
+    });
+
+    test('Vehicle presets map to their transmission', () => {
+      assert.strictEqual(getPresetTransmission('2016-2023 Tacoma TRD Off-Road'), 'AC60');
+      assert.strictEqual(getPresetTransmission('JL Wrangler Rubicon (2018+)'), '8HP');
+      assert.strictEqual(getPresetTransmission('Bronco Badlands (2021+)'), '10R80');
+      assert.strictEqual(getPresetTransmission('Unknown Vehicle'), null);
+    });
+
+    test('Selected transmission fills missing top and first gear only', () => {
+      const filled = applyTransmissionRatios({ axleGearRatio: 4.10, transmission: 'A750F' });
+      assert.strictEqual(filled.transmissionTopGear, 0.716);
+      assert.strictEqual(filled.firstGearRatio, 3.52);
+
+      const explicit = applyTransmissionRatios({ transmission: 'A750F', transmissionTopGear: 0.8 });
+      assert.strictEqual(explicit.transmissionTopGear, 0.8);
+
+      const none = { axleGearRatio: 3.73 };
+      assert.strictEqual(applyTransmissionRatios(none), none);
+    });
+  });
+
+  describe('Per-Gear Math', () => {
+
+    test('RPM and shift speed in every gear', () => {
+      const analysis = analyzeTransmissionGears(31, 33, { axleGearRatio: 4.10, transmission: 'A750F' }, 'imperial');
+
+      assert.strictEqual(analysis.gears.length, 5);
+      analysis.gears.forEach(gear => {
+        assert.ok(Math.abs(gear.rpm.current - (65 * 4.10 * gear.ratio * 336) / 31) < 1e-9);
+        assert.ok(Math.abs(gear.rpm.new - (65 * 4.10 * gear.ratio * 336) / 33) < 1e-9);
+        assert.ok(Math.abs(gear.shiftSpeed.current - (DEFAULT_SHIFT_RPM * 31) / (4.10 * gear.ratio * 336)) < 1e-9);
+      });
+    });
+
+    test('Every shift point moves up by the diameter ratio', () => {
+      const analysis = analyzeTransmissionGears(30, 33, { axleGearRatio: 3.73, transmission: '8HP' }, 'imperial');
+
+      analysis.gears.forEach(gear => {
+        assert.ok(Math.abs(gear.shiftSpeed.new / gear.shiftSpeed.current - 1.1) < 1e-9);
+        assert.ok(gear.shiftSpeed.change > 0);
+      });
+    });
+
+    test('Custom ratios are analyzed without a library entry', () => {
+      const analysis = analyzeTransmissionGears(31, 33, { axleGearRatio: 3.73, transmissionRatios: [3.0, 1.6, 1.0, 0.75] }, 'imperial');
+
+      assert.strictEqual(analysis.transmission.id, 'custom');
+      assert.deepStrictEqual(analysis.overdrive.gears, [4]);
+    });
+
+    test('No ratio set, no analysis', () => {
+      assert.strictEqual(analyzeTransmissionGears(31, 33, { axleGearRatio: 3.73 }, 'imperial'), null);
+    });
+  });
+
+  describe('Overdrive Usability', () => {
+
+    test('AC60 6th gear is lost going from 33" to 35" on 3.909 gears', () => {
+      // 6th (0.580): 1500 RPM at 65 mph on 33", 1414 RPM on 35"
+      const analysis = analyzeTransmissionGears(33, 35, { axleGearRatio: 3.909, transmission: 'AC60' }, 'imperial');
+      const sixth = analysis.gears[5];
+
+      assert.strictEqual(sixth.usability.current, 'usable');
+      assert.strictEqual(sixth.usability.new, 'limited');
+      assert.deepStrictEqual(analysis.overdrive.lostGears, [6]);
+      assert.ok(analysis.overdrive.summary.includes('6th'));
+    });
+
+    test('Gear is unusable when it cannot cruise even at the top test speed', () => {
+      const analysis = analyzeTransmissionGears(31, 40, { axleGearRatio: 3.21, transmission: 'TOYOTA_10AT' }, 'imperial');
+      const tenth = analysis.gears[9];
+
+      assert.ok(tenth.minCruiseSpeed.new > 75);
+      assert.strictEqual(tenth.usability.new, 'unusable');
+      assert.ok(analysis.overdrive.unusableGears.includes(10));
+    });
+
+    test('Minimum cruise speed matches MIN_CRUISE_RPM', () => {
+      const analysis = analyzeTransmissionGears(33, 35, { axleGearRatio: 4.10, transmission: 'A750F' }, 'imperial');
+      const fifth = analysis.gears[4];
+      const rpm = (fifth.minCruiseSpeed.new * 4.10 * 0.716 * 336) / 35;
+
+      assert.ok(Math.abs(rpm - MIN_CRUISE_RPM) < 1e-9);
+      assert.strictEqual(fifth.usability.new, 'usable');
+    });
+
+    test('Metric uses 100 km/h as the highway speed', () => {
+      const analysis = analyzeTransmissionGears(33, 35, { axleGearRatio: 3.909, transmission: 'AC60' }, 'metric');
+
+      assert.strictEqual(analysis.testSpeed, 100);
+      assert.strictEqual(analysis.testSpeedUnit, 'km/h');
+    });
+  });
+
+  describe('Tire Comparison Integration', () => {
+
+    test('Comparison includes the gear table and uses the transmission top gear', () => {
+      const comparison = calculateTireComparison(
+        parseTireSize('265/70R17'),
+        parseTireSize('285/75R17'),
+        { axleGearRatio: 3.909, transmission: 'AC60' }
+      );
+
+      assert.strictEqual(comparison.transmissionAnalysis.gears.length, 6);
+      assert.ok(Math.abs(comparison.drivetrainImpact.rpm.new - comparison.transmissionAnalysis.gears[5].rpm.new) < 1e-9);
+    });
+
+    test('No transmission selected leaves transmissionAnalysis empty', () => {
+      const comparison = calculateTireComparison(
+        parseTireSize('265/70R17'),
+        parseTireSize('285/75R17'),
+        { axleGearRatio: 3.73 }
+      );
+
+      assert.strictEqual(comparison.transmissionAnalysis, null);
+    });
+  });
+});
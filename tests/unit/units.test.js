@@ -0,0 +1,194 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Unit System
+ *
+ * PURPOSE: Verify metric/imperial conversion is exact in both directions and
+ * that metric comparisons produce the same physics as imperial ones.
+ *
+ * FORMULA:
+ * mm = in × 25.4, km/h = mph × 1.609344, kg = lb × 0.45359237, kPa = PSI × 6.894757
+ * L = gal × 3.785411784, L/100km = 235.2146 / mpg, °C = (°F − 32) × 5/9
+ * actual speed = indicated × diameter ratio (unit independent)
+ *
+ * CONFIDENCE LEVEL: 100% (exact conversion factors)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { generateRegearRecommendations } from '../../src/engine/regearEngine.js';
+import {
+  getUnitSystem,
+  toDisplayUnits,
+  fromDisplayUnits,
+  formatMeasurement,
+  getSpeedKey
+} from '../../src/engine/units.js';
+import { generateCSV, generateTextReport } from '../../src/utils/exportImport.js';
+import { generateForumText } from '../../src/utils/forumExport.js';
+
+const QUANTITIES = ['length', 'speed', 'distance', 'shortDistance', 'perDistance', 'weight', 'pressure', 'torque', 'force', 'treadDepth', 'volume', 'fuelEconomy', 'temperature', 'temperatureRise'];
+
+function compare(unitSystem) {
+  return calculateTireComparison(
+    parseTireSize('265/70R17'),
+    parseTireSize('35x12.50R17'),
+    { axleGearRatio: 3.73, transmissionTopGear: 0.8 },
+    {},
+    'weekend_trail',
+    { unitSystem }
+  );
+}
+
+describe('Unit System - Logic Verification (100% Confidence)', () => {
+
+  describe('Conversions', () => {
+
+    test('Known conversions', () => {
+      assert.strictEqual(toDisplayUnits(1, 'length', 'metric'), 25.4);
+      assert.strictEqual(toDisplayUnits(60, 'speed', 'metric'), 96.56064);
+      assert.strictEqual(toDisplayUnits(100, 'weight', 'metric'), 45.359237);
+      assert.ok(Math.abs(toDisplayUnits(35, 'pressure', 'metric') - 241.3165) < 0.001);
+      assert.strictEqual(toDisplayUnits(32, 'treadDepth', 'metric'), 25.4);
+      assert.strictEqual(toDisplayUnits(10, 'volume', 'metric'), 37.85411784);
+      assert.ok(Math.abs(toDisplayUnits(150, 'shortDistance', 'metric') - 45.72) < 1e-9);
+      assert.ok(Math.abs(toDisplayUnits(20, 'fuelEconomy', 'metric') - 11.76) < 0.01);
+      assert.ok(Math.abs(toDisplayUnits(212, 'temperature', 'metric') - 100) < 1e-9);
+      assert.ok(Math.abs(toDisplayUnits(90, 'temperatureRise', 'metric') - 50) < 1e-9);
+    });
+
+    test('Imperial is a pass-through', () => {
+      QUANTITIES.forEach(quantity => {
+        assert.strictEqual(toDisplayUnits(33.15, quantity, 'imperial'), 33.15);
+        assert.strictEqual(fromDisplayUnits(33.15, quantity, 'imperial'), 33.15);
+      });
+    });
+
+    test('Metric converts back to the original value', () => {
+      [0.5, 12.5, 33.15, 65, 1250, 4850].forEach(value => {
+        QUANTITIES.forEach(quantity => {
+          const roundTrip = fromDisplayUnits(toDisplayUnits(value, quantity, 'metric'), quantity, 'metric');
+          assert.ok(Math.abs(roundTrip - value) < 1e-9, `${quantity} ${value} → ${roundTrip}`);
+        });
+      });
+    });
+
+    test('Formatting uses the unit system labels', () => {
+      assert.strictEqual(formatMeasurement(33.15, 'length', 'imperial'), '33.15"');
+      assert.strictEqual(formatMeasurement(33.15, 'length', 'metric'), '842 mm');
+      assert.strictEqual(formatMeasurement(1.5, 'length', 'imperial', { signed: true }), '+1.50"');
+      assert.strictEqual(formatMeasurement(35, 'pressure', 'metric'), '241 kPa');
+      assert.strictEqual(formatMeasurement(12, 'treadDepth', 'imperial'), '12.0/32"');
+      assert.strictEqual(formatMeasurement(650, 'temperature', 'imperial'), '650°F');
+      assert.strictEqual(formatMeasurement(650, 'temperature', 'metric'), '343°C');
+    });
+
+    test('Unknown unit system is rejected', () => {
+      assert.throws(() => getUnitSystem('furlongs'), /Unknown unit system/);
+      assert.strictEqual(getUnitSystem().id, 'imperial');
+    });
+  });
+
+  describe('Metric Comparison', () => {
+
+    test('Default comparison stays imperial', () => {
+      const comparison = compare();
+
+      assert.strictEqual(comparison.unitSystem, 'imperial');
+      assert.deepStrictEqual(Object.keys(comparison.speedometerError.errors), ['at30mph', 'at45mph', 'at60mph', 'at75mph']);
+      assert.strictEqual(comparison.drivetrainImpact.rpm.testSpeed, 65);
+    });
+
+    test('Metric test speeds are 50/80/100/120 km/h', () => {
+      const { speedometerError } = compare('metric');
+
+      assert.deepStrictEqual(Object.keys(speedometerError.errors), ['at50kmh', 'at80kmh', 'at100kmh', 'at120kmh']);
+      assert.strictEqual(speedometerError.errors.at100kmh.unit, 'km/h');
+      assert.strictEqual(speedometerError.errors.at100kmh.indicated, 100);
+    });
+
+    test('Metric speed errors convert back to the imperial results', () => {
+      const imperial = compare('imperial');
+      const metric = compare('metric');
+
+      assert.strictEqual(metric.speedometerError.ratio, imperial.speedometerError.ratio);
+      getUnitSystem('metric').testSpeeds.forEach(speed => {
+        const data = metric.speedometerError.errors[getSpeedKey(speed, 'metric')];
+        const indicatedMPH = fromDisplayUnits(speed, 'speed', 'metric');
+        const actualMPH = fromDisplayUnits(data.actual, 'speed', 'metric');
+        assert.ok(Math.abs(actualMPH - indicatedMPH * imperial.speedometerError.ratio) < 1e-9);
+      });
+    });
+
+    test('Highway RPM at 100 km/h matches imperial RPM at the same speed', () => {
+      const metric = compare('metric');
+      const rpm = metric.drivetrainImpact.rpm;
+
+      assert.strictEqual(rpm.testSpeed, 100);
+      assert.strictEqual(rpm.testSpeedUnit, 'km/h');
+
+      const testSpeedMPH = fromDisplayUnits(100, 'speed', 'metric');
+      const expected = (testSpeedMPH * 3.73 * 0.8 * 336) / metric.new.diameter;
+      assert.ok(Math.abs(rpm.new - expected) < 1e-9);
+    });
+
+    test('Regear RPM uses the same highway speed as the drivetrain RPM', () => {
+      const drivetrain = { axleGearRatio: 3.73, transmissionTopGear: 0.8 };
+      const imperial = generateRegearRecommendations(compare('imperial'), 3.73, 'weekend_trail', drivetrain);
+      const comparison = compare('metric');
+      const metric = generateRegearRecommendations(comparison, 3.73, 'weekend_trail', drivetrain);
+
+      assert.ok(Math.abs(metric.idealRatios.optimal - imperial.idealRatios.optimal) < 1e-9, 'targets scale with the test speed');
+      metric.recommendations.forEach((rec, i) => {
+        const expected = comparison.drivetrainImpact.rpm.new * (rec.ratio / 3.73);
+        assert.strictEqual(rec.impact.testSpeed, 100);
+        assert.strictEqual(rec.impact.testSpeedUnit, 'km/h');
+        assert.strictEqual(rec.impact.rpm, Math.round(expected));
+        assert.strictEqual(rec.verdict.score, imperial.recommendations[i].verdict.score);
+      });
+      assert.strictEqual(imperial.recommendations[0].impact.testSpeed, 65);
+    });
+
+    test('Dimensions are unchanged by the unit system', () => {
+      const imperial = compare('imperial');
+      const metric = compare('metric');
+
+      assert.strictEqual(metric.new.diameter, imperial.new.diameter);
+      assert.strictEqual(metric.differences.groundClearance.inches, imperial.differences.groundClearance.inches);
+      assert.strictEqual(metric.weightAnalysis.new.perTire, imperial.weightAnalysis.new.perTire);
+    });
+  });
+
+  describe('Exports', () => {
+
+    const formData = { currentTireSize: '265/70R17', newTireSize: '35x12.50R17', axleGearRatio: '3.73' };
+
+    test('CSV and text report use metric labels', () => {
+      const results = { comparison: compare('metric'), formData };
+      const csv = generateCSV(results);
+      const text = generateTextReport(results);
+
+      assert.ok(csv.includes('Diameter (mm)'));
+      assert.ok(csv.includes('100 km/h'));
+      assert.ok(csv.includes('RPM @ 100 km/h'));
+      assert.ok(text.includes('100 km/h indicated'));
+      assert.ok(!text.includes('mph'));
+    });
+
+    test('CSV keeps imperial labels by default', () => {
+      const csv = generateCSV({ comparison: compare(), formData });
+
+      assert.ok(csv.includes('Diameter (inches)'));
+      assert.ok(csv.includes('60 mph'));
+      assert.ok(csv.includes('RPM @ 65 mph'));
+    });
+
+    test('Forum text uses metric speeds and lengths', () => {
+      const text = generateForumText(compare('metric'), formData);
+
+      assert.ok(text.includes('100 km/h indicated'));
+      assert.ok(text.includes('mm diameter'));
+      assert.ok(text.includes('Highway RPM @ 100 km/h'));
+    });
+  });
+});
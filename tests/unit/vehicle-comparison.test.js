@@ -0,0 +1,133 @@
+/**
+ * TIER 1: Mathematical Verification Tests - Same Tire Across Vehicles
+ *
+ * PURPOSE: Verify that one tire applied to several vehicle presets gives each
+ * vehicle the same numbers as a one-on-one comparison from its own stock tire,
+ * gearing and suspension.
+ *
+ * FORMULA:
+ * Restore ratio = stock axle ratio × (new diameter / stock diameter)
+ * Suggested ratio = nearest available ring and pinion to the restore ratio
+ *
+ * CONFIDENCE LEVEL: 95% (per-vehicle metrics reuse the single-vehicle calculator)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { parseTireSize } from '../../src/engine/tireParser.js';
+import { calculateTireComparison } from '../../src/engine/tireCalculator.js';
+import { getAvailableGearRatios } from '../../src/engine/regearEngine.js';
+import { parseVehicleDatabaseCSV, getVehiclePreset } from '../../src/engine/vehicleDatabase.js';
+import { compareAcrossVehicles, getPresetDrivetrain } from '../../src/engine/vehicleComparison.js';
+
+const PRESETS = parseVehicleDatabaseCSV(
+  fs.readFileSync(new URL('../../src/data/vehicle-database.csv', import.meta.url), 'utf8')
+);
+const TACOMA = getVehiclePreset('2016-2023 Tacoma TRD Off-Road', PRESETS);
+const JL = getVehiclePreset('JL Wrangler Rubicon (2018+)', PRESETS);
+const TIRE = parseTireSize('35x12.50R17');
+
+describe('Same Tire Across Vehicles - Logic Verification (95% Confidence)', () => {
+
+  describe('Vehicle Presets', () => {
+
+    test('Parses every row of vehicle-database.csv', () => {
+      assert.strictEqual(PRESETS.length, 142);
+      assert.deepStrictEqual(TACOMA, {
+        category: 'tacoma',
+        label: '2016-2023 Tacoma TRD Off-Road',
+        tire: '265/70R16',
+        gear: 3.909,
+        tcase: 2.566,
+        first: 3.538
+      });
+      assert.ok(PRESETS.every(preset => Number.isFinite(preset.gear)));
+      assert.strictEqual(getVehiclePreset('Not a vehicle', PRESETS), null);
+      assert.deepStrictEqual(parseVehicleDatabaseCSV(''), []);
+    });
+
+    test('Preset drivetrain carries gearing, transmission and engine', () => {
+      const drivetrain = getPresetDrivetrain(JL);
+
+      assert.strictEqual(drivetrain.axleGearRatio, JL.gear);
+      assert.strictEqual(drivetrain.transferCaseLowRatio, JL.tcase);
+      assert.strictEqual(drivetrain.firstGearRatio, JL.first);
+      assert.strictEqual(drivetrain.vehicleType, JL.label);
+      assert.ok(drivetrain.transmission);
+    });
+  });
+
+  describe('Per-Vehicle Metrics', () => {
+
+    test('Each vehicle starts from its own stock tire and gearing', () => {
+      const result = compareAcrossVehicles(TIRE, [TACOMA, JL]);
+      const [tacoma] = result.vehicles;
+      const single = calculateTireComparison(
+        parseTireSize(TACOMA.tire),
+        TIRE,
+        { ...getPresetDrivetrain(TACOMA), suspensionType: tacoma.suspensionType, liftHeight: 0 }
+      );
+
+      assert.strictEqual(tacoma.stockTire, single.current.formatted);
+      assert.strictEqual(tacoma.diameterChange, single.differences.diameter.inches);
+      assert.strictEqual(tacoma.drivetrain.effectiveRatio, single.drivetrainImpact.effectiveGearRatio.new);
+      assert.strictEqual(tacoma.drivetrain.rpm.new, single.drivetrainImpact.rpm.new);
+      assert.strictEqual(tacoma.clearance.probability, single.clearance.probabilityAnalysis.probability);
+      assert.ok(result.vehicles[1].diameterChange < tacoma.diameterChange, 'the JL starts on a bigger tire');
+    });
+
+    test('Solid axle fits the same tire more easily than IFS', () => {
+      const result = compareAcrossVehicles(TIRE, [
+        { ...TACOMA, suspensionType: 'ifs' },
+        { ...JL, suspensionType: 'solid_axle' }
+      ]);
+      const [tacoma, jl] = result.vehicles;
+
+      assert.strictEqual(tacoma.clearance.riskClass, 'HIGH');
+      assert.ok(jl.clearance.probability < tacoma.clearance.probability);
+      assert.ok(result.summary.startsWith(`Easiest fit on the ${JL.label}`));
+    });
+
+    test('Lift height applies to every vehicle', () => {
+      const stock = compareAcrossVehicles(TIRE, [TACOMA, JL]);
+      const lifted = compareAcrossVehicles(TIRE, [TACOMA, JL], {}, 'weekend_trail', { liftHeight: 3 });
+
+      lifted.vehicles.forEach((vehicle, i) => {
+        assert.ok(vehicle.clearance.probability < stock.vehicles[i].clearance.probability);
+      });
+    });
+
+    test('Metric output uses the metric reference speed', () => {
+      const result = compareAcrossVehicles(TIRE, [TACOMA], {}, 'weekend_trail', { unitSystem: 'metric' });
+
+      assert.strictEqual(result.unitSystem, 'metric');
+      assert.strictEqual(result.rpmTestSpeed, 100);
+    });
+
+    test('Needs at least one vehicle', () => {
+      assert.throws(() => compareAcrossVehicles(TIRE, []), /at least one vehicle/);
+    });
+  });
+
+  describe('Regearing', () => {
+
+    test('Restore ratio scales the stock axle ratio by the diameter change', () => {
+      const { vehicles } = compareAcrossVehicles(TIRE, [TACOMA, JL]);
+
+      vehicles.forEach(vehicle => {
+        const expected = vehicle.drivetrain.axleRatio * ((vehicle.stockDiameter + vehicle.diameterChange) / vehicle.stockDiameter);
+        assert.ok(Math.abs(vehicle.regearing.restoreRatio - expected) < 1e-9);
+        assert.ok(getAvailableGearRatios().includes(vehicle.regearing.suggestedRatio));
+        assert.ok(Math.abs(vehicle.regearing.suggestedRatio - vehicle.regearing.restoreRatio) < 0.15);
+      });
+    });
+
+    test('Bigger jump, higher regear likelihood', () => {
+      const [tacoma, jl] = compareAcrossVehicles(TIRE, [TACOMA, JL]).vehicles;
+
+      assert.ok(tacoma.regearing.likelihood >= jl.regearing.likelihood);
+      assert.strictEqual(tacoma.regearing.needed, true);
+    });
+  });
+});